@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+// Local/Online Parity Check
+// Plays N all-AI games twice over, making the same choices for every seat:
+//
+//   local  — as a hot-seat game in the browser plays them: every step goes
+//            through the store's local play (src/store/localGame.js) on the
+//            state in memory, the table's own steps included (passing the
+//            resources phase, applying an event, moving on)
+//   online — as a multiplayer game plays them: each seat is a client of the
+//            real GameRoom (worker/src, run in-process on the Node runtime
+//            in worker/node) that sends its choices over its socket and keeps
+//            the game as the room sends it, in full or as deltas
+//
+// Once both have made a choice, the local game must be the game the room
+// has stored, and each client's copy must be the room's game as that seat is
+// shown it. While construction is under way the two only differ in whose
+// turn the hot-seat screen shows (currentPlayer, selectedRegion), which
+// online play doesn't use. When a game is over, the room's action log must
+// replay to the same final state. The room picks each game's seed; a failure
+// names it. Games cycle through the ruleset presets. Exits with status 1 at
+// the first divergence.
+//
+// Needs the worker's dependencies (npm install in worker/).
+//
+// Usage:
+//   node parity.js          # 20 games (default)
+//   node parity.js 100      # 100 games
+
+import { EventEmitter } from 'node:events';
+import { RULESET_IDS } from './shared/rules/state.js';
+import { replayGame, canResolveEvent, getGameResult, ActionTypes } from './shared/rules/actions.js';
+import { decideSeatActions, decideAttackVote, decideFortressVote } from './shared/rules/ai.js';
+import { getValidRepublicAttackTargets, getRegionsForFortress } from './shared/rules/regions.js';
+import { randomFor } from './shared/rules/random.js';
+import { hashState } from './shared/rules/actionLog.js';
+import { applyPatch } from './shared/rules/statePatch.js';
+import { projectStateFor } from './shared/rules/visibility.js';
+import { PROTOCOL_VERSION } from './shared/rules/protocol.js';
+import { playAction, endConstructionTurn, advancePhase } from './src/store/localGame.js';
+import { loadServer } from './worker/node/build.mjs';
+
+const NUM_GAMES = parseInt(process.argv[2], 10) || 20;
+
+// ---------------------------------------------------------------------------
+// Comparison helpers
+// ---------------------------------------------------------------------------
+
+// Path of the first difference between two values, or null if they are equal
+function firstDifference(a, b, path = 'state') {
+  if (a === b) return null;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return `${path}: ${JSON.stringify(a)} vs ${JSON.stringify(b)}`;
+  }
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    const difference = firstDifference(a[key], b[key], `${path}.${key}`);
+    if (difference) return difference;
+  }
+  return null;
+}
+
+// What a seat is sent of the game (as GameRoom's viewFor)
+function viewFor(state, seat) {
+  const view = projectStateFor(state, seat);
+  return JSON.parse(JSON.stringify({ ...view, rng: { ...view.rng, seed: 0 } }));
+}
+
+// During construction, whose turn the hot-seat screen shows is its own
+function withoutTurn(state) {
+  return state.phase === 'construction' ? { ...state, currentPlayer: 0, selectedRegion: null } : state;
+}
+
+class Divergence extends Error {}
+
+// ---------------------------------------------------------------------------
+// Online: one seat's client, on an in-memory socket to the room
+// ---------------------------------------------------------------------------
+
+class SeatClient extends EventEmitter {
+  constructor(host, seat) {
+    super();
+    this.host = host;
+    this.seat = seat;
+    this.view = null;
+    this.version = null;
+    this.errors = [];
+    this.nextActionId = 1;
+    host.accept(this);
+  }
+
+  // A message from the room
+  send(data) {
+    const message = JSON.parse(data);
+    if (message.type === 'error') {
+      this.errors.push(message.error);
+    } else if ((message.type === 'game_start' || message.type === 'game_state') && message.gameState) {
+      this.view = message.gameState;
+      this.version = message.version;
+    } else if (message.type === 'game_state' && message.patch) {
+      if (message.baseVersion !== this.version) {
+        this.errors.push(`seat ${this.seat} missed a version: has ${this.version}, delta is from ${message.baseVersion}`);
+        return;
+      }
+      this.view = applyPatch(this.view, message.patch);
+      this.version = message.version;
+      if (hashState(this.view) !== message.stateHash) {
+        this.errors.push(`seat ${this.seat}: state rebuilt from the delta doesn't match the room's hash`);
+      }
+    }
+  }
+
+  close() {}
+
+  // Send the room a message and wait until it has been handled
+  async say(message) {
+    this.emit('message', JSON.stringify(message), false);
+    await this.host.run(() => {});
+  }
+
+  act(action) {
+    return this.say({ type: 'action', action, actionId: this.nextActionId++ });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// One game, along both paths
+// ---------------------------------------------------------------------------
+
+async function checkGame(server, env, rulesetId) {
+  const created = await server.worker.fetch(
+    new Request('http://localhost/api/rooms', { method: 'POST', body: JSON.stringify({ ruleset: rulesetId }) }),
+    env,
+    {}
+  );
+  const { roomId, hostToken } = await created.json();
+  const host = env.GAME_ROOM.host(env.GAME_ROOM.idFromName(roomId));
+  const clients = [0, 1, 2].map((seat) => new SeatClient(host, seat));
+  for (const client of clients) {
+    await client.say({ type: 'join', protocolVersion: PROTOCOL_VERSION, faction: client.seat, hostToken });
+  }
+  for (const client of clients) {
+    await client.say({ type: 'ready' });
+  }
+
+  // The local game starts from the room's (which the room has already taken
+  // through its first resources phase)
+  const initialState = await host.state.storage.get('initialGameState');
+  const seed = initialState.rng.seed;
+  let local = initialState;
+  let choices = 0;
+
+  // The steps the local table takes on its own: the resources phase is
+  // passed on the way in, and a decided event applied
+  const settleLocal = () => {
+    while (!getGameResult(local)) {
+      if (local.phase === 'resources') {
+        playLocal(advancePhase(local), 'passing the resources phase');
+      } else if (local.phase === 'events' && canResolveEvent(local)) {
+        playLocal(playAction(local, { type: ActionTypes.RESOLVE_EVENT }), 'applying the event');
+      } else {
+        return;
+      }
+    }
+  };
+
+  const playLocal = (result, what) => {
+    if (result.error) {
+      throw new Divergence(`seed ${seed} (${rulesetId}), choice #${choices}: local game refused ${what}: ${result.error}`);
+    }
+    local = result.newState;
+  };
+
+  // Both paths have made the same choice: they must hold the same game
+  const compare = async (what) => {
+    const where = `seed ${seed} (${rulesetId}), choice #${choices} (${what})`;
+    choices++;
+    settleLocal();
+    const stored = await host.state.storage.get('gameState');
+    for (const client of clients) {
+      if (client.errors.length > 0) {
+        throw new Divergence(`${where}: the room told seat ${client.seat}: ${client.errors.join('; ')}`);
+      }
+    }
+    if (hashState(withoutTurn(local)) !== hashState(withoutTurn(stored))) {
+      throw new Divergence(`${where}: stored state differs — ${firstDifference(withoutTurn(local), withoutTurn(stored))}`);
+    }
+    for (const client of clients) {
+      const difference = firstDifference(withoutTurn(viewFor(local, client.seat)), withoutTurn(client.view));
+      if (difference) {
+        throw new Divergence(`${where}: seat ${client.seat}'s copy differs — ${difference}`);
+      }
+    }
+  };
+
+  // A seat's action, taken by its client online and at the table locally
+  const seatAction = async (seat, action) => {
+    playLocal(playAction(local, action, seat), JSON.stringify(action));
+    await clients[seat].act(action);
+    await compare(`${JSON.stringify(action)} by ${seat}`);
+  };
+
+  await compare('start');
+
+  while (!getGameResult(local)) {
+    // Construction: one seat after another builds, then hands over. The
+    // last to finish moves the game on to the events phase.
+    for (let seat = 0; seat < 3; seat++) {
+      for (const action of decideSeatActions(local, seat)) {
+        if (action.type === ActionTypes.SET_CONSTRUCTION_READY) {
+          playLocal(endConstructionTurn(local), 'ending the turn');
+          await clients[seat].act(action);
+          await compare(`turn of ${seat} ended`);
+        } else {
+          await seatAction(seat, action);
+        }
+      }
+    }
+
+    // Events: every seat votes (an event the outcome triggers is voted on
+    // in turn); the table applies the result once the votes are in
+    while (local.phase === 'events' && !local.eventResolved && !getGameResult(local)) {
+      for (let seat = 0; seat < 3; seat++) {
+        for (const action of decideSeatActions(local, seat)) {
+          await seatAction(seat, action);
+        }
+      }
+    }
+    if (getGameResult(local)) break;
+
+    // Moving on: every seat is ready online; the table moves on locally
+    const moveOn = async (what) => {
+      for (const client of clients) {
+        await client.act({ type: ActionTypes.SET_CONTINUE_READY });
+      }
+      playLocal(advancePhase(local), what);
+      await compare(what);
+    };
+    await moveOn('events → veche');
+
+    // Veche: attack and fortress proposals, called by seat 0
+    const attackTargets = getValidRepublicAttackTargets(local.regions);
+    if (attackTargets.length > 0) {
+      const target = attackTargets[Math.floor(randomFor(local, 3) * attackTargets.length)];
+      const votes = [0, 1, 2].map((seat) => decideAttackVote(local, seat));
+      if (votes.filter((v) => v === true).length >= 2) {
+        await seatAction(0, { type: ActionTypes.INITIATE_ATTACK, targetRegion: target });
+        for (let seat = 0; seat < 3; seat++) {
+          await seatAction(seat, { type: ActionTypes.VOTE_ATTACK, vote: votes[seat] });
+        }
+        await seatAction(0, { type: ActionTypes.EXECUTE_ATTACK });
+      }
+    }
+
+    const fortressSites = getRegionsForFortress(local.regions);
+    if (fortressSites.length > 0 && !getGameResult(local)) {
+      const target = fortressSites[Math.floor(randomFor(local, 4) * fortressSites.length)];
+      const votes = [0, 1, 2].map((seat) => decideFortressVote(local, seat));
+      if (votes.filter((v) => v === true).length >= 2) {
+        await seatAction(0, { type: ActionTypes.INITIATE_FORTRESS, targetRegion: target });
+        for (let seat = 0; seat < 3; seat++) {
+          await seatAction(seat, { type: ActionTypes.VOTE_FORTRESS, vote: votes[seat] });
+        }
+        await seatAction(0, { type: ActionTypes.EXECUTE_FORTRESS });
+      }
+    }
+    if (getGameResult(local)) break;
+
+    await moveOn('veche → next turn');
+  }
+
+  // The room's log (with the seed, now the game is over) must rebuild the game
+  const response = await server.worker.fetch(new Request(`http://localhost/api/rooms/${roomId}/log`), env, {});
+  const { initialState: loggedStart, log } = await response.json();
+  const replay = replayGame(loggedStart, log);
+  if (replay.divergedAt !== null) {
+    throw new Divergence(`seed ${seed} (${rulesetId}): replay of the room's log diverged at action #${replay.divergedAt}`);
+  }
+  if (hashState(replay.state) !== hashState(local)) {
+    throw new Divergence(`seed ${seed} (${rulesetId}): replayed state differs — ${firstDifference(local, replay.state)}`);
+  }
+
+  return choices;
+}
+
+// ---------------------------------------------------------------------------
+// Run
+// ---------------------------------------------------------------------------
+
+const startTime = Date.now();
+const server = await loadServer();
+const env = server.createEnv();
+let totalChoices = 0;
+
+try {
+  for (let i = 0; i < NUM_GAMES; i++) {
+    totalChoices += await checkGame(server, env, RULESET_IDS[i % RULESET_IDS.length]);
+  }
+} catch (error) {
+  if (!(error instanceof Divergence)) throw error;
+  console.error('\nParity check FAILED');
+  console.error(error.message);
+  process.exit(1);
+}
+
+const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+console.log(`\nParity check passed: ${NUM_GAMES} games, ${totalChoices} choices (${elapsed}s)`);
+// The rooms still have alarms set (room expiry), which would keep Node running
+process.exit(0);
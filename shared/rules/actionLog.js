@@ -0,0 +1,80 @@
+// Action log entries and state hashing
+//
+// Every applyAction call produces a log entry describing what was applied and
+// what came out, so a game can be rebuilt from its initial state (see
+// replayGame in actions.js) and any divergence pinpointed.
+
+import { randomAt } from './random.js';
+
+/**
+ * @typedef {Object} ActionLogEntry
+ * @property {import('./actions.js').GameAction} action
+ * @property {number | null} playerId
+ * @property {{cursor: number, values: number[]}} [draws] - Rng cursor before the action and every value drawn while applying it
+ *   (withheld from clients until the game has ended, like stateHash)
+ * @property {string} [stateHash] - Hash of the resulting state
+ * @property {import('./actions.js').RandomValues} [randomValues]
+ * @property {string} [error]
+ */
+
+// Serialize with sorted object keys so equal states always hash equally
+const stableStringify = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const entries = Object.keys(value)
+    .filter((key) => value[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+  return `{${entries.join(',')}}`;
+};
+
+// 32-bit FNV-1a hash of the state, as 8 hex characters
+/**
+ * @param {object} state
+ * @returns {string}
+ */
+export const hashState = (state) => {
+  const text = stableStringify(state);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+// Build the log entry for one applyAction call
+// `outcome` is the { newState, result?, error? } returned by the action
+export const createLogEntry = (prevState, outcome, action, playerId, randomValues = {}) => {
+  const before = prevState.rng || { seed: 0, cursor: 0 };
+  const after = outcome.newState.rng || before;
+  const count = after.seed === before.seed ? Math.max(0, after.cursor - before.cursor) : 0;
+  const values = Array.from({ length: count }, (_, i) => randomAt(before.seed, before.cursor + i));
+
+  const entry = {
+    action,
+    playerId,
+    draws: { cursor: before.cursor, values },
+    stateHash: hashState(outcome.newState),
+  };
+  if (Object.keys(randomValues).length > 0) {
+    entry.randomValues = randomValues;
+  }
+  if (outcome.error) {
+    entry.error = outcome.error;
+  }
+  return entry;
+};
+
+// The log as clients may see it while the game is on. The values drawn and
+// the state hashes would give the seed away (it is only 32 bits, so a single
+// drawn value is enough to find it), so entries keep only what was played.
+/**
+ * @param {ActionLogEntry[]} log
+ * @returns {ActionLogEntry[]}
+ */
+export const withoutDraws = (log) => log.map(({ draws, stateHash, ...entry }) => entry);
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInitialGameState, RULESETS, RULESET_IDS } from './state.js';
+import { applyAction, replayGame, canResolveEvent, getGameResult, ActionTypes } from './actions.js';
+import { decideSeatActions } from './ai.js';
+import { hashState, withoutDraws } from './actionLog.js';
+import { drawRandom } from './random.js';
+
+// Play a whole game with every seat taken by the AI, the way a room does:
+// the steps that need no decision are taken without a seat
+const playGame = (seed, ruleset) => {
+  const initialState = createInitialGameState(seed, ruleset);
+  const log = [];
+  let state = initialState;
+  const play = (action, playerId) => {
+    const result = applyAction(state, action, playerId);
+    assert.equal(result.error, undefined, `${action.type} by ${playerId}: ${result.error}`);
+    log.push(result.logEntry);
+    state = result.newState;
+  };
+
+  while (!getGameResult(state)) {
+    const length = log.length;
+    if (state.phase === 'resources') {
+      play({ type: ActionTypes.NEXT_PHASE }, null);
+    } else if (state.phase === 'events' && canResolveEvent(state)) {
+      play({ type: ActionTypes.RESOLVE_EVENT }, null);
+    } else {
+      for (let seat = 0; seat < 3; seat++) {
+        decideSeatActions(state, seat).forEach((action) => play(action, seat));
+      }
+    }
+    assert.notEqual(log.length, length, `seed ${seed}: no one can move in ${state.phase}`);
+  }
+  return { initialState, log, state };
+};
+
+describe('replayGame', () => {
+  const games = RULESET_IDS.flatMap((id) => [1, 2, 3].map((seed) => ({ id, seed })));
+
+  for (const { id, seed } of games) {
+    it(`rebuilds a ${id} game (seed ${seed}) from its log`, () => {
+      const { initialState, log, state } = playGame(seed, RULESETS[id]);
+      const replay = replayGame(initialState, log);
+      assert.equal(replay.divergedAt, null);
+      assert.equal(hashState(replay.state), hashState(state));
+      assert.deepEqual(replay.state, state);
+    });
+  }
+
+  it('plays the same game from the same seed', () => {
+    const first = playGame(42, RULESETS.standard);
+    const second = playGame(42, RULESETS.standard);
+    assert.deepEqual(second.log, first.log);
+    assert.equal(hashState(second.state), hashState(first.state));
+  });
+
+  it('replays a log that went through JSON', () => {
+    const { initialState, log, state } = playGame(7, RULESETS.standard);
+    const replay = replayGame(JSON.parse(JSON.stringify(initialState)), JSON.parse(JSON.stringify(log)));
+    assert.equal(replay.divergedAt, null);
+    assert.equal(hashState(replay.state), hashState(state));
+  });
+
+  it('reports the first entry the game no longer follows', () => {
+    const { initialState, log } = playGame(5, RULESETS.standard);
+    const changed = log.findIndex((entry) => entry.action.type === ActionTypes.BUILD_BUILDING);
+    assert.notEqual(changed, -1);
+    const edited = log.map((entry, i) =>
+      i === changed ? { ...entry, action: { type: ActionTypes.SET_CONTINUE_READY } } : entry
+    );
+    assert.equal(replayGame(initialState, edited).divergedAt, changed);
+  });
+});
+
+describe('withoutDraws', () => {
+  it('leaves nothing in the log that gives the seed away', () => {
+    const { log } = playGame(11, RULESETS.short);
+    const drawn = log.flatMap((entry) => entry.draws.values);
+    assert.ok(drawn.length > 0, 'the game should draw random values');
+
+    const shared = withoutDraws(log);
+    assert.deepEqual(shared.map((entry) => entry.action), log.map((entry) => entry.action));
+    for (const entry of shared) {
+      assert.equal('draws' in entry, false);
+      assert.equal('stateHash' in entry, false);
+    }
+    const text = JSON.stringify(shared);
+    assert.ok(drawn.every((value) => !text.includes(String(value))));
+  });
+});
+
+describe('drawRandom', () => {
+  it('refuses a state with no rng rather than seeding one', () => {
+    const { rng, ...state } = createInitialGameState(1);
+    assert.throws(() => drawRandom(state), /no rng/);
+  });
+});
@@ -0,0 +1,1179 @@
+// Pure state mutation functions for all game actions
+// These functions take state and return new state (no side effects)
+//
+// Shared by local games in the browser and the multiplayer worker. Actions
+// taken for a specific seat (playerId given) act on that seat, so online
+// players can build at the same time; local games pass no playerId and act
+// on currentPlayer.
+
+import {
+  PHASES,
+  BUILDING_TYPES,
+  RELIGIOUS_BUILDING_TYPES,
+  getRuleset,
+  createInitialGameState,
+  createInitialConstructionActions,
+} from './state.js';
+import {
+  countRepublicRegions,
+  getValidRepublicAttackTargets,
+  getRegionsForFortress,
+  canSelectRegion,
+} from './regions.js';
+import { getIncomeModifier, updateEffects as updateEffectsHelper } from './effects.js';
+import {
+  calculatePlayerStrength,
+  calculateTotalStrength,
+  executeAttack as executeAttackCombat,
+} from './combat.js';
+import { drawEvent, resolveEvent as resolveEventHelper, parseBid } from './events.js';
+import { drawRandom, drawInt } from './random.js';
+import { createLogEntry } from './actionLog.js';
+
+// Action Types
+export const ActionTypes = /** @type {const} */ ({
+  // Phase control
+  NEXT_PHASE: 'NEXT_PHASE',
+  NEXT_PLAYER: 'NEXT_PLAYER',
+
+  // Construction phase
+  SELECT_REGION: 'SELECT_REGION',
+  BUILD_BUILDING: 'BUILD_BUILDING',
+  BUY_EQUIPMENT: 'BUY_EQUIPMENT',
+  SEND_EXPEDITION: 'SEND_EXPEDITION',
+  SET_CONSTRUCTION_READY: 'SET_CONSTRUCTION_READY',
+
+  // Events and veche phases: ready to move on
+  SET_CONTINUE_READY: 'SET_CONTINUE_READY',
+
+  // Events phase
+  VOTE_EVENT: 'VOTE_EVENT',
+  RESOLVE_EVENT: 'RESOLVE_EVENT',
+
+  // Veche phase - Attack
+  INITIATE_ATTACK: 'INITIATE_ATTACK',
+  VOTE_ATTACK: 'VOTE_ATTACK',
+  EXECUTE_ATTACK: 'EXECUTE_ATTACK',
+  CANCEL_ATTACK: 'CANCEL_ATTACK',
+
+  // Veche phase - Fortress
+  INITIATE_FORTRESS: 'INITIATE_FORTRESS',
+  VOTE_FORTRESS: 'VOTE_FORTRESS',
+  EXECUTE_FORTRESS: 'EXECUTE_FORTRESS',
+  CANCEL_FORTRESS: 'CANCEL_FORTRESS',
+
+  // Game control
+  FORFEIT: 'FORFEIT',
+  RESET_GAME: 'RESET_GAME',
+});
+
+/**
+ * @typedef {typeof ActionTypes[keyof typeof ActionTypes]} ActionType
+ */
+
+/**
+ * @typedef {Object} GameAction
+ * @property {ActionType} type
+ * @property {string} [regionName]
+ * @property {string} [buildingType]
+ * @property {'weapons' | 'armor'} [item]
+ * @property {string | boolean} [vote] - Option id, bid, or yes/no
+ * @property {string} [targetRegion]
+ * @property {number} [player] - Seat that forfeits (FORFEIT)
+ */
+
+/**
+ * @typedef {Object} RandomValues
+ * Injected random values; anything omitted is drawn from state.rng
+ * @property {number} [battleRoll]
+ * @property {number} [targetIndex]
+ * @property {number} [expeditionRoll]
+ */
+
+/**
+ * @typedef {Object} ActionResult
+ * @property {import('./state.js').GameState} newState
+ * @property {string} [error]
+ * @property {ActionErrorCode} [errorCode]
+ * @property {{type: string, [key: string]: unknown}} [result]
+ */
+
+/**
+ * @typedef {ActionResult & {logEntry: import('./actionLog.js').ActionLogEntry}} LoggedActionResult
+ */
+
+// Why an action was rejected. Sent to clients alongside the English message
+// so they can show their own (translated) text.
+export const ActionErrors = /** @type {const} */ ({
+  NOT_A_PLAYER: 'NOT_A_PLAYER',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  GAME_OVER: 'GAME_OVER',
+  GAME_NOT_OVER: 'GAME_NOT_OVER',
+  WRONG_PHASE: 'WRONG_PHASE',
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  PLAYERS_NOT_READY: 'PLAYERS_NOT_READY',
+  AWAITING_CONSENSUS: 'AWAITING_CONSENSUS',
+  ALREADY_READY: 'ALREADY_READY',
+  ALREADY_ACTED: 'ALREADY_ACTED',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  INVALID_REGION: 'INVALID_REGION',
+  INVALID_BUILDING: 'INVALID_BUILDING',
+  INVALID_ITEM: 'INVALID_ITEM',
+  WRONG_FACTION: 'WRONG_FACTION',
+  LIMIT_REACHED: 'LIMIT_REACHED',
+  NO_EVENT: 'NO_EVENT',
+  EVENT_RESOLVED: 'EVENT_RESOLVED',
+  EVENT_UNRESOLVED: 'EVENT_UNRESOLVED',
+  NO_VOTE_NEEDED: 'NO_VOTE_NEEDED',
+  INVALID_VOTE: 'INVALID_VOTE',
+  ALREADY_VOTED: 'ALREADY_VOTED',
+  VOTES_INCOMPLETE: 'VOTES_INCOMPLETE',
+  PLANNING_IN_PROGRESS: 'PLANNING_IN_PROGRESS',
+  NOT_PLANNING: 'NOT_PLANNING',
+  NOT_PROPOSER: 'NOT_PROPOSER',
+  INVALID_TARGET: 'INVALID_TARGET',
+});
+
+/**
+ * @typedef {typeof ActionErrors[keyof typeof ActionErrors]} ActionErrorCode
+ */
+
+/**
+ * @typedef {{valid: true} | {valid: false, code: ActionErrorCode, error: string}} ValidationResult
+ */
+
+const valid = () => ({ valid: true });
+const invalid = (code, error) => ({ valid: false, code, error });
+
+const allVoted = (votes) => votes.every((vote) => vote !== null);
+const isYesNo = (vote) => vote === true || vote === false || vote === 'true' || vote === 'false';
+
+// The game has ended, either because Pskov fell or because the last turn
+// of the ruleset has been played
+const isFinished = (state) => state.gameOver || state.turn > getRuleset(state).maxTurns;
+
+// The current event can be resolved: it has not been yet, and every seat
+// has voted on it (immediate events take no votes)
+export const canResolveEvent = (state) =>
+  !!state.currentEvent &&
+  !state.eventResolved &&
+  (state.currentEvent.type === 'immediate' || allVoted(state.eventVotes));
+
+// Nothing in the events or veche phase is left to settle, so the game can
+// move on: the event is resolved, and no attack or fortress vote is open
+export const canContinue = (state) =>
+  !isFinished(state) &&
+  ((state.phase === 'events' && (!state.currentEvent || state.eventResolved)) ||
+    (state.phase === 'veche' && !state.attackPlanning && !state.fortressPlanning));
+
+// Why the events or veche phase can't be left yet, if it can't
+const continueBlocker = (state) => {
+  if (state.phase === 'events' && state.currentEvent && !state.eventResolved) {
+    return invalid(ActionErrors.EVENT_UNRESOLVED, 'The event has not been resolved');
+  }
+  if (state.attackPlanning || state.fortressPlanning) {
+    return invalid(ActionErrors.PLANNING_IN_PROGRESS, 'A vote is still in progress');
+  }
+  return null;
+};
+
+// Is this vote a legal answer to the event, and can the player afford it?
+const validateEventVote = (event, player, vote) => {
+  switch (event.type) {
+    case 'immediate':
+      return invalid(ActionErrors.NO_VOTE_NEEDED, 'This event takes no votes');
+
+    case 'voting': {
+      const option = event.options?.find((o) => o.id === vote);
+      if (!option) return invalid(ActionErrors.INVALID_VOTE, 'Unknown option');
+      if (option.requiresMinMoney && player.money < option.requiresMinMoney) {
+        return invalid(ActionErrors.INSUFFICIENT_FUNDS, 'Not enough money for this option');
+      }
+      return valid();
+    }
+
+    case 'auction': {
+      const bid = parseBid(vote);
+      if (Number.isNaN(bid)) {
+        return invalid(ActionErrors.INVALID_VOTE, 'Bid must be a whole number of at least 0');
+      }
+      if (bid > player.money) return invalid(ActionErrors.INSUFFICIENT_FUNDS, 'Not enough money for this bid');
+      return valid();
+    }
+
+    // Participation and Order attacks: yes or no. Players who can't pay
+    // their share are left out when the event resolves.
+    default:
+      return isYesNo(vote) ? valid() : invalid(ActionErrors.INVALID_VOTE, 'Vote must be yes or no');
+  }
+};
+
+// Validate if an action can be performed by a seat
+// Checks phase, whose action it is, vote completeness, targets and funds
+/**
+ * @param {import('./state.js').GameState} state
+ * @param {GameAction} action
+ * @param {number} playerId
+ * @returns {ValidationResult}
+ */
+export const validateAction = (state, action, playerId) => {
+  const ruleset = getRuleset(state);
+  const player = state.players[playerId];
+
+  if (!player) return invalid(ActionErrors.NOT_A_PLAYER, 'Not a player in this game');
+  if (isFinished(state) && action.type !== ActionTypes.RESET_GAME) {
+    return invalid(ActionErrors.GAME_OVER, 'The game is over');
+  }
+
+  const inPhase = (phase) => state.phase === phase;
+  const wrongPhase = (phase) => invalid(ActionErrors.WRONG_PHASE, `Not in ${phase} phase`);
+
+  switch (action.type) {
+    case ActionTypes.NEXT_PHASE:
+      // Construction ends when every seat is ready; events and the veche
+      // end once every seat is ready to continue (SET_CONTINUE_READY)
+      if (inPhase('construction')) {
+        return invalid(ActionErrors.PLAYERS_NOT_READY, 'Waiting for all players to finish construction');
+      }
+      if (inPhase('events') || inPhase('veche')) {
+        return continueBlocker(state)
+          || invalid(ActionErrors.AWAITING_CONSENSUS, 'Waiting for all players to be ready to continue');
+      }
+      return valid();
+
+    case ActionTypes.NEXT_PLAYER:
+      if (!inPhase('construction')) return wrongPhase('construction');
+      if (state.currentPlayer !== playerId) return invalid(ActionErrors.NOT_YOUR_TURN, 'Not your turn');
+      return valid();
+
+    // Construction is simultaneous: any seat may act during the phase
+    case ActionTypes.SELECT_REGION: {
+      if (!inPhase('construction')) return wrongPhase('construction');
+      const region = state.regions[action.regionName];
+      if (!region || !canSelectRegion(action.regionName, region, player.faction)) {
+        return invalid(ActionErrors.INVALID_REGION, 'You cannot build in this region');
+      }
+      return valid();
+    }
+
+    case ActionTypes.BUILD_BUILDING: {
+      if (!inPhase('construction')) return wrongPhase('construction');
+      if (state.constructionActions[playerId].improvement) {
+        return invalid(ActionErrors.ALREADY_ACTED, 'Already built this turn');
+      }
+      const building = BUILDING_TYPES[action.buildingType];
+      if (!building) return invalid(ActionErrors.INVALID_BUILDING, 'Unknown building');
+      if (building.faction !== player.faction) {
+        return invalid(ActionErrors.WRONG_FACTION, 'Your faction cannot build this');
+      }
+      const region = state.regions[state.selectedRegion];
+      if (!region || !canSelectRegion(state.selectedRegion, region, player.faction)
+          || (building.pskovOnly && state.selectedRegion !== 'pskov')) {
+        return invalid(ActionErrors.INVALID_REGION, 'You cannot build in this region');
+      }
+      if ((region.buildings[action.buildingType] || 0) >= (building.maxPerRegion || 1)) {
+        return invalid(ActionErrors.LIMIT_REACHED, 'No room for another one in this region');
+      }
+      if (player.money < ruleset.buildingCost) return invalid(ActionErrors.INSUFFICIENT_FUNDS, 'Not enough money');
+      return valid();
+    }
+
+    case ActionTypes.BUY_EQUIPMENT:
+      if (!inPhase('construction')) return wrongPhase('construction');
+      if (!Object.hasOwn(ruleset.equipmentCosts, action.item)) {
+        return invalid(ActionErrors.INVALID_ITEM, 'Unknown equipment');
+      }
+      if (state.constructionActions[playerId].equipment) {
+        return invalid(ActionErrors.ALREADY_ACTED, 'Already bought equipment this turn');
+      }
+      if (player[action.item] >= ruleset.maxEquipment) {
+        return invalid(ActionErrors.LIMIT_REACHED, 'Maximum equipment of this type reached');
+      }
+      if (player.money < ruleset.equipmentCosts[action.item]) {
+        return invalid(ActionErrors.INSUFFICIENT_FUNDS, 'Not enough money');
+      }
+      return valid();
+
+    case ActionTypes.SEND_EXPEDITION:
+      if (!inPhase('construction')) return wrongPhase('construction');
+      if (player.faction !== 'Merchants') {
+        return invalid(ActionErrors.WRONG_FACTION, 'Only Merchants can send expeditions');
+      }
+      if (state.constructionActions[playerId].expedition) {
+        return invalid(ActionErrors.ALREADY_ACTED, 'Already sent expedition this turn');
+      }
+      if (player.expeditions >= ruleset.expeditionMaxPerGame) {
+        return invalid(ActionErrors.LIMIT_REACHED, 'Maximum expeditions reached');
+      }
+      if (player.money < ruleset.expeditionCost) return invalid(ActionErrors.INSUFFICIENT_FUNDS, 'Not enough money');
+      return valid();
+
+    case ActionTypes.SET_CONSTRUCTION_READY:
+      if (!inPhase('construction')) return wrongPhase('construction');
+      if (state.constructionReady[playerId]) return invalid(ActionErrors.ALREADY_READY, 'Already marked as ready');
+      return valid();
+
+    case ActionTypes.SET_CONTINUE_READY:
+      if (!inPhase('events') && !inPhase('veche')) return wrongPhase('events or veche');
+      if (state.continueReady[playerId]) return invalid(ActionErrors.ALREADY_READY, 'Already marked as ready');
+      return continueBlocker(state) || valid();
+
+    case ActionTypes.VOTE_EVENT:
+      if (!inPhase('events')) return wrongPhase('events');
+      if (!state.currentEvent) return invalid(ActionErrors.NO_EVENT, 'No event to vote on');
+      if (state.eventResolved) return invalid(ActionErrors.EVENT_RESOLVED, 'The event is already resolved');
+      if (state.eventVotes[playerId] !== null) return invalid(ActionErrors.ALREADY_VOTED, 'Already voted');
+      return validateEventVote(state.currentEvent, player, action.vote);
+
+    case ActionTypes.RESOLVE_EVENT:
+      if (!inPhase('events')) return wrongPhase('events');
+      if (!state.currentEvent) return invalid(ActionErrors.NO_EVENT, 'No event to resolve');
+      if (state.eventResolved) return invalid(ActionErrors.EVENT_RESOLVED, 'The event is already resolved');
+      if (!canResolveEvent(state)) return invalid(ActionErrors.VOTES_INCOMPLETE, 'Not everyone has voted');
+      return valid();
+
+    case ActionTypes.INITIATE_ATTACK:
+      if (!inPhase('veche')) return wrongPhase('veche');
+      if (state.attackPlanning || state.fortressPlanning) {
+        return invalid(ActionErrors.PLANNING_IN_PROGRESS, 'A vote is already in progress');
+      }
+      if (!getValidRepublicAttackTargets(state.regions).includes(action.targetRegion)) {
+        return invalid(ActionErrors.INVALID_TARGET, 'This region cannot be attacked');
+      }
+      return valid();
+
+    case ActionTypes.INITIATE_FORTRESS:
+      if (!inPhase('veche')) return wrongPhase('veche');
+      if (state.attackPlanning || state.fortressPlanning) {
+        return invalid(ActionErrors.PLANNING_IN_PROGRESS, 'A vote is already in progress');
+      }
+      if (!getRegionsForFortress(state.regions).includes(action.targetRegion)) {
+        return invalid(ActionErrors.INVALID_TARGET, 'A fortress cannot be built here');
+      }
+      return valid();
+
+    case ActionTypes.VOTE_ATTACK:
+    case ActionTypes.VOTE_FORTRESS: {
+      if (!inPhase('veche')) return wrongPhase('veche');
+      const isAttack = action.type === ActionTypes.VOTE_ATTACK;
+      const votes = isAttack ? state.attackVotes : state.fortressVotes;
+      if ((isAttack ? state.attackPlanning : state.fortressPlanning) !== 'planning') {
+        return invalid(ActionErrors.NOT_PLANNING, isAttack ? 'Not planning attack' : 'Not planning fortress');
+      }
+      if (votes[playerId] !== null) return invalid(ActionErrors.ALREADY_VOTED, 'Already voted');
+      if (!isYesNo(action.vote)) return invalid(ActionErrors.INVALID_VOTE, 'Vote must be yes or no');
+      return valid();
+    }
+
+    case ActionTypes.EXECUTE_ATTACK:
+    case ActionTypes.EXECUTE_FORTRESS: {
+      if (!inPhase('veche')) return wrongPhase('veche');
+      const isAttack = action.type === ActionTypes.EXECUTE_ATTACK;
+      if ((isAttack ? state.attackPlanning : state.fortressPlanning) !== 'planning') {
+        return invalid(ActionErrors.NOT_PLANNING, isAttack ? 'Not planning attack' : 'Not planning fortress');
+      }
+      if (!allVoted(isAttack ? state.attackVotes : state.fortressVotes)) {
+        return invalid(ActionErrors.VOTES_INCOMPLETE, 'Not everyone has voted');
+      }
+      return valid();
+    }
+
+    // Only the seat that called a vote may call it off
+    case ActionTypes.CANCEL_ATTACK:
+    case ActionTypes.CANCEL_FORTRESS: {
+      if (!inPhase('veche')) return wrongPhase('veche');
+      const isAttack = action.type === ActionTypes.CANCEL_ATTACK;
+      if ((isAttack ? state.attackPlanning : state.fortressPlanning) !== 'planning') {
+        return invalid(ActionErrors.NOT_PLANNING, isAttack ? 'Not planning attack' : 'Not planning fortress');
+      }
+      const proposer = isAttack ? state.attackProposer : state.fortressProposer;
+      if (proposer !== null && proposer !== playerId) {
+        return invalid(ActionErrors.NOT_PROPOSER, 'Only the player who called the vote can cancel it');
+      }
+      return valid();
+    }
+
+    // A seat may only give up its own place
+    case ActionTypes.FORFEIT:
+      if (action.player !== playerId) return invalid(ActionErrors.INVALID_TARGET, 'You can only forfeit your own seat');
+      if (player.forfeited) return invalid(ActionErrors.ALREADY_ACTED, 'Already forfeited');
+      return valid();
+
+    case ActionTypes.RESET_GAME:
+      if (!isFinished(state)) return invalid(ActionErrors.GAME_NOT_OVER, 'The game is still in progress');
+      return valid();
+
+    default:
+      return invalid(ActionErrors.UNKNOWN_ACTION, 'Unknown action type');
+  }
+};
+
+// Apply an action to the game state
+// Returns { newState, result?, error?, logEntry } — logEntry should be appended
+// to the game's action log so the game can later be rebuilt with replayGame
+/**
+ * @param {import('./state.js').GameState} state
+ * @param {GameAction} action
+ * @param {number | null} [playerId]
+ * @param {RandomValues} [randomValues]
+ * @returns {LoggedActionResult}
+ */
+export const applyAction = (state, action, playerId = null, randomValues = {}) => {
+  const outcome = performAction(state, action, playerId, randomValues);
+  return {
+    ...outcome,
+    logEntry: createLogEntry(state, outcome, action, playerId, randomValues),
+  };
+};
+
+// Rebuild a game by re-applying every logged action to its initial state.
+// Pass a prefix of the log to reconstruct any historical state.
+// Returns { state, divergedAt } where divergedAt is the index of the first
+// entry whose resulting state hash does not match the log (or null).
+/**
+ * @param {import('./state.js').GameState} initialState
+ * @param {import('./actionLog.js').ActionLogEntry[]} log
+ * @returns {{state: import('./state.js').GameState, divergedAt: number | null}}
+ */
+export const replayGame = (initialState, log) => {
+  let state = initialState;
+  for (let i = 0; i < log.length; i++) {
+    const entry = log[i];
+    const { newState, logEntry } = applyAction(
+      state,
+      entry.action,
+      entry.playerId,
+      entry.randomValues
+    );
+    state = newState;
+    if (logEntry.stateHash !== entry.stateHash) {
+      return { state, divergedAt: i };
+    }
+  }
+  return { state, divergedAt: null };
+};
+
+const performAction = (state, action, playerId, randomValues) => {
+  // Validate action if playerId is provided
+  if (playerId !== null) {
+    const validation = validateAction(state, action, playerId);
+    if (!validation.valid) {
+      return { newState: state, error: validation.error, errorCode: validation.code };
+    }
+  }
+
+  switch (action.type) {
+    case ActionTypes.NEXT_PHASE:
+      return { newState: nextPhase(state), result: { type: 'phase_changed' } };
+
+    case ActionTypes.NEXT_PLAYER:
+      return { newState: nextPlayer(state), result: { type: 'player_changed' } };
+
+    case ActionTypes.SELECT_REGION:
+      return {
+        newState: selectRegion(state, action.regionName),
+        result: { type: 'region_selected' },
+      };
+
+    case ActionTypes.BUILD_BUILDING:
+      return {
+        newState: buildBuilding(state, action.buildingType, playerId),
+        result: { type: 'building_built' },
+      };
+
+    case ActionTypes.BUY_EQUIPMENT:
+      return {
+        newState: buyEquipment(state, action.item, playerId),
+        result: { type: 'equipment_bought' },
+      };
+
+    case ActionTypes.SEND_EXPEDITION:
+      return sendExpedition(state, randomValues, playerId);
+
+    case ActionTypes.SET_CONSTRUCTION_READY:
+      if (playerId === null) {
+        return { newState: state, error: 'Player ID required', errorCode: ActionErrors.NOT_A_PLAYER };
+      }
+      return {
+        newState: setConstructionReady(state, playerId),
+        result: { type: 'construction_ready' },
+      };
+
+    case ActionTypes.SET_CONTINUE_READY:
+      if (playerId === null) {
+        return { newState: state, error: 'Player ID required', errorCode: ActionErrors.NOT_A_PLAYER };
+      }
+      return {
+        newState: setContinueReady(state, playerId),
+        result: { type: 'continue_ready' },
+      };
+
+    case ActionTypes.VOTE_EVENT:
+      if (action.vote === undefined || action.vote === null) {
+        return { newState: state, error: 'Vote option required', errorCode: ActionErrors.INVALID_VOTE };
+      }
+      return {
+        newState: voteOnEvent(state, playerId, action.vote),
+        result: { type: 'vote_cast' },
+      };
+
+    case ActionTypes.RESOLVE_EVENT:
+      if (!state.currentEvent) {
+        return { newState: state, error: 'No event to resolve', errorCode: ActionErrors.NO_EVENT };
+      }
+      return {
+        newState: resolveCurrentEvent(state, randomValues),
+        result: { type: 'event_resolved' },
+      };
+
+    case ActionTypes.INITIATE_ATTACK:
+      return {
+        newState: initiateAttack(state, action.targetRegion, playerId),
+        result: { type: 'attack_initiated' },
+      };
+
+    case ActionTypes.VOTE_ATTACK:
+      return {
+        newState: voteOnAttack(state, playerId, action.vote === true || action.vote === 'true'),
+        result: { type: 'attack_vote_cast' },
+      };
+
+    case ActionTypes.EXECUTE_ATTACK:
+      return executeAttackAction(state, randomValues);
+
+    case ActionTypes.CANCEL_ATTACK:
+      return {
+        newState: cancelAttack(state),
+        result: { type: 'attack_cancelled' },
+      };
+
+    case ActionTypes.INITIATE_FORTRESS:
+      return {
+        newState: initiateFortress(state, action.targetRegion, playerId),
+        result: { type: 'fortress_initiated' },
+      };
+
+    case ActionTypes.VOTE_FORTRESS:
+      return {
+        newState: voteOnFortress(state, playerId, action.vote === true || action.vote === 'true'),
+        result: { type: 'fortress_vote_cast' },
+      };
+
+    case ActionTypes.EXECUTE_FORTRESS:
+      return executeFortressAction(state);
+
+    case ActionTypes.CANCEL_FORTRESS:
+      return {
+        newState: cancelFortress(state),
+        result: { type: 'fortress_cancelled' },
+      };
+
+    case ActionTypes.FORFEIT:
+      if (!state.players[action.player]) {
+        return { newState: state, error: 'Unknown player', errorCode: ActionErrors.NOT_A_PLAYER };
+      }
+      return {
+        newState: forfeitPlayer(state, action.player),
+        result: { type: 'player_forfeited' },
+      };
+
+    case ActionTypes.RESET_GAME: {
+      // Seed the new game from the current one so resets stay reproducible
+      const { value } = drawRandom(state);
+      return {
+        newState: createInitialGameState(Math.floor(value * 0x100000000), getRuleset(state)),
+        result: { type: 'game_reset' },
+      };
+    }
+
+    default:
+      return { newState: state, error: 'Unknown action type', errorCode: ActionErrors.UNKNOWN_ACTION };
+  }
+};
+
+// Phase transition logic
+/**
+ * @param {import('./state.js').GameState} state
+ * @returns {import('./state.js').GameState}
+ */
+export const nextPhase = (state) => {
+  const currentPhaseIndex = PHASES.indexOf(state.phase);
+  const isLastPhase = currentPhaseIndex === PHASES.length - 1;
+  const nextPhaseName = isLastPhase ? PHASES[0] : PHASES[currentPhaseIndex + 1];
+
+  // Readiness to continue is per phase
+  let newState = { ...state, continueReady: [false, false, false] };
+
+  // Handle resources phase - calculate income
+  if (state.phase === 'resources') {
+    const { income } = getRuleset(state);
+    const republicRegions = countRepublicRegions(state.regions);
+    newState.players = state.players.map((player) => {
+      const secularBuildings = player.improvements - (player.religiousBuildings || 0);
+      const baseIncome = income.base + republicRegions * income.perRegion + secularBuildings * income.perBuilding;
+      const incomeModifier = getIncomeModifier(state.activeEffects, player.faction);
+      const finalIncome = baseIncome * incomeModifier;
+      return {
+        ...player,
+        money: player.money + finalIncome,
+      };
+    });
+  }
+
+  // Draw event when moving TO events phase
+  if (nextPhaseName === 'events') {
+    const drawn = drawEvent(newState);
+    newState = { ...drawn.state, currentEvent: drawn.event };
+    newState.eventVotes = [null, null, null];
+    newState.eventResolved = false;
+    newState.eventImageRevealed = false;
+  }
+
+  // Reset construction state when leaving construction phase
+  if (state.phase === 'construction') {
+    newState.currentPlayer = 0;
+    newState.selectedRegion = 'pskov';
+    newState.constructionActions = createInitialConstructionActions();
+    newState.constructionReady = [false, false, false];
+    newState.lastExpeditionResult = null;
+  }
+
+  // Clear event state when leaving events phase
+  if (state.phase === 'events') {
+    newState.currentEvent = null;
+    newState.eventVotes = [null, null, null];
+    newState.eventResolved = false;
+    newState.lastEventResult = null;
+    newState.eventImageRevealed = false;
+  }
+
+  // Update effects at end of turn (when moving from veche to resources)
+  if (isLastPhase) {
+    newState = updateEffectsHelper(newState);
+  }
+
+  return {
+    ...newState,
+    phase: nextPhaseName,
+    turn: isLastPhase ? state.turn + 1 : state.turn,
+  };
+};
+
+// Player turn transition
+export const nextPlayer = (state) => {
+  const currentPlayer = (state.currentPlayer + 1) % 3;
+  // Merchants can only build in Pskov, so select it for them
+  const isMerchant = state.players[currentPlayer].faction === 'Merchants';
+  return {
+    ...state,
+    currentPlayer,
+    selectedRegion: isMerchant ? 'pskov' : state.selectedRegion,
+  };
+};
+
+// Region selection
+export const selectRegion = (state, regionName) => ({
+  ...state,
+  selectedRegion: regionName,
+});
+
+// Build a building for a seat (defaults to the current player)
+export const buildBuilding = (state, buildingType, playerId = null) => {
+  const playerIndex = playerId ?? state.currentPlayer;
+  const player = state.players[playerIndex];
+  const { buildingCost } = getRuleset(state);
+
+  if (player.money < buildingCost) {
+    return state;
+  }
+
+  // Enforce pskovOnly restriction for merchant buildings
+  const buildingDef = BUILDING_TYPES[buildingType];
+  if (buildingDef?.pskovOnly && state.selectedRegion !== 'pskov') {
+    return state;
+  }
+
+  const currentRegion = state.regions[state.selectedRegion];
+  const currentCount = currentRegion.buildings[buildingType] || 0;
+  const maxPerRegion = buildingDef?.maxPerRegion || 1;
+  if (currentCount >= maxPerRegion) {
+    return state;
+  }
+
+  const isReligious = RELIGIOUS_BUILDING_TYPES.has(buildingType);
+  const newPlayers = state.players.map((p, i) =>
+    i === playerIndex
+      ? {
+          ...p,
+          money: p.money - buildingCost,
+          improvements: p.improvements + 1,
+          religiousBuildings: (p.religiousBuildings || 0) + (isReligious ? 1 : 0),
+        }
+      : p
+  );
+
+  const newConstructionActions = state.constructionActions.map((ca, i) =>
+    i === playerIndex ? { ...ca, improvement: true } : ca
+  );
+
+  const newBuildings = buildingType.startsWith('merchant_')
+    ? { ...currentRegion.buildings, [buildingType]: currentRegion.buildings[buildingType] + 1 }
+    : { ...currentRegion.buildings, [buildingType]: 1 };
+
+  const newRegions = {
+    ...state.regions,
+    [state.selectedRegion]: {
+      ...currentRegion,
+      buildings: newBuildings,
+    },
+  };
+
+  return {
+    ...state,
+    regions: newRegions,
+    players: newPlayers,
+    constructionActions: newConstructionActions,
+  };
+};
+
+// Buy equipment for a seat (defaults to the current player)
+export const buyEquipment = (state, item, playerId = null) => {
+  const playerIndex = playerId ?? state.currentPlayer;
+  const player = state.players[playerIndex];
+  const ruleset = getRuleset(state);
+  const cost = ruleset.equipmentCosts[item] || 1;
+
+  if (player.money < cost || player[item] >= ruleset.maxEquipment) {
+    return state;
+  }
+
+  const newPlayers = state.players.map((p, i) =>
+    i === playerIndex ? { ...p, money: p.money - cost, [item]: p[item] + 1 } : p
+  );
+
+  const newConstructionActions =
+    item === 'weapons' || item === 'armor'
+      ? state.constructionActions.map((action, i) =>
+          i === playerIndex ? { ...action, equipment: true } : action
+        )
+      : state.constructionActions;
+
+  return {
+    ...state,
+    players: newPlayers,
+    constructionActions: newConstructionActions,
+  };
+};
+
+// Send a trading expedition overseas (Merchants only, limited per game)
+export const sendExpedition = (state, randomValues = {}, playerId = null) => {
+  const playerIndex = playerId ?? state.currentPlayer;
+  const player = state.players[playerIndex];
+  const ruleset = getRuleset(state);
+
+  if (player.faction !== 'Merchants' || player.money < ruleset.expeditionCost || player.expeditions >= ruleset.expeditionMaxPerGame) {
+    return { newState: state, error: 'Cannot send expedition' };
+  }
+
+  // Roll for outcome: 0 = loss, 1 = profit, 2 = windfall
+  let roll;
+  if (randomValues.expeditionRoll !== undefined) {
+    roll = randomValues.expeditionRoll;
+  } else {
+    ({ value: roll, state } = drawInt(state, 3));
+  }
+
+  let moneyChange = -ruleset.expeditionCost;
+  let outcome;
+  if (roll === 0) {
+    outcome = 'loss';
+    // Total loss - just lose the cost
+  } else if (roll === 1) {
+    outcome = 'profit';
+    moneyChange += ruleset.expeditionProfit;
+  } else {
+    outcome = 'windfall';
+    moneyChange += ruleset.expeditionWindfall;
+  }
+
+  const newPlayers = state.players.map((p, i) =>
+    i === playerIndex
+      ? { ...p, money: p.money + moneyChange, expeditions: p.expeditions + 1 }
+      : p
+  );
+
+  const newConstructionActions = state.constructionActions.map((ca, i) =>
+    i === playerIndex ? { ...ca, expedition: true } : ca
+  );
+
+  return {
+    newState: {
+      ...state,
+      players: newPlayers,
+      constructionActions: newConstructionActions,
+      lastExpeditionResult: { outcome, moneyChange, playerIndex },
+    },
+    result: { type: 'expedition_sent', outcome, moneyChange },
+  };
+};
+
+// Mark a seat as done with construction; once every seat is ready the
+// game moves on to the events phase
+export const setConstructionReady = (state, playerIndex) => {
+  const constructionReady = state.constructionReady.map((ready, i) => ready || i === playerIndex);
+  if (constructionReady.every(Boolean)) {
+    return nextPhase(state);
+  }
+  return { ...state, constructionReady };
+};
+
+// Mark a seat as ready to leave the events or veche phase; once every seat
+// is, the game moves on
+export const setContinueReady = (state, playerIndex) => {
+  const continueReady = state.continueReady.map((ready, i) => ready || i === playerIndex);
+  if (continueReady.every(Boolean)) {
+    return nextPhase(state);
+  }
+  return { ...state, continueReady };
+};
+
+// Vote on event
+// Yes/no answers may arrive as 'true'/'false'; they are stored as booleans,
+// which is what the participation and Order attack resolvers count
+export const voteOnEvent = (state, playerIndex, vote) => {
+  const yesNo = state.currentEvent?.type === 'participation' || state.currentEvent?.type === 'order_attack';
+  const newVotes = [...state.eventVotes];
+  newVotes[playerIndex] = yesNo ? vote === true || vote === 'true' : vote;
+  return { ...state, eventVotes: newVotes };
+};
+
+// Resolve current event
+export const resolveCurrentEvent = (state, randomValues = {}) => {
+  const event = state.currentEvent;
+
+  if (!event) {
+    return state;
+  }
+
+  const newState = resolveEventHelper(event, state, state.eventVotes, randomValues);
+
+  // Check if a new event was triggered (nested event scenario)
+  const newEventTriggered = newState.currentEvent && newState.currentEvent.id !== event.id;
+
+  return {
+    ...newState,
+    eventResolved: newEventTriggered ? false : true,
+  };
+};
+
+// Attack planning
+// The seat that calls the vote is the only one that may call it off
+// (a vote called without a seat may be called off by anyone)
+export const initiateAttack = (state, targetRegion, proposer = null) => ({
+  ...state,
+  attackPlanning: 'planning',
+  attackTarget: targetRegion,
+  attackProposer: proposer,
+  attackVotes: [null, null, null],
+});
+
+export const voteOnAttack = (state, playerIndex, vote) => {
+  const newVotes = [...state.attackVotes];
+  newVotes[playerIndex] = vote;
+  return { ...state, attackVotes: newVotes };
+};
+
+export const executeAttackAction = (state, randomValues = {}) => {
+  const { attackTarget, attackVotes, players } = state;
+  const participants = attackVotes.filter((v) => v === true).length;
+
+  if (participants === 0) {
+    return {
+      newState: cancelAttack(state),
+      result: { type: 'attack_cancelled', reason: 'no_participants' },
+    };
+  }
+
+  const costPerParticipant = getRuleset(state).attackCostPerPlayer;
+
+  // Check if all participants can afford
+  let allCanAfford = true;
+  players.forEach((player, index) => {
+    if (attackVotes[index] === true && player.money < costPerParticipant) {
+      allCanAfford = false;
+    }
+  });
+
+  if (!allCanAfford) {
+    return {
+      newState: {
+        ...cancelAttack(state),
+        lastEventResult: { code: 'attackCancelled' },
+      },
+      result: { type: 'attack_cancelled', reason: 'insufficient_funds' },
+    };
+  }
+
+  // Deduct money from participants
+  const newPlayers = players.map((player, index) => {
+    if (attackVotes[index] === true) {
+      return { ...player, money: player.money - costPerParticipant };
+    }
+    return player;
+  });
+
+  // Get attacking players
+  const attackingPlayers = [];
+  attackVotes.forEach((vote, index) => {
+    if (vote === true) attackingPlayers.push(index);
+  });
+
+  // Execute combat
+  const combatResult = executeAttackCombat(
+    { ...state, players: newPlayers },
+    attackTarget,
+    attackingPlayers,
+    randomValues.battleRoll
+  );
+
+  return {
+    newState: {
+      ...combatResult.newState,
+      attackPlanning: null,
+      attackTarget: null,
+      attackProposer: null,
+      attackVotes: [null, null, null],
+    },
+    result: {
+      type: 'attack_executed',
+      success: combatResult.success,
+      combatResult: combatResult.result,
+    },
+  };
+};
+
+export const cancelAttack = (state) => ({
+  ...state,
+  attackPlanning: null,
+  attackTarget: null,
+  attackProposer: null,
+  attackVotes: [null, null, null],
+});
+
+// Fortress planning
+export const initiateFortress = (state, targetRegion, proposer = null) => ({
+  ...state,
+  fortressPlanning: 'planning',
+  fortressTarget: targetRegion,
+  fortressProposer: proposer,
+  fortressVotes: [null, null, null],
+});
+
+export const voteOnFortress = (state, playerIndex, vote) => {
+  const newVotes = [...state.fortressVotes];
+  newVotes[playerIndex] = vote;
+  return { ...state, fortressVotes: newVotes };
+};
+
+export const executeFortressAction = (state) => {
+  const { fortressTarget, fortressVotes, players } = state;
+  const participants = fortressVotes.filter((v) => v === true).length;
+
+  if (participants === 0) {
+    return {
+      newState: {
+        ...cancelFortress(state),
+        lastEventResult: { code: 'fortressCancelledNoFunding' },
+      },
+      result: { type: 'fortress_cancelled', reason: 'no_participants' },
+    };
+  }
+
+  const ruleset = getRuleset(state);
+  const costPerParticipant = ruleset.fortressCostTotal / participants;
+
+  // Check if all participants can afford
+  let allCanAfford = true;
+  players.forEach((player, index) => {
+    if (fortressVotes[index] === true && player.money < costPerParticipant) {
+      allCanAfford = false;
+    }
+  });
+
+  if (!allCanAfford) {
+    return {
+      newState: {
+        ...cancelFortress(state),
+        lastEventResult: { code: 'fortressCancelledInsufficient' },
+      },
+      result: { type: 'fortress_cancelled', reason: 'insufficient_funds' },
+    };
+  }
+
+  // Deduct money from participants
+  const newPlayers = players.map((player, index) => {
+    if (fortressVotes[index] === true) {
+      return { ...player, money: player.money - costPerParticipant };
+    }
+    return player;
+  });
+
+  // Build the fortress
+  const newRegions = {
+    ...state.regions,
+    [fortressTarget]: {
+      ...state.regions[fortressTarget],
+      fortress: true,
+    },
+  };
+
+
+  return {
+    newState: {
+      ...state,
+      players: newPlayers,
+      regions: newRegions,
+      fortressPlanning: null,
+      fortressTarget: null,
+      fortressProposer: null,
+      fortressVotes: [null, null, null],
+      lastEventResult: {
+        code: 'fortressBuilt',
+        params: { region: fortressTarget, bonus: ruleset.fortressDefenseBonus },
+      },
+    },
+    result: { type: 'fortress_built', region: fortressTarget },
+  };
+};
+
+export const cancelFortress = (state) => ({
+  ...state,
+  fortressPlanning: null,
+  fortressTarget: null,
+  fortressProposer: null,
+  fortressVotes: [null, null, null],
+});
+
+// Get available buildings for current player in selected region
+export const getAvailableBuildings = (state) => {
+  const player = state.players[state.currentPlayer];
+  const region = state.regions[state.selectedRegion];
+  const cost = getRuleset(state).buildingCost;
+  const buildings = [];
+
+  if (player.faction === 'Commoners') {
+    buildings.push(
+      {
+        type: 'commoner_huts',
+        name: 'Huts',
+        cost,
+        built: region.buildings.commoner_huts > 0,
+        canBuild: region.buildings.commoner_huts === 0,
+      },
+      {
+        type: 'commoner_church',
+        name: 'Village Church',
+        cost,
+        built: region.buildings.commoner_church > 0,
+        canBuild: region.buildings.commoner_church === 0,
+      }
+    );
+  } else if (player.faction === 'Nobles') {
+    buildings.push(
+      {
+        type: 'noble_manor',
+        name: 'Manor',
+        cost,
+        built: region.buildings.noble_manor > 0,
+        canBuild: region.buildings.noble_manor === 0,
+      },
+      {
+        type: 'noble_monastery',
+        name: 'Monastery',
+        cost,
+        built: region.buildings.noble_monastery > 0,
+        canBuild: region.buildings.noble_monastery === 0,
+      }
+    );
+  } else if (player.faction === 'Merchants') {
+    if (state.selectedRegion === 'pskov') {
+      buildings.push(
+        {
+          type: 'merchant_mansion',
+          name: 'Mansion',
+          cost,
+          built: region.buildings.merchant_mansion,
+          canBuild: region.buildings.merchant_mansion < 7,
+        },
+        {
+          type: 'merchant_church',
+          name: 'Church',
+          cost,
+          built: region.buildings.merchant_church,
+          canBuild: region.buildings.merchant_church < 7,
+        }
+      );
+    }
+  }
+
+  return buildings;
+};
+
+// A player leaves the game for good (e.g. never came back after disconnecting).
+// Their seat stays on the board but can no longer win: it is ranked last.
+export const forfeitPlayer = (state, playerIndex) => ({
+  ...state,
+  players: state.players.map((player, index) =>
+    index === playerIndex ? { ...player, forfeited: true } : player
+  ),
+});
+
+// Calculate victory points
+// Religious buildings are worth 2 VP each (counted once in improvements, once in religiousBuildings)
+// Secular buildings are worth 1 VP each (counted only in improvements)
+// Merchants earn half VP per building (their buildings are safe in Pskov)
+export const calculateVictoryPoints = (player) => {
+  const buildingVP = player.improvements + (player.religiousBuildings || 0);
+  const vpMultiplier = player.faction === 'Merchants' ? 0.5 : 1;
+  return buildingVP * vpMultiplier + (player.bonusPoints || 0);
+};
+
+// Check game result
+export const getGameResult = (state) => {
+  if (isFinished(state)) {
+    const playerScores = state.players.map((player, index) => {
+      const religious = player.religiousBuildings || 0;
+      const secular = player.improvements - religious;
+      return {
+        faction: player.faction,
+        victoryPoints: calculateVictoryPoints(player),
+        money: player.money,
+        index,
+        forfeited: !!player.forfeited,
+        breakdown: {
+          secular,
+          religious,
+          bonus: player.bonusPoints || 0,
+        },
+      };
+    });
+
+    // Players who forfeited rank below everyone still in the game
+    playerScores.sort((a, b) => {
+      if (a.forfeited !== b.forfeited) {
+        return a.forfeited ? 1 : -1;
+      }
+      if (b.victoryPoints !== a.victoryPoints) {
+        return b.victoryPoints - a.victoryPoints;
+      }
+      return b.money - a.money;
+    });
+
+    return {
+      winner: playerScores[0],
+      rankings: playerScores,
+      gameOver: state.gameOver,
+    };
+  }
+  return null;
+};
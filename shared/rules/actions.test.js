@@ -0,0 +1,256 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInitialGameState, getRuleset, RULESETS } from './state.js';
+import { applyAction, validateAction, ActionTypes, ActionErrors } from './actions.js';
+import { findEventCard } from './eventDeck.js';
+
+// A game in `phase` where every seat has `money`
+const inPhase = (phase, money = 10) => {
+  const state = createInitialGameState(1);
+  return { ...state, phase, players: state.players.map((player) => ({ ...player, money })) };
+};
+
+const codeOf = (state, action, seat) => validateAction(state, action, seat).code;
+
+// Apply actions that must go through, seat by seat
+const play = (state, ...steps) =>
+  steps.reduce((current, [action, seat]) => {
+    const result = applyAction(current, action, seat);
+    assert.equal(result.error, undefined, `${action.type} by ${seat}: ${result.error}`);
+    return result.newState;
+  }, state);
+
+// A game in its events phase with `eventId` on the table
+const withEvent = (eventId, money = 10) => {
+  const state = createInitialGameState(1);
+  return {
+    ...state,
+    phase: 'events',
+    currentEvent: findEventCard(eventId),
+    players: state.players.map((player) => ({ ...player, money })),
+  };
+};
+
+describe('validateAction at the end of the game', () => {
+  const short = RULESETS.short;
+  const afterLastTurn = { ...createInitialGameState(1, short), turn: short.maxTurns + 1 };
+  const pskovFell = { ...createInitialGameState(1), gameOver: true };
+
+  for (const [name, state] of [['after the last turn', afterLastTurn], ['once Pskov has fallen', pskovFell]]) {
+    it(`refuses every action but RESET_GAME ${name}`, () => {
+      for (const action of [
+        { type: ActionTypes.NEXT_PHASE },
+        { type: ActionTypes.SET_CONTINUE_READY },
+        { type: ActionTypes.VOTE_EVENT, vote: true },
+        { type: ActionTypes.FORFEIT, player: 1 },
+      ]) {
+        assert.equal(validateAction(state, action, 0).code, ActionErrors.GAME_OVER, action.type);
+      }
+      assert.deepEqual(validateAction(state, { type: ActionTypes.RESET_GAME }, 0), { valid: true });
+    });
+
+    it(`leaves the game as it was when an action is refused ${name}`, () => {
+      const result = applyAction(state, { type: ActionTypes.NEXT_PHASE }, 0);
+      assert.equal(result.errorCode, ActionErrors.GAME_OVER);
+      assert.equal(result.newState, state);
+    });
+  }
+
+  it('still plays the last turn', () => {
+    const lastTurn = { ...createInitialGameState(1, short), turn: short.maxTurns };
+    assert.deepEqual(validateAction(lastTurn, { type: ActionTypes.NEXT_PHASE }, 0), { valid: true });
+  });
+
+  it('refuses RESET_GAME while the game is on', () => {
+    const state = createInitialGameState(1);
+    assert.equal(validateAction(state, { type: ActionTypes.RESET_GAME }, 0).code, ActionErrors.GAME_NOT_OVER);
+  });
+});
+
+describe('event votes', () => {
+  it('stores yes/no answers sent as text as booleans', () => {
+    let state = withEvent('order_attack_95');
+    for (const [seat, vote] of [[0, 'true'], [1, 'false'], [2, true]]) {
+      const result = applyAction(state, { type: ActionTypes.VOTE_EVENT, vote }, seat);
+      assert.equal(result.error, undefined);
+      state = result.newState;
+    }
+    assert.deepEqual(state.eventVotes, [true, false, true]);
+  });
+
+  it('refuses an answer that is neither yes nor no', () => {
+    const state = withEvent('order_attack_95');
+    for (const vote of ['maybe', 1, null]) {
+      assert.equal(
+        validateAction(state, { type: ActionTypes.VOTE_EVENT, vote }, 0).code,
+        ActionErrors.INVALID_VOTE,
+        JSON.stringify(vote)
+      );
+    }
+  });
+
+  it('accepts only the options of a voting event', () => {
+    const state = withEvent('merchants_robbed');
+    assert.deepEqual(validateAction(state, { type: ActionTypes.VOTE_EVENT, vote: 'trade_risk' }, 0), { valid: true });
+    assert.equal(
+      validateAction(state, { type: ActionTypes.VOTE_EVENT, vote: 'sell_pskov' }, 0).code,
+      ActionErrors.INVALID_VOTE
+    );
+    const result = applyAction(state, { type: ActionTypes.VOTE_EVENT, vote: 'trade_risk' }, 1);
+    assert.deepEqual(result.newState.eventVotes, [null, 'trade_risk', null]);
+  });
+
+  it('accepts bids a seat can pay', () => {
+    const state = withEvent('fur_auction', 3);
+    assert.deepEqual(validateAction(state, { type: ActionTypes.VOTE_EVENT, vote: '3' }, 0), { valid: true });
+    assert.equal(validateAction(state, { type: ActionTypes.VOTE_EVENT, vote: 4 }, 0).code, ActionErrors.INSUFFICIENT_FUNDS);
+    assert.equal(validateAction(state, { type: ActionTypes.VOTE_EVENT, vote: '' }, 0).code, ActionErrors.INVALID_VOTE);
+    assert.equal(validateAction(state, { type: ActionTypes.VOTE_EVENT, vote: -1 }, 0).code, ActionErrors.INVALID_VOTE);
+  });
+
+  it('takes bids as whole numbers only, and settles them as validated', () => {
+    const state = withEvent('fur_auction', 10);
+    for (const vote of ['0x5', '1e1', '2.5', 2.5, ' 3', 'Infinity']) {
+      assert.equal(
+        validateAction(state, { type: ActionTypes.VOTE_EVENT, vote }, 0).code,
+        ActionErrors.INVALID_VOTE,
+        JSON.stringify(vote)
+      );
+    }
+    const bid = play(
+      state,
+      [{ type: ActionTypes.VOTE_EVENT, vote: '5' }, 0],
+      [{ type: ActionTypes.VOTE_EVENT, vote: 3 }, 1],
+      [{ type: ActionTypes.VOTE_EVENT, vote: '0' }, 2]
+    );
+    const resolved = applyAction(bid, { type: ActionTypes.RESOLVE_EVENT }, 0).newState;
+    assert.equal(resolved.players[0].money, 5, 'the highest bidder pays what they bid');
+  });
+
+  it('refuses a second vote from the same seat', () => {
+    const state = applyAction(withEvent('order_attack_95'), { type: ActionTypes.VOTE_EVENT, vote: true }, 0).newState;
+    assert.equal(validateAction(state, { type: ActionTypes.VOTE_EVENT, vote: false }, 0).code, ActionErrors.ALREADY_VOTED);
+  });
+});
+
+describe('validateAction for a seat', () => {
+  it('refuses a seat that is not in the game', () => {
+    assert.equal(codeOf(inPhase('construction'), { type: ActionTypes.SET_CONSTRUCTION_READY }, 3), ActionErrors.NOT_A_PLAYER);
+  });
+
+  it('refuses an action it does not know', () => {
+    assert.equal(codeOf(inPhase('construction'), { type: 'WIN_GAME' }, 0), ActionErrors.UNKNOWN_ACTION);
+  });
+
+  it('refuses actions outside their phase', () => {
+    const cases = [
+      ['events', { type: ActionTypes.BUILD_BUILDING, buildingType: 'noble_manor' }],
+      ['veche', { type: ActionTypes.BUY_EQUIPMENT, item: 'weapons' }],
+      ['construction', { type: ActionTypes.VOTE_EVENT, vote: true }],
+      ['construction', { type: ActionTypes.RESOLVE_EVENT }],
+      ['events', { type: ActionTypes.INITIATE_ATTACK, targetRegion: 'bearhill' }],
+      ['resources', { type: ActionTypes.SET_CONTINUE_READY }],
+    ];
+    for (const [phase, action] of cases) {
+      assert.equal(codeOf(inPhase(phase), action, 0), ActionErrors.WRONG_PHASE, `${action.type} in ${phase}`);
+    }
+  });
+
+  it('refuses veche votes once the game has left the veche', () => {
+    const attack = play(inPhase('veche'), [{ type: ActionTypes.INITIATE_ATTACK, targetRegion: 'bearhill' }, 0]);
+    const moved = { ...attack, phase: 'construction' };
+    for (const action of [
+      { type: ActionTypes.VOTE_ATTACK, vote: true },
+      { type: ActionTypes.EXECUTE_ATTACK },
+      { type: ActionTypes.CANCEL_ATTACK },
+    ]) {
+      assert.equal(codeOf(moved, action, 0), ActionErrors.WRONG_PHASE, action.type);
+    }
+  });
+
+  it('lets only the seat whose turn it is hand the turn on', () => {
+    const state = inPhase('construction');
+    assert.deepEqual(validateAction(state, { type: ActionTypes.NEXT_PLAYER }, 0), { valid: true });
+    assert.equal(codeOf(state, { type: ActionTypes.NEXT_PLAYER }, 1), ActionErrors.NOT_YOUR_TURN);
+  });
+
+  it('keeps each faction to its own buildings and regions', () => {
+    const state = inPhase('construction');
+    assert.equal(codeOf(state, { type: ActionTypes.BUILD_BUILDING, buildingType: 'noble_manor' }, 1), ActionErrors.WRONG_FACTION);
+    assert.equal(codeOf(state, { type: ActionTypes.BUILD_BUILDING, buildingType: 'palace' }, 0), ActionErrors.INVALID_BUILDING);
+    assert.equal(codeOf(state, { type: ActionTypes.SELECT_REGION, regionName: 'riga' }, 0), ActionErrors.INVALID_REGION);
+    assert.equal(codeOf(state, { type: ActionTypes.SEND_EXPEDITION }, 0), ActionErrors.WRONG_FACTION);
+    assert.deepEqual(validateAction(state, { type: ActionTypes.SEND_EXPEDITION }, 1), { valid: true });
+  });
+
+  it('refuses what a seat cannot pay for', () => {
+    const { buildingCost } = getRuleset(inPhase('construction'));
+    const poor = inPhase('construction', buildingCost - 1);
+    assert.equal(codeOf(poor, { type: ActionTypes.BUILD_BUILDING, buildingType: 'noble_manor' }, 0), ActionErrors.INSUFFICIENT_FUNDS);
+    const broke = inPhase('construction', 0);
+    assert.equal(codeOf(broke, { type: ActionTypes.BUY_EQUIPMENT, item: 'armor' }, 0), ActionErrors.INSUFFICIENT_FUNDS);
+    assert.equal(codeOf(broke, { type: ActionTypes.SEND_EXPEDITION }, 1), ActionErrors.INSUFFICIENT_FUNDS);
+  });
+
+  it('allows one of each construction action per turn', () => {
+    const state = play(inPhase('construction'), [{ type: ActionTypes.BUY_EQUIPMENT, item: 'armor' }, 0]);
+    assert.equal(codeOf(state, { type: ActionTypes.BUY_EQUIPMENT, item: 'weapons' }, 0), ActionErrors.ALREADY_ACTED);
+    assert.deepEqual(validateAction(state, { type: ActionTypes.BUY_EQUIPMENT, item: 'weapons' }, 1), { valid: true });
+    assert.equal(codeOf(state, { type: ActionTypes.BUY_EQUIPMENT, item: 'cannon' }, 1), ActionErrors.INVALID_ITEM);
+  });
+
+  it('lets a seat forfeit only its own place', () => {
+    const state = inPhase('construction');
+    assert.equal(codeOf(state, { type: ActionTypes.FORFEIT, player: 1 }, 0), ActionErrors.INVALID_TARGET);
+    assert.deepEqual(validateAction(state, { type: ActionTypes.FORFEIT, player: 0 }, 0), { valid: true });
+  });
+});
+
+describe('veche votes', () => {
+  const veche = inPhase('veche');
+
+  it('take only the targets the rules allow', () => {
+    assert.equal(codeOf(veche, { type: ActionTypes.INITIATE_ATTACK, targetRegion: 'pskov' }, 0), ActionErrors.INVALID_TARGET);
+    assert.equal(codeOf(veche, { type: ActionTypes.INITIATE_ATTACK, targetRegion: 'riga' }, 0), ActionErrors.INVALID_TARGET);
+    assert.deepEqual(validateAction(veche, { type: ActionTypes.INITIATE_ATTACK, targetRegion: 'bearhill' }, 0), { valid: true });
+    assert.equal(codeOf(veche, { type: ActionTypes.INITIATE_FORTRESS, targetRegion: 'bearhill' }, 0), ActionErrors.INVALID_TARGET);
+    assert.deepEqual(validateAction(veche, { type: ActionTypes.INITIATE_FORTRESS, targetRegion: 'ostrov' }, 0), { valid: true });
+  });
+
+  it('hold one vote at a time', () => {
+    const attack = play(veche, [{ type: ActionTypes.INITIATE_ATTACK, targetRegion: 'bearhill' }, 0]);
+    assert.equal(
+      codeOf(attack, { type: ActionTypes.INITIATE_FORTRESS, targetRegion: 'ostrov' }, 1),
+      ActionErrors.PLANNING_IN_PROGRESS
+    );
+    assert.equal(codeOf(attack, { type: ActionTypes.VOTE_FORTRESS, vote: true }, 1), ActionErrors.NOT_PLANNING);
+  });
+
+  it('are carried out once every seat has voted, and only then', () => {
+    let state = play(veche, [{ type: ActionTypes.INITIATE_ATTACK, targetRegion: 'bearhill' }, 0]);
+    state = play(state, [{ type: ActionTypes.VOTE_ATTACK, vote: true }, 0], [{ type: ActionTypes.VOTE_ATTACK, vote: false }, 1]);
+    assert.equal(codeOf(state, { type: ActionTypes.VOTE_ATTACK, vote: true }, 0), ActionErrors.ALREADY_VOTED);
+    assert.equal(codeOf(state, { type: ActionTypes.VOTE_ATTACK, vote: 'yes' }, 2), ActionErrors.INVALID_VOTE);
+    assert.equal(codeOf(state, { type: ActionTypes.EXECUTE_ATTACK }, 0), ActionErrors.VOTES_INCOMPLETE);
+    state = play(state, [{ type: ActionTypes.VOTE_ATTACK, vote: false }, 2]);
+    assert.deepEqual(validateAction(state, { type: ActionTypes.EXECUTE_ATTACK }, 1), { valid: true });
+  });
+
+  it('may be called off only by the seat that called them', () => {
+    const attack = play(veche, [{ type: ActionTypes.INITIATE_ATTACK, targetRegion: 'bearhill' }, 1]);
+    assert.equal(codeOf(attack, { type: ActionTypes.CANCEL_ATTACK }, 0), ActionErrors.NOT_PROPOSER);
+    assert.equal(codeOf(attack, { type: ActionTypes.CANCEL_FORTRESS }, 1), ActionErrors.NOT_PLANNING);
+    const cancelled = play(attack, [{ type: ActionTypes.CANCEL_ATTACK }, 1]);
+    assert.equal(cancelled.attackPlanning, null);
+    assert.equal(cancelled.attackProposer, null);
+
+    const fortress = play(veche, [{ type: ActionTypes.INITIATE_FORTRESS, targetRegion: 'ostrov' }, 2]);
+    assert.equal(codeOf(fortress, { type: ActionTypes.CANCEL_FORTRESS }, 1), ActionErrors.NOT_PROPOSER);
+    assert.deepEqual(validateAction(fortress, { type: ActionTypes.CANCEL_FORTRESS }, 2), { valid: true });
+  });
+
+  it('called without a seat may be called off by anyone', () => {
+    const attack = applyAction(veche, { type: ActionTypes.INITIATE_ATTACK, targetRegion: 'bearhill' }).newState;
+    assert.deepEqual(validateAction(attack, { type: ActionTypes.CANCEL_ATTACK }, 2), { valid: true });
+  });
+});
@@ -1,9 +1,11 @@
 // AI Player decision engine
 // Simple heuristic-based AI for filling empty player slots
 
-import { FACTION_BASE_STRENGTH, BUILDING_TYPES, EXPEDITION_COST, EXPEDITION_MAX_PER_GAME } from './state.js';
+import { BUILDING_TYPES, getRuleset } from './state.js';
 import { getValidRepublicAttackTargets, getRegionsForFortress, canSelectRegion } from './regions.js';
 import { calculatePlayerStrength, calculateTotalStrength } from './combat.js';
+import { randomFor } from './random.js';
+import { ActionTypes, validateAction, canContinue } from './actions.js';
 
 // Defense costs 3 total split among defenders. Reserve enough to cover our share.
 const DEFENSE_RESERVE = 1;
@@ -20,8 +22,9 @@ export const decideConstruction = (state, playerIndex) => {
   const player = state.players[playerIndex];
   const result = { regionName: null, buildingType: null, equipmentType: null, sendExpedition: false };
 
-  const buildCost = 2;
-  const equipCost = 1;
+  const ruleset = getRuleset(state);
+  const buildCost = ruleset.buildingCost;
+  const equipCost = Math.max(ruleset.equipmentCosts.weapons, ruleset.equipmentCosts.armor);
 
   // Only build if we can afford it AND still have a defense reserve
   if (player.money >= buildCost + DEFENSE_RESERVE) {
@@ -35,21 +38,21 @@ export const decideConstruction = (state, playerIndex) => {
   // Buy equipment only if we still have enough left over after the reserve
   const moneyAfterBuild = result.buildingType ? player.money - buildCost : player.money;
   if (moneyAfterBuild >= equipCost + DEFENSE_RESERVE) {
-    if (player.weapons < 2 && player.weapons <= player.armor) {
+    if (player.weapons < ruleset.maxEquipment && player.weapons <= player.armor) {
       result.equipmentType = 'weapons';
-    } else if (player.armor < 2) {
+    } else if (player.armor < ruleset.maxEquipment) {
       result.equipmentType = 'armor';
-    } else if (player.weapons < 2) {
+    } else if (player.weapons < ruleset.maxEquipment) {
       result.equipmentType = 'weapons';
     }
   }
 
   // Merchants: consider sending an expedition if they have remaining uses
-  if (player.faction === 'Merchants' && player.expeditions < EXPEDITION_MAX_PER_GAME) {
+  if (player.faction === 'Merchants' && player.expeditions < ruleset.expeditionMaxPerGame) {
     const moneyAfterActions = player.money
       - (result.buildingType ? buildCost : 0)
       - (result.equipmentType ? equipCost : 0);
-    if (moneyAfterActions >= EXPEDITION_COST + DEFENSE_RESERVE) {
+    if (moneyAfterActions >= ruleset.expeditionCost + DEFENSE_RESERVE) {
       result.sendExpedition = true;
     }
   }
@@ -132,12 +135,11 @@ export const decideEventVote = (state, playerIndex, event) => {
  */
 const decideDefenseVote = (state, playerIndex, event) => {
   const player = state.players[playerIndex];
-  // Minimum possible cost if all 3 players defend (3/3 = 1).
-  // Actual cost may be higher if fewer participate (3/2 = 1.5 or 3/1 = 3).
-  // The resolution logic will gracefully exclude us if we can't afford the final cost.
-  const costPerPlayer = 3 / 3;
+  // Each defender pays a flat share. The resolution logic will gracefully
+  // exclude us if we can't afford it.
+  const costPerPlayer = getRuleset(state).defenseCostPerPlayer;
 
-  // Volunteer to defend if we can afford at least the minimum cost
+  // Volunteer to defend if we can afford the cost
   if (player.money >= costPerPlayer) {
     return true;
   }
@@ -148,8 +150,11 @@ const decideDefenseVote = (state, playerIndex, event) => {
 
 /**
  * Pick a random element from an array.
+ * Uses a value derived from the game's rng (without advancing it) so that
+ * AI choices are reproducible from the seed.
  */
-const pickRandom = (arr) => arr[Math.floor(Math.random() * arr.length)];
+const pickRandom = (state, playerIndex, arr) =>
+  arr[Math.floor(randomFor(state, playerIndex) * arr.length)];
 
 /**
  * Get the options the AI can afford for a voting event.
@@ -178,17 +183,17 @@ const decideVotingEvent = (state, playerIndex, event) => {
   // If low on money, pick among free/cheap options
   if (player.money < 1) {
     const freeOptions = options.filter(o => !o.costText && !o.requiresMinMoney);
-    if (freeOptions.length > 0) return pickRandom(freeOptions).id;
+    if (freeOptions.length > 0) return pickRandom(state, playerIndex, freeOptions).id;
   }
 
   // Pick randomly from all affordable options
   const affordable = getAffordableOptions(options, player.money);
   if (affordable.length > 0) {
-    return pickRandom(affordable).id;
+    return pickRandom(state, playerIndex, affordable).id;
   }
 
   // Fallback: pick any option at random
-  return pickRandom(options).id;
+  return pickRandom(state, playerIndex, options).id;
 };
 
 /**
@@ -221,7 +226,7 @@ const decideAuctionBid = (state, playerIndex, event) => {
 
   // Bid between 1 and half of available money (randomized)
   const maxBid = Math.max(1, Math.floor(available / 2));
-  const bid = Math.floor(Math.random() * maxBid) + 1;
+  const bid = Math.floor(randomFor(state, playerIndex) * maxBid) + 1;
   return String(bid);
 };
 
@@ -231,7 +236,8 @@ const decideAuctionBid = (state, playerIndex, event) => {
  */
 export const decideAttackVote = (state, playerIndex) => {
   const player = state.players[playerIndex];
-  const costPerParticipant = 2;
+  const ruleset = getRuleset(state);
+  const costPerParticipant = ruleset.attackCostPerPlayer;
 
   // Don't attack if we can't afford it
   if (player.money < costPerParticipant) {
@@ -242,11 +248,12 @@ export const decideAttackVote = (state, playerIndex) => {
   const totalStrength = calculateTotalStrength(
     state.players,
     [0, 1, 2],
-    state.activeEffects
+    state.activeEffects,
+    ruleset
   );
 
-  // Only attack if we're reasonably strong (total > 100)
-  return totalStrength > 100;
+  // Only attack if we're reasonably strong (stronger than the Order's base)
+  return totalStrength > ruleset.orderBaseStrength;
 };
 
 /**
@@ -255,8 +262,99 @@ export const decideAttackVote = (state, playerIndex) => {
  */
 export const decideFortressVote = (state, playerIndex) => {
   const player = state.players[playerIndex];
-  const costPerParticipant = 6 / 3;
+  const costPerParticipant = getRuleset(state).fortressCostTotal / 3;
 
   // Fund fortress if we can afford it - fortresses are always useful
   return player.money >= costPerParticipant;
 };
+
+/**
+ * Decide a seat's vote on the current event when it takes no part in the
+ * decision: decline to fund or join, bid nothing, and pick the first option
+ * that costs nothing (or failing that, one the player can afford).
+ */
+export const decidePassiveEventVote = (state, playerIndex, event) => {
+  const player = state.players[playerIndex];
+
+  switch (event.type) {
+    case 'voting': {
+      const free = event.options.find(o => !o.costText && !o.requiresMinMoney);
+      const affordable = getAffordableOptions(event.options, player.money);
+      return (free || affordable[0] || event.options[0]).id;
+    }
+
+    case 'auction':
+      return '0';
+
+    case 'immediate':
+      return null;
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Decide the actions a seat played by the server takes right now: its whole
+ * construction turn, its vote on the open event, attack or fortress, or its
+ * go-ahead to leave the phase. Returns an empty list when the seat has
+ * nothing to do.
+ *
+ * A passive seat (one whose player forfeited) builds nothing and declines
+ * every vote, so the game can go on without it.
+ *
+ * @param {import('./state.js').GameState} state
+ * @param {number} playerIndex
+ * @param {boolean} [passive]
+ * @returns {import('./actions.js').GameAction[]}
+ */
+export const decideSeatActions = (state, playerIndex, passive = false) => {
+  /** @type {import('./actions.js').GameAction[]} */
+  const actions = [];
+
+  if (state.phase === 'construction' && !state.constructionReady[playerIndex]) {
+    const done = state.constructionActions[playerIndex];
+    const decision = passive
+      ? { regionName: null, buildingType: null, equipmentType: null, sendExpedition: false }
+      : decideConstruction(state, playerIndex);
+
+    if (decision.buildingType && !done.improvement) {
+      actions.push({ type: ActionTypes.SELECT_REGION, regionName: decision.regionName });
+      actions.push({ type: ActionTypes.BUILD_BUILDING, buildingType: decision.buildingType });
+    }
+    if (decision.equipmentType && !done.equipment) {
+      actions.push({ type: ActionTypes.BUY_EQUIPMENT, item: decision.equipmentType });
+    }
+    if (decision.sendExpedition && !done.expedition) {
+      actions.push({ type: ActionTypes.SEND_EXPEDITION });
+    }
+    actions.push({ type: ActionTypes.SET_CONSTRUCTION_READY });
+  }
+
+  if (state.phase === 'events' && state.currentEvent && !state.eventResolved
+      && state.currentEvent.type !== 'immediate' && state.eventVotes[playerIndex] === null) {
+    let vote = passive
+      ? decidePassiveEventVote(state, playerIndex, state.currentEvent)
+      : decideEventVote(state, playerIndex, state.currentEvent);
+    // The heuristics can pick an option the seat can't pay for; a rejected
+    // vote would hold the event up for everyone
+    if (!validateAction(state, { type: ActionTypes.VOTE_EVENT, vote }, playerIndex).valid) {
+      vote = decidePassiveEventVote(state, playerIndex, state.currentEvent);
+    }
+    actions.push({ type: ActionTypes.VOTE_EVENT, vote });
+  }
+
+  if (state.attackPlanning === 'planning' && state.attackVotes[playerIndex] === null) {
+    actions.push({ type: ActionTypes.VOTE_ATTACK, vote: !passive && decideAttackVote(state, playerIndex) });
+  }
+
+  if (state.fortressPlanning === 'planning' && state.fortressVotes[playerIndex] === null) {
+    actions.push({ type: ActionTypes.VOTE_FORTRESS, vote: !passive && decideFortressVote(state, playerIndex) });
+  }
+
+  if (canContinue(state) && !state.continueReady[playerIndex]) {
+    actions.push({ type: ActionTypes.SET_CONTINUE_READY });
+  }
+
+  return actions;
+};
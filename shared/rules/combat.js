@@ -1,22 +1,26 @@
 // Combat calculations and battle execution
 
 import {
-  FACTION_BASE_STRENGTH,
-  EQUIPMENT_STRENGTH_BONUS,
-  FORTRESS_DEFENSE_BONUS,
-  ORDER_TURN_SCALING,
-  ORDER_SCALING_INTERVAL,
-  BUILDING_NAMES,
+  ORDER_BASE_STRENGTH,
+  STANDARD_RULESET,
+  getRuleset,
   RELIGIOUS_BUILDING_TYPES,
-  formatRegionName,
 } from './state.js';
 import { getStrengthModifier } from './effects.js';
+import { drawRandom, drawInt } from './random.js';
 
 // Calculate Order turn-based strength bonus
-// The Order grows stronger over time, gaining ORDER_TURN_SCALING strength
-// every ORDER_SCALING_INTERVAL turns.
-export const getOrderTurnBonus = (turn) => {
-  return Math.floor(turn / ORDER_SCALING_INTERVAL) * ORDER_TURN_SCALING;
+// The Order grows stronger over time, gaining orderTurnScaling strength
+// every orderScalingInterval turns.
+export const getOrderTurnBonus = (turn, ruleset = STANDARD_RULESET) => {
+  return Math.floor(turn / ruleset.orderScalingInterval) * ruleset.orderTurnScaling;
+};
+
+// Strength of an Order attack this turn. Event cards give their strength
+// against the standard base of 100; rulesets with a stronger Order shift it.
+export const getOrderStrength = (state, cardStrength = ORDER_BASE_STRENGTH) => {
+  const ruleset = getRuleset(state);
+  return cardStrength - ORDER_BASE_STRENGTH + ruleset.orderBaseStrength + getOrderTurnBonus(state.turn, ruleset);
 };
 
 // Get a descriptive label key for attack strength
@@ -27,13 +31,13 @@ export const getAttackStrengthLabel = (strength) => {
 };
 
 // Calculate strength for a single player
-export const calculatePlayerStrength = (player, activeEffects) => {
+export const calculatePlayerStrength = (player, activeEffects, ruleset = STANDARD_RULESET) => {
   // Base strength by faction
-  let strength = FACTION_BASE_STRENGTH[player.faction] || 0;
+  let strength = ruleset.factionBaseStrength[player.faction] || 0;
 
   // Equipment bonuses
-  strength += player.weapons * EQUIPMENT_STRENGTH_BONUS;
-  strength += player.armor * EQUIPMENT_STRENGTH_BONUS;
+  strength += player.weapons * ruleset.equipmentStrengthBonus;
+  strength += player.armor * ruleset.equipmentStrengthBonus;
 
   // Active effects modifier
   strength += getStrengthModifier(activeEffects, player.faction);
@@ -42,9 +46,9 @@ export const calculatePlayerStrength = (player, activeEffects) => {
 };
 
 // Calculate total strength for multiple players
-export const calculateTotalStrength = (players, playerIndices, activeEffects) => {
+export const calculateTotalStrength = (players, playerIndices, activeEffects, ruleset = STANDARD_RULESET) => {
   return playerIndices.reduce((total, index) => {
-    return total + calculatePlayerStrength(players[index], activeEffects);
+    return total + calculatePlayerStrength(players[index], activeEffects, ruleset);
   }, 0);
 };
 
@@ -55,10 +59,10 @@ export const getVictoryChance = (strengthDiff) => {
   return Math.min(95, Math.max(5, 50 + strengthDiff));
 };
 
-// Roll for victory (deterministic version for server use)
-export const rollForVictory = (strengthDiff, randomValue = null) => {
+// Roll for victory given a random value in [0, 1)
+export const rollForVictory = (strengthDiff, randomValue) => {
   const chancePercent = getVictoryChance(strengthDiff);
-  const roll = randomValue !== null ? randomValue * 100 : Math.random() * 100;
+  const roll = randomValue * 100;
   return {
     success: roll < chancePercent,
     roll,
@@ -74,7 +78,7 @@ export const surrenderRegion = (state, regionName) => {
       ...state,
       gameOver: true,
       gameEnded: true,
-      lastEventResult: 'GAME OVER: Pskov has fallen to the Teutonic Order!',
+      lastEventResult: { code: 'gameOver' },
       battleResult: { type: 'game_over', region: regionName },
     };
   }
@@ -109,40 +113,47 @@ export const surrenderRegion = (state, regionName) => {
   });
 
   newRegions[regionName] = region;
-  const regionDisplayName = formatRegionName(regionName);
 
   return {
     ...state,
     regions: newRegions,
     players: newPlayers,
-    lastEventResult: `${regionDisplayName} surrendered to the Order! All buildings destroyed.`,
+    lastEventResult: { code: 'surrendered', params: { region: regionName } },
     battleResult: { type: 'surrendered', region: regionName },
   };
 };
 
+// Use an injected random value if given, otherwise draw one from the state's rng
+const resolveRandomValue = (state, randomValue) =>
+  randomValue !== null && randomValue !== undefined
+    ? { value: randomValue, state }
+    : drawRandom(state);
+
 // Execute a battle (defense)
 export const executeBattle = (
-  state,
+  prevState,
   orderStrength,
   targetRegion,
   defendingPlayers,
   randomValue = null
 ) => {
+  const { value: battleRoll, state } = resolveRandomValue(prevState, randomValue);
   const { players, regions, activeEffects } = state;
+  const ruleset = getRuleset(state);
 
   // Calculate Pskov strength
-  const pskovStrength = calculateTotalStrength(players, defendingPlayers, activeEffects);
+  const pskovStrength = calculateTotalStrength(players, defendingPlayers, activeEffects, ruleset);
 
   // Add fortress bonus if defending
   let finalPskovStrength = pskovStrength;
   if (regions[targetRegion]?.fortress) {
-    finalPskovStrength += FORTRESS_DEFENSE_BONUS;
+    finalPskovStrength += ruleset.fortressDefenseBonus;
   }
 
   // Calculate strength difference and roll for victory
   const strengthDiff = finalPskovStrength - orderStrength;
-  const result = rollForVictory(strengthDiff, randomValue);
-  const regionDisplayName = formatRegionName(targetRegion);
+  const result = rollForVictory(strengthDiff, battleRoll);
+  const resultParams = { region: targetRegion, chance: result.chancePercent };
 
   const battleResult = {
     region: targetRegion,
@@ -155,7 +166,7 @@ export const executeBattle = (
     // Successful defense
     return {
       ...state,
-      lastEventResult: `VICTORY! ${regionDisplayName} successfully defended! (${result.chancePercent}% chance)`,
+      lastEventResult: { code: 'defenseVictory', params: resultParams },
       battleResult: { ...battleResult, type: 'defense_victory' },
     };
   } else {
@@ -163,26 +174,28 @@ export const executeBattle = (
     const surrenderResult = surrenderRegion(state, targetRegion);
     return {
       ...surrenderResult,
-      lastEventResult: `DEFEAT! ${regionDisplayName} lost to the Order! (${result.chancePercent}% chance) ${surrenderResult.lastEventResult}`,
+      lastEventResult: { code: 'defenseFailed', params: resultParams, followUp: surrenderResult.lastEventResult },
       battleResult: { ...battleResult, type: 'defense_defeat' },
     };
   }
 };
 
 // Execute an attack on Order territory
-export const executeAttack = (state, targetRegion, attackingPlayers, randomValue = null) => {
+export const executeAttack = (prevState, targetRegion, attackingPlayers, randomValue = null) => {
+  const { value: battleRoll, state } = resolveRandomValue(prevState, randomValue);
   const { players, regions, activeEffects } = state;
+  const ruleset = getRuleset(state);
 
-  // Calculate Order strength (base 100 + turn bonus + fortress bonus)
-  const orderStrength = 100 + getOrderTurnBonus(state.turn) + (regions[targetRegion]?.fortress ? FORTRESS_DEFENSE_BONUS : 0);
+  // Calculate Order strength (base + turn bonus + fortress bonus)
+  const orderStrength = getOrderStrength(state) + (regions[targetRegion]?.fortress ? ruleset.fortressDefenseBonus : 0);
 
   // Calculate Pskov strength (attacking, so no fortress bonus for attackers)
-  const pskovStrength = calculateTotalStrength(players, attackingPlayers, activeEffects);
+  const pskovStrength = calculateTotalStrength(players, attackingPlayers, activeEffects, ruleset);
 
   // Execute battle
   const strengthDiff = pskovStrength - orderStrength;
-  const result = rollForVictory(strengthDiff, randomValue);
-  const regionDisplayName = formatRegionName(targetRegion);
+  const result = rollForVictory(strengthDiff, battleRoll);
+  const resultParams = { region: targetRegion, chance: result.chancePercent };
 
   const battleResult = {
     region: targetRegion,
@@ -203,7 +216,7 @@ export const executeAttack = (state, targetRegion, attackingPlayers, randomValue
       newState: {
         ...state,
         regions: newRegions,
-        lastEventResult: `VICTORY! ${regionDisplayName} recaptured from the Order! (${result.chancePercent}% chance)`,
+        lastEventResult: { code: 'attackVictory', params: resultParams },
         battleResult: { ...battleResult, type: 'attack_victory' },
       },
       success: true,
@@ -214,7 +227,7 @@ export const executeAttack = (state, targetRegion, attackingPlayers, randomValue
     return {
       newState: {
         ...state,
-        lastEventResult: `DEFEAT! Attack on ${regionDisplayName} failed! (${result.chancePercent}% chance)`,
+        lastEventResult: { code: 'attackDefeat', params: resultParams },
         battleResult: { ...battleResult, type: 'attack_defeat' },
       },
       success: false,
@@ -224,6 +237,7 @@ export const executeAttack = (state, targetRegion, attackingPlayers, randomValue
 };
 
 // Destroy random buildings in a region (for events like uprising, fire)
+// Returns the new state and the types of the buildings destroyed
 export const destroyRandomBuildings = (state, regionName, count = 1) => {
   const region = state.regions[regionName];
   const buildingTypes = Object.entries(region.buildings).filter(([_, cnt]) => cnt > 0);
@@ -235,6 +249,7 @@ export const destroyRandomBuildings = (state, regionName, count = 1) => {
     };
   }
 
+  let current = state;
   let newRegions = { ...state.regions };
   let newPlayers = [...state.players];
   const destroyedBuildings = [];
@@ -245,7 +260,8 @@ export const destroyRandomBuildings = (state, regionName, count = 1) => {
   for (let i = 0; i < Math.min(count, buildingTypes.length); i++) {
     if (availableBuildings.length === 0) break;
 
-    const randomIndex = Math.floor(Math.random() * availableBuildings.length);
+    const { value: randomIndex, state: next } = drawInt(current, availableBuildings.length);
+    current = next;
     const [buildingType, _] = availableBuildings[randomIndex];
 
     // Destroy the building
@@ -277,7 +293,7 @@ export const destroyRandomBuildings = (state, regionName, count = 1) => {
       return player;
     });
 
-    destroyedBuildings.push(BUILDING_NAMES[buildingType] || buildingType);
+    destroyedBuildings.push(buildingType);
 
     // Remove from available buildings for next iteration
     availableBuildings.splice(randomIndex, 1);
@@ -285,7 +301,7 @@ export const destroyRandomBuildings = (state, regionName, count = 1) => {
 
   return {
     state: {
-      ...state,
+      ...current,
       regions: newRegions,
       players: newPlayers,
     },
@@ -6,8 +6,9 @@
 // - income_penalty: Multiplier on income (negative value, e.g., -0.5 for -50%)
 
 // Create a new effect
+// The id is assigned when the effect is added to a game state (see addEffects)
 export const createEffect = (type, target, value, turnsRemaining, description) => ({
-  id: `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+  id: null,
   type,
   target, // 'all' or specific faction name
   value,
@@ -15,16 +16,23 @@ export const createEffect = (type, target, value, turnsRemaining, description) =
   description,
 });
 
+// Effects are only removed at the end of a turn, so turn + position in the
+// active list is unique among live effects and identical on every replay.
+const stampEffectId = (state, effect, offset) =>
+  effect.id
+    ? effect
+    : { ...effect, id: `${effect.type}_${state.turn}_${state.activeEffects.length + offset}` };
+
 // Add an effect to the game state
-export const addEffect = (state, effect) => ({
-  ...state,
-  activeEffects: [...state.activeEffects, effect],
-});
+export const addEffect = (state, effect) => addEffects(state, [effect]);
 
 // Add multiple effects to the game state
 export const addEffects = (state, effects) => ({
   ...state,
-  activeEffects: [...state.activeEffects, ...effects],
+  activeEffects: [
+    ...state.activeEffects,
+    ...effects.map((effect, i) => stampEffectId(state, effect, i)),
+  ],
 });
 
 // Update effects at end of turn (decrement counters, remove expired)
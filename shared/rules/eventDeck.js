@@ -0,0 +1,580 @@
+// Event deck
+// Events are plain data: what they do is described by outcome steps that
+// resolveEvent interprets (see eventOutcomes.js for the step types).
+
+const DEFENSE_QUESTION = 'Who will help fund the defense? Cost will be split evenly among participants.';
+
+// A 50/50 check: rolls 1 or 2, a 1 counts as failure
+const coinFlip = (onFailure, onSuccess) => [
+  { type: 'roll', sides: 2, param: 'check' },
+  { type: 'if', condition: { param: 'check', equals: 1 }, then: onFailure, else: onSuccess },
+];
+
+// Event deck with all events
+export const eventDeck = [
+  {
+    id: 'merchants_robbed',
+    name: 'Merchants Robbed',
+    description:
+      'Foreign merchants have been robbed near your borders. How will you respond?',
+    type: 'voting',
+    defaultOption: 'trade_risk',
+    options: [
+      {
+        id: 'rob_foreign',
+        name: 'Rob foreign merchants',
+        effectText: '50% chance: Order attacks',
+        outcome: [
+          { type: 'roll', sides: 6 },
+          {
+            type: 'if',
+            condition: { param: 'roll', atMost: 3 },
+            then: [
+              {
+                type: 'trigger_event',
+                event: {
+                  id: 'order_attack_rob_foreign',
+                  name: 'Order Attack',
+                  description:
+                    'The Teutonic Order retaliates for the robbed merchants! They launch an attack.',
+                  type: 'order_attack',
+                  orderStrength: 100,
+                  question: DEFENSE_QUESTION,
+                  minCostPerPlayer: 1,
+                },
+              },
+              { type: 'message', code: 'orderAttacksImmediately' },
+            ],
+            else: [{ type: 'message', code: 'robberyUnnoticed' }],
+          },
+        ],
+      },
+      {
+        id: 'demand_compensation',
+        name: 'Demand compensation',
+        costText: 'Merchants: -1○',
+        effectText: '50% chance: Merchants -10 str/3 turns',
+        outcome: [
+          ...coinFlip(
+            [
+              {
+                type: 'add_effect',
+                effect: 'strength_penalty',
+                target: 'Merchants',
+                value: -10,
+                turns: 3,
+                description: 'Merchant trading weakness',
+              },
+              { type: 'message', code: 'compensationFailed' },
+            ],
+            [{ type: 'message', code: 'compensationReceived' }]
+          ),
+          { type: 'change_money', target: 'Merchants', amount: -1, floor: 0 },
+        ],
+      },
+      {
+        id: 'trade_risk',
+        name: 'Trade is risk',
+        effectText: 'Merchants: -10 str/3 turns',
+        outcome: [
+          {
+            type: 'add_effect',
+            effect: 'strength_penalty',
+            target: 'Merchants',
+            value: -10,
+            turns: 3,
+            description: 'Trade route disruption',
+          },
+          { type: 'message', code: 'tradeDisrupted' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'order_attack_95',
+    name: 'Order Attack (Weak)',
+    description:
+      'The Teutonic Order launches a weak attack. Who will contribute to the defense?',
+    type: 'order_attack',
+    orderStrength: 95,
+    question: DEFENSE_QUESTION,
+    minCostPerPlayer: 1,
+  },
+  {
+    id: 'order_attack_110',
+    name: 'Order Attack (Strong)',
+    description:
+      'The Teutonic Order launches a strong attack. Who will contribute to the defense?',
+    type: 'order_attack',
+    orderStrength: 110,
+    question: DEFENSE_QUESTION,
+    minCostPerPlayer: 1,
+  },
+  {
+    id: 'boyars_take_bribes',
+    name: 'Nobles Take Bribes',
+    description: 'Noble corruption has been discovered. How will you handle this?',
+    type: 'voting',
+    defaultOption: 'ignore',
+    options: [
+      {
+        id: 'investigate',
+        name: 'Investigate and punish',
+        costText: 'Nobles: -2○',
+        effectText: 'Nobles: -15 str/3 turns',
+        outcome: [
+          { type: 'change_money', target: 'Nobles', amount: -2, floor: 0 },
+          {
+            type: 'add_effect',
+            effect: 'strength_penalty',
+            target: 'Nobles',
+            value: -15,
+            turns: 3,
+            description: 'Noble corruption investigation penalty',
+          },
+          { type: 'message', code: 'noblesPunished' },
+        ],
+      },
+      {
+        id: 'ignore',
+        name: 'This is the way it is',
+        effectText: '50% chance: Uprising (buildings destroyed)',
+        outcome: coinFlip(
+          [
+            { type: 'destroy_buildings', region: 'pskov', count: 2 },
+            {
+              type: 'add_effect',
+              effect: 'strength_penalty',
+              target: 'all',
+              value: -7,
+              turns: 2,
+              description: 'Uprising strength penalty',
+            },
+            { type: 'message', code: 'uprising' },
+          ],
+          [{ type: 'message', code: 'corruptionIgnored' }]
+        ),
+      },
+    ],
+  },
+  {
+    id: 'embassy',
+    name: 'Embassy',
+    description: 'An embassy from the Grand Prince arrives. How will you receive them?',
+    type: 'voting',
+    defaultOption: 'modest',
+    options: [
+      {
+        id: 'modest',
+        name: 'Receive modestly',
+        requiresMinMoney: 1,
+        costText: '3○ split',
+        effectText: 'Relations maintained',
+        cost: { total: 3 },
+        fallback: 'refuse',
+        outcome: [{ type: 'message', code: 'embassyModest' }],
+      },
+      {
+        id: 'luxurious',
+        name: 'Receive luxuriously',
+        requiresMinMoney: 2,
+        costText: '6○ split',
+        effectText: 'All: +3 str/3 turns',
+        cost: { total: 6 },
+        // If the luxurious reception can't be paid for, everyone chips in for a modest one
+        fallback: { option: 'modest', everyone: true },
+        outcome: [
+          {
+            type: 'add_effect',
+            effect: 'strength_bonus',
+            target: 'all',
+            value: 3,
+            turns: 3,
+            description: 'Embassy reception boost',
+          },
+          { type: 'message', code: 'embassyLuxurious' },
+        ],
+      },
+      {
+        id: 'refuse',
+        name: 'Refuse to receive them',
+        effectText: 'All: -15 str, -50% income/5 turns',
+        outcome: [
+          {
+            type: 'add_effect',
+            effect: 'strength_penalty',
+            target: 'all',
+            value: -15,
+            turns: 5,
+            description: 'Embassy refusal strength penalty',
+          },
+          {
+            type: 'add_effect',
+            effect: 'income_penalty',
+            target: 'all',
+            value: -0.5,
+            turns: 5,
+            description: 'Embassy refusal income penalty',
+          },
+          { type: 'message', code: 'embassyRefused' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'relics_found',
+    name: 'Relics Found',
+    description: 'Holy relics have been discovered. Are they genuine or deception?',
+    type: 'voting',
+    options: [
+      {
+        id: 'build_temple',
+        name: 'Build a church',
+        requiresMinMoney: 1,
+        costText: 'All: -3○',
+        effectText: 'All: +5 str/3 turns',
+        outcome: [
+          { type: 'change_money', target: 'all', amount: -3, floor: 0 },
+          {
+            type: 'add_effect',
+            effect: 'strength_bonus',
+            target: 'all',
+            value: 5,
+            turns: 3,
+            description: 'Holy relics morale boost',
+          },
+          { type: 'message', code: 'relicsChurchBuilt' },
+        ],
+      },
+      {
+        id: 'deception',
+        name: "It's all deception",
+        effectText: 'All: -5 str/3 turns',
+        outcome: [
+          {
+            type: 'add_effect',
+            effect: 'strength_penalty',
+            target: 'all',
+            value: -5,
+            turns: 3,
+            description: 'Religious cynicism penalty',
+          },
+          { type: 'message', code: 'relicsDeception' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'izhorian_delegation',
+    name: 'Delegation from the Izhorians',
+    description:
+      'A delegation from the Izhorian people arrives at your gates seeking an audience.',
+    type: 'voting',
+    acceptCost: 6,
+    defaultOption: 'send_back',
+    options: [
+      {
+        id: 'accept',
+        name: 'Accept into service',
+        requiresMinMoney: 2,
+        costText: '6○ split',
+        effectText: 'All: +5 str/6 turns',
+        cost: { total: 6 },
+        fallback: 'send_back',
+        outcome: [
+          {
+            type: 'add_effect',
+            effect: 'strength_bonus',
+            target: 'all',
+            value: 5,
+            turns: 6,
+            description: 'Izhora allied forces',
+          },
+          { type: 'message', code: 'izhorianAccepted' },
+        ],
+      },
+      {
+        id: 'rob',
+        name: 'Rob them',
+        effectText: 'All: +3○, then -5 str/6 turns',
+        outcome: [
+          { type: 'change_money', target: 'all', amount: 3 },
+          {
+            type: 'add_effect',
+            effect: 'strength_penalty',
+            target: 'all',
+            value: -5,
+            turns: 6,
+            description: 'Izhora hostility',
+          },
+          { type: 'message', code: 'izhorianRobbed' },
+        ],
+      },
+      { id: 'send_back', name: 'Send them away', effectText: 'No effect', outcome: [] },
+    ],
+  },
+  {
+    id: 'good_harvest',
+    name: 'Good Harvest',
+    description: 'The fields have produced an abundant harvest. All players receive +1○.',
+    type: 'immediate',
+    outcome: [{ type: 'change_money', target: 'all', amount: 1 }],
+  },
+  {
+    id: 'drought',
+    name: 'Drought',
+    description: 'The crops are failing due to lack of rain. How will you respond?',
+    type: 'voting',
+    defaultOption: 'no_food',
+    options: [
+      {
+        id: 'buy_food',
+        name: 'Buy emergency food supplies',
+        requiresMinMoney: 2,
+        costText: '6○ split',
+        effectText: 'Famine avoided',
+        cost: { total: 6 },
+        fallback: 'no_food',
+        outcome: [{ type: 'message', code: 'droughtFoodPurchased' }],
+      },
+      {
+        id: 'no_food',
+        name: 'Let the people endure',
+        effectText: 'Commoners: -12 str/3 turns',
+        outcome: [
+          {
+            type: 'add_effect',
+            effect: 'strength_penalty',
+            target: 'Commoners',
+            value: -12,
+            turns: 3,
+            description: 'Famine weakens commoners',
+          },
+          { type: 'message', code: 'droughtFamine' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'fire',
+    name: 'Fire',
+    description: 'A fire breaks out in one of your regions, destroying a building.',
+    type: 'immediate',
+    outcome: [
+      { type: 'destroy_buildings', region: 'random_republic', count: 1 },
+      {
+        type: 'if',
+        condition: { param: 'destroyedCount', equals: 0 },
+        then: [
+          { type: 'message', code: 'fireNoBuildings' },
+        ],
+        else: [{ type: 'message', code: 'fireDestroysBuilding' }],
+      },
+    ],
+  },
+  {
+    id: 'city_fire',
+    name: 'City Fire',
+    description: 'A fire breaks out in Pskov, destroying a building in the city.',
+    type: 'immediate',
+    outcome: [
+      { type: 'destroy_buildings', region: 'pskov', count: 1 },
+      {
+        type: 'if',
+        condition: { param: 'destroyedCount', equals: 0 },
+        then: [{ type: 'message', code: 'cityFireNoBuildings' }],
+        else: [{ type: 'message', code: 'cityFireDestroysBuilding' }],
+      },
+    ],
+  },
+  {
+    id: 'heresy',
+    name: 'Heresy',
+    description: 'Heretical ideas spread among the people, weakening military resolve.',
+    type: 'immediate',
+    outcome: [
+      {
+        type: 'add_effect',
+        effect: 'strength_penalty',
+        target: 'all',
+        value: -10,
+        turns: 2,
+        description: 'Heretical discord',
+      },
+      { type: 'message', code: 'heresy' },
+    ],
+  },
+  {
+    id: 'order_attack_90',
+    name: 'Order Attack (Weak)',
+    description:
+      'The Teutonic Order launches a weak attack. Who will contribute to the defense?',
+    type: 'order_attack',
+    orderStrength: 90,
+    question: DEFENSE_QUESTION,
+    minCostPerPlayer: 1,
+  },
+  {
+    id: 'order_attack_100',
+    name: 'Order Attack',
+    description:
+      'The Teutonic Order launches an attack. Who will contribute to the defense?',
+    type: 'order_attack',
+    orderStrength: 100,
+    question: DEFENSE_QUESTION,
+    minCostPerPlayer: 1,
+  },
+  {
+    id: 'order_attack_105',
+    name: 'Order Attack (Strong)',
+    description:
+      'The Teutonic Order launches a strong attack. Who will contribute to the defense?',
+    type: 'order_attack',
+    orderStrength: 105,
+    question: DEFENSE_QUESTION,
+    minCostPerPlayer: 1,
+  },
+  {
+    id: 'order_attack_110_2',
+    name: 'Order Attack (Strong)',
+    description:
+      'The Teutonic Order launches a strong attack. Who will contribute to the defense?',
+    type: 'order_attack',
+    orderStrength: 110,
+    question: DEFENSE_QUESTION,
+    minCostPerPlayer: 1,
+  },
+  {
+    id: 'fur_auction',
+    name: 'Grand Fur Auction',
+    description:
+      'Hunters have returned from the northern forests with a magnificent haul of furs — sable, marten, and fox pelts of the finest quality. A grand auction is held in the Pskov marketplace. The highest bidder wins the furs and gains lasting prestige!',
+    type: 'auction',
+    minBid: 1,
+  },
+  {
+    id: 'plague',
+    name: 'Plague',
+    description: 'A plague spreads through the city. How will you respond?',
+    type: 'voting',
+    defaultOption: 'no_isolation',
+    options: [
+      {
+        id: 'fund_isolation',
+        name: 'Fund isolation and treatment',
+        requiresMinMoney: 1,
+        costText: '3○ split',
+        effectText: 'All: -5 str/2 turns',
+        cost: { total: 3 },
+        fallback: 'no_isolation',
+        outcome: [
+          {
+            type: 'add_effect',
+            effect: 'strength_penalty',
+            target: 'all',
+            value: -5,
+            turns: 2,
+            description: 'Mild plague effects despite isolation',
+          },
+          { type: 'message', code: 'plagueContained' },
+        ],
+      },
+      {
+        id: 'no_isolation',
+        name: 'Trust in God - no isolation',
+        effectText: 'All: -25 str/2 turns',
+        outcome: [
+          {
+            type: 'add_effect',
+            effect: 'strength_penalty',
+            target: 'all',
+            value: -25,
+            turns: 2,
+            description: 'Severe plague weakens population',
+          },
+          { type: 'message', code: 'plagueSpread' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'giant_squirrels',
+    name: 'Giant Squirrels',
+    description:
+      'Hunters have returned from the forest with incredible news — they befriended giant squirrels! What shall the veche decide?',
+    type: 'voting',
+    defaultOption: 'befriend',
+    options: [
+      {
+        id: 'skin_them',
+        name: 'Skin them for furs',
+        effectText: '+25% income, Commoners: -12 str/3 turns',
+        outcome: [
+          {
+            type: 'add_effect',
+            effect: 'income_penalty',
+            target: 'all',
+            value: 0.25,
+            turns: 3,
+            description: 'Squirrel fur trade boost',
+          },
+          {
+            type: 'add_effect',
+            effect: 'strength_penalty',
+            target: 'Commoners',
+            value: -12,
+            turns: 3,
+            description: 'Commoners outraged by squirrel slaughter',
+          },
+          { type: 'message', code: 'squirrelsSkinned' },
+        ],
+      },
+      {
+        id: 'befriend',
+        name: 'Very well, let them stay!',
+        effectText: '-25% income, All: +5 str/3 turns',
+        outcome: [
+          {
+            type: 'add_effect',
+            effect: 'income_penalty',
+            target: 'all',
+            value: -0.25,
+            turns: 3,
+            description: 'Less fur trade due to squirrel friendship',
+          },
+          {
+            type: 'add_effect',
+            effect: 'strength_bonus',
+            target: 'all',
+            value: 5,
+            turns: 3,
+            description: 'Giant squirrels help find paths and bring nuts',
+          },
+          { type: 'message', code: 'squirrelsBefriended' },
+        ],
+      },
+    ],
+  },
+];
+
+// Cards an outcome can put on the table as a follow-up event
+const triggeredCards = (steps = []) =>
+  steps.flatMap((step) => [
+    ...(step.type === 'trigger_event' ? [step.event] : []),
+    ...triggeredCards(step.then),
+    ...triggeredCards(step.else),
+  ]);
+
+/**
+ * Find a card by id, among the deck and the follow-up events it triggers
+ * @param {string} id
+ * @returns {import('./state.js').GameEvent | null}
+ */
+export const findEventCard = (id) => {
+  const cards = eventDeck.flatMap((event) => [
+    event,
+    ...triggeredCards(event.outcome),
+    ...(event.options || []).flatMap((option) => triggeredCards(option.outcome)),
+  ]);
+  return cards.find((card) => card.id === id) || null;
+};
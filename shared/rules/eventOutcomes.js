@@ -0,0 +1,141 @@
+// Interpreter for declarative event outcomes
+//
+// Events in the deck describe what happens as plain data, so an event card
+// can be stored, sent to clients and saved like the rest of the game state.
+// An outcome is a list of steps run in order against the state:
+//
+//   { type: 'change_money', target: 'all' | <faction>, amount, floor? }
+//   { type: 'add_effect', effect, target, value, turns, description }
+//   { type: 'destroy_buildings', region: <region> | 'random_republic', count }
+//       sets params: region, buildings (building types), destroyedCount
+//   { type: 'roll', sides, param? }             sets params[param || 'roll'] to 1..sides
+//   { type: 'if', condition, then: [...], else?: [...] }
+//   { type: 'trigger_event', event: <event card> }  follow-up event to resolve next
+//   { type: 'message', code }                   sets lastEventResult to { code, params }
+//
+// Conditions compare a param set by an earlier step:
+//   { param, equals? , atMost?, atLeast? }
+//
+// Voting options may also carry a cost split among the players who voted
+// for them: { cost: { total }, fallback: <optionId> | { option, everyone: true } }.
+// If nobody voted for the option or a voter can't pay their share, the
+// fallback option is resolved instead (with `everyone`, as if all voted for it).
+
+import { createEffect, addEffect } from './effects.js';
+import { destroyRandomBuildings } from './combat.js';
+import { drawInt } from './random.js';
+
+const matchesTarget = (player, target) => target === 'all' || player.faction === target;
+
+const checkCondition = (condition, params) => {
+  const value = params[condition.param];
+  if (condition.equals !== undefined && value !== condition.equals) return false;
+  if (condition.atMost !== undefined && !(value <= condition.atMost)) return false;
+  if (condition.atLeast !== undefined && !(value >= condition.atLeast)) return false;
+  return true;
+};
+
+// Step handlers: (step, state, params) => state
+// Handlers may add to params for later steps and messages.
+const stepHandlers = {
+  change_money: (step, state) => ({
+    ...state,
+    players: state.players.map((player) => {
+      if (!matchesTarget(player, step.target)) return player;
+      const money = player.money + step.amount;
+      return { ...player, money: step.floor !== undefined ? Math.max(step.floor, money) : money };
+    }),
+  }),
+
+  add_effect: (step, state) =>
+    addEffect(state, createEffect(step.effect, step.target, step.value, step.turns, step.description)),
+
+  destroy_buildings: (step, prevState, params) => {
+    let state = prevState;
+    let regionName = step.region;
+
+    if (regionName === 'random_republic') {
+      const republicRegions = Object.keys(state.regions).filter(
+        (name) => state.regions[name].controller === 'republic'
+      );
+      if (republicRegions.length === 0) {
+        params.destroyedCount = 0;
+        return state;
+      }
+      let index;
+      ({ value: index, state } = drawInt(state, republicRegions.length));
+      regionName = republicRegions[index];
+    }
+
+    const { state: newState, destroyedBuildings } = destroyRandomBuildings(state, regionName, step.count);
+    params.region = regionName;
+    params.buildings = destroyedBuildings;
+    params.destroyedCount = destroyedBuildings.length;
+    return newState;
+  },
+
+  roll: (step, prevState, params) => {
+    const { value, state } = drawInt(prevState, step.sides);
+    params[step.param || 'roll'] = value + 1;
+    return state;
+  },
+
+  if: (step, state, params) =>
+    runSteps(checkCondition(step.condition, params) ? step.then : step.else || [], state, params),
+
+  trigger_event: (step, state) => ({
+    ...state,
+    currentEvent: step.event,
+    eventResolved: false,
+    eventVotes: [null, null, null],
+  }),
+
+  message: (step, state, params) => ({
+    ...state,
+    lastEventResult: { code: step.code, params: { ...params } },
+  }),
+};
+
+const runSteps = (steps, state, params) =>
+  steps.reduce((current, step) => {
+    const handler = stepHandlers[step.type];
+    if (!handler) {
+      console.error('Unknown event step:', step.type);
+      return current;
+    }
+    return handler(step, current, params);
+  }, state);
+
+// Run an outcome (list of steps) against the state
+export const runOutcome = (steps, state) => runSteps(steps || [], state, {});
+
+// Resolve the chosen option of a voting event, paying its cost if it has one
+export const resolveOption = (event, optionId, state, votes) => {
+  const option = event.options.find((o) => o.id === optionId);
+  if (!option) {
+    return state;
+  }
+
+  if (!option.cost) {
+    return runOutcome(option.outcome, state);
+  }
+
+  const payers = votes.flatMap((vote, index) => (vote === optionId ? [index] : []));
+  const share = payers.length > 0 ? option.cost.total / payers.length : 0;
+  const affordable = payers.length > 0 && payers.every((index) => state.players[index].money >= share);
+
+  if (!affordable) {
+    if (!option.fallback) return state;
+    const fallback = typeof option.fallback === 'string' ? { option: option.fallback } : option.fallback;
+    const fallbackVotes = fallback.everyone ? votes.map(() => fallback.option) : votes;
+    return resolveOption(event, fallback.option, state, fallbackVotes);
+  }
+
+  const paid = {
+    ...state,
+    players: state.players.map((player, index) =>
+      payers.includes(index) ? { ...player, money: player.money - share } : player
+    ),
+  };
+  return runOutcome(option.outcome, paid);
+};
@@ -0,0 +1,329 @@
+// Event deck and event resolution logic
+
+import { getValidOrderAttackTargets } from './regions.js';
+import { executeBattle, surrenderRegion, getOrderStrength } from './combat.js';
+import { getRuleset } from './state.js';
+import { drawInt } from './random.js';
+import { eventDeck } from './eventDeck.js';
+import { runOutcome, resolveOption } from './eventOutcomes.js';
+
+export { eventDeck };
+
+// Event type handlers
+export const eventTypes = {
+  immediate: {
+    resolve: (event, state) => {
+      return runOutcome(event.outcome, state);
+    },
+  },
+
+  participation: {
+    resolve: (event, state, votes) => {
+      const participants = votes.filter((v) => v === true).length;
+      const costPerParticipant = participants > 0 ? event.totalCost / participants : 0;
+
+      let allCanAfford = true;
+      state.players.forEach((player, index) => {
+        if (votes[index] === true && player.money < costPerParticipant) {
+          allCanAfford = false;
+        }
+      });
+
+      if (!allCanAfford || participants === 0) {
+        return state;
+      }
+
+      const newPlayers = state.players.map((player, index) => {
+        if (votes[index] === true) {
+          return { ...player, money: player.money - costPerParticipant };
+        }
+        return player;
+      });
+
+      return { ...state, players: newPlayers };
+    },
+  },
+
+  order_attack: {
+    resolve: (event, state, votes, randomValues = {}) => {
+      // Get valid attack targets using map adjacency
+      const validTargets = getValidOrderAttackTargets(state.regions);
+
+      // Filter out Pskov initially (only attack Pskov if it's the only valid target)
+      const nonPskovTargets = validTargets.filter((name) => name !== 'pskov');
+
+      let targetRegion;
+      if (nonPskovTargets.length > 0) {
+        // Random target from valid adjacent regions (excluding Pskov)
+        let randomIndex;
+        if (randomValues.targetIndex !== undefined) {
+          randomIndex = randomValues.targetIndex;
+        } else {
+          ({ value: randomIndex, state } = drawInt(state, nonPskovTargets.length));
+        }
+        targetRegion = nonPskovTargets[randomIndex % nonPskovTargets.length];
+      } else if (validTargets.includes('pskov')) {
+        targetRegion = 'pskov';
+      } else {
+        return {
+          ...state,
+          lastEventResult: { code: 'noValidTarget' },
+        };
+      }
+
+      // Iteratively determine who can actually afford to defend.
+      // When fewer players participate, cost per player increases, which may
+      // price out additional players. Loop until the set of defenders is stable.
+      let candidates = [];
+      state.players.forEach((player, index) => {
+        if (votes[index] === true) {
+          candidates.push(index);
+        }
+      });
+
+      const costPerParticipant = getRuleset(state).defenseCostPerPlayer;
+
+      let stable = false;
+      while (!stable && candidates.length > 0) {
+        const affordable = candidates.filter(
+          (index) => state.players[index].money >= costPerParticipant
+        );
+        if (affordable.length === candidates.length) {
+          stable = true;
+        } else {
+          candidates = affordable;
+        }
+      }
+
+      const defendingPlayers = candidates;
+
+      if (defendingPlayers.length === 0) {
+        return surrenderRegion(state, targetRegion);
+      }
+
+      // Deduct money only from actual defenders
+      const newPlayers = state.players.map((player, index) => {
+        if (defendingPlayers.includes(index)) {
+          return { ...player, money: player.money - costPerParticipant };
+        }
+        return player;
+      });
+
+      // Execute the battle
+      const stateWithPayment = {
+        ...state,
+        players: newPlayers,
+      };
+
+      const scaledOrderStrength = getOrderStrength(state, event.orderStrength);
+
+      return executeBattle(
+        stateWithPayment,
+        scaledOrderStrength,
+        targetRegion,
+        defendingPlayers,
+        randomValues.battleRoll
+      );
+    },
+  },
+
+  auction: {
+    resolve: (event, state, votes) => {
+      const bids = votes.map((v, i) => ({
+        playerIndex: i,
+        bid: v !== null ? parseBid(v) : 0,
+      }));
+
+      // Find the highest bid
+      const maxBid = Math.max(...bids.map(b => b.bid));
+
+      // If nobody bid anything meaningful, no winner
+      if (maxBid < 1) {
+        return {
+          ...state,
+          lastEventResult: { code: 'auctionNoBids' },
+        };
+      }
+
+      // Winners: all top bidders pay their bid and split the bonus point
+      const topBidders = bids.filter(b => b.bid === maxBid);
+      const pointShare = 1 / topBidders.length;
+      const topBidderIndices = new Set(topBidders.map(b => b.playerIndex));
+
+      const newPlayers = state.players.map((player, index) => {
+        if (topBidderIndices.has(index)) {
+          return {
+            ...player,
+            money: player.money - maxBid,
+            bonusPoints: (player.bonusPoints || 0) + pointShare,
+          };
+        }
+        return player;
+      });
+
+      if (topBidders.length === 1) {
+        const winnerFaction = state.players[topBidders[0].playerIndex].faction;
+        return {
+          ...state,
+          players: newPlayers,
+          lastEventResult: { code: 'auctionWon', params: { faction: winnerFaction, bid: maxBid } },
+        };
+      }
+
+      const tiedFactions = topBidders.map(b => state.players[b.playerIndex].faction);
+      const pointText = topBidders.length === 2 ? '½' : `1/${topBidders.length}`;
+      return {
+        ...state,
+        players: newPlayers,
+        lastEventResult: {
+          code: 'auctionTied',
+          params: { factions: tiedFactions, bid: maxBid, points: pointText },
+        },
+      };
+    },
+  },
+
+  voting: {
+    resolve: (event, state, votes) => {
+      const voteCounts = {};
+      votes.forEach((vote) => {
+        if (vote) {
+          voteCounts[vote] = (voteCounts[vote] || 0) + 1;
+        }
+      });
+
+      let winningOption = event.defaultOption || 'send_back';
+      let maxVotes = 0;
+      Object.entries(voteCounts).forEach(([option, count]) => {
+        if (count >= 2) {
+          if (count > maxVotes) {
+            maxVotes = count;
+            winningOption = option;
+          }
+        }
+      });
+
+      // Options with a cost fall back to another option if it can't be paid
+      return resolveOption(event, winningOption, state, votes);
+    },
+  },
+};
+
+// Fisher-Yates shuffle of indices [0..deckLength-1] using the state's rng
+// Returns { order, state }
+export const shuffleEventDeck = (state) => {
+  const indices = Array.from({ length: eventDeck.length }, (_, i) => i);
+  let current = state;
+  for (let i = indices.length - 1; i > 0; i--) {
+    const { value: j, state: next } = drawInt(current, i + 1);
+    current = next;
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return { order: indices, state: current };
+};
+
+// Draw an event using shuffle-without-replacement
+// Returns { event, state } with shuffledEventOrder and eventDrawIndex updated
+export const drawEvent = (state) => {
+  let current = state;
+  let order = state.shuffledEventOrder || [];
+  let index = state.eventDrawIndex || 0;
+  if (order.length === 0 || index >= order.length) {
+    ({ order, state: current } = shuffleEventDeck(state));
+    index = 0;
+  }
+  return {
+    event: eventDeck[order[index]],
+    state: {
+      ...current,
+      shuffledEventOrder: order,
+      eventDrawIndex: index + 1,
+    },
+  };
+};
+
+// Resolve an event
+// Events are plain data, so the card stored in the game state is all that's needed
+export const resolveEvent = (event, state, votes, randomValues = {}) => {
+  const eventType = eventTypes[event.type];
+
+  if (!eventType) {
+    console.error('Unknown event type:', event.type);
+    return state;
+  }
+
+  return eventType.resolve(event, state, votes, randomValues);
+};
+
+// Get voting result for multi-option events
+export const getVotingResult = (votes) => {
+  const completedVotes = votes.filter((v) => v !== null);
+
+  if (completedVotes.length === 3) {
+    const voteCounts = {};
+    votes.forEach((vote) => {
+      if (vote) {
+        voteCounts[vote] = (voteCounts[vote] || 0) + 1;
+      }
+    });
+
+    let winningOption = null;
+    let maxVotes = 0;
+    Object.entries(voteCounts).forEach(([option, count]) => {
+      if (count >= 2) {
+        if (count > maxVotes) {
+          maxVotes = count;
+          winningOption = option;
+        }
+      }
+    });
+
+    return winningOption || 'send_back';
+  }
+  return null;
+};
+
+// A bid in coins: a whole number of at least 0, as a number or as its
+// digits (bids are usually sent as strings). Anything else is NaN, so
+// validation and resolution agree on what a bid is worth.
+export const parseBid = (vote) => {
+  if (typeof vote === 'number') return Number.isInteger(vote) && vote >= 0 ? vote : NaN;
+  return typeof vote === 'string' && /^\d+$/.test(vote) ? Number(vote) : NaN;
+};
+
+// Get auction result (for bid events)
+export const getAuctionResult = (votes) => {
+  const completedVotes = votes.filter((v) => v !== null);
+
+  if (completedVotes.length === 3) {
+    const bids = votes.map((v, i) => ({
+      playerIndex: i,
+      bid: v !== null ? parseBid(v) : 0,
+    }));
+    const maxBid = Math.max(...bids.map((b) => b.bid));
+
+    if (maxBid < 1) {
+      return { result: 'no_bids' };
+    }
+
+    const topBidders = bids.filter((b) => b.bid === maxBid);
+    if (topBidders.length > 1) {
+      return { result: 'tie', amount: maxBid, tiedIndices: topBidders.map(b => b.playerIndex) };
+    }
+
+    const winner = topBidders[0];
+    return { result: 'winner', winnerIndex: winner.playerIndex, amount: maxBid };
+  }
+  return null;
+};
+
+// Get participation result (for yes/no events)
+export const getParticipationResult = (votes) => {
+  const completedVotes = votes.filter((v) => v !== null);
+
+  if (completedVotes.length === 3) {
+    const participants = votes.filter((v) => v === true).length;
+    return participants > 0 ? 'success' : 'failed';
+  }
+  return null;
+};
@@ -0,0 +1,212 @@
+// Game logic module exports
+// This file re-exports all game logic for easy importing. It is the single
+// rules package used by both the browser client and the multiplayer worker.
+
+// Types (JSDoc), for TypeScript consumers
+/**
+ * @typedef {import('./state.js').Phase} Phase
+ * @typedef {import('./state.js').Faction} Faction
+ * @typedef {import('./state.js').Region} Region
+ * @typedef {import('./state.js').Player} Player
+ * @typedef {import('./state.js').Ruleset} Ruleset
+ * @typedef {import('./state.js').ActiveEffect} ActiveEffect
+ * @typedef {import('./state.js').GameResult} GameResult
+ * @typedef {import('./state.js').EventStep} EventStep
+ * @typedef {import('./state.js').EventOption} EventOption
+ * @typedef {import('./state.js').GameEvent} GameEvent
+ * @typedef {import('./state.js').GameState} GameState
+ * @typedef {import('./random.js').RngState} RngState
+ * @typedef {import('./actions.js').GameAction} GameAction
+ * @typedef {import('./actions.js').ActionResult} ActionResult
+ * @typedef {import('./actions.js').ActionErrorCode} ActionErrorCode
+ * @typedef {import('./actions.js').LoggedActionResult} LoggedActionResult
+ * @typedef {import('./actions.js').RandomValues} RandomValues
+ * @typedef {import('./actionLog.js').ActionLogEntry} ActionLogEntry
+ * @typedef {import('./statePatch.js').PatchOperation} PatchOperation
+ * @typedef {import('./summary.js').GameSummary} GameSummary
+ * @typedef {import('./summary.js').TurnStanding} TurnStanding
+ * @typedef {import('./summary.js').BattleRecord} BattleRecord
+ * @typedef {import('./protocol.js').ClientMessage} ClientMessage
+ * @typedef {import('./protocol.js').ClientMessageType} ClientMessageType
+ * @typedef {import('./protocol.js').ServerMessageType} ServerMessageType
+ * @typedef {import('./protocol.js').ProtocolErrorCode} ProtocolErrorCode
+ * @typedef {import('./protocol.js').RoomErrorCode} RoomErrorCode
+ */
+
+// State and constants
+export {
+  PHASES,
+  PHASE_NAMES,
+  PHASE_DESCRIPTIONS,
+  FACTIONS,
+  FACTION_BASE_STRENGTH,
+  BUILDING_TYPES,
+  BUILDING_NAMES,
+  EQUIPMENT_COSTS,
+  EXPEDITION_COST,
+  EXPEDITION_MAX_PER_GAME,
+  EXPEDITION_PROFIT,
+  EXPEDITION_WINDFALL,
+  FORTRESS_DEFENSE_BONUS,
+  EQUIPMENT_STRENGTH_BONUS,
+  ORDER_BASE_STRENGTH,
+  DEFENSE_COST_TOTAL,
+  ATTACK_COST_TOTAL,
+  FORTRESS_COST_TOTAL,
+  STANDARD_RULESET,
+  RULESETS,
+  RULESET_IDS,
+  getRuleset,
+  createRegionBuildings,
+  createInitialRegions,
+  createInitialPlayers,
+  createInitialConstructionActions,
+  SCHEMA_VERSION,
+  createInitialGameState,
+  formatRegionName,
+} from './state.js';
+
+// Schema migrations for saved states
+export { migrateGameState } from './migrations.js';
+
+// Seeded random number generation
+export {
+  generateSeed,
+  createRng,
+  randomAt,
+  drawRandom,
+  drawInt,
+  randomFor,
+} from './random.js';
+
+// Action log
+export { hashState, createLogEntry, withoutDraws } from './actionLog.js';
+
+// Region logic
+export {
+  MAP_ADJACENCY,
+  getValidOrderAttackTargets,
+  getValidRepublicAttackTargets,
+  countRepublicRegions,
+  getRegionsWithFortresses,
+  getRegionsForFortress,
+  canSelectRegion,
+  getRegionBuildings,
+} from './regions.js';
+
+// Effects management
+export {
+  createEffect,
+  addEffect,
+  addEffects,
+  updateEffects,
+  getStrengthModifier,
+  getIncomeModifier,
+  hasPenaltyEffects,
+  getEffectsForFaction,
+  createStrengthBonus,
+  createStrengthPenalty,
+  createIncomePenalty,
+} from './effects.js';
+
+// Combat calculations
+export {
+  getOrderTurnBonus,
+  getOrderStrength,
+  getAttackStrengthLabel,
+  calculatePlayerStrength,
+  calculateTotalStrength,
+  getVictoryChance,
+  rollForVictory,
+  surrenderRegion,
+  executeBattle,
+  executeAttack,
+  destroyRandomBuildings,
+} from './combat.js';
+
+// Events
+export {
+  eventTypes,
+  eventDeck,
+  shuffleEventDeck,
+  drawEvent,
+  resolveEvent,
+  getVotingResult,
+  getAuctionResult,
+  getParticipationResult,
+} from './events.js';
+export { runOutcome, resolveOption } from './eventOutcomes.js';
+export { findEventCard } from './eventDeck.js';
+
+// AI player logic
+export {
+  decideConstruction,
+  decideEventVote,
+  decideAttackVote,
+  decideFortressVote,
+  decidePassiveEventVote,
+  decideSeatActions,
+} from './ai.js';
+
+// Actions (main entry point for state mutations)
+export {
+  ActionTypes,
+  ActionErrors,
+  validateAction,
+  canResolveEvent,
+  canContinue,
+  applyAction,
+  replayGame,
+  nextPhase,
+  nextPlayer,
+  selectRegion,
+  buildBuilding,
+  buyEquipment,
+  sendExpedition,
+  setConstructionReady,
+  setContinueReady,
+  voteOnEvent,
+  resolveCurrentEvent,
+  initiateAttack,
+  voteOnAttack,
+  executeAttackAction,
+  cancelAttack,
+  initiateFortress,
+  voteOnFortress,
+  executeFortressAction,
+  cancelFortress,
+  forfeitPlayer,
+  getAvailableBuildings,
+  calculateVictoryPoints,
+  getGameResult,
+} from './actions.js';
+
+// Post-game summaries
+export { summarizeGame } from './summary.js';
+
+// What each seat may see (sealed votes)
+export {
+  HIDDEN_VOTE,
+  projectStateFor,
+  sealActionLog,
+  isHiddenVote,
+} from './visibility.js';
+
+// State deltas (online sync)
+export {
+  diffState,
+  applyPatch,
+} from './statePatch.js';
+
+// Wire protocol (online play)
+export {
+  PROTOCOL_VERSION,
+  MIN_CLIENT_PROTOCOL_VERSION,
+  MAX_NAME_LENGTH,
+  MAX_CHAT_LENGTH,
+  ProtocolErrors,
+  RoomErrors,
+  checkProtocolVersion,
+  validateClientMessage,
+  validateServerMessage,
+} from './protocol.js';
@@ -0,0 +1,98 @@
+// Game state schema migrations
+//
+// Saved games carry the schemaVersion of the state that produced them.
+// migrateGameState walks the chain below from that version up to
+// SCHEMA_VERSION, so older saves keep loading as fields are added.
+
+import { SCHEMA_VERSION, STANDARD_RULESET } from './state.js';
+import { createRng } from './random.js';
+import { hashState } from './actionLog.js';
+import { findEventCard } from './eventDeck.js';
+
+// migrations[n] upgrades a state from version n to version n + 1
+const migrations = [
+  // 0 → 1: states from before versioning. Fill in fields that were added
+  // over time (and are read with `|| 0` fallbacks) plus the seeded rng,
+  // seeded from the saved state so that migrating it again gives the same
+  // game.
+  (state) => ({
+    ...state,
+    rng: state.rng || createRng(parseInt(hashState(state), 16)),
+    shuffledEventOrder: state.shuffledEventOrder || [],
+    eventDrawIndex: state.eventDrawIndex || 0,
+    lastExpeditionResult: state.lastExpeditionResult || null,
+    constructionReady: state.constructionReady || [false, false, false],
+    constructionActions: state.constructionActions.map((ca) => ({
+      improvement: false,
+      equipment: false,
+      expedition: false,
+      ...ca,
+    })),
+    players: state.players.map((player) => ({
+      ...player,
+      bonusPoints: player.bonusPoints || 0,
+      expeditions: player.expeditions || 0,
+      religiousBuildings: player.religiousBuildings || 0,
+    })),
+  }),
+
+  // 1 → 2: events became declarative. A card on the table used to be only
+  // its text, with handlers looked up by id; it now carries its outcomes,
+  // so it is taken from the deck again.
+  (state) => ({
+    ...state,
+    currentEvent: state.currentEvent && (findEventCard(state.currentEvent.id) || state.currentEvent),
+  }),
+
+  // 2 → 3: rulesets. Earlier games were played by the standard rules.
+  (state) => ({
+    ...state,
+    ruleset: STANDARD_RULESET,
+  }),
+
+  // 3 → 4: results became { code, params }. Old results were English
+  // text that can't be translated, so they are dropped.
+  (state) => ({
+    ...state,
+    lastEventResult: typeof state.lastEventResult === 'string' ? null : state.lastEventResult,
+  }),
+
+  // 4 → 5: only the seat that called an attack or fortress vote may call it
+  // off. Nobody is on record for a vote already open, so anyone still may.
+  (state) => ({
+    ...state,
+    attackProposer: null,
+    fortressProposer: null,
+  }),
+
+  // 5 → 6: players can forfeit
+  (state) => ({
+    ...state,
+    players: state.players.map((player) => ({ ...player, forfeited: false })),
+  }),
+
+  // 6 → 7: seats confirm they are ready to leave the events and veche phases
+  (state) => ({
+    ...state,
+    continueReady: [false, false, false],
+  }),
+];
+
+// Upgrade a game state to the current schema version
+// Throws if the state comes from a newer version of the game
+export const migrateGameState = (state) => {
+  let version = state.schemaVersion || 0;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Game state version ${version} is newer than this version of the game (${SCHEMA_VERSION})`
+    );
+  }
+
+  let migrated = state;
+  while (version < SCHEMA_VERSION) {
+    migrated = { ...migrations[version](migrated), schemaVersion: version + 1 };
+    version++;
+  }
+  return migrated;
+};
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInitialGameState, SCHEMA_VERSION, STANDARD_RULESET } from './state.js';
+import { applyAction, nextPhase, ActionTypes } from './actions.js';
+import { findEventCard } from './eventDeck.js';
+import { migrateGameState } from './migrations.js';
+
+// A game as saved before schema versions: none of the fields added since
+const unversionedState = () => {
+  const {
+    schemaVersion,
+    rng,
+    ruleset,
+    shuffledEventOrder,
+    eventDrawIndex,
+    lastExpeditionResult,
+    constructionReady,
+    continueReady,
+    attackProposer,
+    fortressProposer,
+    ...state
+  } = createInitialGameState(1);
+  return {
+    ...state,
+    lastEventResult: 'The Order was repelled!',
+    constructionActions: state.constructionActions.map(({ expedition, ...done }) => done),
+    players: state.players.map(({ bonusPoints, expeditions, religiousBuildings, forfeited, ...player }) => player),
+  };
+};
+
+// An event card as held before events were declarative: its text only
+const textOnly = (card) => {
+  const { outcome, ...text } = card;
+  return { ...text, ...(card.options && { options: card.options.map(({ outcome, ...option }) => option) }) };
+};
+
+describe('migrateGameState', () => {
+  it('brings a game from before versioning up to the current schema', () => {
+    const migrated = migrateGameState(unversionedState());
+    assert.equal(migrated.schemaVersion, SCHEMA_VERSION);
+    assert.deepEqual(Object.keys(migrated).sort(), Object.keys(createInitialGameState(1)).sort());
+    assert.deepEqual(migrated.ruleset, STANDARD_RULESET);
+    assert.equal(migrated.lastEventResult, null);
+    assert.deepEqual(migrated.continueReady, [false, false, false]);
+    assert.deepEqual(migrated.constructionReady, [false, false, false]);
+    for (const player of migrated.players) {
+      assert.equal(player.forfeited, false);
+      assert.equal(player.bonusPoints, 0);
+    }
+    for (const done of migrated.constructionActions) {
+      assert.equal(done.expedition, false);
+    }
+  });
+
+  it('seeds the rng from the saved game, so migrating it again gives the same game', () => {
+    const first = migrateGameState(unversionedState());
+    const second = migrateGameState(unversionedState());
+    assert.deepEqual(second.rng, first.rng);
+    assert.notDeepEqual(migrateGameState({ ...unversionedState(), turn: 2 }).rng, first.rng);
+  });
+
+  it('leaves a migrated game playable', () => {
+    const migrated = migrateGameState(unversionedState());
+    const result = applyAction(migrated, { type: ActionTypes.NEXT_PHASE }, 0);
+    assert.equal(result.error, undefined);
+    assert.equal(result.newState.phase, 'construction');
+  });
+
+  it('walks the chain from every older version', () => {
+    const current = createInitialGameState(1);
+    for (let version = 1; version < SCHEMA_VERSION; version++) {
+      const migrated = migrateGameState({ ...current, schemaVersion: version });
+      assert.equal(migrated.schemaVersion, SCHEMA_VERSION, `from version ${version}`);
+    }
+  });
+
+  it('leaves a current game as it is', () => {
+    const state = nextPhase(createInitialGameState(1));
+    assert.deepEqual(migrateGameState(state), state);
+  });
+
+  it('refuses a game from a newer version', () => {
+    assert.throws(
+      () => migrateGameState({ ...createInitialGameState(1), schemaVersion: SCHEMA_VERSION + 1 }),
+      /newer than this version/
+    );
+  });
+
+  describe('event cards from before declarative events', () => {
+    const heldCard = (card) => ({
+      ...createInitialGameState(1),
+      schemaVersion: 1,
+      phase: 'events',
+      currentEvent: textOnly(card),
+      players: createInitialGameState(1).players.map((player) => ({ ...player, money: 10 })),
+    });
+
+    for (const id of ['merchants_robbed', 'good_harvest', 'order_attack_rob_foreign']) {
+      it(`takes ${id} from the deck again`, () => {
+        const migrated = migrateGameState(heldCard(findEventCard(id)));
+        assert.deepEqual(migrated.currentEvent, findEventCard(id));
+      });
+    }
+
+    it('resolves a migrated card', () => {
+      let state = migrateGameState(heldCard(findEventCard('merchants_robbed')));
+      for (let seat = 0; seat < 3; seat++) {
+        state = applyAction(state, { type: ActionTypes.VOTE_EVENT, vote: 'trade_risk' }, seat).newState;
+      }
+      const result = applyAction(state, { type: ActionTypes.RESOLVE_EVENT }, 0);
+      assert.equal(result.error, undefined);
+      assert.equal(result.newState.eventResolved, true);
+      assert.ok(result.newState.activeEffects.length > 0);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+// Wire protocol for online play
+//
+// Every message between the client and the GameRoom is JSON with a `type`.
+// This module defines the messages each side may send and checks them at
+// runtime: the server rejects a client message that doesn't fit its schema
+// (with an error naming the field) before it gets anywhere near applyAction,
+// and the client drops server messages it can't make sense of.
+//
+// Compatibility: a client says which PROTOCOL_VERSION it speaks in its first
+// message (join, rejoin or observe). Bump PROTOCOL_VERSION whenever a message
+// changes in a way the other side can't simply ignore, such as a new required
+// field or a field that changes meaning. Raise MIN_CLIENT_PROTOCOL_VERSION
+// once the server no longer understands clients older than that; they are
+// then told to reload the page rather than failing in odd ways. A client
+// from before versioning sends no version and counts as version 0.
+
+import { ActionTypes } from './actions.js';
+import { FACTIONS, RULESET_IDS } from './state.js';
+
+export const PROTOCOL_VERSION = 1;
+
+// Oldest client protocol the server still accepts
+export const MIN_CLIENT_PROTOCOL_VERSION = 1;
+
+// Longest player name and chat message the server accepts
+export const MAX_NAME_LENGTH = 20;
+export const MAX_CHAT_LENGTH = 500;
+
+// Why a message was refused before it was handled. Sent as `code` on an
+// `error` message.
+export const ProtocolErrors = /** @type {const} */ ({
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  CLIENT_OUTDATED: 'CLIENT_OUTDATED',
+  SERVER_OUTDATED: 'SERVER_OUTDATED',
+});
+
+/**
+ * @typedef {typeof ProtocolErrors[keyof typeof ProtocolErrors]} ProtocolErrorCode
+ */
+
+// Why a room turned a client away: no room was ever made with that code, or
+// it sat idle until it expired. Sent as `code` on an `error` message.
+export const RoomErrors = /** @type {const} */ ({
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  ROOM_EXPIRED: 'ROOM_EXPIRED',
+});
+
+/**
+ * @typedef {typeof RoomErrors[keyof typeof RoomErrors]} RoomErrorCode
+ */
+
+/**
+ * @typedef {'join' | 'rejoin' | 'observe' | 'ready' | 'action' | 'leave' | 'resync' | 'chat'
+ *   | 'kick' | 'swap' | 'lock' | 'set_ruleset' | 'add_bot'} ClientMessageType
+ */
+
+/**
+ * A message from a client to the GameRoom
+ * @typedef {Object} ClientMessage
+ * @property {ClientMessageType} type
+ * @property {number} [protocolVersion] - Protocol the client speaks (join, rejoin and observe)
+ * @property {string} [playerName]
+ * @property {number} [faction] - 0 = Nobles, 1 = Merchants, 2 = Commoners
+ * @property {string} [token] - Session token from an earlier 'joined' (rejoin only)
+ * @property {string} [hostToken] - Token from creating the room, which makes its creator host (join only)
+ * @property {import('./actions.js').GameAction} [action]
+ * @property {number} [actionId] - Client's id for the action, echoed in the reply
+ * @property {string} [text] - Chat message (chat only)
+ * @property {number} [target] - Seat to swap with (swap only)
+ * @property {boolean} [locked] - Lock or unlock the room (lock only)
+ * @property {string} [ruleset] - Ruleset preset to play by (set_ruleset only)
+ */
+
+/**
+ * @typedef {'joined' | 'room_update' | 'game_start' | 'game_state' | 'action_result' | 'error'
+ *   | 'player_left' | 'player_reconnected' | 'player_replaced' | 'chat' | 'kicked'} ServerMessageType
+ */
+
+// ---- Field checks: each returns null if the value fits, else what it should be
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const string = (maxLength) => (value) =>
+  typeof value === 'string' && value.length <= maxLength ? null : `a string of at most ${maxLength} characters`;
+
+const text = (value) => (typeof value === 'string' ? null : 'a string');
+
+const boolean = (value) => (typeof value === 'boolean' ? null : 'true or false');
+
+const integer = (value) => (Number.isInteger(value) ? null : 'a whole number');
+
+const finiteNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? null : 'a number');
+
+const seat = (value) =>
+  Number.isInteger(value) && value >= 0 && value < FACTIONS.length ? null : `a seat from 0 to ${FACTIONS.length - 1}`;
+
+const object = (value) => (isPlainObject(value) ? null : 'an object');
+
+const oneOf = (...values) => (value) =>
+  values.includes(value) ? null : `one of ${values.map((v) => JSON.stringify(v)).join(', ')}`;
+
+const anyOf = (...checks) => (value) =>
+  checks.some((check) => check(value) === null) ? null : checks.map((check) => check(undefined)).join(' or ');
+
+const optional = (check) => Object.assign((value) => check(value), { optional: true });
+
+// Names of things in the game (regions, buildings, option ids)
+const NAME = string(50);
+
+const gameAction = (value) => (isPlainObject(value) ? null : 'an action object');
+
+const patch = (value) => (Array.isArray(value) ? null : 'a list of changes');
+
+// Fields of each game action, besides its type
+const ACTION_SCHEMAS = {
+  [ActionTypes.NEXT_PHASE]: {},
+  [ActionTypes.NEXT_PLAYER]: {},
+  [ActionTypes.SELECT_REGION]: { regionName: NAME },
+  [ActionTypes.BUILD_BUILDING]: { buildingType: NAME },
+  [ActionTypes.BUY_EQUIPMENT]: { item: oneOf('weapons', 'armor') },
+  [ActionTypes.SEND_EXPEDITION]: {},
+  [ActionTypes.SET_CONSTRUCTION_READY]: {},
+  [ActionTypes.SET_CONTINUE_READY]: {},
+  [ActionTypes.VOTE_EVENT]: { vote: anyOf(NAME, boolean, finiteNumber) },
+  [ActionTypes.RESOLVE_EVENT]: {},
+  [ActionTypes.INITIATE_ATTACK]: { targetRegion: NAME },
+  [ActionTypes.VOTE_ATTACK]: { vote: boolean },
+  [ActionTypes.EXECUTE_ATTACK]: {},
+  [ActionTypes.CANCEL_ATTACK]: {},
+  [ActionTypes.INITIATE_FORTRESS]: { targetRegion: NAME },
+  [ActionTypes.VOTE_FORTRESS]: { vote: boolean },
+  [ActionTypes.EXECUTE_FORTRESS]: {},
+  [ActionTypes.CANCEL_FORTRESS]: {},
+  [ActionTypes.FORFEIT]: { player: seat },
+  [ActionTypes.RESET_GAME]: {},
+};
+
+// Fields of each client message, besides its type
+const CLIENT_SCHEMAS = {
+  join: {
+    protocolVersion: integer,
+    faction: seat,
+    playerName: optional(string(MAX_NAME_LENGTH)),
+    hostToken: optional(string(100)),
+  },
+  rejoin: { protocolVersion: integer, token: string(100) },
+  observe: { protocolVersion: integer },
+  ready: {},
+  action: { action: gameAction, actionId: optional(integer) },
+  leave: {},
+  resync: {},
+  chat: { text: string(MAX_CHAT_LENGTH) },
+  kick: { faction: seat },
+  swap: { faction: seat, target: seat },
+  lock: { locked: boolean },
+  set_ruleset: { ruleset: oneOf(...RULESET_IDS) },
+  add_bot: { faction: seat },
+};
+
+// Fields each server message must have, besides its type. Clients ignore
+// fields they don't know, so the server may add optional ones freely.
+const SERVER_SCHEMAS = {
+  joined: { playerId: seat, room: object, protocolVersion: optional(integer) },
+  room_update: { room: object },
+  game_start: { room: object, gameState: object, version: integer },
+  game_state: { version: integer, gameState: optional(object), patch: optional(patch) },
+  action_result: { actionId: optional(integer) },
+  error: { error: text, actionId: optional(integer) },
+  player_left: { playerId: seat, room: object },
+  player_reconnected: { playerId: seat, room: object },
+  player_replaced: { playerId: seat, room: object },
+  chat: { chat: object },
+  kicked: { playerId: seat, room: object },
+};
+
+// The first field of `value` that doesn't fit `schema`, described; null if
+// they all fit. Fields the schema doesn't name are refused when `strict`.
+const checkFields = (value, schema, strict) => {
+  for (const [field, check] of Object.entries(schema)) {
+    if (value[field] === undefined) {
+      if (!check.optional) return `'${field}' is required`;
+      continue;
+    }
+    const expected = check(value[field]);
+    if (expected) return `'${field}' must be ${expected}`;
+  }
+  if (strict) {
+    const unexpected = Object.keys(value).find((field) => field !== 'type' && !Object.hasOwn(schema, field));
+    if (unexpected) return `unexpected field '${unexpected}'`;
+  }
+  return null;
+};
+
+const HELLO_TYPES = ['join', 'rejoin', 'observe'];
+
+/**
+ * Whether the server can talk to a client speaking `version`
+ * @param {unknown} version - As sent by the client (missing for clients from before versioning)
+ * @returns {{code: ProtocolErrorCode, error: string} | null} Why not, or null if it can
+ */
+export const checkProtocolVersion = (version) => {
+  const clientVersion = Number.isInteger(version) ? version : 0;
+  if (clientVersion < MIN_CLIENT_PROTOCOL_VERSION) {
+    return {
+      code: ProtocolErrors.CLIENT_OUTDATED,
+      error: 'This version of the game is out of date. Please reload the page.',
+    };
+  }
+  if (clientVersion > PROTOCOL_VERSION) {
+    return {
+      code: ProtocolErrors.SERVER_OUTDATED,
+      error: 'The game server is being updated. Please try again in a few minutes.',
+    };
+  }
+  return null;
+};
+
+/**
+ * Check a parsed message from a client
+ * @param {unknown} message
+ * @returns {{valid: true, message: ClientMessage} | {valid: false, code: ProtocolErrorCode, error: string}}
+ */
+export const validateClientMessage = (message) => {
+  const refuse = (error, code = ProtocolErrors.INVALID_MESSAGE) => ({ valid: false, code, error });
+
+  if (!isPlainObject(message)) return refuse('Invalid message: expected an object');
+  if (!Object.hasOwn(CLIENT_SCHEMAS, message.type)) {
+    return refuse(`Invalid message: unknown type ${JSON.stringify(message.type)}`);
+  }
+
+  // A client too old (or too new) to talk to gets told so before anything
+  // else, since its messages may not fit the schemas below
+  if (HELLO_TYPES.includes(message.type)) {
+    const mismatch = checkProtocolVersion(message.protocolVersion);
+    if (mismatch) return refuse(mismatch.error, mismatch.code);
+  }
+
+  const fieldError = checkFields(message, CLIENT_SCHEMAS[message.type], true);
+  if (fieldError) return refuse(`Invalid ${message.type} message: ${fieldError}`);
+
+  if (message.type === 'action') {
+    const { action } = message;
+    if (!Object.hasOwn(ACTION_SCHEMAS, action.type)) {
+      return refuse(`Invalid action: unknown type ${JSON.stringify(action.type)}`);
+    }
+    const actionError = checkFields(action, ACTION_SCHEMAS[action.type], true);
+    if (actionError) return refuse(`Invalid ${action.type} action: ${actionError}`);
+  }
+
+  return { valid: true, message: /** @type {ClientMessage} */ (message) };
+};
+
+/**
+ * Check a parsed message from the server. Unknown fields are allowed.
+ * @param {unknown} message
+ * @returns {string | null} What is wrong with it, or null if it is fine
+ */
+export const validateServerMessage = (message) => {
+  if (!isPlainObject(message)) return 'expected an object';
+  if (!Object.hasOwn(SERVER_SCHEMAS, message.type)) return `unknown type ${JSON.stringify(message.type)}`;
+  return checkFields(message, SERVER_SCHEMAS[message.type], false);
+};
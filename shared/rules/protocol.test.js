@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ActionTypes } from './actions.js';
+import {
+  PROTOCOL_VERSION,
+  MAX_NAME_LENGTH,
+  MAX_CHAT_LENGTH,
+  ProtocolErrors,
+  checkProtocolVersion,
+  validateClientMessage,
+  validateServerMessage,
+} from './protocol.js';
+
+const refusal = (message) => {
+  const result = validateClientMessage(message);
+  assert.equal(result.valid, false, `${JSON.stringify(message)} should be refused`);
+  return result;
+};
+
+describe('validateClientMessage', () => {
+  it('accepts the messages a client sends', () => {
+    const messages = [
+      { type: 'join', protocolVersion: PROTOCOL_VERSION, faction: 0, playerName: 'Dovmont', hostToken: 'token' },
+      { type: 'join', protocolVersion: PROTOCOL_VERSION, faction: 2 },
+      { type: 'rejoin', protocolVersion: PROTOCOL_VERSION, token: 'token' },
+      { type: 'observe', protocolVersion: PROTOCOL_VERSION },
+      { type: 'ready' },
+      { type: 'action', action: { type: ActionTypes.NEXT_PHASE }, actionId: 1 },
+      { type: 'action', action: { type: ActionTypes.VOTE_EVENT, vote: 'trade_risk' } },
+      { type: 'action', action: { type: ActionTypes.VOTE_EVENT, vote: true } },
+      { type: 'action', action: { type: ActionTypes.VOTE_EVENT, vote: 3 } },
+      { type: 'action', action: { type: ActionTypes.BUY_EQUIPMENT, item: 'armor' } },
+      { type: 'action', action: { type: ActionTypes.INITIATE_ATTACK, targetRegion: 'izborsk' } },
+      { type: 'leave' },
+      { type: 'resync' },
+      { type: 'chat', text: 'To the walls!' },
+      { type: 'kick', faction: 1 },
+      { type: 'swap', faction: 1, target: 2 },
+      { type: 'lock', locked: true },
+      { type: 'set_ruleset', ruleset: 'short' },
+      { type: 'add_bot', faction: 2 },
+    ];
+    for (const message of messages) {
+      assert.deepEqual(validateClientMessage(message), { valid: true, message }, JSON.stringify(message));
+    }
+  });
+
+  it('refuses what is not a message', () => {
+    for (const message of [null, 'join', [], 42]) {
+      assert.equal(refusal(message).code, ProtocolErrors.INVALID_MESSAGE);
+    }
+    assert.match(refusal({ type: 'teleport' }).error, /unknown type "teleport"/);
+  });
+
+  it('tells clients of another protocol version so', () => {
+    assert.equal(refusal({ type: 'observe' }).code, ProtocolErrors.CLIENT_OUTDATED);
+    assert.equal(refusal({ type: 'observe', protocolVersion: 0 }).code, ProtocolErrors.CLIENT_OUTDATED);
+    assert.equal(refusal({ type: 'observe', protocolVersion: PROTOCOL_VERSION + 1 }).code, ProtocolErrors.SERVER_OUTDATED);
+    assert.equal(
+      refusal({ type: 'join', protocolVersion: PROTOCOL_VERSION + 1, faction: 9 }).code,
+      ProtocolErrors.SERVER_OUTDATED,
+      'the version is checked before the fields'
+    );
+  });
+
+  it('names the field that does not fit', () => {
+    const hello = { type: 'join', protocolVersion: PROTOCOL_VERSION };
+    assert.match(refusal(hello).error, /'faction' is required/);
+    assert.match(refusal({ ...hello, faction: 3 }).error, /'faction' must be/);
+    assert.match(refusal({ ...hello, faction: 0, playerName: 'x'.repeat(MAX_NAME_LENGTH + 1) }).error, /'playerName'/);
+    assert.match(refusal({ ...hello, faction: 0, seat: 1 }).error, /unexpected field 'seat'/);
+    assert.match(refusal({ type: 'chat', text: 'x'.repeat(MAX_CHAT_LENGTH + 1) }).error, /'text'/);
+    assert.match(refusal({ type: 'set_ruleset', ruleset: 'easy' }).error, /'ruleset'/);
+  });
+
+  it('checks the action a message carries', () => {
+    assert.match(refusal({ type: 'action' }).error, /'action' is required/);
+    assert.match(refusal({ type: 'action', action: { type: 'WIN_GAME' } }).error, /unknown type "WIN_GAME"/);
+    assert.match(refusal({ type: 'action', action: { type: ActionTypes.BUY_EQUIPMENT, item: 'cannon' } }).error, /'item'/);
+    assert.match(refusal({ type: 'action', action: { type: ActionTypes.VOTE_ATTACK, vote: 'yes' } }).error, /'vote'/);
+    assert.match(
+      refusal({ type: 'action', action: { type: ActionTypes.NEXT_PHASE, playerId: 1 } }).error,
+      /unexpected field 'playerId'/
+    );
+  });
+});
+
+describe('checkProtocolVersion', () => {
+  it('accepts the current version only', () => {
+    assert.equal(checkProtocolVersion(PROTOCOL_VERSION), null);
+    assert.equal(checkProtocolVersion(undefined).code, ProtocolErrors.CLIENT_OUTDATED);
+    assert.equal(checkProtocolVersion('1').code, ProtocolErrors.CLIENT_OUTDATED);
+    assert.equal(checkProtocolVersion(PROTOCOL_VERSION + 1).code, ProtocolErrors.SERVER_OUTDATED);
+  });
+});
+
+describe('validateServerMessage', () => {
+  it('accepts the messages the server sends, with fields it may add', () => {
+    const messages = [
+      { type: 'joined', playerId: 0, room: {}, protocolVersion: PROTOCOL_VERSION, sessionToken: 'token' },
+      { type: 'game_state', version: 3, gameState: {} },
+      { type: 'game_state', version: 4, baseVersion: 3, patch: [{ op: 'replace', path: '/turn', value: 2 }] },
+      { type: 'error', error: 'Not your turn', code: 'NOT_YOUR_TURN', actionId: 2 },
+    ];
+    for (const message of messages) {
+      assert.equal(validateServerMessage(message), null, JSON.stringify(message));
+    }
+  });
+
+  it('says what is wrong with a message it cannot use', () => {
+    assert.equal(validateServerMessage(null), 'expected an object');
+    assert.match(validateServerMessage({ type: 'surprise' }), /unknown type/);
+    assert.match(validateServerMessage({ type: 'game_state' }), /'version' is required/);
+    assert.match(validateServerMessage({ type: 'joined', playerId: 5, room: {} }), /'playerId'/);
+  });
+});
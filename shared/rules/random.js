@@ -0,0 +1,66 @@
+// Seeded random number generation
+//
+// All randomness in the engine comes from the `rng` field of the game state:
+// { seed, cursor }. Each draw reads the value at the current cursor and
+// returns a new state with the cursor advanced, so a game is fully
+// reproducible from its seed and the sequence of actions applied to it.
+
+/**
+ * @typedef {Object} RngState
+ * @property {number} seed - 32-bit seed of the game
+ * @property {number} cursor - Number of values drawn so far
+ */
+
+// Create a fresh seed from the platform CSPRNG (only used when starting a new game)
+// Browsers, the Cloudflare worker and Node all provide crypto.getRandomValues.
+/** @returns {number} */
+export const generateSeed = () => crypto.getRandomValues(new Uint32Array(1))[0];
+
+// Create the rng field for a new game state
+/**
+ * @param {number} [seed]
+ * @returns {RngState}
+ */
+export const createRng = (seed = generateSeed()) => ({
+  seed: seed >>> 0,
+  cursor: 0,
+});
+
+// Mulberry32 evaluated at an arbitrary position in the sequence.
+// Returns a float in [0, 1).
+export const randomAt = (seed, cursor) => {
+  let t = (seed + Math.imul(cursor + 1, 0x6d2b79f5)) | 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Draw a float in [0, 1) from the state's rng
+// Returns { value, state } where state has the cursor advanced
+export const drawRandom = (state) => {
+  // States saved before the rng was introduced get one when they are
+  // migrated. Drawing from a fresh seed here would make the game impossible
+  // to replay.
+  if (!state.rng) {
+    throw new Error('Game state has no rng: migrate it before playing');
+  }
+  const { rng } = state;
+  return {
+    value: randomAt(rng.seed, rng.cursor),
+    state: { ...state, rng: { ...rng, cursor: rng.cursor + 1 } },
+  };
+};
+
+// Draw an integer in [0, max) from the state's rng
+export const drawInt = (state, max) => {
+  const { value, state: newState } = drawRandom(state);
+  return { value: Math.floor(value * max), state: newState };
+};
+
+// Deterministic value for decisions that must not advance the cursor
+// (e.g. AI choices computed from a read-only view of the state).
+// The salt distinguishes independent decisions made from the same state.
+export const randomFor = (state, salt = 0) => {
+  const rng = state.rng || createRng(0);
+  return randomAt((rng.seed ^ Math.imul(salt + 1, 0x9e3779b1)) >>> 0, rng.cursor);
+};
@@ -0,0 +1,418 @@
+// Game state constants and initial state factory
+
+import { createRng } from './random.js';
+
+export const PHASES = ['resources', 'construction', 'events', 'veche'];
+
+export const PHASE_NAMES = {
+  resources: 'Resources',
+  construction: 'Construction',
+  events: 'Events',
+  veche: 'City Assembly',
+};
+
+export const PHASE_DESCRIPTIONS = {
+  resources: 'Players receive income from controlled regions and improvements',
+  construction: 'Players can build improvements, fortresses, and buy equipment',
+  events: 'Draw and resolve an event card',
+  veche: 'Assembly of citizens making collective decisions',
+};
+
+export const FACTIONS = ['Nobles', 'Merchants', 'Commoners'];
+
+// Base strength by faction
+export const FACTION_BASE_STRENGTH = {
+  Nobles: 40,
+  Merchants: 15,
+  Commoners: 25,
+};
+
+// Building definitions
+export const BUILDING_TYPES = {
+  commoner_huts: { name: 'Huts', cost: 2, faction: 'Commoners', maxPerRegion: 1 },
+  commoner_church: { name: 'Village Church', cost: 2, faction: 'Commoners', maxPerRegion: 1 },
+  noble_manor: { name: 'Manor', cost: 2, faction: 'Nobles', maxPerRegion: 1 },
+  noble_monastery: { name: 'Monastery', cost: 2, faction: 'Nobles', maxPerRegion: 1 },
+  merchant_mansion: { name: 'Mansion', cost: 2, faction: 'Merchants', maxPerRegion: 7, pskovOnly: true },
+  merchant_church: { name: 'Church', cost: 2, faction: 'Merchants', maxPerRegion: 7, pskovOnly: true },
+};
+
+// Religious building types (give more VP but no income)
+export const RELIGIOUS_BUILDING_TYPES = new Set(['commoner_church', 'noble_monastery', 'merchant_church']);
+
+export const BUILDING_NAMES = {
+  commoner_huts: 'Huts',
+  commoner_church: 'Village Church',
+  noble_manor: 'Manor',
+  noble_monastery: 'Monastery',
+  merchant_mansion: 'Mansion',
+  merchant_church: 'Merchant Church',
+};
+
+// Equipment costs
+export const EQUIPMENT_COSTS = {
+  weapons: 1,
+  armor: 1,
+};
+
+// Expedition constants
+export const EXPEDITION_COST = 1;
+export const EXPEDITION_MAX_PER_GAME = 2;
+export const EXPEDITION_PROFIT = 3;
+export const EXPEDITION_WINDFALL = 6;
+
+// Combat constants
+export const FORTRESS_DEFENSE_BONUS = 10;
+export const EQUIPMENT_STRENGTH_BONUS = 5;
+export const ORDER_BASE_STRENGTH = 100;
+
+// Order turn-based scaling: Order grows stronger over time
+// Every ORDER_SCALING_INTERVAL turns, Order gains ORDER_TURN_SCALING strength
+export const ORDER_TURN_SCALING = 5;
+export const ORDER_SCALING_INTERVAL = 4;
+export const DEFENSE_COST_TOTAL = 3;
+export const ATTACK_COST_TOTAL = 6;
+export const FORTRESS_COST_TOTAL = 6;
+
+// Rulesets
+// A ruleset holds the tunable numbers of a game. It is stored in the game
+// state so saved, shared and online games keep the rules they started with;
+// engine functions read it with getRuleset(state).
+export const STANDARD_RULESET = {
+  id: 'standard',
+  maxTurns: 20,
+  startingMoney: 0,
+  // Income per turn: base + per republic region + per secular building
+  income: { base: 0.5, perRegion: 0.25, perBuilding: 0.25 },
+  buildingCost: 2,
+  equipmentCosts: EQUIPMENT_COSTS,
+  maxEquipment: 2,
+  expeditionCost: EXPEDITION_COST,
+  expeditionMaxPerGame: EXPEDITION_MAX_PER_GAME,
+  expeditionProfit: EXPEDITION_PROFIT,
+  expeditionWindfall: EXPEDITION_WINDFALL,
+  factionBaseStrength: FACTION_BASE_STRENGTH,
+  equipmentStrengthBonus: EQUIPMENT_STRENGTH_BONUS,
+  fortressDefenseBonus: FORTRESS_DEFENSE_BONUS,
+  fortressCostTotal: FORTRESS_COST_TOTAL,
+  attackCostPerPlayer: 2,
+  defenseCostPerPlayer: 1,
+  orderBaseStrength: ORDER_BASE_STRENGTH,
+  orderTurnScaling: ORDER_TURN_SCALING,
+  orderScalingInterval: ORDER_SCALING_INTERVAL,
+};
+
+// Named presets, selectable when a local game or online room is set up
+export const RULESETS = {
+  standard: STANDARD_RULESET,
+  short: {
+    ...STANDARD_RULESET,
+    id: 'short',
+    maxTurns: 12,
+    // The Order ramps up faster to make up for the shorter game
+    orderScalingInterval: 3,
+  },
+  hard_order: {
+    ...STANDARD_RULESET,
+    id: 'hard_order',
+    orderBaseStrength: 110,
+    orderTurnScaling: 10,
+  },
+  rich_republic: {
+    ...STANDARD_RULESET,
+    id: 'rich_republic',
+    startingMoney: 2,
+    income: { base: 0.75, perRegion: 0.25, perBuilding: 0.25 },
+  },
+};
+
+export const RULESET_IDS = Object.keys(RULESETS);
+
+// Ruleset of a game; states from before rulesets existed play by the standard rules
+export const getRuleset = (state) => state?.ruleset || STANDARD_RULESET;
+
+// Create empty buildings object for a region
+export const createRegionBuildings = (isPskov = false) => {
+  const buildings = {
+    commoner_huts: 0,
+    commoner_church: 0,
+    noble_manor: 0,
+    noble_monastery: 0,
+  };
+
+  if (isPskov) {
+    buildings.merchant_mansion = 0;
+    buildings.merchant_church = 0;
+  }
+
+  return buildings;
+};
+
+// Create initial regions state
+export const createInitialRegions = () => ({
+  pskov: {
+    controller: 'republic',
+    fortress: true,
+    buildings: createRegionBuildings(true),
+  },
+  ostrov: {
+    controller: 'republic',
+    fortress: false,
+    buildings: createRegionBuildings(false),
+  },
+  izborsk: {
+    controller: 'republic',
+    fortress: false,
+    buildings: createRegionBuildings(false),
+  },
+  skrynnitsy: {
+    controller: 'republic',
+    fortress: false,
+    buildings: createRegionBuildings(false),
+  },
+  gdov: {
+    controller: 'republic',
+    fortress: false,
+    buildings: createRegionBuildings(false),
+  },
+  pechory: {
+    controller: 'republic',
+    fortress: false,
+    buildings: createRegionBuildings(false),
+  },
+  bearhill: {
+    controller: 'order',
+    fortress: false,
+    buildings: createRegionBuildings(false),
+  },
+});
+
+// Create initial player state
+export const createInitialPlayers = (money = 0) => [
+  { faction: 'Nobles', money, weapons: 0, armor: 0, improvements: 0, bonusPoints: 0, expeditions: 0, religiousBuildings: 0, forfeited: false },
+  { faction: 'Merchants', money, weapons: 0, armor: 0, improvements: 0, bonusPoints: 0, expeditions: 0, religiousBuildings: 0, forfeited: false },
+  { faction: 'Commoners', money, weapons: 0, armor: 0, improvements: 0, bonusPoints: 0, expeditions: 0, religiousBuildings: 0, forfeited: false },
+];
+
+// Create initial construction actions
+export const createInitialConstructionActions = () => [
+  { improvement: false, equipment: false, expedition: false },
+  { improvement: false, equipment: false, expedition: false },
+  { improvement: false, equipment: false, expedition: false },
+];
+
+// Types of the game state, for consumers type-checking against this package
+// (the worker imports these through index.js)
+
+/**
+ * @typedef {'resources' | 'construction' | 'events' | 'veche'} Phase
+ * @typedef {'Nobles' | 'Merchants' | 'Commoners'} Faction
+ */
+
+/**
+ * @typedef {Object} Region
+ * @property {'republic' | 'order'} controller
+ * @property {boolean} fortress
+ * @property {Record<string, number>} buildings - Count per building type
+ */
+
+/**
+ * @typedef {Object} Player
+ * @property {Faction} faction
+ * @property {number} money
+ * @property {number} weapons
+ * @property {number} armor
+ * @property {number} improvements - Buildings built (secular and religious)
+ * @property {number} bonusPoints
+ * @property {number} expeditions
+ * @property {number} religiousBuildings
+ * @property {boolean} forfeited - Left the game for good; ranked last
+ */
+
+/**
+ * @typedef {Object} ConstructionAction
+ * @property {boolean} improvement
+ * @property {boolean} equipment
+ * @property {boolean} expedition
+ */
+
+/**
+ * @typedef {Object} ActiveEffect
+ * @property {string | null} id
+ * @property {string} type
+ * @property {string} target - 'all' or a faction name
+ * @property {number} value
+ * @property {number} turnsRemaining
+ * @property {string} description
+ */
+
+/**
+ * @typedef {typeof STANDARD_RULESET} Ruleset
+ */
+
+/**
+ * Outcome of an event, battle or vote, shown to players after it resolves.
+ * The client renders it through i18next as `battle.<code>`; params that
+ * name a region, faction(s) or buildings hold ids, not display names.
+ * @typedef {Object} GameResult
+ * @property {string} code
+ * @property {Object<string, string | number | string[]>} [params]
+ * @property {GameResult} [followUp] - Shown right after this result
+ */
+
+/**
+ * A step of an event outcome, interpreted by eventOutcomes.js
+ * @typedef {Object} EventStep
+ * @property {'change_money' | 'add_effect' | 'destroy_buildings' | 'roll' | 'if' | 'trigger_event' | 'message'} type
+ */
+
+/**
+ * @typedef {Object} EventOption
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [costText]
+ * @property {string} [effectText]
+ * @property {number} [requiresMinMoney]
+ * @property {{total: number}} [cost] - Split among the players who voted for the option
+ * @property {string | {option: string, everyone: boolean}} [fallback] - Resolved instead if the cost can't be paid
+ * @property {EventStep[]} [outcome]
+ */
+
+/**
+ * Event card as held in the game state. Only plain data: what the event
+ * does is described by its outcome steps.
+ * @typedef {Object} GameEvent
+ * @property {string} id
+ * @property {string} name
+ * @property {'immediate' | 'participation' | 'order_attack' | 'voting' | 'auction'} type
+ * @property {string} description
+ * @property {EventOption[]} [options]
+ * @property {EventStep[]} [outcome]
+ * @property {string} [defaultOption]
+ * @property {number} [orderStrength]
+ * @property {number} [minCostPerPlayer]
+ * @property {number} [totalCost]
+ * @property {number} [acceptCost]
+ * @property {number} [minBid]
+ * @property {string} [question]
+ */
+
+/**
+ * @typedef {Object} GameState
+ * @property {number} schemaVersion
+ * @property {import('./random.js').RngState} rng
+ * @property {Ruleset} ruleset
+ * @property {number} turn
+ * @property {Phase} phase
+ * @property {boolean} gameOver
+ * @property {boolean} gameEnded
+ * @property {number} currentPlayer
+ * @property {string} selectedRegion
+ * @property {ConstructionAction[]} constructionActions
+ * @property {boolean[]} constructionReady
+ * @property {boolean[]} continueReady - Seats ready to leave the events or veche phase
+ * @property {GameEvent | null} currentEvent
+ * @property {Array<string | boolean | null>} eventVotes - Option ids, bids or participation flags
+ * @property {boolean} eventResolved
+ * @property {GameResult | null} lastEventResult
+ * @property {boolean} eventImageRevealed
+ * @property {number[]} shuffledEventOrder
+ * @property {number} eventDrawIndex
+ * @property {{outcome: string, moneyChange: number, playerIndex: number} | null} lastExpeditionResult
+ * @property {ActiveEffect[]} activeEffects
+ * @property {unknown} battleState
+ * @property {unknown} militaryAction
+ * @property {number[]} militaryParticipants
+ * @property {string | null} targetRegion
+ * @property {number} orderStrength
+ * @property {string | null} attackPlanning
+ * @property {string | null} attackTarget
+ * @property {number | null} attackProposer - Seat that called the attack vote
+ * @property {Array<boolean | null>} attackVotes
+ * @property {string | null} fortressPlanning
+ * @property {string | null} fortressTarget
+ * @property {number | null} fortressProposer - Seat that called the fortress vote
+ * @property {Array<boolean | null>} fortressVotes
+ * @property {Record<string, Region>} regions
+ * @property {Player[]} players
+ */
+
+// Version of the game state shape. Bump this and add a step to the
+// migration chain in migrations.js whenever a field is added or changed.
+export const SCHEMA_VERSION = 7;
+
+// Create complete initial game state
+// Pass a seed to reproduce a game; otherwise a fresh one is generated
+/**
+ * @param {number} [seed]
+ * @param {Ruleset} [ruleset] - Rules to play by (defaults to the standard rules)
+ * @returns {GameState}
+ */
+export const createInitialGameState = (seed, ruleset = STANDARD_RULESET) => ({
+  schemaVersion: SCHEMA_VERSION,
+
+  // Seeded random number generator (see random.js)
+  rng: createRng(seed),
+
+  // Rules this game is played by
+  ruleset,
+
+  // Turn tracking
+  turn: 1,
+  phase: 'resources',
+  gameOver: false,
+  gameEnded: false,
+
+  // Construction phase state
+  currentPlayer: 0,
+  selectedRegion: 'pskov',
+  constructionActions: createInitialConstructionActions(),
+  constructionReady: [false, false, false],
+
+  // Seats ready to move on from the events or veche phase (online games)
+  continueReady: [false, false, false],
+
+  // Event phase state
+  currentEvent: null,
+  eventVotes: [null, null, null],
+  eventResolved: false,
+  lastEventResult: null,
+  eventImageRevealed: false,
+  shuffledEventOrder: [],
+  eventDrawIndex: 0,
+
+  // Expedition result (shown during construction)
+  lastExpeditionResult: null,
+
+  // Active effects
+  activeEffects: [],
+
+  // Battle state
+  battleState: null,
+  militaryAction: null,
+  militaryParticipants: [],
+  targetRegion: null,
+  orderStrength: 0,
+
+  // Attack planning
+  attackPlanning: null,
+  attackTarget: null,
+  attackProposer: null,
+  attackVotes: [null, null, null],
+
+  // Fortress planning
+  fortressPlanning: null,
+  fortressTarget: null,
+  fortressProposer: null,
+  fortressVotes: [null, null, null],
+
+  // Core game data
+  regions: createInitialRegions(),
+  players: createInitialPlayers(ruleset.startingMoney),
+});
+
+// Format region name for display
+export const formatRegionName = (regionName) => {
+  if (regionName === 'bearhill') return "Bear's Head";
+  return regionName.charAt(0).toUpperCase() + regionName.slice(1);
+};
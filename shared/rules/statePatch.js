@@ -0,0 +1,128 @@
+// Game state deltas for online play
+//
+// After each action the server sends clients only what changed, as a list
+// of JSON-patch (RFC 6902) operations. diffState never moves array items:
+// an array that changed length is replaced whole, so only add, remove and
+// replace are produced.
+
+/**
+ * @typedef {Object} PatchOperation
+ * @property {'add' | 'remove' | 'replace'} op
+ * @property {string} path - JSON pointer to the changed value, e.g. "/players/0/money"
+ * @property {*} [value] - The new value (add and replace)
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A key holding undefined is left out of JSON, so treat it as absent
+const hasKey = (object, key) => Object.prototype.hasOwnProperty.call(object, key) && object[key] !== undefined;
+
+const escapeToken = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const unescapeToken = (token) => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+const diffInto = (prev, next, path, operations) => {
+  if (prev === next) return;
+
+  if (Array.isArray(prev) && Array.isArray(next) && prev.length === next.length) {
+    next.forEach((item, index) => diffInto(prev[index], item, `${path}/${index}`, operations));
+    return;
+  }
+
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    for (const key of Object.keys(prev)) {
+      if (hasKey(prev, key) && !hasKey(next, key)) {
+        operations.push({ op: 'remove', path: `${path}/${escapeToken(key)}` });
+      }
+    }
+    for (const key of Object.keys(next)) {
+      if (!hasKey(next, key)) continue;
+      const childPath = `${path}/${escapeToken(key)}`;
+      if (hasKey(prev, key)) {
+        diffInto(prev[key], next[key], childPath, operations);
+      } else {
+        operations.push({ op: 'add', path: childPath, value: next[key] });
+      }
+    }
+    return;
+  }
+
+  operations.push({ op: 'replace', path, value: next });
+};
+
+/**
+ * The operations that turn one state into another.
+ * @param {object} prev
+ * @param {object} next
+ * @returns {PatchOperation[]}
+ */
+export const diffState = (prev, next) => {
+  const operations = [];
+  diffInto(prev, next, '', operations);
+  return operations;
+};
+
+// Apply one operation below `node`, copying only the objects on its path
+const applyAt = (node, tokens, operation) => {
+  if (tokens.length === 0) {
+    if (operation.op === 'remove') {
+      throw new Error('Cannot remove the whole state');
+    }
+    return operation.value;
+  }
+  if (node === null || typeof node !== 'object') {
+    throw new Error(`Patch path not found: ${operation.path}`);
+  }
+
+  const [token, ...rest] = tokens;
+  const copy = Array.isArray(node) ? [...node] : { ...node };
+  const key = Array.isArray(copy) ? Number(token) : token;
+  const exists = Array.isArray(copy) ? Number.isInteger(key) && key >= 0 && key < copy.length : hasKey(copy, key);
+
+  if (rest.length > 0) {
+    if (!exists) {
+      throw new Error(`Patch path not found: ${operation.path}`);
+    }
+    copy[key] = applyAt(copy[key], rest, operation);
+    return copy;
+  }
+
+  if (operation.op !== 'add' && !exists) {
+    throw new Error(`Patch path not found: ${operation.path}`);
+  }
+  if (Array.isArray(copy)) {
+    if (operation.op === 'remove') {
+      copy.splice(key, 1);
+    } else if (operation.op === 'add') {
+      const index = token === '-' ? copy.length : key;
+      if (!Number.isInteger(index) || index < 0 || index > copy.length) {
+        throw new Error(`Patch path not found: ${operation.path}`);
+      }
+      copy.splice(index, 0, operation.value);
+    } else {
+      copy[key] = operation.value;
+    }
+  } else if (operation.op === 'remove') {
+    delete copy[key];
+  } else {
+    copy[key] = operation.value;
+  }
+  return copy;
+};
+
+/**
+ * Apply operations from diffState, leaving the input untouched. Throws if
+ * an operation doesn't fit the state (it has drifted from the server's).
+ * @template T
+ * @param {T} state
+ * @param {PatchOperation[]} operations
+ * @returns {T}
+ */
+export const applyPatch = (state, operations) =>
+  operations.reduce((current, operation) => {
+    if (operation.path !== '' && !operation.path.startsWith('/')) {
+      throw new Error(`Invalid patch path: ${operation.path}`);
+    }
+    const tokens = operation.path === '' ? [] : operation.path.slice(1).split('/').map(unescapeToken);
+    return applyAt(current, tokens, operation);
+  }, state);
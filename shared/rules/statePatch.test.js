@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInitialGameState, RULESETS } from './state.js';
+import { applyAction, canResolveEvent, getGameResult, ActionTypes } from './actions.js';
+import { decideSeatActions } from './ai.js';
+import { hashState } from './actionLog.js';
+import { projectStateFor } from './visibility.js';
+import { diffState, applyPatch } from './statePatch.js';
+
+// Every state of a game played by the AI, as a room saves them
+const gameStates = (seed, ruleset) => {
+  let state = createInitialGameState(seed, ruleset);
+  const states = [state];
+  const play = (action, playerId) => {
+    state = applyAction(state, action, playerId).newState;
+    states.push(state);
+  };
+  while (!getGameResult(state) && states.length < 5000) {
+    if (state.phase === 'resources') {
+      play({ type: ActionTypes.NEXT_PHASE }, null);
+    } else if (state.phase === 'events' && canResolveEvent(state)) {
+      play({ type: ActionTypes.RESOLVE_EVENT }, null);
+    } else {
+      for (let seat = 0; seat < 3; seat++) {
+        decideSeatActions(state, seat).forEach((action) => play(action, seat));
+      }
+    }
+  }
+  return states;
+};
+
+// What a client does with a delta (see applyStatePatch in the game store):
+// the patch arrives as JSON and the result is checked against the hash
+const roundTrip = (prev, next) => {
+  const patch = JSON.parse(JSON.stringify(diffState(prev, next)));
+  const patched = applyPatch(JSON.parse(JSON.stringify(prev)), patch);
+  assert.equal(hashState(patched), hashState(next));
+  assert.deepEqual(patched, JSON.parse(JSON.stringify(next)));
+};
+
+describe('diffState and applyPatch', () => {
+  it('carry a client from each state of a game to the next', () => {
+    const states = gameStates(3, RULESETS.standard);
+    assert.ok(getGameResult(states[states.length - 1]), 'the game should be played to the end');
+    for (let i = 1; i < states.length; i++) {
+      roundTrip(states[i - 1], states[i]);
+    }
+  });
+
+  it('carry each seat and spectators through their own view', () => {
+    const states = gameStates(8, RULESETS.short);
+    for (const seat of [0, 1, 2, null]) {
+      for (let i = 1; i < states.length; i++) {
+        roundTrip(projectStateFor(states[i - 1], seat), projectStateFor(states[i], seat));
+      }
+    }
+  });
+
+  it('send nothing when nothing changed', () => {
+    const state = createInitialGameState(1);
+    assert.deepEqual(diffState(state, { ...state }), []);
+  });
+
+  it('handle added and removed keys, resized lists and keys that need escaping', () => {
+    const prev = { a: 1, gone: true, list: [1, 2], 'a/b': { '~x': 1 }, nested: { keep: 1 } };
+    const next = { a: 2, list: [1, 2, 3], 'a/b': { '~x': 2 }, nested: { keep: 1, added: [null] }, blank: undefined };
+    roundTrip(prev, next);
+    assert.deepEqual(
+      diffState(prev, next).map(({ op, path }) => `${op} ${path}`),
+      ['remove /gone', 'replace /a', 'replace /list', 'replace /a~1b/~0x', 'add /nested/added']
+    );
+  });
+
+  it('leave the state they patch untouched', () => {
+    const prev = { players: [{ money: 1 }], phase: 'construction' };
+    const snapshot = structuredClone(prev);
+    applyPatch(prev, diffState(prev, { players: [{ money: 4 }], phase: 'events' }));
+    assert.deepEqual(prev, snapshot);
+  });
+
+  it('refuse a patch that does not fit the state', () => {
+    assert.throws(() => applyPatch({ a: 1 }, [{ op: 'replace', path: 'a', value: 2 }]), /Invalid patch path/);
+    assert.throws(() => applyPatch({ a: 1 }, [{ op: 'replace', path: '/b/c', value: 2 }]));
+  });
+});
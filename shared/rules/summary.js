@@ -0,0 +1,92 @@
+// Post-game summaries
+//
+// A finished game is summed up from its log: the initial state is replayed
+// action by action, noting each seat's victory points and money at the end
+// of every turn and every battle fought with the Order along the way. The
+// result is small plain data, kept after the game and shown on the results
+// screen.
+
+import { getRuleset } from './state.js';
+import { applyAction, calculateVictoryPoints, getGameResult } from './actions.js';
+
+// Outcomes of battles with the Order, as set in lastEventResult
+const BATTLE_CODES = ['defenseVictory', 'defenseFailed', 'attackVictory', 'attackDefeat'];
+
+/**
+ * Victory points and money of every seat at the end of a turn
+ * @typedef {Object} TurnStanding
+ * @property {number} turn
+ * @property {number[]} victoryPoints - By seat
+ * @property {number[]} money - By seat
+ */
+
+/**
+ * A battle with the Order
+ * @typedef {Object} BattleRecord
+ * @property {number} turn
+ * @property {string} code - defenseVictory, defenseFailed, attackVictory or attackDefeat
+ * @property {{region: string, chance: number}} params - As in lastEventResult
+ * @property {number} pskovStrength
+ * @property {number} orderStrength
+ */
+
+/**
+ * @typedef {Object} GameSummary
+ * @property {string} ruleset - Ruleset preset id
+ * @property {number} turnsPlayed
+ * @property {boolean} pskovFell - The game ended early because the Order took Pskov
+ * @property {ReturnType<typeof getGameResult>} result - Final rankings
+ * @property {TurnStanding[]} turns
+ * @property {BattleRecord[]} battles
+ */
+
+const standingOf = (state) => ({
+  turn: state.turn,
+  victoryPoints: state.players.map(calculateVictoryPoints),
+  money: state.players.map((player) => player.money),
+});
+
+/**
+ * Sum up a game from the state it started in and its action log
+ * @param {import('./state.js').GameState} initialState
+ * @param {import('./actionLog.js').ActionLogEntry[]} log
+ * @returns {GameSummary}
+ */
+export const summarizeGame = (initialState, log) => {
+  const turns = [];
+  const battles = [];
+
+  let state = initialState;
+  for (const entry of log) {
+    const { newState } = applyAction(state, entry.action, entry.playerId, entry.randomValues);
+    if (newState.turn !== state.turn) {
+      turns.push(standingOf(state));
+    }
+    const outcome = newState.lastEventResult;
+    if (newState.battleResult && newState.battleResult !== state.battleResult && BATTLE_CODES.includes(outcome?.code)) {
+      battles.push({
+        turn: newState.turn,
+        code: outcome.code,
+        params: outcome.params,
+        pskovStrength: newState.battleResult.pskovStrength,
+        orderStrength: newState.battleResult.orderStrength,
+      });
+    }
+    state = newState;
+  }
+
+  // A game that ended mid-turn (Pskov fell) hasn't recorded its last turn
+  const ruleset = getRuleset(state);
+  if (state.turn <= ruleset.maxTurns) {
+    turns.push(standingOf(state));
+  }
+
+  return {
+    ruleset: ruleset.id,
+    turnsPlayed: Math.min(state.turn, ruleset.maxTurns),
+    pskovFell: state.gameOver,
+    result: getGameResult(state),
+    turns,
+    battles,
+  };
+};
@@ -0,0 +1,75 @@
+// What each seat may see of an online game
+//
+// Votes and bids are sealed: until everyone has cast theirs, a seat sees its
+// own vote and only *that* the others have voted. Once the last one is cast
+// they are revealed together. The server sends each socket its own
+// projection of the state.
+
+import { ActionTypes } from './actions.js';
+
+// Stands in for a vote the viewer may not see yet
+export const HIDDEN_VOTE = 'hidden';
+
+const VOTE_ACTIONS = [ActionTypes.VOTE_EVENT, ActionTypes.VOTE_ATTACK, ActionTypes.VOTE_FORTRESS];
+
+const allVoted = (votes) => votes.every((vote) => vote !== null);
+
+// Hide every cast vote but the viewer's
+const sealVotes = (votes, viewer) =>
+  votes.map((vote, index) => (vote === null || index === viewer ? vote : HIDDEN_VOTE));
+
+// Is a vote still open, with some but not all votes cast?
+const isOpen = (votes) => !allVoted(votes) && votes.some((vote) => vote !== null);
+
+/**
+ * The game state as a seat sees it. Observers (viewer null) see no
+ * pending votes at all.
+ * @param {import('./state.js').GameState} state
+ * @param {number | null} viewer
+ * @returns {import('./state.js').GameState}
+ */
+export const projectStateFor = (state, viewer) => {
+  let projected = state;
+  if (state.currentEvent && !state.eventResolved && isOpen(state.eventVotes)) {
+    projected = { ...projected, eventVotes: sealVotes(state.eventVotes, viewer) };
+  }
+  if (state.attackPlanning === 'planning' && isOpen(state.attackVotes)) {
+    projected = { ...projected, attackVotes: sealVotes(state.attackVotes, viewer) };
+  }
+  if (state.fortressPlanning === 'planning' && isOpen(state.fortressVotes)) {
+    projected = { ...projected, fortressVotes: sealVotes(state.fortressVotes, viewer) };
+  }
+  return projected;
+};
+
+/**
+ * The action log with the votes of a still-open vote sealed. Those are the
+ * vote entries (and rejected attempts) since the last action that went
+ * through and wasn't a vote. From the first sealed vote on, entries also
+ * lose their draws and state hashes: there are only a few ways anyone can
+ * vote, so the hash of the state a vote led to would give the vote away.
+ * @param {import('./actionLog.js').ActionLogEntry[]} log
+ * @param {import('./state.js').GameState} state - The game's current state
+ * @returns {import('./actionLog.js').ActionLogEntry[]}
+ */
+export const sealActionLog = (log, state) => {
+  if (projectStateFor(state, null) === state) return log;
+
+  let firstSealed = log.length;
+  for (let i = log.length - 1; i >= 0; i--) {
+    const entry = log[i];
+    const isVote = VOTE_ACTIONS.includes(entry.action.type);
+    if (!isVote && !entry.error) break;
+    if (isVote) firstSealed = i;
+  }
+  return log.map((entry, i) => {
+    if (i < firstSealed) return entry;
+    const { draws, stateHash, ...sealed } = entry;
+    return VOTE_ACTIONS.includes(entry.action.type)
+      ? { ...sealed, action: { ...entry.action, vote: HIDDEN_VOTE } }
+      : sealed;
+  });
+};
+
+// Was this vote sealed by projectStateFor?
+export const isHiddenVote = (vote) => vote === HIDDEN_VOTE;
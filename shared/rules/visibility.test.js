@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInitialGameState } from './state.js';
+import { applyAction, ActionTypes } from './actions.js';
+import { findEventCard } from './eventDeck.js';
+import { projectStateFor, sealActionLog, HIDDEN_VOTE } from './visibility.js';
+
+// A game in its events phase with `eventId` on the table
+const withEvent = (eventId) => {
+  const state = createInitialGameState(1);
+  return {
+    ...state,
+    phase: 'events',
+    currentEvent: findEventCard(eventId),
+    players: state.players.map((player) => ({ ...player, money: 10 })),
+  };
+};
+
+// Apply [action, seat] steps, keeping the log a room would
+const playLogged = (state, steps) => {
+  const log = [];
+  for (const [action, seat] of steps) {
+    const result = applyAction(state, action, seat);
+    log.push(result.logEntry);
+    state = result.newState;
+  }
+  return { state, log };
+};
+
+const vote = (value) => ({ type: ActionTypes.VOTE_EVENT, vote: value });
+
+describe('projectStateFor', () => {
+  const { state } = playLogged(withEvent('merchants_robbed'), [[vote('trade_risk'), 0], [vote('rob_foreign'), 1]]);
+
+  it('shows a seat its own vote and only that the others have voted', () => {
+    assert.deepEqual(projectStateFor(state, 0).eventVotes, ['trade_risk', HIDDEN_VOTE, null]);
+    assert.deepEqual(projectStateFor(state, 1).eventVotes, [HIDDEN_VOTE, 'rob_foreign', null]);
+    assert.deepEqual(projectStateFor(state, 2).eventVotes, [HIDDEN_VOTE, HIDDEN_VOTE, null]);
+    assert.deepEqual(projectStateFor(state, null).eventVotes, [HIDDEN_VOTE, HIDDEN_VOTE, null]);
+  });
+
+  it('reveals every vote once the last is cast', () => {
+    const { state: voted } = playLogged(state, [[vote('trade_risk'), 2]]);
+    assert.equal(projectStateFor(voted, null), voted);
+  });
+
+  it('seals attack votes the same way', () => {
+    const veche = { ...createInitialGameState(1), phase: 'veche' };
+    const { state: planning } = playLogged(veche, [
+      [{ type: ActionTypes.INITIATE_ATTACK, targetRegion: 'bearhill' }, 0],
+      [{ type: ActionTypes.VOTE_ATTACK, vote: true }, 2],
+    ]);
+    assert.deepEqual(projectStateFor(planning, 0).attackVotes, [null, null, HIDDEN_VOTE]);
+    assert.deepEqual(projectStateFor(planning, 2).attackVotes, [null, null, true]);
+  });
+});
+
+describe('sealActionLog', () => {
+  it('leaves the log alone while no vote is open', () => {
+    const { state, log } = playLogged(withEvent('merchants_robbed'), [
+      [vote('trade_risk'), 0],
+      [vote('trade_risk'), 1],
+      [vote('trade_risk'), 2],
+    ]);
+    assert.equal(sealActionLog(log, state), log);
+  });
+
+  it('hides the votes of the open vote, rejected attempts included', () => {
+    const { state, log } = playLogged(withEvent('merchants_robbed'), [
+      [vote('trade_risk'), 0],
+      [vote('rob_foreign'), 0],
+      [vote('rob_foreign'), 1],
+    ]);
+    const sealed = sealActionLog(log, state);
+    assert.deepEqual(sealed.map((entry) => entry.action.vote), [HIDDEN_VOTE, HIDDEN_VOTE, HIDDEN_VOTE]);
+    assert.equal(sealed[1].error, log[1].error);
+  });
+
+  it('keeps nothing a hidden vote could be worked out from', () => {
+    // Two games that differ only in how seat 0 voted
+    const sealedLog = (answer) => {
+      const { state, log } = playLogged(withEvent('order_attack_95'), [[vote(answer), 0], [vote(true), 1]]);
+      return sealActionLog(log, state);
+    };
+    const sealed = sealedLog(true);
+    assert.deepEqual(sealedLog(false), sealed);
+    for (const entry of sealed) {
+      assert.equal('stateHash' in entry, false);
+      assert.equal('draws' in entry, false);
+    }
+  });
+
+  it('keeps the hashes of the entries before the open vote', () => {
+    const veche = { ...createInitialGameState(1), phase: 'veche' };
+    const { state, log } = playLogged(veche, [
+      [{ type: ActionTypes.INITIATE_ATTACK, targetRegion: 'bearhill' }, 0],
+      [{ type: ActionTypes.VOTE_ATTACK, vote: false }, 1],
+    ]);
+    const sealed = sealActionLog(log, state);
+    assert.equal(sealed[0].stateHash, log[0].stateHash);
+    assert.equal(sealed[1].stateHash, undefined);
+  });
+});
@@ -5,27 +5,37 @@
 // Usage:
 //   node simulate.js          # 1000 games (default)
 //   node simulate.js 500      # 500 games
+//   node simulate.js 500 42   # 500 games seeded 42, 43, … (reproducible)
+//   node simulate.js 500 42 hard_order   # same, with a ruleset preset
 
-import { createInitialGameState, PHASES } from './src/game/state.js';
-import { applyAction, ActionTypes, nextPhase, getGameResult } from './src/game/actions.js';
-import { decideConstruction, decideEventVote, decideAttackVote, decideFortressVote } from './src/game/ai.js';
-import { getValidRepublicAttackTargets, getRegionsForFortress } from './src/game/regions.js';
+import { createInitialGameState, PHASES, RULESETS } from './shared/rules/state.js';
+import { applyAction, ActionTypes, nextPhase, getGameResult } from './shared/rules/actions.js';
+import { decideConstruction, decideEventVote, decideAttackVote, decideFortressVote } from './shared/rules/ai.js';
+import { getValidRepublicAttackTargets, getRegionsForFortress } from './shared/rules/regions.js';
+import { generateSeed, randomFor } from './shared/rules/random.js';
 
 const NUM_GAMES = parseInt(process.argv[2], 10) || 1000;
+const BASE_SEED = process.argv[3] !== undefined ? parseInt(process.argv[3], 10) : generateSeed();
+const RULESET = RULESETS[process.argv[4] || 'standard'];
+
+if (!RULESET) {
+  console.error(`Unknown ruleset "${process.argv[4]}". Available: ${Object.keys(RULESETS).join(', ')}`);
+  process.exit(1);
+}
 
 // ---------------------------------------------------------------------------
 // Headless game loop
 // ---------------------------------------------------------------------------
 
-function simulateGame() {
-  let state = createInitialGameState();
+function simulateGame(seed) {
+  let state = createInitialGameState(seed, RULESET);
 
   // The game starts on phase 'resources' at turn 1.
   // Phase order: resources → construction → events → veche → (next turn) resources …
   // nextPhase() handles income calc when *leaving* resources, draws event when
   // *entering* events, and bumps the turn counter when wrapping from veche→resources.
 
-  while (state.turn <= 20 && !state.gameOver) {
+  while (state.turn <= RULESET.maxTurns && !state.gameOver) {
     // --- RESOURCES phase: just advance past it (nextPhase computes income) ---
     state = nextPhase(state); // resources → construction
 
@@ -93,7 +103,7 @@ function simulateGame() {
     const attackTargets = getValidRepublicAttackTargets(state.regions);
     if (attackTargets.length > 0) {
       // Pick a random target
-      const target = attackTargets[Math.floor(Math.random() * attackTargets.length)];
+      const target = attackTargets[Math.floor(randomFor(state, 3) * attackTargets.length)];
 
       // Check if majority would vote yes before initiating
       const votes = [0, 1, 2].map(p => decideAttackVote(state, p));
@@ -117,7 +127,7 @@ function simulateGame() {
     // AI decides whether to build a fortress
     const fortressSites = getRegionsForFortress(state.regions);
     if (fortressSites.length > 0 && !state.gameOver) {
-      const target = fortressSites[Math.floor(Math.random() * fortressSites.length)];
+      const target = fortressSites[Math.floor(randomFor(state, 4) * fortressSites.length)];
 
       const votes = [0, 1, 2].map(p => decideFortressVote(state, p));
       const yesCount = votes.filter(v => v === true).length;
@@ -139,9 +149,9 @@ function simulateGame() {
     state = nextPhase(state); // veche → resources (turn increments)
   }
 
-  // Force turn past 20 so getGameResult fires
-  if (!state.gameOver && state.turn <= 20) {
-    state = { ...state, turn: 21 };
+  // Force turn past the last one so getGameResult fires
+  if (!state.gameOver && state.turn <= RULESET.maxTurns) {
+    state = { ...state, turn: RULESET.maxTurns + 1 };
   }
 
   return getGameResult(state);
@@ -161,7 +171,7 @@ let pskovFell = 0;
 const startTime = Date.now();
 
 for (let i = 0; i < NUM_GAMES; i++) {
-  const result = simulateGame();
+  const result = simulateGame(BASE_SEED + i);
 
   if (!result) {
     // Shouldn't happen, but guard against it
@@ -184,7 +194,7 @@ const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
 // Print results
 // ---------------------------------------------------------------------------
 
-console.log(`\nFaction Balance Simulation (${NUM_GAMES} games, ${elapsed}s)`);
+console.log(`\nFaction Balance Simulation (${NUM_GAMES} games, seed ${BASE_SEED}, ${RULESET.id} rules, ${elapsed}s)`);
 console.log('='.repeat(56));
 console.log(
   'Faction'.padEnd(14) +
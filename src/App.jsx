@@ -1,73 +1,87 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
-import { toggleLanguage } from './i18n';
+import { toggleLanguage, translateResult } from './i18n';
 import { FACTION_IMAGES, BUILDING_IMAGES, EVENT_IMAGES, EQUIPMENT_IMAGES, EXPEDITION_IMAGE, getEventImage, getEquipmentImage } from './imageAssets';
 
 // Import Zustand store
 import { useGameStore } from './store/gameStore';
 
 // Import UI components
-import { MainMenu, Lobby, FactionScreen, GameMap, DiscussionPanel, HowToPlay } from './components';
+import {
+  MainMenu,
+  Lobby,
+  MatchSummary,
+  FactionScreen,
+  GameMap,
+  DiscussionPanel,
+  ChatPanel,
+  HowToPlay,
+  TurnTimer,
+} from './components';
 
 // Import discussion service
 import { requestDiscussion } from './services/discussion';
 
+// Import game export/import
+import { createExport, downloadExport, createShareUrl, isGameFragment, importFromText, importFromFragment } from './services/gameTransfer';
+import { multiplayer, createResultsUrl, getResultsRoom } from './services/multiplayer';
+
 // Import game logic from modular structure
 import {
-  // Constants
-  PHASES,
-  PHASE_NAMES,
-  PHASE_DESCRIPTIONS,
-  BUILDING_NAMES,
-  FORTRESS_DEFENSE_BONUS,
-  EXPEDITION_COST,
-  EXPEDITION_MAX_PER_GAME,
+  // Actions
+  ActionTypes,
+  calculateVictoryPoints,
+  getGameResult,
 
   // Region logic
-  MAP_ADJACENCY,
-  getValidOrderAttackTargets,
   getValidRepublicAttackTargets,
-  countRepublicRegions,
-  getRegionsForFortress,
 
   // Effects
-  createEffect,
-  getStrengthModifier as getStrengthModifierPure,
   getIncomeModifier as getIncomeModifierPure,
 
   // Combat
-  getOrderTurnBonus,
+  getOrderStrength,
   getAttackStrengthLabel,
   calculatePlayerStrength as calculatePlayerStrengthPure,
-  calculateTotalStrength as calculateTotalStrengthPure,
-  getVictoryChance as getVictoryChancePure,
-  surrenderRegion as surrenderRegionPure,
-  executeBattle as executeBattlePure,
-  executeAttack as executeAttackPure,
-  destroyRandomBuildings,
 
   // Events
-  eventDeck,
-  eventTypes as eventTypesPure,
+  getVotingResult,
+  getAuctionResult,
+  getParticipationResult,
 
   // State
-  createInitialGameState,
-  formatRegionName,
+  getRuleset,
 
   // AI
-  decideConstruction,
-  decideEventVote,
-  decideAttackVote,
-  decideFortressVote,
-} from './game';
+  decideSeatActions,
+
+  // Sealed votes (online)
+  isHiddenVote,
+
+  // Phase consensus (online)
+  canContinue,
+} from '../shared/rules';
 
-const PskovGame = ({ onMenu }) => {
+// Battle results shown in the attack section, and how to color them
+const BATTLE_OUTCOMES = {
+  defenseVictory: 'victory',
+  attackVictory: 'victory',
+  defenseFailed: 'defeat',
+  attackDefeat: 'defeat',
+};
+
+const PskovGame = ({ onMenu, onShowResults }) => {
   // Translation hook
   const { t, i18n } = useTranslation();
 
   // Get state and actions from Zustand store
   const gameState = useGameStore((state) => state.gameState);
-  const setGameState = useGameStore((state) => state.setGameState);
+  // Rules this game is played by (turn limit, costs, income, Order strength)
+  const ruleset = getRuleset(gameState);
+  const playLocalAction = useGameStore((state) => state.playLocalAction);
+  const endLocalTurn = useGameStore((state) => state.endLocalTurn);
+  const advanceLocalPhase = useGameStore((state) => state.advanceLocalPhase);
+  const playLocalAiSeat = useGameStore((state) => state.playLocalAiSeat);
   const initLocalGame = useGameStore((state) => state.initLocalGame);
   const mode = useGameStore((state) => state.mode);
   const playerId = useGameStore((state) => state.playerId);
@@ -76,10 +90,27 @@ const PskovGame = ({ onMenu }) => {
   const setDiscussionLoading = useGameStore((state) => state.setDiscussionLoading);
   const addDiscussionMessages = useGameStore((state) => state.addDiscussionMessages);
   const clearDiscussion = useGameStore((state) => state.clearDiscussion);
+  const undo = useGameStore((state) => state.undo);
+  const redo = useGameStore((state) => state.redo);
+  const canUndo = useGameStore((state) => state.history.past.length > 0);
+  const canRedo = useGameStore((state) => state.history.future.length > 0);
+  const saveLocalGame = useGameStore((state) => state.saveLocalGame);
+  const roomId = useGameStore((state) => state.roomId);
+  const room = useGameStore((state) => state.room);
+  const deadline = useGameStore((state) => state.deadline);
+  const error = useGameStore((state) => state.error);
+  const clearError = useGameStore((state) => state.clearError);
+  const notice = useGameStore((state) => state.notice);
+  const clearNotice = useGameStore((state) => state.clearNotice);
 
   // Help modal state
   const [showHelp, setShowHelp] = useState(false);
 
+  // Transient "Game saved" / "Save failed" notice
+  const [saveNotice, setSaveNotice] = useState(null);
+  // Transient "Link copied" / "Export failed" notice
+  const [shareNotice, setShareNotice] = useState(null);
+
   // Income notification state (shown briefly at top of construction phase)
   const [incomeNotification, setIncomeNotification] = useState(null);
   const incomeAdvancingRef = useRef(false);
@@ -148,16 +179,17 @@ const PskovGame = ({ onMenu }) => {
   // Auto-advance from resources phase — calculate income and skip to construction
   useEffect(() => {
     if (!gameState || gameState.phase !== 'resources') return;
-    if (gameState.turn > 20 || gameState.gameOver) return;
+    if (gameState.turn > ruleset.maxTurns || gameState.gameOver) return;
     // Online mode: server handles resources auto-skip
     if (mode === 'online') return;
     if (incomeAdvancingRef.current) return;
 
     // Calculate income preview for the notification banner
     const republicRegions = Object.values(gameState.regions).filter(r => r.controller === 'republic').length;
+    const { income } = ruleset;
     const incomeData = gameState.players.map((player) => {
-      const baseIncome = 0.5 + (republicRegions * 0.25) + ((player.improvements - (player.religiousBuildings || 0)) * 0.25);
-      const modifier = getIncomeModifier(player.faction);
+      const baseIncome = income.base + (republicRegions * income.perRegion) + ((player.improvements - (player.religiousBuildings || 0)) * income.perBuilding);
+      const modifier = getIncomeModifierPure(gameState.activeEffects, player.faction);
       const finalIncome = baseIncome * modifier;
       return { faction: player.faction, income: finalIncome };
     });
@@ -167,7 +199,7 @@ const PskovGame = ({ onMenu }) => {
 
     // Auto-advance after a brief tick so React can process state
     const timer = setTimeout(() => {
-      nextPhase();
+      advanceLocalPhase();
       incomeAdvancingRef.current = false;
     }, 50);
 
@@ -178,6 +210,25 @@ const PskovGame = ({ onMenu }) => {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [gameState?.phase, gameState?.turn, gameState?.gameOver, mode]);
 
+  // Undo/redo keyboard shortcuts (local games only)
+  useEffect(() => {
+    if (mode !== 'local') return;
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target instanceof HTMLElement && e.target.closest('input, textarea')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [mode, undo, redo]);
+
   // Auto-dismiss income notification after a few seconds
   useEffect(() => {
     if (!incomeNotification) return;
@@ -185,196 +236,56 @@ const PskovGame = ({ onMenu }) => {
     return () => clearTimeout(timer);
   }, [incomeNotification]);
 
-  // Animate event image reveal after 2 seconds
+  // Auto-dismiss online notices (e.g. "Merchants reconnected")
   useEffect(() => {
-    if (gameState?.currentEvent && !gameState?.eventImageRevealed) {
-      const timer = setTimeout(() => {
-        // Use functional update to avoid stale closure
-        setGameState(prev => ({
-          ...prev,
-          eventImageRevealed: true
-        }));
-      }, 2000);
-
-      return () => clearTimeout(timer);
-    }
-  }, [gameState?.currentEvent, gameState?.eventImageRevealed, setGameState]);
+    if (!notice) return;
+    const timer = setTimeout(clearNotice, 6000);
+    return () => clearTimeout(timer);
+  }, [notice, clearNotice]);
+
+  // Animate event image reveal after 2 seconds. Which card has been revealed
+  // is only how it is shown, so it is kept out of the game state (and with
+  // that out of the undo history and the server's state).
+  const eventKey = gameState?.currentEvent ? `${gameState.turn}:${gameState.currentEvent.id}` : null;
+  const [revealedEvent, setRevealedEvent] = useState(null);
+  const eventImageRevealed = eventKey !== null && revealedEvent === eventKey;
+  useEffect(() => {
+    if (eventKey === null || revealedEvent === eventKey) return;
+    const timer = setTimeout(() => setRevealedEvent(eventKey), 2000);
+    return () => clearTimeout(timer);
+  }, [eventKey, revealedEvent]);
 
-  // AI player automation
+  // AI player automation: seats the computer plays make their choices
+  // through the shared rules, after a short pause so the table sees them act
   useEffect(() => {
-    if (!gameState || mode !== 'local' || gameState.gameOver || gameState.turn > 20) return;
+    if (!gameState || mode !== 'local' || gameState.gameOver || gameState.turn > ruleset.maxTurns) return;
 
-    // --- Construction phase: auto-play AI turns ---
-    if (gameState.phase === 'construction' && aiPlayers[gameState.currentPlayer] && !gameState.constructionReady[gameState.currentPlayer]) {
+    // --- Construction phase: the AI takes its whole turn, then hands over ---
+    if (gameState.phase === 'construction') {
+      const aiIndex = gameState.currentPlayer;
+      if (!aiPlayers[aiIndex] || gameState.constructionReady[aiIndex]) return;
       const timer = setTimeout(() => {
         const currentState = useGameStore.getState().gameState;
-        if (!currentState || currentState.phase !== 'construction') return;
-        const aiIndex = currentState.currentPlayer;
-        if (currentState.constructionReady[aiIndex]) return;
-        if (!aiPlayers[aiIndex]) return;
-
-        const decision = decideConstruction(currentState, aiIndex);
-
-        setGameState(prev => {
-          if (!prev || prev.phase !== 'construction' || prev.currentPlayer !== aiIndex) return prev;
-          let state = { ...prev };
-
-          // Select region and build if decided
-          if (decision.buildingType && decision.regionName && prev.players[aiIndex].money >= 2) {
-            const region = state.regions[decision.regionName];
-            const buildingType = decision.buildingType;
-
-            // Check building is available
-            let canBuild = false;
-            if (buildingType.startsWith('merchant_')) {
-              canBuild = (region.buildings[buildingType] || 0) < 7;
-            } else {
-              canBuild = (region.buildings[buildingType] || 0) === 0;
-            }
-
-            if (canBuild && !state.constructionActions[aiIndex].improvement) {
-              const newBuildings = buildingType.startsWith('merchant_')
-                ? { ...region.buildings, [buildingType]: (region.buildings[buildingType] || 0) + 1 }
-                : { ...region.buildings, [buildingType]: 1 };
-
-              state = {
-                ...state,
-                selectedRegion: decision.regionName,
-                regions: {
-                  ...state.regions,
-                  [decision.regionName]: { ...region, buildings: newBuildings },
-                },
-                players: state.players.map((p, i) => {
-                  if (i !== aiIndex) return p;
-                  const isReligious = buildingType === 'commoner_church' || buildingType === 'noble_monastery' || buildingType === 'merchant_church';
-                  return {
-                    ...p,
-                    money: p.money - 2,
-                    improvements: p.improvements + 1,
-                    religiousBuildings: (p.religiousBuildings || 0) + (isReligious ? 1 : 0),
-                  };
-                }),
-                constructionActions: state.constructionActions.map((ca, i) =>
-                  i === aiIndex ? { ...ca, improvement: true } : ca
-                ),
-              };
-            }
-          }
-
-          // Buy equipment if decided and affordable
-          if (decision.equipmentType && state.players[aiIndex].money >= 1 && !state.constructionActions[aiIndex].equipment && state.players[aiIndex][decision.equipmentType] < 2) {
-            const eqType = decision.equipmentType;
-            state = {
-              ...state,
-              players: state.players.map((p, i) =>
-                i === aiIndex ? { ...p, money: p.money - 1, [eqType]: p[eqType] + 1 } : p
-              ),
-              constructionActions: state.constructionActions.map((ca, i) =>
-                i === aiIndex ? { ...ca, equipment: true } : ca
-              ),
-            };
-          }
-
-          // Send expedition if decided (Merchants only)
-          if (decision.sendExpedition && state.players[aiIndex].money >= 1
-              && !state.constructionActions[aiIndex].expedition
-              && state.players[aiIndex].expeditions < 2) {
-            const roll = Math.floor(Math.random() * 3);
-            let moneyChange = -1;
-            if (roll === 1) moneyChange += 3;
-            else if (roll === 2) moneyChange += 6;
-            state = {
-              ...state,
-              players: state.players.map((p, i) =>
-                i === aiIndex ? { ...p, money: p.money + moneyChange, expeditions: p.expeditions + 1 } : p
-              ),
-              constructionActions: state.constructionActions.map((ca, i) =>
-                i === aiIndex ? { ...ca, expedition: true } : ca
-              ),
-            };
-          }
-
-          // Mark AI as done and advance to next player
-          const newReady = [...state.constructionReady];
-          newReady[aiIndex] = true;
-          return { ...state, currentPlayer: (aiIndex + 1) % 3, constructionReady: newReady };
-        });
+        if (!currentState || currentState.phase !== 'construction' || currentState.currentPlayer !== aiIndex) return;
+        playLocalAiSeat(aiIndex);
       }, 800); // Short delay so human can see AI is taking a turn
       return () => clearTimeout(timer);
     }
 
-    // --- Events phase: auto-vote for AI players ---
-    if (gameState.phase === 'events' && gameState.currentEvent && !gameState.eventResolved) {
-      // Find AI players that haven't voted yet
-      const aiNeedsVote = aiPlayers.map((isAi, i) =>
-        isAi && gameState.eventVotes[i] === null ? i : -1
-      ).filter(i => i >= 0);
-
-      if (aiNeedsVote.length > 0) {
-        const timer = setTimeout(() => {
-          const currentState = useGameStore.getState().gameState;
-          if (!currentState || currentState.phase !== 'events' || !currentState.currentEvent || currentState.eventResolved) return;
-
-          setGameState(prev => {
-            if (!prev || !prev.currentEvent) return prev;
-            const newVotes = [...prev.eventVotes];
-            aiNeedsVote.forEach(aiIndex => {
-              if (newVotes[aiIndex] === null) {
-                newVotes[aiIndex] = decideEventVote(prev, aiIndex, prev.currentEvent);
-              }
-            });
-            return { ...prev, eventVotes: newVotes };
-          });
-        }, 1000);
-        return () => clearTimeout(timer);
-      }
-    }
+    // --- Events and veche: AI players vote on the event, attack or fortress ---
+    const voting = gameState.phase === 'events'
+      ? gameState.currentEvent && !gameState.eventResolved
+      : gameState.attackPlanning === 'planning' || gameState.fortressPlanning === 'planning';
+    if (!voting) return;
+    const aiNeedsVote = aiPlayers
+      .map((isAi, i) => (isAi && decideSeatActions(gameState, i).length > 0 ? i : -1))
+      .filter(i => i >= 0);
+    if (aiNeedsVote.length === 0) return;
 
-    // --- Veche phase: auto-vote for attacks ---
-    if (gameState.phase === 'veche' && gameState.attackPlanning === 'planning') {
-      const aiNeedsVote = aiPlayers.map((isAi, i) =>
-        isAi && gameState.attackVotes[i] === null ? i : -1
-      ).filter(i => i >= 0);
-
-      if (aiNeedsVote.length > 0) {
-        const timer = setTimeout(() => {
-          setGameState(prev => {
-            if (!prev || prev.attackPlanning !== 'planning') return prev;
-            const newVotes = [...prev.attackVotes];
-            aiNeedsVote.forEach(aiIndex => {
-              if (newVotes[aiIndex] === null) {
-                newVotes[aiIndex] = decideAttackVote(prev, aiIndex);
-              }
-            });
-            return { ...prev, attackVotes: newVotes };
-          });
-        }, 800);
-        return () => clearTimeout(timer);
-      }
-    }
-
-    // --- Veche phase: auto-vote for fortress ---
-    if (gameState.phase === 'veche' && gameState.fortressPlanning === 'planning') {
-      const aiNeedsVote = aiPlayers.map((isAi, i) =>
-        isAi && gameState.fortressVotes[i] === null ? i : -1
-      ).filter(i => i >= 0);
-
-      if (aiNeedsVote.length > 0) {
-        const timer = setTimeout(() => {
-          setGameState(prev => {
-            if (!prev || prev.fortressPlanning !== 'planning') return prev;
-            const newVotes = [...prev.fortressVotes];
-            aiNeedsVote.forEach(aiIndex => {
-              if (newVotes[aiIndex] === null) {
-                newVotes[aiIndex] = decideFortressVote(prev, aiIndex);
-              }
-            });
-            return { ...prev, fortressVotes: newVotes };
-          });
-        }, 800);
-        return () => clearTimeout(timer);
-      }
-    }
+    const timer = setTimeout(() => {
+      aiNeedsVote.forEach(aiIndex => playLocalAiSeat(aiIndex));
+    }, gameState.phase === 'events' ? 1000 : 800);
+    return () => clearTimeout(timer);
   }, [
     gameState?.phase,
     gameState?.currentPlayer,
@@ -389,21 +300,9 @@ const PskovGame = ({ onMenu }) => {
     gameState?.turn,
     aiPlayers,
     mode,
-    setGameState,
+    playLocalAiSeat,
   ]);
 
-  // --- Solo mode: auto-advance construction phase when all players are done ---
-  useEffect(() => {
-    if (!gameState || mode !== 'local' || gameState.phase !== 'construction') return;
-    if (!aiPlayers.some(Boolean)) return; // only in solo mode
-    if (!gameState.constructionReady.every(Boolean)) return; // not all done yet
-
-    const timer = setTimeout(() => {
-      nextPhase();
-    }, 400);
-    return () => clearTimeout(timer);
-  }, [gameState?.phase, gameState?.constructionReady, aiPlayers, mode]);
-
   // --- AI Discussion: trigger after all AI players have voted on events ---
   useEffect(() => {
     if (!gameState || gameState.phase !== 'events' || !gameState.currentEvent || gameState.eventResolved) return;
@@ -472,1269 +371,9 @@ const PskovGame = ({ onMenu }) => {
     veche: t('phases.veche'),
   };
 
-  // Effects management functions
-  const addEffect = (newEffect) => {
-    setGameState(prev => ({
-      ...prev,
-      activeEffects: [...prev.activeEffects, {
-        ...newEffect,
-        id: `${newEffect.type}_${Date.now()}` // Generate unique ID
-      }]
-    }));
-  };
-
-  const updateEffects = () => {
-    setGameState(prev => ({
-      ...prev,
-      activeEffects: prev.activeEffects
-        .map(effect => ({
-          ...effect,
-          turnsRemaining: effect.turnsRemaining - 1
-        }))
-        .filter(effect => effect.turnsRemaining > 0)
-    }));
-  };
-
-  // Calculate strength modifiers from active effects
-  const getStrengthModifier = (faction) => {
-    return gameState.activeEffects.reduce((total, effect) => {
-      if (effect.type === 'strength_bonus' || effect.type === 'strength_penalty') {
-        if (effect.target === 'all' || effect.target === faction) {
-          return total + effect.value;
-        }
-      }
-      return total;
-    }, 0);
-  };
-
-  // Calculate income modifiers from active effects
-  const getIncomeModifier = (faction) => {
-    let modifier = 1.0; // Start with 100%
-    gameState.activeEffects.forEach(effect => {
-      if (effect.type === 'income_penalty') {
-        if (effect.target === 'all' || effect.target === faction) {
-          modifier *= (1 + effect.value); // value should be negative (e.g., -0.5 for -50%)
-        }
-      }
-    });
-    return modifier;
-  };
-
-  // Military calculation functions — delegate to pure game modules
+  // Strength shown for each player — from the pure game modules
   const calculatePlayerStrength = (playerIndex) => {
-    return calculatePlayerStrengthPure(gameState.players[playerIndex], gameState.activeEffects);
-  };
-
-  const calculateTotalPskovStrength = (participants) => {
-    return calculateTotalStrengthPure(gameState.players, participants, gameState.activeEffects);
-  };
-
-  const getVictoryChance = (strengthDiff) => {
-    return getVictoryChancePure(strengthDiff);
-  };
-
-  // Translate battleResult from pure module output into localized lastEventResult
-  const translateBattleResult = (state) => {
-    const br = state.battleResult;
-    if (!br) return state;
-
-    const regionDisplayName = t(`regions.${br.region}`);
-    let lastEventResult;
-
-    switch (br.type) {
-      case 'game_over':
-        lastEventResult = t('battle.gameOver');
-        break;
-      case 'surrendered':
-        lastEventResult = t('battle.surrendered', { region: regionDisplayName });
-        break;
-      case 'defense_victory':
-        lastEventResult = t('battle.defenseVictory', {
-          region: regionDisplayName,
-          chance: br.chancePercent,
-          pskovStrength: br.pskovStrength,
-          orderStrength: br.orderStrength,
-        });
-        break;
-      case 'defense_defeat': {
-        const surrenderMsg = t('battle.surrendered', { region: regionDisplayName });
-        lastEventResult = `${t('battle.defenseFailed', {
-          region: regionDisplayName,
-          chance: br.chancePercent,
-          pskovStrength: br.pskovStrength,
-          orderStrength: br.orderStrength,
-        })} ${surrenderMsg}`;
-        break;
-      }
-      case 'attack_victory':
-        lastEventResult = t('battle.attackVictory', {
-          region: regionDisplayName,
-          chance: br.chancePercent,
-          pskovStrength: br.pskovStrength,
-          orderStrength: br.orderStrength,
-        });
-        break;
-      case 'attack_defeat':
-        lastEventResult = t('battle.attackDefeat', {
-          region: regionDisplayName,
-          chance: br.chancePercent,
-          pskovStrength: br.pskovStrength,
-          orderStrength: br.orderStrength,
-        });
-        break;
-      default:
-        return state;
-    }
-
-    return { ...state, lastEventResult };
-  };
-
-  // Battle outcome functions — delegate to pure modules and translate
-  const surrenderRegion = (gameState, regionName) => {
-    return translateBattleResult(surrenderRegionPure(gameState, regionName));
-  };
-
-  const executeBattle = (gameState, orderStrength, targetRegion, defendingPlayers) => {
-    return translateBattleResult(executeBattlePure(gameState, orderStrength, targetRegion, defendingPlayers));
-  };
-
-  const initiateAttack = (targetRegion) => {
-    setGameState(prev => ({
-      ...prev,
-      attackPlanning: 'planning',
-      attackTarget: targetRegion,
-      attackVotes: [null, null, null]
-    }));
-  };
-
-  const executeAttack = () => {
-    const { attackTarget, attackVotes } = gameState;
-    const participants = attackVotes.filter(v => v === true).length;
-    const costPerParticipant = 2;
-
-    // Deduct money from participants
-    const newPlayers = gameState.players.map((player, index) => {
-      if (attackVotes[index] === true) {
-        return { ...player, money: player.money - costPerParticipant };
-      }
-      return player;
-    });
-
-    // Get attacking players
-    const attackingPlayers = [];
-    attackVotes.forEach((vote, index) => {
-      if (vote === true) attackingPlayers.push(index);
-    });
-
-    // Delegate to pure combat module (includes turn-based Order scaling)
-    const combatResult = executeAttackPure(
-      { ...gameState, players: newPlayers },
-      attackTarget,
-      attackingPlayers
-    );
-
-    const translatedState = translateBattleResult(combatResult.newState);
-
-    setGameState(prev => ({
-      ...translatedState,
-      attackPlanning: null,
-      attackTarget: null,
-      attackVotes: [null, null, null],
-    }));
-  };
-
-  // Fortress building functions
-  const initiateFortressBuild = (targetRegion) => {
-    setGameState(prev => ({
-      ...prev,
-      fortressPlanning: 'planning',
-      fortressTarget: targetRegion,
-      fortressVotes: [null, null, null]
-    }));
-  };
-
-  const executeFortressBuild = () => {
-    const { fortressTarget, fortressVotes } = gameState;
-    const participants = fortressVotes.filter(v => v === true).length;
-    const costPerParticipant = participants > 0 ? (6 / participants) : 0;
-
-    // Check if all participants can afford their share
-    let allCanAfford = true;
-    gameState.players.forEach((player, index) => {
-      if (fortressVotes[index] === true && player.money < costPerParticipant) {
-        allCanAfford = false;
-      }
-    });
-
-    if (participants === 0 || !allCanAfford) {
-      // Not enough funding - cancel
-      setGameState(prev => ({
-        ...prev,
-        fortressPlanning: null,
-        fortressTarget: null,
-        fortressVotes: [null, null, null],
-        lastEventResult: t('battle.fortressCancelledInsufficient')
-      }));
-      return;
-    }
-
-    // Deduct money from participants
-    const newPlayers = gameState.players.map((player, index) => {
-      if (fortressVotes[index] === true) {
-        return { ...player, money: player.money - costPerParticipant };
-      }
-      return player;
-    });
-
-    // Build the fortress
-    const newRegions = { ...gameState.regions };
-    newRegions[fortressTarget].fortress = true;
-
-    const regionDisplayName = t(`regions.${fortressTarget}`);
-
-    setGameState(prev => ({
-      ...prev,
-      players: newPlayers,
-      regions: newRegions,
-      fortressPlanning: null,
-      fortressTarget: null,
-      fortressVotes: [null, null, null],
-      lastEventResult: t('battle.fortressBuilt', { region: regionDisplayName })
-    }));
-  };
-
-  // Event system abstraction
-  const eventTypes = {
-    immediate: {
-      resolve: (event, gameState) => {
-        return event.effect(gameState);
-      }
-    },
-    participation: {
-      resolve: (event, gameState, votes) => {
-        const participants = votes.filter(v => v === true).length;
-        const costPerParticipant = participants > 0 ? event.totalCost / participants : 0;
-
-        let allCanAfford = true;
-        gameState.players.forEach((player, index) => {
-          if (votes[index] === true && player.money < costPerParticipant) {
-            allCanAfford = false;
-          }
-        });
-
-        if (!allCanAfford || participants === 0) {
-          return gameState;
-        }
-
-        const newPlayers = gameState.players.map((player, index) => {
-          if (votes[index] === true) {
-            return { ...player, money: player.money - costPerParticipant };
-          }
-          return player;
-        });
-
-        return { ...gameState, players: newPlayers };
-      }
-    },
-    order_attack: {
-      resolve: (event, gameState, votes) => {
-        // Delegate to pure game module (handles target selection, iterative
-        // defender affordability, cost deduction, and battle with turn scaling)
-        const result = eventTypesPure.order_attack.resolve(event, gameState, votes);
-        return translateBattleResult(result);
-      }
-    },
-    voting: {
-      resolve: (event, gameState, votes) => {
-        const voteCounts = {};
-        votes.forEach(vote => {
-          if (vote) {
-            voteCounts[vote] = (voteCounts[vote] || 0) + 1;
-          }
-        });
-
-        let winningOption = event.defaultOption || 'send_back';
-        let maxVotes = 0;
-        Object.entries(voteCounts).forEach(([option, count]) => {
-          if (count >= 2) {
-            if (count > maxVotes) {
-              maxVotes = count;
-              winningOption = option;
-            }
-          }
-        });
-
-        if (winningOption === 'accept' && event.acceptCost) {
-          const acceptVoters = votes.filter(v => v === 'accept').length;
-          const costPerVoter = acceptVoters > 0 ? event.acceptCost / acceptVoters : 0;
-
-          let allCanAfford = true;
-          gameState.players.forEach((player, index) => {
-            if (votes[index] === 'accept' && player.money < costPerVoter) {
-              allCanAfford = false;
-            }
-          });
-
-          if (!allCanAfford || acceptVoters === 0) {
-            winningOption = event.defaultOption || 'send_back';
-          }
-        }
-
-        return event.effects[winningOption](gameState, votes);
-      }
-    }
-  };
-
-  // Event deck with all events
-  const eventDeck = [
-    {
-      id: 'merchants_robbed',
-      name: 'Merchants Robbed',
-      description: 'Foreign merchants have been robbed near your borders. How will you respond?',
-      type: 'voting',
-      defaultOption: 'trade_risk',
-      options: [
-        { id: 'rob_foreign', name: 'Rob foreign merchants', effectText: '50% chance: Order attacks (100)' },
-        { id: 'demand_compensation', name: 'Demand compensation', costText: 'Merchants: -1○', effectText: '50% chance: Merchants -10 str/3 turns' },
-        { id: 'trade_risk', name: 'Trade is risk', effectText: 'Merchants: -10 str/3 turns' }
-      ],
-      effects: {
-        rob_foreign: (gameState) => {
-          // Roll 1-6, on 1-3 Order attack occurs
-          const roll = Math.floor(Math.random() * 6) + 1;
-
-          if (roll <= 3) {
-            // Trigger immediate Order attack
-            const orderAttackEvent = {
-              id: 'order_attack_rob_foreign',
-              name: 'Order Attack',
-              description: 'The Teutonic Order retaliates for the robbed merchants! They launch an attack.',
-              type: 'order_attack',
-              orderStrength: 100,
-              question: 'Who will help fund the defense? Cost will be split evenly among participants.',
-              minCostPerPlayer: 1,
-              successText: 'DEFENSE FUNDED',
-              failureText: 'NO DEFENSE - SURRENDER'
-            };
-
-            return {
-              ...gameState,
-              currentEvent: orderAttackEvent,
-              eventResolved: false,
-              eventVotes: [null, null, null],
-              lastEventResult: t('battle.orderAttacksImmediately', { roll })
-            };
-          } else {
-            return {
-              ...gameState,
-              lastEventResult: t('battle.robberyUnnoticed', { roll })
-            };
-          }
-        },
-        demand_compensation: (gameState) => {
-          const newPlayers = gameState.players.map(player => {
-            if (player.faction === 'Merchants') {
-              return { ...player, money: Math.max(0, player.money - 1) };
-            }
-            return player;
-          });
-          const rollFailed = Math.random() < 0.5;
-          if (rollFailed) {
-            const merchantWeaknessEffect = {
-              id: `merchant_weakness_${Date.now()}`,
-              type: 'strength_penalty',
-              target: 'Merchants',
-              value: -10, // TODO -50% strength implemented as flat -10 points for now
-              turnsRemaining: 3,
-              description: 'Merchant trading weakness'
-            };
-            return {
-              ...gameState,
-              players: newPlayers,
-              activeEffects: [...gameState.activeEffects, merchantWeaknessEffect],
-              lastEventResult: t('battle.compensationFailed')
-            };
-          } else {
-            return {
-              ...gameState,
-              players: newPlayers,
-              lastEventResult: t('battle.compensationReceived')
-            };
-          }
-        },
-        trade_risk: (gameState) => {
-          const merchantWeaknessEffect = {
-            id: `merchant_weakness_${Date.now()}`,
-            type: 'strength_penalty',
-            target: 'Merchants',
-            value: -10, // -50% strength
-            turnsRemaining: 3,
-            description: 'Trade route disruption'
-          };
-          return {
-            ...gameState,
-            activeEffects: [...gameState.activeEffects, merchantWeaknessEffect],
-            lastEventResult: t('battle.tradeDisrupted')
-          };
-        }
-      }
-    },
-    {
-      id: 'order_attack_95',
-      name: 'Order Attack (Weak)',
-      description: 'The Teutonic Order launches a weak attack. Who will contribute to the defense?',
-      type: 'order_attack',
-      orderStrength: 95,
-      question: 'Who will help fund the defense? Cost will be split evenly among participants.',
-      minCostPerPlayer: 1
-    },
-    {
-      id: 'order_attack_110',
-      name: 'Order Attack (Strong)',
-      description: 'The Teutonic Order launches a strong attack. Who will contribute to the defense?',
-      type: 'order_attack',  // CHANGE FROM 'participation' TO 'order_attack'
-      orderStrength: 110,    // ADD THIS
-      question: 'Who will help fund the defense? Cost will be split evenly among participants.',
-      minCostPerPlayer: 1
-    },
-    {
-      id: 'boyars_take_bribes',
-      name: 'Nobles Take Bribes',
-      description: 'Noble corruption has been discovered. How will you handle this?',
-      type: 'voting',
-      defaultOption: 'ignore',
-      options: [
-        { id: 'investigate', name: 'Investigate and punish', costText: 'Nobles: -2○', effectText: 'Nobles: -15 str/3 turns' },
-        { id: 'ignore', name: 'This is the way it is', effectText: '50% chance: Uprising (buildings destroyed)' }
-      ],
-      effects: {
-        investigate: (gameState) => {
-          const newPlayers = gameState.players.map((player, index) => {
-            if (player.faction === 'Nobles') {
-              return { ...player, money: Math.max(0, player.money - 2) };
-            }
-            return player;
-          });
-
-          // ADD: Noble strength penalty for corruption investigation
-          const nobleWeaknessEffect = {
-            id: `noble_corruption_penalty_${Date.now()}`,
-            type: 'strength_penalty',
-            target: 'Nobles',
-            value: -15,
-            turnsRemaining: 3,
-            description: 'Noble corruption investigation penalty'
-          };
-
-          return { 
-            ...gameState, 
-            players: newPlayers,
-            activeEffects: [...gameState.activeEffects, nobleWeaknessEffect],
-            lastEventResult: t('battle.noblesPunished')
-          };
-        },
-        ignore: (gameState) => {
-          // 50% chance of uprising
-          const uprisingRoll = Math.random();
-          if (uprisingRoll < 0.5) {
-            // Uprising occurs - destroy 2 random buildings in Pskov
-            const pskovRegion = gameState.regions.pskov;
-            const buildingTypes = Object.entries(pskovRegion.buildings).filter(([_, count]) => count > 0);
-
-            let newRegions = { ...gameState.regions };
-            let newPlayers = [...gameState.players];
-            let destroyedBuildings = [];
-
-            // Destroy up to 2 buildings
-            for (let i = 0; i < Math.min(2, buildingTypes.length); i++) {
-              if (buildingTypes.length > 0) {
-                const randomIndex = Math.floor(Math.random() * buildingTypes.length);
-                const [buildingType, _] = buildingTypes[randomIndex];
-
-                // Destroy the building
-                if (buildingType.startsWith('merchant_')) {
-                  newRegions.pskov.buildings[buildingType] = Math.max(0, newRegions.pskov.buildings[buildingType] - 1);
-                } else {
-                  newRegions.pskov.buildings[buildingType] = 0;
-                }
-
-                // Update player improvement count
-                newPlayers = newPlayers.map(player => {
-                  if ((buildingType.includes('commoner') && player.faction === 'Commoners') ||
-                      (buildingType.includes('noble') && player.faction === 'Nobles') ||
-                      (buildingType.includes('merchant') && player.faction === 'Merchants')) {
-                    return { ...player, improvements: Math.max(0, player.improvements - 1) };
-                  }
-                  return player;
-                });
-
-                // Track destroyed building for message
-                destroyedBuildings.push(t(`buildings.${buildingType}`) || buildingType);
-
-                // Remove from available buildings for next iteration
-                buildingTypes.splice(randomIndex, 1);
-              }
-            }
-
-            return { 
-              ...gameState, 
-              regions: newRegions,
-              players: newPlayers,
-              activeEffects: [...gameState.activeEffects, {
-                id: `uprising_penalty_${Date.now()}`,
-                type: 'strength_penalty',
-                target: 'all',
-                value: -7, // TODO -50% implemented as flat -25 points for now
-                turnsRemaining: 2,
-                description: 'Uprising strength penalty'
-              }],
-              lastEventResult: t('battle.uprising', { buildings: destroyedBuildings.join(', ') })
-            };
-          } else {
-            return { 
-              ...gameState,
-              lastEventResult: t('battle.corruptionIgnored')
-            };
-          }
-        }
-      }
-    },
-    {
-      id: 'embassy',
-      name: 'Embassy',
-      description: 'An embassy from the Grand Prince arrives. How will you receive them?',
-      type: 'voting',
-      defaultOption: 'modest',
-      options: [
-        { id: 'modest', name: 'Receive modestly', requiresMinMoney: 1, costText: '3○ split', effectText: 'Relations maintained' },
-        { id: 'luxurious', name: 'Receive luxuriously', requiresMinMoney: 2, costText: '6○ split', effectText: 'All: +3 str/3 turns' },
-        { id: 'refuse', name: 'Refuse to receive them', effectText: 'All: -15 str, -50% income/5 turns' }
-      ],
-      effects: {
-        modest: (gameState, votes) => {
-          const participants = votes.filter(v => v === 'modest').length;
-          const costPerParticipant = participants > 0 ? 3 / participants : 0;
-
-          let allCanAfford = true;
-          gameState.players.forEach((player, index) => {
-            if (votes[index] === 'modest' && player.money < costPerParticipant) {
-              allCanAfford = false;
-            }
-          });
-
-          if (!allCanAfford || participants === 0) {
-            // Fall back to refuse with proper effects
-            const refusalEffects = [
-              {
-                id: `embassy_strength_penalty_${Date.now()}`,
-                type: 'strength_penalty',
-                target: 'all',
-                value: -15,
-                turnsRemaining: 5,
-                description: 'Embassy refusal strength penalty'
-              },
-              {
-                id: `embassy_income_penalty_${Date.now()}`,
-                type: 'income_penalty',
-                target: 'all',
-                value: -0.5, // -50% income
-                turnsRemaining: 5,
-                description: 'Embassy refusal income penalty'
-              }
-            ];
-
-            return { 
-              ...gameState,
-              activeEffects: [...gameState.activeEffects, ...refusalEffects],
-              lastEventResult: t('battle.embassyRefused')
-            };
-          }
-
-          const newPlayers = gameState.players.map((player, index) => {
-            if (votes[index] === 'modest') {
-              return { ...player, money: player.money - costPerParticipant };
-            }
-            return player;
-          });
-
-          return { 
-            ...gameState, 
-            players: newPlayers,
-            lastEventResult: t('battle.embassyModest')
-          };
-        },
-        luxurious: (gameState, votes) => {
-          const participants = votes.filter(v => v === 'luxurious').length;
-          const costPerParticipant = participants > 0 ? 6 / participants : 0;
-
-          let allCanAfford = true;
-          gameState.players.forEach((player, index) => {
-            if (votes[index] === 'luxurious' && player.money < costPerParticipant) {
-              allCanAfford = false;
-            }
-          });
-
-          if (!allCanAfford || participants === 0) {
-            // Fall back to modest reception
-            return gameState.currentEvent.effects.modest(gameState, votes.map(() => 'modest'));
-          }
-
-          const newPlayers = gameState.players.map((player, index) => {
-            if (votes[index] === 'luxurious') {
-              return { ...player, money: player.money - costPerParticipant };
-            }
-            return player;
-          });
-
-          // Create the strength bonus effect
-          const strengthEffect = {
-            id: `embassy_strength_bonus_${Date.now()}`,
-            type: 'strength_bonus',
-            target: 'all',
-            value: 3,
-            turnsRemaining: 3,
-            description: 'Embassy reception boost'
-          };
-
-          return { 
-            ...gameState, 
-            players: newPlayers,
-            activeEffects: [...gameState.activeEffects, strengthEffect],
-            lastEventResult: t('battle.embassyLuxurious')
-          };
-        },
-        refuse: (gameState) => {
-          const newEffects = [
-            {
-              id: `embassy_strength_penalty_${Date.now()}`,
-              type: 'strength_penalty',
-              target: 'all',
-              value: -15, // Fixed strength penalty
-              turnsRemaining: 5,
-              description: 'Embassy refusal strength penalty'
-            },
-            {
-              id: `embassy_income_penalty_${Date.now()}`,
-              type: 'income_penalty',
-              target: 'all',
-              value: -0.5, // Fixed income penalty (-50%)
-              turnsRemaining: 5,
-              description: 'Embassy refusal income penalty'
-            }
-          ];
-
-          return { 
-            ...gameState,
-            activeEffects: [...gameState.activeEffects, ...newEffects],
-            lastEventResult: t('battle.embassyRefused')
-          };
-        }
-      }
-    },
-    {
-      id: 'relics_found',
-      name: 'Relics Found',
-      description: 'Holy relics have been discovered. Are they genuine or deception?',
-      type: 'voting',
-      options: [
-        { id: 'build_temple', name: 'Build a church', requiresMinMoney: 1, costText: 'All: -3○', effectText: 'All: +5 str/3 turns' },
-        { id: 'deception', name: 'It\'s all deception', effectText: 'All: -5 str/3 turns' }
-      ],
-      effects: {
-        build_temple: (gameState) => {
-          const newPlayers = gameState.players.map(player => ({
-            ...player,
-            money: Math.max(0, player.money - 3)
-          }));
-          // ADD: Morale boost from relics
-          const relicsBoostEffect = {
-            id: `relics_boost_${Date.now()}`,
-            type: 'strength_bonus',
-            target: 'all',
-            value: 5,
-            turnsRemaining: 3,
-            description: 'Holy relics morale boost'
-          };
-
-          return { 
-            ...gameState, 
-            players: newPlayers,
-            activeEffects: [...gameState.activeEffects, relicsBoostEffect],
-            lastEventResult: t('battle.relicsChurchBuilt')
-          };
-          },
-        deception: (gameState) => {
-          // ADD: Morale penalty from cynicism
-          const cynicismEffect = {
-            id: `cynicism_penalty_${Date.now()}`,
-            type: 'strength_penalty',
-            target: 'all',
-            value: -5,
-            turnsRemaining: 3,
-            description: 'Religious cynicism penalty'
-          };
-
-          return { 
-            ...gameState,
-            activeEffects: [...gameState.activeEffects, cynicismEffect],
-            lastEventResult: t('battle.relicsDeception')
-          };
-        }
-      }
-    },
-    {
-      id: 'izhorian_delegation',
-      name: 'Delegation from the Izhorians',
-      description: 'A delegation from the Izhorian people arrives at your gates seeking an audience.',
-      type: 'voting',
-      acceptCost: 6,
-      defaultOption: 'send_back',
-      options: [
-        { id: 'accept', name: 'Accept into service', requiresMinMoney: 2, costText: '6○ split', effectText: 'All: +5 str/6 turns' },
-        { id: 'rob', name: 'Rob them', effectText: 'All: +3○, then -5 str/6 turns' },
-        { id: 'send_back', name: 'Send them away', effectText: 'No effect' }
-      ],
-      effects: {
-        accept: (gameState, votes) => {
-          const participants = votes.filter(v => v === 'accept').length;
-          const costPerParticipant = participants > 0 ? 6 / participants : 0;
-
-          // ADD: Check if all participants can afford it
-          let allCanAfford = true;
-          gameState.players.forEach((player, index) => {
-            if (votes[index] === 'accept' && player.money < costPerParticipant) {
-              allCanAfford = false;
-            }
-          });
-
-          // ADD: Fallback if anyone can't afford it or no participants
-          if (!allCanAfford || participants === 0) {
-            return gameState.currentEvent.effects.send_back(gameState);
-          }
-          
-          const newPlayers = gameState.players.map((player, index) => {
-            if (votes[index] === 'accept') {
-              return { ...player, money: player.money - costPerParticipant };
-            }
-            return player;
-          });
-          // Alliance strength bonus
-          const izhoraAllianceEffect = {
-            id: `izhora_alliance_${Date.now()}`,
-            type: 'strength_bonus',
-            target: 'all',
-            value: 5,
-            turnsRemaining: 6,
-            description: 'Izhora allied forces'
-          };
-
-          return { 
-            ...gameState, 
-            players: newPlayers,
-            activeEffects: [...gameState.activeEffects, izhoraAllianceEffect],
-            lastEventResult: t('battle.izhorianAccepted')
-          };
-          },
-        rob: (gameState) => {
-          const newPlayers = gameState.players.map(player => ({
-            ...player,
-            money: player.money + 3
-          }));
-          // Izhora hostility penalty
-          const izhoraHostilityEffect = {
-            id: `chud_hostility_${Date.now()}`,
-            type: 'strength_penalty',
-            target: 'all',
-            value: -5,
-            turnsRemaining: 6,
-            description: 'Izhora hostility'
-          };
-
-          return { 
-            ...gameState, 
-            players: newPlayers,
-            activeEffects: [...gameState.activeEffects, izhoraHostilityEffect],
-            lastEventResult: t('battle.izhorianRobbed')
-          };
-        },
-        send_back: (gameState) => {
-          return gameState;
-        }
-      }
-    },
-    {
-      id: 'good_harvest',
-      name: 'Good Harvest',
-      description: 'The fields have produced an abundant harvest. All players receive +1○.',
-      type: 'immediate',
-      effect: (gameState) => {
-        const newPlayers = gameState.players.map(player => ({
-          ...player,
-          money: player.money + 1
-        }));
-        return { ...gameState, players: newPlayers };
-      }
-    },
-    {
-      id: 'drought',
-      name: 'Drought',
-      description: 'The crops are failing due to lack of rain. How will you respond?',
-      type: 'voting',
-      defaultOption: 'no_food',
-      options: [
-        { id: 'buy_food', name: 'Buy emergency food supplies', requiresMinMoney: 2, costText: '6○ split', effectText: 'Famine avoided' },
-        { id: 'no_food', name: 'Let the people endure', effectText: 'Commoners: -12 str/3 turns' }
-      ],
-      effects: {
-        buy_food: (gameState, votes) => {
-          const participants = votes.filter(v => v === 'buy_food').length;
-          const costPerParticipant = participants > 0 ? 6 / participants : 0;
-
-          // Check if all participants can afford it
-          let allCanAfford = true;
-          gameState.players.forEach((player, index) => {
-            if (votes[index] === 'buy_food' && player.money < costPerParticipant) {
-              allCanAfford = false;
-            }
-          });
-
-          // If anyone can't afford it or no participants, fall back to no food
-          if (!allCanAfford || participants === 0) {
-            return gameState.currentEvent.effects.no_food(gameState);
-          }
-
-          // Deduct money from participants
-          const newPlayers = gameState.players.map((player, index) => {
-            if (votes[index] === 'buy_food') {
-              return { ...player, money: player.money - costPerParticipant };
-            }
-            return player;
-          });
-
-          return { 
-            ...gameState, 
-            players: newPlayers,
-            lastEventResult: t('battle.droughtFoodPurchased')
-          };
-        },
-        no_food: (gameState) => {
-          const famineEffect = {
-            id: `drought_famine_${Date.now()}`,
-            type: 'strength_penalty',
-            target: 'Commoners',
-            value: -12, // Reduces Commoners from 25 to 13 strength (roughly -50%)
-            turnsRemaining: 3,
-            description: 'Famine weakens commoners'
-          };
-
-          return { 
-            ...gameState,
-            activeEffects: [...gameState.activeEffects, famineEffect],
-            lastEventResult: t('battle.droughtFamine')
-          };
-        }
-      }
-    },
-    {
-      id: 'fire',
-      name: 'Fire',
-      description: 'A fire breaks out in one of your regions, destroying a building.',
-      type: 'immediate',
-      effect: (gameState) => {
-        // Roll for region (1-6 for republic regions)
-        const republicRegions = Object.entries(gameState.regions).filter(([_, region]) => region.controller === 'republic');
-        if (republicRegions.length === 0) return gameState; // No regions to burn
-
-        const randomRegionIndex = Math.floor(Math.random() * republicRegions.length);
-        const [regionName, region] = republicRegions[randomRegionIndex];
-
-        // Find all buildings in this region
-        const buildingTypes = Object.entries(region.buildings).filter(([_, count]) => count > 0);
-        if (buildingTypes.length === 0) {
-          // No buildings to burn
-          return { 
-            ...gameState, 
-            lastEventResult: t('battle.fireNoBuildings', { region: t(`regions.${regionName}`) })
-          };
-        }
-
-        // Roll for building type
-        const randomBuildingIndex = Math.floor(Math.random() * buildingTypes.length);
-        const [buildingType, _] = buildingTypes[randomBuildingIndex];
-
-        // Destroy the building
-        const newRegions = { ...gameState.regions };
-        if (buildingType.startsWith('merchant_')) {
-          newRegions[regionName].buildings[buildingType] = Math.max(0, newRegions[regionName].buildings[buildingType] - 1);
-        } else {
-          newRegions[regionName].buildings[buildingType] = 0;
-        }
-
-        // Update player improvement count
-        const newPlayers = gameState.players.map(player => {
-          if ((buildingType.includes('commoner') && player.faction === 'Commoners') ||
-              (buildingType.includes('noble') && player.faction === 'Nobles') ||
-              (buildingType.includes('merchant') && player.faction === 'Merchants')) {
-            return { ...player, improvements: Math.max(0, player.improvements - 1) };
-          }
-          return player;
-        });
-
-        const buildingName = t(`buildings.${buildingType}`) || buildingType;
-        const regionDisplayName = t(`regions.${regionName}`);
-
-        return {
-          ...gameState,
-          regions: newRegions,
-          players: newPlayers,
-          lastEventResult: t('battle.fireDestroysBuilding', { building: buildingName, region: regionDisplayName })
-        };
-      }
-    },
-    {
-      id: 'city_fire',
-      name: 'City Fire',
-      description: 'A fire breaks out in Pskov, destroying a building in the city.',
-      type: 'immediate',
-      effect: (gameState) => {
-        const pskovRegion = gameState.regions.pskov;
-
-        // Find all buildings in Pskov
-        const buildingTypes = Object.entries(pskovRegion.buildings).filter(([_, count]) => count > 0);
-        if (buildingTypes.length === 0) {
-          return { 
-            ...gameState, 
-            lastEventResult: t('battle.cityFireNoBuildings')
-          };
-        }
-
-        // Roll for building type
-        const randomBuildingIndex = Math.floor(Math.random() * buildingTypes.length);
-        const [buildingType, _] = buildingTypes[randomBuildingIndex];
-
-        // Destroy the building
-        const newRegions = { ...gameState.regions };
-        if (buildingType.startsWith('merchant_')) {
-          newRegions.pskov.buildings[buildingType] = Math.max(0, newRegions.pskov.buildings[buildingType] - 1);
-        } else {
-          newRegions.pskov.buildings[buildingType] = 0;
-        }
-
-        // Update player improvement count
-        const newPlayers = gameState.players.map(player => {
-          if ((buildingType.includes('commoner') && player.faction === 'Commoners') ||
-              (buildingType.includes('noble') && player.faction === 'Nobles') ||
-              (buildingType.includes('merchant') && player.faction === 'Merchants')) {
-            return { ...player, improvements: Math.max(0, player.improvements - 1) };
-          }
-          return player;
-        });
-
-        const buildingName = t(`buildings.${buildingType}`) || buildingType;
-
-        return {
-          ...gameState,
-          regions: newRegions,
-          players: newPlayers,
-          lastEventResult: t('battle.cityFireDestroysBuilding', { building: buildingName })
-        };
-      }
-    },
-    {
-      id: 'heresy',
-      name: 'Heresy',
-      description: 'Heretical ideas spread among the people, weakening military resolve.',
-      type: 'immediate',
-      effect: (gameState) => {
-        const heresyEffect = {
-          id: `heresy_penalty_${Date.now()}`,
-          type: 'strength_penalty',
-          target: 'all',
-          value: -10,
-          turnsRemaining: 2,
-          description: 'Heretical discord'
-        };
-    
-        return { 
-          ...gameState,
-          activeEffects: [...gameState.activeEffects, heresyEffect],
-          lastEventResult: t('battle.heresy')
-        };
-      }
-    },
-    {
-      id: 'order_attack_90',
-      name: 'Order Attack (Weak)',
-      description: 'The Teutonic Order launches a weak attack. Who will contribute to the defense?',
-      type: 'order_attack',
-      orderStrength: 90,
-      question: 'Who will help fund the defense? Cost will be split evenly among participants.',
-      minCostPerPlayer: 1
-    },
-    {
-      id: 'order_attack_100',
-      name: 'Order Attack',
-      description: 'The Teutonic Order launches an attack. Who will contribute to the defense?',
-      type: 'order_attack',
-      orderStrength: 100,
-      question: 'Who will help fund the defense? Cost will be split evenly among participants.',
-      minCostPerPlayer: 1
-    },
-    {
-      id: 'order_attack_105',
-      name: 'Order Attack (Strong)',
-      description: 'The Teutonic Order launches a strong attack. Who will contribute to the defense?',
-      type: 'order_attack',
-      orderStrength: 105,
-      question: 'Who will help fund the defense? Cost will be split evenly among participants.',
-      minCostPerPlayer: 1
-    },
-    {
-      id: 'order_attack_110',
-      name: 'Order Attack (Strong)',
-      description: 'The Teutonic Order launches a strong attack. Who will contribute to the defense?',
-      type: 'order_attack',
-      orderStrength: 110,
-      question: 'Who will help fund the defense? Cost will be split evenly among participants.',
-      minCostPerPlayer: 1
-    },
-    {
-      id: 'plague',
-      name: 'Plague',
-      description: 'A plague spreads through the city. How will you respond?',
-      type: 'voting', // CHANGE: from 'participation' to 'voting'
-      defaultOption: 'no_isolation',
-      options: [
-        { id: 'fund_isolation', name: 'Fund isolation and treatment', requiresMinMoney: 1, costText: '3○ split', effectText: 'All: -5 str/2 turns' },
-        { id: 'no_isolation', name: 'Trust in God - no isolation', effectText: 'All: -25 str/2 turns' }
-      ],
-      effects: {
-        fund_isolation: (gameState, votes) => {
-          const participants = votes.filter(v => v === 'fund_isolation').length;
-          const costPerParticipant = participants > 0 ? 3 / participants : 0;
-
-          // Check if all participants can afford it
-          let allCanAfford = true;
-          gameState.players.forEach((player, index) => {
-            if (votes[index] === 'fund_isolation' && player.money < costPerParticipant) {
-              allCanAfford = false;
-            }
-          });
-
-          // If anyone can't afford it or no participants, fall back to no isolation
-          if (!allCanAfford || participants === 0) {
-            return gameState.currentEvent.effects.no_isolation(gameState);
-          }
-
-          // Deduct money from participants
-          const newPlayers = gameState.players.map((player, index) => {
-            if (votes[index] === 'fund_isolation') {
-              return { ...player, money: player.money - costPerParticipant };
-            }
-            return player;
-          });
-
-          // ADD: Even with isolation, there's still some plague impact
-          const mildPlagueEffect = {
-            id: `mild_plague_${Date.now()}`,
-            type: 'strength_penalty',
-            target: 'all',
-            value: -5, // -5 strength penalty even with isolation
-            turnsRemaining: 2,
-            description: 'Mild plague effects despite isolation'
-          };
-
-          return { 
-            ...gameState, 
-            players: newPlayers,
-            activeEffects: [...gameState.activeEffects, mildPlagueEffect],
-            lastEventResult: t('battle.plagueContained')
-          };
-        },
-        no_isolation: (gameState) => {
-          const plagueEffect = {
-            id: `severe_plague_${Date.now()}`,
-            type: 'strength_penalty',
-            target: 'all',
-            value: -25, // -25 strength penalty without isolation
-            turnsRemaining: 2,
-            description: 'Severe plague weakens population'
-          };
-
-          return { 
-            ...gameState,
-            activeEffects: [...gameState.activeEffects, plagueEffect],
-            lastEventResult: t('battle.plagueSpread')
-          };
-        }
-      }
-    }
-  ];
-
-  // Fisher-Yates shuffle for event deck indices
-  const shuffleEventIndices = () => {
-    const indices = Array.from({ length: eventDeck.length }, (_, i) => i);
-    for (let i = indices.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [indices[i], indices[j]] = [indices[j], indices[i]];
-    }
-    return indices;
-  };
-
-  // Draw event using shuffle-without-replacement
-  const drawEvent = (shuffledOrder = [], drawIndex = 0) => {
-    let order = shuffledOrder;
-    let index = drawIndex;
-    if (order.length === 0 || index >= order.length) {
-      order = shuffleEventIndices();
-      index = 0;
-    }
-    return {
-      event: eventDeck[order[index]],
-      shuffledEventOrder: order,
-      eventDrawIndex: index + 1,
-    };
-  };
-
-  // Vote on current event
-  const voteOnEvent = (playerIndex, vote) => {
-    // In online mode, send action to server
-    if (mode === 'online') {
-      // Only allow voting for own faction
-      if (playerIndex !== playerId) {
-        console.warn('Cannot vote for another player');
-        return;
-      }
-      sendAction({ type: 'VOTE_EVENT', vote });
-
-      // After voting, check if all players have voted and auto-resolve
-      // Note: We check the NEXT state since this vote will be added
-      setTimeout(() => {
-        const currentState = useGameStore.getState().gameState;
-        if (currentState && currentState.eventVotes) {
-          const allVoted = currentState.eventVotes.every(v => v !== null);
-          if (allVoted && !currentState.eventResolved) {
-            // Auto-resolve when all players have voted
-            sendAction({ type: 'RESOLVE_EVENT' });
-          }
-        }
-      }, 500); // Wait for server to broadcast updated votes
-    } else {
-      // Local mode: update state directly
-      setGameState(prev => {
-        const newVotes = [...prev.eventVotes];
-        newVotes[playerIndex] = vote;
-        return { ...prev, eventVotes: newVotes };
-      });
-    }
-  };
-
-  // Get voting result for any multi-option event
-  const getVotingResult = () => {
-    const votes = gameState.eventVotes;
-    const completedVotes = votes.filter(v => v !== null);
-
-    if (completedVotes.length === 3) {
-      const voteCounts = {};
-      votes.forEach(vote => {
-        if (vote) {
-          voteCounts[vote] = (voteCounts[vote] || 0) + 1;
-        }
-      });
-
-      let winningOption = null;
-      let maxVotes = 0;
-      Object.entries(voteCounts).forEach(([option, count]) => {
-        if (count >= 2) {
-          if (count > maxVotes) {
-            maxVotes = count;
-            winningOption = option;
-          }
-        }
-      });
-
-      return winningOption || 'send_back';
-    }
-    return null;
-  };
-
-  // Check if participation is complete and get result
-  const getParticipationResult = () => {
-    const votes = gameState.eventVotes;
-    const completedVotes = votes.filter(v => v !== null);
-
-    if (completedVotes.length === 3) {
-      const participants = votes.filter(v => v === true).length;
-      return participants > 0 ? 'success' : 'failed';
-    }
-    return null;
-  };
-
-  // Check if auction bidding is complete and get result
-  const getAuctionResult = () => {
-    const votes = gameState.eventVotes;
-    const completedVotes = votes.filter(v => v !== null);
-
-    if (completedVotes.length === 3) {
-      const bids = votes.map((v, i) => ({
-        playerIndex: i,
-        bid: v !== null ? parseFloat(v) : 0,
-      }));
-      const maxBid = Math.max(...bids.map(b => b.bid));
-
-      if (maxBid < 1) {
-        return { result: 'no_bids' };
-      }
-
-      const topBidders = bids.filter(b => b.bid === maxBid);
-      if (topBidders.length > 1) {
-        return { result: 'tie', amount: maxBid, tiedIndices: topBidders.map(b => b.playerIndex) };
-      }
-
-      return { result: 'winner', winnerIndex: topBidders[0].playerIndex, amount: maxBid };
-    }
-    return null;
-  };
-
-  // Calculate victory points for each player
-  // Religious buildings: +2 VP each (counted in both improvements and religiousBuildings)
-  // Secular buildings: +1 VP each (counted only in improvements)
-  const calculateVictoryPoints = (player) => {
-    return player.improvements + (player.religiousBuildings || 0) + (player.bonusPoints || 0);
-  };
-
-  // Check if game is over and determine winner
-  const getGameResult = () => {
-    if (gameState.turn > 20) {
-      const playerScores = gameState.players.map((player, index) => {
-        const religious = player.religiousBuildings || 0;
-        const secular = player.improvements - religious;
-        return {
-          faction: player.faction,
-          victoryPoints: calculateVictoryPoints(player),
-          money: player.money,
-          index,
-          breakdown: {
-            secular,
-            religious,
-            bonus: player.bonusPoints || 0,
-          },
-        };
-      });
-
-      playerScores.sort((a, b) => {
-        if (b.victoryPoints !== a.victoryPoints) {
-          return b.victoryPoints - a.victoryPoints;
-        }
-        return b.money - a.money;
-      });
-
-      return {
-        winner: playerScores[0],
-        rankings: playerScores
-      };
-    }
-    return null;
+    return calculatePlayerStrengthPure(gameState.players[playerIndex], gameState.activeEffects, ruleset);
   };
 
   // Get available buildings for current player in selected region
@@ -1748,7 +387,7 @@ const PskovGame = ({ onMenu }) => {
         {
           type: 'commoner_huts',
           name: 'Huts',
-          cost: 2,
+          cost: ruleset.buildingCost,
           built: region.buildings.commoner_huts > 0,
           canBuild: region.buildings.commoner_huts === 0,
           isReligious: false,
@@ -1756,7 +395,7 @@ const PskovGame = ({ onMenu }) => {
         {
           type: 'commoner_church',
           name: 'Village Church',
-          cost: 2,
+          cost: ruleset.buildingCost,
           built: region.buildings.commoner_church > 0,
           canBuild: region.buildings.commoner_church === 0,
           isReligious: true,
@@ -1767,7 +406,7 @@ const PskovGame = ({ onMenu }) => {
         {
           type: 'noble_manor',
           name: 'Manor',
-          cost: 2,
+          cost: ruleset.buildingCost,
           built: region.buildings.noble_manor > 0,
           canBuild: region.buildings.noble_manor === 0,
           isReligious: false,
@@ -1775,7 +414,7 @@ const PskovGame = ({ onMenu }) => {
         {
           type: 'noble_monastery',
           name: 'Monastery',
-          cost: 2,
+          cost: ruleset.buildingCost,
           built: region.buildings.noble_monastery > 0,
           canBuild: region.buildings.noble_monastery === 0,
           isReligious: true,
@@ -1787,7 +426,7 @@ const PskovGame = ({ onMenu }) => {
           {
             type: 'merchant_mansion',
             name: 'Mansion',
-            cost: 2,
+            cost: ruleset.buildingCost,
             built: region.buildings.merchant_mansion,
             canBuild: region.buildings.merchant_mansion < 7,
             isReligious: false,
@@ -1795,7 +434,7 @@ const PskovGame = ({ onMenu }) => {
           {
             type: 'merchant_church',
             name: 'Church',
-            cost: 2,
+            cost: ruleset.buildingCost,
             built: region.buildings.merchant_church,
             canBuild: region.buildings.merchant_church < 7,
             isReligious: true,
@@ -1807,303 +446,149 @@ const PskovGame = ({ onMenu }) => {
     return buildings;
   };
 
-  const buildBuilding = (buildingType) => {
-    // In online mode, send action to server
+  // Every move goes through the shared rules: online the server applies it,
+  // locally the store does. `seat` is who acts at a local table (table-wide
+  // actions default to the seat whose turn it is); online it is always us.
+  const act = (action, seat) => {
     if (mode === 'online') {
-      sendAction({ type: 'BUILD_BUILDING', buildingType });
-      return;
+      sendAction(action);
+    } else {
+      playLocalAction(action, seat);
     }
+  };
 
-    // Local mode: update state directly
-    setGameState(prev => {
-      const player = prev.players[prev.currentPlayer];
-
-      if (player.money < 2) {
-        return prev;
-      }
+  // Online, each player only acts for their own faction
+  const actFor = (playerIndex, action) => {
+    if (mode === 'online' && playerIndex !== playerId) {
+      console.warn('Cannot act for another player');
+      return;
+    }
+    act(action, playerIndex);
+  };
 
-      const isReligious = buildingType === 'commoner_church' || buildingType === 'noble_monastery' || buildingType === 'merchant_church';
-      const newPlayers = prev.players.map((p, i) =>
-        i === prev.currentPlayer
-          ? {
-              ...p,
-              money: p.money - 2,
-              improvements: p.improvements + 1,
-              religiousBuildings: (p.religiousBuildings || 0) + (isReligious ? 1 : 0),
-            }
-          : p
-      );
+  const selectRegion = (regionName) => {
+    act({ type: ActionTypes.SELECT_REGION, regionName });
+  };
 
-      const newConstructionActions = prev.constructionActions.map((ca, i) =>
-        i === prev.currentPlayer
-          ? { ...ca, improvement: true }
-          : ca
-      );
+  const buildBuilding = (buildingType) => {
+    act({ type: ActionTypes.BUILD_BUILDING, buildingType });
+  };
 
-      const currentRegion = prev.regions[prev.selectedRegion];
-      const newBuildings = buildingType.startsWith('merchant_')
-        ? { ...currentRegion.buildings, [buildingType]: currentRegion.buildings[buildingType] + 1 }
-        : { ...currentRegion.buildings, [buildingType]: 1 };
+  const buyItem = (playerIndex, item) => {
+    actFor(playerIndex, { type: ActionTypes.BUY_EQUIPMENT, item });
+  };
 
-      const newRegions = {
-        ...prev.regions,
-        [prev.selectedRegion]: {
-          ...currentRegion,
-          buildings: newBuildings
-        }
-      };
-
-      return {
-        ...prev,
-        regions: newRegions,
-        players: newPlayers,
-        constructionActions: newConstructionActions
-      };
-    });
+  // Send a trading expedition (Merchants only)
+  const sendExpeditionAction = (playerIndex) => {
+    actFor(playerIndex, { type: ActionTypes.SEND_EXPEDITION });
   };
 
   const nextPhase = () => {
-    // In online mode, send action to server
+    // In online mode, tell the server we're ready to move on; it advances
+    // once every player is
     if (mode === 'online') {
-      sendAction({ type: 'NEXT_PHASE' });
+      sendAction({ type: ActionTypes.SET_CONTINUE_READY });
       return;
     }
-
-    // Local mode: update state directly
-    const currentPhaseIndex = phases.indexOf(gameState.phase);
-    const isLastPhase = currentPhaseIndex === phases.length - 1;
-
-    setGameState(prev => {
-      const isResourcesPhase = prev.phase === 'resources';
-      const isConstructionPhase = prev.phase === 'construction';
-      const nextPhase = isLastPhase ? phases[0] : phases[currentPhaseIndex + 1];
-
-      let newState = { ...prev };
-
-      // Auto-calculate income during resources phase
-      if (isResourcesPhase) {
-        const republicRegions = Object.values(prev.regions).filter(r => r.controller === 'republic').length;
-        newState.players = prev.players.map((player, index) => {
-          const baseIncome = 0.5 + (republicRegions * 0.25) + ((player.improvements - (player.religiousBuildings || 0)) * 0.25);
-          const incomeModifier = getIncomeModifier(player.faction);
-          const finalIncome = baseIncome * incomeModifier;
-          return {
-            ...player,
-            money: player.money + finalIncome
-          };
-        });
-      }
-
-      // Draw event when moving TO events phase
-      if (nextPhase === 'events') {
-        const drawn = drawEvent(prev.shuffledEventOrder, prev.eventDrawIndex);
-        newState.currentEvent = drawn.event;
-        newState.shuffledEventOrder = drawn.shuffledEventOrder;
-        newState.eventDrawIndex = drawn.eventDrawIndex;
-        newState.eventVotes = [null, null, null];
-        newState.eventResolved = false;
-        newState.eventImageRevealed = false; // Start with hidden image
-      }
-
-      // Reset current player and construction actions when leaving construction
-      if (isConstructionPhase) {
-        newState.currentPlayer = 0;
-        newState.selectedRegion = 'pskov';
-        newState.constructionActions = [
-          { improvement: false, equipment: false, expedition: false },
-          { improvement: false, equipment: false, expedition: false },
-          { improvement: false, equipment: false, expedition: false }
-        ];
-        newState.constructionReady = [false, false, false];
-        newState.lastExpeditionResult = null;
-      }
-
-      // Clear event when leaving events phase
-      if (prev.phase === 'events') {
-        newState.currentEvent = null;
-        newState.eventVotes = [null, null, null];
-        newState.eventResolved = false;
-        newState.lastEventResult = null;
-        newState.eventImageRevealed = false;
-      }
-
-      return {
-        ...newState,
-        phase: nextPhase,
-        turn: isLastPhase ? prev.turn + 1 : prev.turn
-      };
-    });
-
-    if (isLastPhase) {
-      setTimeout(() => updateEffects(), 100);
-    }
+    advanceLocalPhase();
   };
 
   const nextPlayer = () => {
-    // In online mode, send action to server
     if (mode === 'online') {
-      sendAction({ type: 'NEXT_PLAYER' });
+      sendAction({ type: ActionTypes.NEXT_PLAYER });
       return;
     }
-
-    // Local mode: update state directly
-    setGameState(prev => {
-      const newReady = [...prev.constructionReady];
-      newReady[prev.currentPlayer] = true;
-      const nextPlayerIndex = (prev.currentPlayer + 1) % 3;
-      // Auto-select Pskov for Merchants since they can only build there
-      const nextFaction = prev.players[nextPlayerIndex].faction;
-      const nextRegion = nextFaction === 'Merchants' ? 'pskov' : prev.selectedRegion;
-      return {
-        ...prev,
-        currentPlayer: nextPlayerIndex,
-        selectedRegion: nextRegion,
-        constructionReady: newReady,
-      };
-    });
+    endLocalTurn();
   };
 
   const setConstructionReady = () => {
-    // In online mode, send action to server
-    if (mode === 'online') {
-      sendAction({ type: 'SET_CONSTRUCTION_READY' });
-    } else {
-      // Local mode: mark current player as ready and check if all are ready
-      setGameState(prev => {
-        const newReady = [...prev.constructionReady];
-        newReady[prev.currentPlayer] = true;
-
-        // If all players are ready in local mode, auto-advance
-        if (newReady.every(r => r)) {
-          // Trigger nextPhase
-          nextPhase();
-          return prev; // nextPhase will handle the update
-        }
-
-        return { ...prev, constructionReady: newReady };
-      });
-    }
+    act({ type: ActionTypes.SET_CONSTRUCTION_READY });
   };
 
-  const buyItem = (playerIndex, item, cost) => {
-    // In online mode, send action to server
-    if (mode === 'online') {
-      // Only allow buying for own faction
-      if (playerIndex !== playerId) {
-        console.warn('Cannot buy for another player');
-        return;
-      }
-      sendAction({ type: 'BUY_EQUIPMENT', item });
-      return;
-    }
+  // Vote on current event
+  const voteOnEvent = (playerIndex, vote) => {
+    actFor(playerIndex, { type: ActionTypes.VOTE_EVENT, vote });
+  };
 
-    // Local mode: update state directly
-    setGameState(prev => {
-      const player = prev.players[playerIndex];
+  // The server resolves an online event once the last vote is in
+  const resolveEvent = () => {
+    act({ type: ActionTypes.RESOLVE_EVENT });
+  };
 
-      if (player.money < cost || player[item] >= 2) {
-        return prev;
-      }
+  const initiateAttack = (targetRegion) => {
+    act({ type: ActionTypes.INITIATE_ATTACK, targetRegion });
+  };
 
-      const newPlayers = prev.players.map((p, i) =>
-        i === playerIndex
-          ? { ...p, money: p.money - cost, [item]: p[item] + 1 }
-          : p
-      );
+  const voteOnAttack = (playerIndex, vote) => {
+    actFor(playerIndex, { type: ActionTypes.VOTE_ATTACK, vote });
+  };
 
-      const newConstructionActions = (item === 'weapons' || item === 'armor')
-        ? prev.constructionActions.map((action, i) =>
-            i === playerIndex ? { ...action, equipment: true } : action
-          )
-        : prev.constructionActions;
-
-      return {
-        ...prev,
-        players: newPlayers,
-        constructionActions: newConstructionActions
-      };
-    });
+  const executeAttack = () => {
+    act({ type: ActionTypes.EXECUTE_ATTACK });
   };
 
-  // Send a trading expedition (Merchants only)
-  const sendExpeditionAction = (playerIndex) => {
-    if (mode === 'online') {
-      if (playerIndex !== playerId) return;
-      sendAction({ type: 'SEND_EXPEDITION' });
-      return;
-    }
+  const cancelAttack = () => {
+    act({ type: ActionTypes.CANCEL_ATTACK });
+  };
 
-    setGameState(prev => {
-      const player = prev.players[playerIndex];
-      if (player.faction !== 'Merchants' || player.money < EXPEDITION_COST
-          || player.expeditions >= EXPEDITION_MAX_PER_GAME
-          || prev.constructionActions[playerIndex].expedition) {
-        return prev;
-      }
+  const initiateFortressBuild = (targetRegion) => {
+    act({ type: ActionTypes.INITIATE_FORTRESS, targetRegion });
+  };
 
-      const roll = Math.floor(Math.random() * 3);
-      let moneyChange = -EXPEDITION_COST;
-      let outcome;
-      if (roll === 0) {
-        outcome = 'loss';
-      } else if (roll === 1) {
-        outcome = 'profit';
-        moneyChange += 3;
-      } else {
-        outcome = 'windfall';
-        moneyChange += 6;
-      }
+  const voteOnFortress = (playerIndex, vote) => {
+    actFor(playerIndex, { type: ActionTypes.VOTE_FORTRESS, vote });
+  };
 
-      return {
-        ...prev,
-        players: prev.players.map((p, i) =>
-          i === playerIndex
-            ? { ...p, money: p.money + moneyChange, expeditions: p.expeditions + 1 }
-            : p
-        ),
-        constructionActions: prev.constructionActions.map((ca, i) =>
-          i === playerIndex ? { ...ca, expedition: true } : ca
-        ),
-        lastExpeditionResult: { outcome, moneyChange, playerIndex },
-      };
-    });
+  const executeFortressBuild = () => {
+    act({ type: ActionTypes.EXECUTE_FORTRESS });
   };
 
-  // Resolve current event using abstracted system
-  const resolveEvent = () => {
-    console.trace("resolveEvent called from:");
+  const cancelFortressBuild = () => {
+    act({ type: ActionTypes.CANCEL_FORTRESS });
+  };
 
-    // In online mode, send resolve action to server
-    if (mode === 'online') {
-      sendAction({ type: 'RESOLVE_EVENT' });
-      return;
+  const handleSaveGame = () => {
+    try {
+      saveLocalGame(t('game.saveName', {
+        turn: gameState.turn,
+        date: new Date().toLocaleString(i18n.language),
+      }));
+      setSaveNotice(t('game.saved'));
+    } catch (error) {
+      console.error('Failed to save game:', error);
+      setSaveNotice(t('game.saveFailed'));
     }
+    setTimeout(() => setSaveNotice(null), 2000);
+  };
 
-    // Local mode: resolve using client-side logic
-    const event = gameState.currentEvent;
-    const eventType = eventTypes[event.type];
+  // Export the game as a JSON file, or copy a shareable link
+  const handleExportGame = async (asLink) => {
+    try {
+      // Online games keep their log on the server
+      const { initialState, actionLog } = useGameStore.getState();
+      const noLog = { initialState: null, log: null };
+      let gameLog = { initialState, log: actionLog };
+      if (mode === 'online') {
+        gameLog = roomId ? await multiplayer.getActionLog(roomId).catch(() => noLog) : noLog;
+      }
+      const payload = createExport({ gameState, aiPlayers, ...gameLog });
 
-    if (!eventType) {
-      console.error('Unknown event type:', event.type);
-      return;
+      if (!asLink) {
+        downloadExport(payload);
+        return;
+      }
+      await navigator.clipboard.writeText(await createShareUrl(payload));
+      setShareNotice(t('game.linkCopied'));
+    } catch (error) {
+      console.error('Failed to export game:', error);
+      setShareNotice(t('game.exportFailed'));
     }
-
-    // Execute the resolution ONCE, outside of setGameState
-    const newState = eventType.resolve(event, gameState, gameState.eventVotes);
-
-    // Check if a new event was triggered (nested event scenario)
-    const newEventTriggered = newState.currentEvent && newState.currentEvent.id !== event.id;
-
-    setGameState({
-      ...newState,
-      // Only mark as resolved if no new event was triggered
-      eventResolved: newEventTriggered ? false : true
-    });
+    setTimeout(() => setShareNotice(null), 2000);
   };
 
   const resetGame = () => {
-    // Use the store's initLocalGame to reset to initial state
-    initLocalGame();
+    // Use the store's initLocalGame to reset to initial state, keeping the rules
+    initLocalGame(undefined, ruleset.id);
   };
 
   const getPhaseDescription = (phase) => {
@@ -2117,6 +602,20 @@ const PskovGame = ({ onMenu }) => {
     return descriptions[phase];
   };
 
+  // Online without a seat: watching the game, with nothing to play
+  const spectating = mode === 'online' && playerId === null;
+
+  // Online games leave construction, events and the veche once every seat is
+  // ready. Once we are, show whose go-ahead the game is still waiting for.
+  const continuePhase = mode === 'online' && canContinue(gameState);
+  const readyFlags = mode !== 'online' ? null
+    : gameState.phase === 'construction' ? gameState.constructionReady
+    : continuePhase ? gameState.continueReady
+    : null;
+  const holdingUp = readyFlags && readyFlags[playerId]
+    ? gameState.players.filter((_, index) => !readyFlags[index]).map((player) => t(`factions.${player.faction}`))
+    : [];
+
   return (
     <div className="parchment-bg min-h-screen">
 
@@ -2134,8 +633,10 @@ const PskovGame = ({ onMenu }) => {
               {t('game.turn', { turn: gameState.turn })}
             </span>
             <div className="progress-bar-track w-16">
-              <div className="progress-bar-fill" style={{ width: `${(gameState.turn / 20) * 100}%` }} />
+              <div className="progress-bar-fill" style={{ width: `${(gameState.turn / ruleset.maxTurns) * 100}%` }} />
             </div>
+            {/* Online turn/vote time limit */}
+            {mode === 'online' && deadline && <TurnTimer deadline={deadline} />}
           </div>
 
           {/* Phase Pills (resources phase is auto-skipped, so hide it) */}
@@ -2166,27 +667,87 @@ const PskovGame = ({ onMenu }) => {
             })()}
           </div>
 
-          {/* Next Phase / Ready Button */}
+          {/* Next Phase / Ready Button (spectators are told they are watching) */}
           <div className="flex-shrink-0">
-            <button
-              onClick={gameState.phase === 'construction' && mode === 'online' ? setConstructionReady : nextPhase}
-              disabled={
-                gameState.turn > 20 ||
-                (gameState.phase === 'events' && !gameState.eventResolved) ||
-                (gameState.phase === 'construction' && mode === 'online' && gameState.constructionReady[playerId])
-              }
-              className="btn-accent px-4 py-1.5 text-sm"
-            >
-              {gameState.turn > 20 ? t('game.gameComplete') :
-               gameState.phase === 'events' && !gameState.eventResolved ? t('game.resolveEventFirst') :
-               gameState.phase === 'construction' && mode === 'online' ?
-                 (gameState.constructionReady[playerId] ? t('game.readyCheck') : t('game.imDone')) :
-               t('game.nextPhase')}
-            </button>
+            {spectating ? (
+              <span className="px-3 py-1.5 rounded bg-parchment-600/40 text-parchment-300 text-sm font-medium">
+                {room?.spectatorDelaySeconds
+                  ? t('game.spectatingDelayed', { seconds: room.spectatorDelaySeconds })
+                  : t('game.spectating')}
+              </span>
+            ) : (
+              <button
+                onClick={gameState.phase === 'construction' && mode === 'online' ? setConstructionReady : nextPhase}
+                disabled={
+                  gameState.turn > ruleset.maxTurns ||
+                  (gameState.phase === 'events' && !gameState.eventResolved) ||
+                  (gameState.phase === 'construction' && mode === 'online' && gameState.constructionReady[playerId]) ||
+                  (continuePhase && gameState.continueReady[playerId])
+                }
+                className="btn-accent px-4 py-1.5 text-sm"
+              >
+                {gameState.turn > ruleset.maxTurns ? t('game.gameComplete') :
+                 gameState.phase === 'events' && !gameState.eventResolved ? t('game.resolveEventFirst') :
+                 gameState.phase === 'construction' && mode === 'online' ?
+                   (gameState.constructionReady[playerId] ? t('game.readyCheck') : t('game.imDone')) :
+                 continuePhase ?
+                   (gameState.continueReady[playerId] ? t('game.readyCheck') : t('game.readyToContinue')) :
+                 t('game.nextPhase')}
+              </button>
+            )}
+            {holdingUp.length > 0 && (
+              <span className="block text-xs text-parchment-300 mt-0.5">
+                {t('game.waitingFor', { factions: holdingUp.join(', ') })}
+              </span>
+            )}
           </div>
 
           {/* Right-pinned controls */}
           <div className="flex items-center gap-2 flex-shrink-0 ml-auto">
+            {/* Undo / Redo (local games only) */}
+            {mode === 'local' && (
+              <>
+                <button
+                  onClick={undo}
+                  disabled={!canUndo}
+                  className="px-2 py-1 text-parchment-400 hover:text-parchment-50 disabled:opacity-40 disabled:hover:text-parchment-400 text-xs font-medium transition-colors"
+                  title={t('game.undoHint')}
+                >
+                  ↶ {t('game.undo')}
+                </button>
+                <button
+                  onClick={redo}
+                  disabled={!canRedo}
+                  className="px-2 py-1 text-parchment-400 hover:text-parchment-50 disabled:opacity-40 disabled:hover:text-parchment-400 text-xs font-medium transition-colors"
+                  title={t('game.redoHint')}
+                >
+                  ↷ {t('game.redo')}
+                </button>
+                <button
+                  onClick={handleSaveGame}
+                  className="px-2 py-1 text-parchment-400 hover:text-parchment-50 text-xs font-medium transition-colors"
+                >
+                  {saveNotice || t('game.save')}
+                </button>
+              </>
+            )}
+
+            {/* Export / share */}
+            <button
+              onClick={() => handleExportGame(false)}
+              className="px-2 py-1 text-parchment-400 hover:text-parchment-50 text-xs font-medium transition-colors"
+              title={t('game.exportHint')}
+            >
+              {t('game.export')}
+            </button>
+            <button
+              onClick={() => handleExportGame(true)}
+              className="px-2 py-1 text-parchment-400 hover:text-parchment-50 text-xs font-medium transition-colors"
+              title={t('game.shareLinkHint')}
+            >
+              {shareNotice || t('game.shareLink')}
+            </button>
+
             {/* Help Button */}
             <button
               onClick={() => setShowHelp(true)}
@@ -2260,6 +821,13 @@ const PskovGame = ({ onMenu }) => {
                       {mode === 'local' && aiPlayers[index] && (
                         <span className="text-blue-500 ml-0.5 text-xs">{t('game.aiLabel')}</span>
                       )}
+                      {player.forfeited ? (
+                        <span className="text-red-600 ml-0.5 text-xs">{t('game.forfeitedLabel')}</span>
+                      ) : mode === 'online' && room?.players[index]?.aiControlled ? (
+                        <span className="text-blue-500 ml-0.5 text-xs">{t('game.aiLabel')}</span>
+                      ) : mode === 'online' && room?.players[index] && !room.players[index].connected && (
+                        <span className="text-ink-muted ml-0.5 text-xs">{t('game.disconnectedLabel')}</span>
+                      )}
                     </span>
                     <span className="text-xs text-ink-light">{player.money.toFixed(1)}○</span>
                     <span className="text-xs text-ink-muted">{t('game.strength')}: {calculatePlayerStrength(index)}</span>
@@ -2300,7 +868,7 @@ const PskovGame = ({ onMenu }) => {
           )}
 
           {/* Victory Points (compact) */}
-          {gameState.turn <= 20 && (
+          {gameState.turn <= ruleset.maxTurns && (
             <div className="card-parchment p-3">
               <h4 className="text-xs font-semibold text-ink-muted uppercase tracking-wide mb-2">{t('game.victoryPoints')}</h4>
               <div className="space-y-1">
@@ -2318,12 +886,38 @@ const PskovGame = ({ onMenu }) => {
         {/* Right Column: Phase Content + Discussion */}
         <main className="flex-1 min-w-0 space-y-4">
 
+          {/* Online notice banner (auto-dismissed) */}
+          {notice && (
+            <div className="bg-parchment-100 border border-parchment-400 rounded-lg px-4 py-2.5 flex items-center justify-between phase-enter">
+              <span className="text-sm text-ink flex-1 text-center">{notice}</span>
+              <button
+                onClick={clearNotice}
+                className="text-ink-muted hover:text-ink text-xs ml-2 px-1"
+              >
+                &times;
+              </button>
+            </div>
+          )}
+
+          {/* Error banner (e.g. a rejected online action) */}
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 rounded-lg px-4 py-2.5 flex items-center justify-between">
+              <span className="text-sm flex-1 text-center">{error}</span>
+              <button
+                onClick={clearError}
+                className="text-red-500 hover:text-red-700 text-xs ml-2 px-1"
+              >
+                &times;
+              </button>
+            </div>
+          )}
+
           {/* Income notification banner (auto-dismissed) */}
           {gameState.phase === 'construction' && incomeNotification && (
             <div className="bg-parchment-100 border border-parchment-400 rounded-lg px-4 py-2.5 flex items-center justify-between phase-enter">
               <div className="flex items-center gap-4 flex-1 justify-center">
                 <span className="text-xs font-medium text-ink-muted">
-                  {t('game.turn', { turn: incomeNotification.turn })}/20 &mdash; {t('phases.resources')}:
+                  {t('game.turn', { turn: incomeNotification.turn })}/{ruleset.maxTurns} &mdash; {t('phases.resources')}:
                 </span>
                 {incomeNotification.incomes.map(({ faction, income }) => (
                   <span key={faction} className="text-sm text-ink">
@@ -2353,7 +947,7 @@ const PskovGame = ({ onMenu }) => {
           )}
 
       {/* ===== CONSTRUCTION PHASE ===== */}
-      {gameState.phase === 'construction' && !(mode === 'local' && aiPlayers[gameState.currentPlayer]) && (() => {
+      {gameState.phase === 'construction' && !spectating && !(mode === 'local' && aiPlayers[gameState.currentPlayer]) && (() => {
         const activePlayerIndex = mode === 'online' ? playerId : gameState.currentPlayer;
         const activePlayer = gameState.players[activePlayerIndex];
 
@@ -2375,12 +969,7 @@ const PskovGame = ({ onMenu }) => {
                 return (
                   <button
                     key={regionName}
-                    onClick={() => {
-                      setGameState(prev => ({ ...prev, selectedRegion: regionName }));
-                      if (mode === 'online') {
-                        sendAction({ type: 'SELECT_REGION', regionName });
-                      }
-                    }}
+                    onClick={() => selectRegion(regionName)}
                     disabled={!isAvailable}
                     className={`px-3 py-1.5 rounded text-sm border transition-colors ${
                       gameState.selectedRegion === regionName
@@ -2456,11 +1045,11 @@ const PskovGame = ({ onMenu }) => {
               <h4 className="text-sm font-medium text-ink-light mb-2">{t('game.equipment')}</h4>
               <div className="space-y-2">
                 <button
-                  onClick={() => buyItem(activePlayerIndex, 'weapons', 1)}
+                  onClick={() => buyItem(activePlayerIndex, 'weapons')}
                   disabled={
-                    activePlayer.money < 1 ||
+                    activePlayer.money < ruleset.equipmentCosts.weapons ||
                     gameState.constructionActions[activePlayerIndex].equipment ||
-                    activePlayer.weapons >= 2
+                    activePlayer.weapons >= ruleset.maxEquipment
                   }
                   className="w-full btn-danger p-2.5 text-sm flex items-center gap-3 text-left"
                 >
@@ -2475,20 +1064,20 @@ const PskovGame = ({ onMenu }) => {
                     <div className="font-medium">{t('game.buyWeapon')}</div>
                     <div className="text-xs opacity-80">
                       {gameState.constructionActions[activePlayerIndex].equipment ? t('game.equipmentBought') :
-                       activePlayer.weapons >= 2 ? t('game.maxWeapons') :
+                       activePlayer.weapons >= ruleset.maxEquipment ? t('game.maxWeapons') :
                        t('game.owned', { count: activePlayer.weapons })}
                     </div>
                   </div>
                 </button>
                 <button
-                  onClick={() => buyItem(activePlayerIndex, 'armor', 1)}
+                  onClick={() => buyItem(activePlayerIndex, 'armor')}
                   disabled={
-                    activePlayer.money < 1 ||
+                    activePlayer.money < ruleset.equipmentCosts.armor ||
                     gameState.constructionActions[activePlayerIndex].equipment ||
-                    activePlayer.armor >= 2
+                    activePlayer.armor >= ruleset.maxEquipment
                   }
                   className="w-full p-2.5 text-sm flex items-center gap-3 text-left rounded font-semibold text-white transition-colors"
-                  style={{ background: activePlayer.money >= 1 && !gameState.constructionActions[activePlayerIndex].equipment && activePlayer.armor < 2 ? '#2563eb' : '#c9b896', cursor: activePlayer.money >= 1 && !gameState.constructionActions[activePlayerIndex].equipment && activePlayer.armor < 2 ? 'pointer' : 'not-allowed' }}
+                  style={{ background: activePlayer.money >= ruleset.equipmentCosts.armor && !gameState.constructionActions[activePlayerIndex].equipment && activePlayer.armor < ruleset.maxEquipment ? '#2563eb' : '#c9b896', cursor: activePlayer.money >= ruleset.equipmentCosts.armor && !gameState.constructionActions[activePlayerIndex].equipment && activePlayer.armor < ruleset.maxEquipment ? 'pointer' : 'not-allowed' }}
                 >
                   {getEquipmentImage('armor', activePlayer.faction) && (
                     <img
@@ -2501,7 +1090,7 @@ const PskovGame = ({ onMenu }) => {
                     <div className="font-medium">{t('game.buyArmor')}</div>
                     <div className="text-xs opacity-80">
                       {gameState.constructionActions[activePlayerIndex].equipment ? t('game.equipmentBought') :
-                       activePlayer.armor >= 2 ? t('game.maxArmor') :
+                       activePlayer.armor >= ruleset.maxEquipment ? t('game.maxArmor') :
                        t('game.owned', { count: activePlayer.armor })}
                     </div>
                   </div>
@@ -2519,18 +1108,18 @@ const PskovGame = ({ onMenu }) => {
                 <button
                   onClick={() => sendExpeditionAction(activePlayerIndex)}
                   disabled={
-                    activePlayer.money < EXPEDITION_COST ||
-                    activePlayer.expeditions >= EXPEDITION_MAX_PER_GAME ||
+                    activePlayer.money < ruleset.expeditionCost ||
+                    activePlayer.expeditions >= ruleset.expeditionMaxPerGame ||
                     gameState.constructionActions[activePlayerIndex].expedition
                   }
                   className="w-full p-2.5 text-sm flex items-center gap-3 text-left rounded font-semibold text-white transition-colors"
                   style={{
-                    background: activePlayer.money >= EXPEDITION_COST
-                      && activePlayer.expeditions < EXPEDITION_MAX_PER_GAME
+                    background: activePlayer.money >= ruleset.expeditionCost
+                      && activePlayer.expeditions < ruleset.expeditionMaxPerGame
                       && !gameState.constructionActions[activePlayerIndex].expedition
                       ? '#0d7377' : '#c9b896',
-                    cursor: activePlayer.money >= EXPEDITION_COST
-                      && activePlayer.expeditions < EXPEDITION_MAX_PER_GAME
+                    cursor: activePlayer.money >= ruleset.expeditionCost
+                      && activePlayer.expeditions < ruleset.expeditionMaxPerGame
                       && !gameState.constructionActions[activePlayerIndex].expedition
                       ? 'pointer' : 'not-allowed'
                   }}
@@ -2545,9 +1134,9 @@ const PskovGame = ({ onMenu }) => {
                     <div className="text-xs opacity-80">
                       {gameState.constructionActions[activePlayerIndex].expedition
                         ? t('game.expeditionSent')
-                        : activePlayer.expeditions >= EXPEDITION_MAX_PER_GAME
+                        : activePlayer.expeditions >= ruleset.expeditionMaxPerGame
                         ? t('game.expeditionMaxReached')
-                        : t('game.expeditionInfo', { sent: activePlayer.expeditions, max: EXPEDITION_MAX_PER_GAME })}
+                        : t('game.expeditionInfo', { sent: activePlayer.expeditions, max: ruleset.expeditionMaxPerGame })}
                     </div>
                   </div>
                 </button>
@@ -2591,7 +1180,7 @@ const PskovGame = ({ onMenu }) => {
       {gameState.phase === 'events' && gameState.currentEvent && (
         <div className="phase-enter">
           {/* Event Card with Dramatic Reveal */}
-          {!gameState.eventImageRevealed && getEventImage(gameState.currentEvent.id) && (
+          {!eventImageRevealed && getEventImage(gameState.currentEvent.id) && (
             <div className="text-center py-16">
               <div className="heading-serif text-2xl text-ink mb-3">{t('events.newEvent')}</div>
               <div className="text-ink-muted">{t('game.revealingEvent')}</div>
@@ -2599,10 +1188,10 @@ const PskovGame = ({ onMenu }) => {
           )}
 
           {/* Side-by-side layout: image left, content right */}
-          {(gameState.eventImageRevealed || !getEventImage(gameState.currentEvent.id)) && (
-            <div className={getEventImage(gameState.currentEvent.id) && gameState.eventImageRevealed ? 'flex gap-4 items-start' : ''}>
+          {(eventImageRevealed || !getEventImage(gameState.currentEvent.id)) && (
+            <div className={getEventImage(gameState.currentEvent.id) && eventImageRevealed ? 'flex gap-4 items-start' : ''}>
 
-              {getEventImage(gameState.currentEvent.id) && gameState.eventImageRevealed && (
+              {getEventImage(gameState.currentEvent.id) && eventImageRevealed && (
                 <div className="event-card-revealed w-2/5 flex-shrink-0 overflow-hidden" style={sidebarHeight ? { height: sidebarHeight } : undefined}>
                   <div className="event-frame h-full">
                     <img
@@ -2687,7 +1276,9 @@ const PskovGame = ({ onMenu }) => {
                             </div>
                           ) : (
                             <div className="text-xs text-ink-muted italic py-1">
-                              {hasVoted ? (
+                              {isHiddenVote(votedOptionId) ? (
+                                <span className="text-accent font-medium">{t('events.votedHidden')}</span>
+                              ) : hasVoted ? (
                                 <span className="text-accent font-medium">{t('game.voted', { option: getOptionName(gameState.currentEvent.id, votedOption?.id) || votedOption?.name })}</span>
                               ) : (
                                 <span>{t('events.waitingToVote')}</span>
@@ -2699,10 +1290,10 @@ const PskovGame = ({ onMenu }) => {
                     })}
                   </div>
 
-                  {getVotingResult() && (
+                  {getVotingResult(gameState.eventVotes) && (
                     <div className="text-center">
                       {(() => {
-                        const winningOption = getVotingResult();
+                        const winningOption = getVotingResult(gameState.eventVotes);
                         const optionName = gameState.currentEvent.options.find(opt => opt.id === winningOption)?.name;
                         const acceptVoters = gameState.eventVotes.filter(v => v === 'accept').length;
 
@@ -2802,23 +1393,23 @@ const PskovGame = ({ onMenu }) => {
                     })}
                   </div>
 
-                  {getAuctionResult() && (
+                  {getAuctionResult(gameState.eventVotes) && (
                     <div className="text-center">
                       {(() => {
-                        const auction = getAuctionResult();
-                        let resultText = '';
+                        const auction = getAuctionResult(gameState.eventVotes);
+                        let result = null;
                         let resultColor = 'text-ink-light';
 
                         if (auction.result === 'no_bids') {
-                          resultText = 'No worthy bids placed. The furs go unsold.';
+                          result = { code: 'auctionNoBids' };
                         } else if (auction.result === 'tie') {
-                          const tiedFactions = auction.tiedIndices.map(i => gameState.players[i].faction).join(' & ');
+                          const tiedFactions = auction.tiedIndices.map(i => gameState.players[i].faction);
                           const pointText = auction.tiedIndices.length === 2 ? '½' : `1/${auction.tiedIndices.length}`;
-                          resultText = `${tiedFactions} tied at ${auction.amount}○! Split the furs. (+${pointText} VP each)`;
+                          result = { code: 'auctionTied', params: { factions: tiedFactions, bid: auction.amount, points: pointText } };
                           resultColor = 'text-amber-700';
                         } else if (auction.result === 'winner') {
                           const winnerFaction = gameState.players[auction.winnerIndex].faction;
-                          resultText = `${winnerFaction} wins with ${auction.amount}○! (+1 Victory Point)`;
+                          result = { code: 'auctionWon', params: { faction: winnerFaction, bid: auction.amount } };
                           resultColor = 'text-emerald-700';
                         }
 
@@ -2827,7 +1418,7 @@ const PskovGame = ({ onMenu }) => {
                             <p className={`text-sm font-semibold ${resultColor} mb-1`}>
                               Bids: {gameState.players.map((p, i) => `${p.faction}: ${gameState.eventVotes[i]}○`).join(' · ')}
                             </p>
-                            <p className={`text-sm font-semibold ${resultColor}`}>{resultText}</p>
+                            <p className={`text-sm font-semibold ${resultColor}`}>{translateResult(result)}</p>
                           </div>
                         );
                       })()}
@@ -2885,13 +1476,16 @@ const PskovGame = ({ onMenu }) => {
                             >
                               {gameState.eventVotes[index] === false ? 'Not Participating' : "Don't Participate"}
                             </button>
+                            {isHiddenVote(gameState.eventVotes[index]) && (
+                              <div className="text-xs text-accent font-medium italic">{t('events.votedHidden')}</div>
+                            )}
                           </div>
                         </div>
                       );
                     })}
                   </div>
 
-                  {getParticipationResult() && (
+                  {getParticipationResult(gameState.eventVotes) && (
                     <div className="text-center">
                       {(() => {
                         // Iteratively determine actual defenders (same logic as resolution)
@@ -2971,7 +1565,7 @@ const PskovGame = ({ onMenu }) => {
                 <div>
                   <h4 className="text-sm font-bold text-red-800 mb-2">{t('game.orderAttack')}</h4>
                   <p className="text-sm text-ink-light mb-3">{(() => {
-                    const labelKey = { weak: 'weakAttack', normal: 'normalAttack', strong: 'strongAttack' }[getAttackStrengthLabel(gameState.currentEvent.orderStrength + getOrderTurnBonus(gameState.turn))];
+                    const labelKey = { weak: 'weakAttack', normal: 'normalAttack', strong: 'strongAttack' }[getAttackStrengthLabel(getOrderStrength(gameState, gameState.currentEvent.orderStrength))];
                     return t('game.orderAttackDesc', { label: t(`game.${labelKey}`) });
                   })()}</p>
 
@@ -3024,7 +1618,9 @@ const PskovGame = ({ onMenu }) => {
                             </div>
                           ) : (
                             <div className="text-xs text-ink-muted italic py-1">
-                              {hasDecided ? (
+                              {isHiddenVote(gameState.eventVotes[index]) ? (
+                                <span className="text-accent font-medium">{t('events.votedHidden')}</span>
+                              ) : hasDecided ? (
                                 gameState.eventVotes[index] === true ? (
                                   <span className="text-emerald-700 font-medium">{t('game.defending')}</span>
                                 ) : (
@@ -3040,7 +1636,7 @@ const PskovGame = ({ onMenu }) => {
                     })}
                   </div>
 
-                  {getParticipationResult() && (
+                  {getParticipationResult(gameState.eventVotes) && (
                     <div className="text-center">
                       <p className="text-sm text-ink-light mb-2">
                         {(() => {
@@ -3081,15 +1677,16 @@ const PskovGame = ({ onMenu }) => {
                 <div className="text-center py-2">
                   <p className="text-emerald-700 font-semibold mb-2">{t('game.eventResolved')}</p>
                   {gameState.lastEventResult && (
-                    <p className="text-sm text-ink-light mb-2 font-medium">{gameState.lastEventResult}</p>
+                    <p className="text-sm text-ink-light mb-2 font-medium">{translateResult(gameState.lastEventResult)}</p>
                   )}
                   <p className="text-xs text-ink-muted">{t('game.clickNextPhase')}</p>
                 </div>
               )}
 
-              {/* Council Discussion - inline in events column */}
-              <div className="mt-4">
+              {/* Council Discussion - inline in events column, room chat beside it online */}
+              <div className="mt-4 space-y-3">
                 <DiscussionPanel />
+                {mode === 'online' && <ChatPanel />}
               </div>
             </div>
             </div>
@@ -3158,7 +1755,7 @@ const PskovGame = ({ onMenu }) => {
                       <div className="text-xs text-ink-muted mb-2">{player.money.toFixed(1)}○</div>
                       <div className="space-y-1.5">
                         <button
-                          onClick={() => { setGameState(prev => { const nv = [...prev.attackVotes]; nv[index] = true; return { ...prev, attackVotes: nv }; }); }}
+                          onClick={() => voteOnAttack(index, true)}
                           disabled={hasDecided || !canAfford}
                           className={`w-full px-3 py-1.5 rounded text-xs font-medium transition-colors ${
                             gameState.attackVotes[index] === true ? 'bg-red-700 text-white'
@@ -3170,7 +1767,7 @@ const PskovGame = ({ onMenu }) => {
                            !canAfford ? t('events.needMoney', { amount: 2 }) : t('veche.joinAttack')}
                         </button>
                         <button
-                          onClick={() => { setGameState(prev => { const nv = [...prev.attackVotes]; nv[index] = false; return { ...prev, attackVotes: nv }; }); }}
+                          onClick={() => voteOnAttack(index, false)}
                           disabled={hasDecided}
                           className={`w-full px-3 py-1.5 rounded text-xs font-medium transition-colors ${
                             gameState.attackVotes[index] === false ? 'bg-parchment-600 text-white' : 'btn-secondary'
@@ -3188,7 +1785,7 @@ const PskovGame = ({ onMenu }) => {
                 <div className="text-center">
                   {(() => {
                     const participants = gameState.attackVotes.filter(v => v === true).length;
-                    const costPerParticipant = 2;
+                    const costPerParticipant = ruleset.attackCostPerPlayer;
                     let allCanAfford = true;
                     let insufficientFunds = [];
                     gameState.players.forEach((player, index) => {
@@ -3214,7 +1811,7 @@ const PskovGame = ({ onMenu }) => {
                           <button onClick={() => executeAttack()} disabled={!attackSucceeds} className="btn-danger px-4 py-2 text-sm">
                             {attackSucceeds ? t('veche.launchAttack') : t('veche.cannotLaunch')}
                           </button>
-                          <button onClick={() => { setGameState(prev => ({ ...prev, attackPlanning: null, attackTarget: null, attackVotes: [null, null, null] })); }} className="btn-secondary px-4 py-2 text-sm">
+                          <button onClick={cancelAttack} className="btn-secondary px-4 py-2 text-sm">
                             {t('veche.cancel')}
                           </button>
                         </div>
@@ -3227,11 +1824,11 @@ const PskovGame = ({ onMenu }) => {
           )}
 
           {/* Attack Result */}
-          {gameState.lastEventResult && (gameState.lastEventResult.includes('VICTORY!') || gameState.lastEventResult.includes('DEFEAT!')) && (
+          {BATTLE_OUTCOMES[gameState.lastEventResult?.code] && (
             <div className={`p-3 rounded mb-4 text-sm font-medium ${
-              gameState.lastEventResult.includes('VICTORY!') ? 'bg-emerald-50 text-emerald-800 border border-emerald-200' : 'bg-red-50 text-red-800 border border-red-200'
+              BATTLE_OUTCOMES[gameState.lastEventResult.code] === 'victory' ? 'bg-emerald-50 text-emerald-800 border border-emerald-200' : 'bg-red-50 text-red-800 border border-red-200'
             }`}>
-              {gameState.lastEventResult}
+              {translateResult(gameState.lastEventResult)}
             </div>
           )}
 
@@ -3281,7 +1878,7 @@ const PskovGame = ({ onMenu }) => {
                         <div className="text-xs text-ink-muted mb-2">{player.money.toFixed(1)}○</div>
                         <div className="space-y-1.5">
                           <button
-                            onClick={() => { setGameState(prev => { const nv = [...prev.fortressVotes]; nv[index] = true; return { ...prev, fortressVotes: nv }; }); }}
+                            onClick={() => voteOnFortress(index, true)}
                             disabled={hasDecided || !canAfford}
                             className={`w-full px-3 py-1.5 rounded text-xs font-medium transition-colors ${
                               gameState.fortressVotes[index] === true ? 'bg-accent text-white'
@@ -3293,7 +1890,7 @@ const PskovGame = ({ onMenu }) => {
                              !canAfford ? t('events.needMoney', { amount: 2 }) : t('veche.contribute')}
                           </button>
                           <button
-                            onClick={() => { setGameState(prev => { const nv = [...prev.fortressVotes]; nv[index] = false; return { ...prev, fortressVotes: nv }; }); }}
+                            onClick={() => voteOnFortress(index, false)}
                             disabled={hasDecided}
                             className={`w-full px-3 py-1.5 rounded text-xs font-medium transition-colors ${
                               gameState.fortressVotes[index] === false ? 'bg-parchment-600 text-white' : 'btn-secondary'
@@ -3311,7 +1908,7 @@ const PskovGame = ({ onMenu }) => {
                   <div className="text-center">
                     {(() => {
                       const participants = gameState.fortressVotes.filter(v => v === true).length;
-                      const costPerParticipant = participants > 0 ? (6 / participants) : 0;
+                      const costPerParticipant = participants > 0 ? (ruleset.fortressCostTotal / participants) : 0;
                       let allCanAfford = true;
                       let insufficientFunds = [];
                       gameState.players.forEach((player, index) => {
@@ -3325,14 +1922,14 @@ const PskovGame = ({ onMenu }) => {
                         return (
                           <div>
                             <p className="text-ink-muted mb-2 text-sm">{t('veche.noFortressFunding')}</p>
-                            <button onClick={() => { setGameState(prev => ({ ...prev, fortressPlanning: null, fortressTarget: null, fortressVotes: [null, null, null] })); }} className="btn-secondary px-4 py-2 text-sm">{t('veche.cancelConstruction')}</button>
+                            <button onClick={cancelFortressBuild} className="btn-secondary px-4 py-2 text-sm">{t('veche.cancelConstruction')}</button>
                           </div>
                         );
                       } else if (!allCanAfford) {
                         return (
                           <div>
                             <p className="text-red-700 mb-2 text-sm">{t('veche.cannotAffordShare', { factions: insufficientFunds.map(f => t(`factions.${f}`)).join(', '), cost: costPerParticipant.toFixed(2) })}</p>
-                            <button onClick={() => { setGameState(prev => ({ ...prev, fortressPlanning: null, fortressTarget: null, fortressVotes: [null, null, null] })); }} className="btn-secondary px-4 py-2 text-sm">{t('veche.cancelConstruction')}</button>
+                            <button onClick={cancelFortressBuild} className="btn-secondary px-4 py-2 text-sm">{t('veche.cancelConstruction')}</button>
                           </div>
                         );
                       } else {
@@ -3341,7 +1938,7 @@ const PskovGame = ({ onMenu }) => {
                             <p className="text-emerald-700 mb-2 text-sm">{t('veche.contributors', { count: participants, cost: costPerParticipant.toFixed(2) })}</p>
                             <div className="flex gap-2 justify-center">
                               <button onClick={executeFortressBuild} className="btn-accent px-4 py-2 text-sm">{t('veche.buildFortressButton')}</button>
-                              <button onClick={() => { setGameState(prev => ({ ...prev, fortressPlanning: null, fortressTarget: null, fortressVotes: [null, null, null] })); }} className="btn-secondary px-4 py-2 text-sm">{t('veche.cancelFortress')}</button>
+                              <button onClick={cancelFortressBuild} className="btn-secondary px-4 py-2 text-sm">{t('veche.cancelFortress')}</button>
                             </div>
                           </div>
                         );
@@ -3353,22 +1950,30 @@ const PskovGame = ({ onMenu }) => {
             )}
           </div>
 
-          <div className="section-divider" />
+          {!spectating && (
+            <>
+              <div className="section-divider" />
 
-          <div className="text-center">
-            <button onClick={() => nextPhase()} className="btn-accent px-6 py-2 text-sm">
-              End Assembly
-            </button>
-          </div>
+              <div className="text-center">
+                <button
+                  onClick={() => nextPhase()}
+                  disabled={continuePhase && gameState.continueReady[playerId]}
+                  className="btn-accent px-6 py-2 text-sm"
+                >
+                  {continuePhase && gameState.continueReady[playerId] ? t('game.readyCheck') : 'End Assembly'}
+                </button>
+              </div>
+            </>
+          )}
         </div>
       )}
 
       {/* ===== GAME END ===== */}
-      {gameState.turn > 20 && (
+      {gameState.turn > ruleset.maxTurns && (
         <div className="card-parchment-raised p-6 phase-enter">
           <h3 className="heading-serif text-xl text-center mb-4">Game Complete!</h3>
           {(() => {
-            const result = getGameResult();
+            const result = getGameResult(gameState);
             return (
               <div>
                 <div className="border-2 border-accent rounded-lg p-4 mb-4 bg-parchment-50 text-center">
@@ -3381,7 +1986,7 @@ const PskovGame = ({ onMenu }) => {
                   {result.rankings.map((player, rank) => (
                     <div key={player.index} className={`p-3 rounded ${rank === 0 ? 'bg-parchment-50 border border-accent' : 'border border-parchment-400'}`}>
                       <div className="flex justify-between items-center text-sm">
-                        <span className="font-medium text-ink">#{rank + 1} {player.faction}</span>
+                        <span className="font-medium text-ink">#{rank + 1} {player.faction}{player.forfeited && ' (forfeited)'}</span>
                         <span className="text-ink-light">{player.victoryPoints} VP &middot; {player.money.toFixed(1)}○</span>
                       </div>
                       <div className="text-xs text-ink-muted mt-1 flex flex-wrap gap-x-3">
@@ -3398,8 +2003,18 @@ const PskovGame = ({ onMenu }) => {
         </div>
       )}
 
+          {/* Online games keep a summary once they end */}
+          {mode === 'online' && (gameState.gameOver || gameState.turn > ruleset.maxTurns) && (
+            <div className="text-center">
+              <button onClick={onShowResults} className="btn-accent px-6 py-2 text-sm">
+                {t('results.view')}
+              </button>
+            </div>
+          )}
+
           {/* Discussion Panel - elevated, below phase content (skip during events, shown inline there) */}
           {gameState.phase !== 'events' && <DiscussionPanel />}
+          {gameState.phase !== 'events' && mode === 'online' && <ChatPanel />}
 
         </main>
 
@@ -3425,8 +2040,10 @@ const PskovGame = ({ onMenu }) => {
 const FACTIONS_LIST = ['Nobles', 'Merchants', 'Commoners'];
 
 const App = () => {
-  const [screen, setScreen] = useState('menu'); // 'menu' | 'lobby' | 'faction' | 'howtoplay' | 'game'
+  const [screen, setScreen] = useState('menu'); // 'menu' | 'lobby' | 'faction' | 'howtoplay' | 'game' | 'results'
+  const [resultsRoomId, setResultsRoomId] = useState(null); // room whose results are shown
   const [soloFaction, setSoloFaction] = useState(null); // faction name for solo intro screen
+  const { t } = useTranslation();
 
   // Store state
   const mode = useGameStore((state) => state.mode);
@@ -3435,24 +2052,30 @@ const App = () => {
   const roomId = useGameStore((state) => state.roomId);
   const playerId = useGameStore((state) => state.playerId);
   const initLocalGame = useGameStore((state) => state.initLocalGame);
+  const loadLocalGame = useGameStore((state) => state.loadLocalGame);
+  const setError = useGameStore((state) => state.setError);
+  const resumeLocalGame = useGameStore((state) => state.resumeLocalGame);
   const createRoom = useGameStore((state) => state.createRoom);
+  const quickMatch = useGameStore((state) => state.quickMatch);
   const observeRoom = useGameStore((state) => state.observeRoom);
   const joinRoom = useGameStore((state) => state.joinRoom);
+  const rejoinRoom = useGameStore((state) => state.rejoinRoom);
   const leaveRoom = useGameStore((state) => state.leaveRoom);
   const resetStore = useGameStore((state) => state.resetStore);
 
   // Handle screen transitions based on game state
   useEffect(() => {
     if (mode === 'online' && room?.gameStarted && gameState) {
-      // Game has started - show faction screen before the game (only once)
+      // Game has started - show faction screen before the game (only once).
+      // Spectators have no faction and go straight to the game.
       if (screen === 'lobby') {
-        setScreen('faction');
+        setScreen(playerId === null ? 'game' : 'faction');
       }
     } else if (mode === 'online' && roomId && !room?.gameStarted) {
       // In lobby waiting for game to start
       setScreen('lobby');
     }
-  }, [mode, room?.gameStarted, gameState, roomId, screen]);
+  }, [mode, room?.gameStarted, gameState, roomId, screen, playerId]);
 
   // Start solo game (1 human + 2 AI) with faction intro
   const handleStartSolo = (factionIndex) => {
@@ -3463,21 +2086,87 @@ const App = () => {
     setScreen('faction');
   };
 
-  // Start local hotseat game (with optional AI config)
-  const handleStartLocal = (aiConfig) => {
-    initLocalGame(aiConfig);
+  // Start local hotseat game (with optional AI config and ruleset)
+  const handleStartLocal = (aiConfig, rulesetId) => {
+    initLocalGame(aiConfig, rulesetId);
     setScreen('howtoplay');
   };
 
+  // Resume a saved local game
+  const handleLoadGame = (saveId) => {
+    try {
+      loadLocalGame(saveId);
+      setScreen('game');
+    } catch (error) {
+      setError(t('menu.loadFailed', { error: error.message }));
+    }
+  };
+
+  // Import a game from an exported file's contents
+  const handleImportGame = (text) => {
+    try {
+      resumeLocalGame(importFromText(text));
+      setScreen('game');
+    } catch (error) {
+      setError(t('menu.importFailed', { error: error.message }));
+    }
+  };
+
+  // Open a game shared as a #game= link
+  useEffect(() => {
+    const { hash } = window.location;
+    if (!isGameFragment(hash)) return;
+
+    // Drop the fragment so a reload doesn't re-import over the game
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    importFromFragment(hash)
+      .then((save) => {
+        resumeLocalGame(save);
+        setScreen('game');
+      })
+      .catch((error) => setError(t('menu.importFailed', { error: error.message })));
+  }, []);
+
+  // Open the results of a finished online game from a #results= link
+  useEffect(() => {
+    const linkedRoomId = getResultsRoom(window.location.hash);
+    if (!linkedRoomId) return;
+
+    setResultsRoomId(linkedRoomId);
+    setScreen('results');
+  }, []);
+
+  // Return to our seat in an online room after a page refresh
+  useEffect(() => {
+    const { hash } = window.location;
+    if (isGameFragment(hash) || getResultsRoom(hash)) return;
+
+    rejoinRoom()
+      .then((rejoined) => {
+        if (!rejoined) return;
+        setScreen(useGameStore.getState().room?.gameStarted ? 'game' : 'lobby');
+      })
+      .catch(() => setError(t('online.rejoinFailed')));
+  }, []);
+
   // Create online room
-  const handleCreateRoom = async (playerName) => {
+  const handleCreateRoom = async (playerName, rulesetId, roomOptions) => {
     sessionStorage.setItem('playerName', playerName);
-    const newRoomId = await createRoom();
+    const newRoomId = await createRoom(rulesetId, roomOptions);
     // Connect as observer to receive room updates
     await observeRoom(newRoomId);
     setScreen('lobby');
   };
 
+  // Quick match: into the emptiest public room, or a new public one
+  const handleQuickMatch = async (playerName, rulesetId) => {
+    sessionStorage.setItem('playerName', playerName);
+    const matchedRoomId = await quickMatch(rulesetId);
+    // Connect as observer to receive room updates
+    await observeRoom(matchedRoomId);
+    setScreen('lobby');
+  };
+
   // Join existing room (first step - just get room code)
   const handleJoinRoom = async (roomCode, playerName) => {
     sessionStorage.setItem('playerName', playerName);
@@ -3487,6 +2176,13 @@ const App = () => {
     setScreen('lobby');
   };
 
+  // Watch a room without taking a seat: its lobby, then its game
+  const handleWatchRoom = async (roomCode) => {
+    useGameStore.getState().setRoomId(roomCode);
+    await observeRoom(roomCode);
+    setScreen('lobby');
+  };
+
   // Select faction in lobby (actually joins the room)
   const handleSelectFaction = async (factionIndex) => {
     const playerName = sessionStorage.getItem('playerName') || 'Player';
@@ -3502,6 +2198,21 @@ const App = () => {
     setScreen('menu');
   };
 
+  // Show the results of the online game just played, at a link that can be
+  // shared or reopened later
+  const handleShowResults = () => {
+    window.history.replaceState(null, '', createResultsUrl(roomId));
+    setResultsRoomId(roomId);
+    setScreen('results');
+  };
+
+  // Leave the results: back to the game they came from, else the menu
+  const handleCloseResults = () => {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    setResultsRoomId(null);
+    setScreen(mode === 'online' && gameState ? 'game' : 'menu');
+  };
+
   // Go back to menu
   const handleBackToMenu = () => {
     resetStore();
@@ -3518,6 +2229,10 @@ const App = () => {
           onStartLocal={handleStartLocal}
           onCreateRoom={handleCreateRoom}
           onJoinRoom={handleJoinRoom}
+          onWatchRoom={handleWatchRoom}
+          onQuickMatch={handleQuickMatch}
+          onLoadGame={handleLoadGame}
+          onImportGame={handleImportGame}
         />
       );
 
@@ -3549,12 +2264,20 @@ const App = () => {
     case 'game':
       return (
         <div className="relative">
-          <PskovGame onMenu={handleBackToMenu} />
+          <PskovGame onMenu={handleBackToMenu} onShowResults={handleShowResults} />
         </div>
       );
 
+    case 'results':
+      return (
+        <MatchSummary
+          roomId={resultsRoomId}
+          onClose={handleCloseResults}
+        />
+      );
+
     default:
-      return <MainMenu onStartSolo={handleStartSolo} onStartLocal={handleStartLocal} onCreateRoom={handleCreateRoom} onJoinRoom={handleJoinRoom} />;
+      return <MainMenu onStartSolo={handleStartSolo} onStartLocal={handleStartLocal} onCreateRoom={handleCreateRoom} onJoinRoom={handleJoinRoom} onWatchRoom={handleWatchRoom} onQuickMatch={handleQuickMatch} onLoadGame={handleLoadGame} onImportGame={handleImportGame} />;
   }
 };
 
@@ -0,0 +1,117 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useGameStore } from '../store/gameStore';
+import { translateResult } from '../i18n';
+import { FACTION_COLORS } from './DiscussionPanel';
+import { FACTIONS, MAX_CHAT_LENGTH } from '../../shared/rules';
+
+/**
+ * ChatPanel - the room chat of an online game. Players write to each other
+ * here (e.g. to agree on a veche vote); the room adds lines for joins,
+ * leaves and battles with the Order.
+ */
+const ChatPanel = () => {
+  const { t } = useTranslation();
+  const messages = useGameStore((s) => s.chatMessages);
+  const playerId = useGameStore((s) => s.playerId);
+  const connected = useGameStore((s) => s.connected);
+  const sendChat = useGameStore((s) => s.sendChat);
+  const [draft, setDraft] = useState('');
+  const scrollRef = useRef(null);
+
+  // Auto-scroll to bottom when new messages arrive
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }
+  }, [messages.length]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+    sendChat(text);
+    setDraft('');
+  };
+
+  // System lines come as a code and params, translated here
+  const systemText = ({ code, params = {} }) => {
+    if (code === 'battle') return translateResult(params.result);
+    return t(`chat.${code}`, { ...params, faction: t(`factions.${params.faction}`) });
+  };
+
+  return (
+    <div className="card-parchment overflow-hidden">
+      <div className="px-4 py-2.5 border-b border-parchment-400">
+        <h3 className="heading-serif text-sm font-semibold">
+          {t('chat.title')}
+        </h3>
+      </div>
+
+      <div
+        ref={scrollRef}
+        className="p-3 space-y-2 max-h-80 overflow-y-auto discussion-scroll"
+      >
+        {messages.length === 0 && (
+          <p className="text-xs text-ink-muted italic text-center py-3">
+            {t('chat.empty')}
+          </p>
+        )}
+
+        {messages.map((msg) => {
+          if (msg.system) {
+            return (
+              <p key={msg.id} className="text-xs text-ink-muted italic text-center">
+                {systemText(msg.system)}
+              </p>
+            );
+          }
+          const faction = FACTIONS[msg.playerId];
+          const colors = FACTION_COLORS[faction] || FACTION_COLORS.Commoners;
+          return (
+            <div key={msg.id} className={`${colors.border} border-l-3 pl-3 py-1`}>
+              <div className="flex items-center gap-1.5">
+                <span className={`w-1.5 h-1.5 rounded-full ${colors.dot}`} />
+                <span className={`text-xs font-semibold ${colors.name}`}>
+                  {msg.name}
+                </span>
+                <span className="text-xs text-ink-muted">
+                  {t(`factions.${faction}`)}
+                  {msg.playerId === playerId && ` ${t('game.you')}`}
+                </span>
+              </div>
+              <p className="text-sm text-ink-light leading-snug break-words">
+                {msg.text}
+              </p>
+            </div>
+          );
+        })}
+      </div>
+
+      {playerId === null ? (
+        <p className="px-3 pb-3 text-xs text-ink-muted italic">{t('chat.observerHint')}</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="flex gap-2 px-3 pb-3">
+          <input
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder={t('chat.placeholder')}
+            maxLength={MAX_CHAT_LENGTH}
+            disabled={!connected}
+            className="flex-1 min-w-0 px-2 py-1.5 text-sm border border-parchment-400 rounded bg-parchment-50 text-ink focus:ring-2 focus:ring-accent focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={!connected || !draft.trim()}
+            className="btn-accent px-3 py-1.5 text-sm"
+          >
+            {t('chat.send')}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ChatPanel;
@@ -3,7 +3,7 @@ import { useTranslation } from 'react-i18next';
 import { useGameStore } from '../store/gameStore';
 
 // Faction color schemes (parchment-themed)
-const FACTION_COLORS = {
+export const FACTION_COLORS = {
   Nobles: {
     border: 'border-l-purple-600',
     name: 'text-purple-800',
@@ -2,6 +2,7 @@ import React from 'react';
 import { useTranslation } from 'react-i18next';
 import { toggleLanguage } from '../i18n';
 import { useGameStore } from '../store/gameStore';
+import { RULESET_IDS } from '../../shared/rules';
 
 const FACTIONS = ['Nobles', 'Merchants', 'Commoners'];
 const FACTION_COLORS = {
@@ -18,6 +19,12 @@ const FACTION_COLORS = {
  * - Select their faction (by joining a slot)
  * - Toggle ready status
  * - Wait for all 3 players to be ready
+ * - See how many spectators are watching
+ *
+ * The host (the room's creator) can also remove players, move them between
+ * factions, fill empty seats with AI players, pick the ruleset and lock the
+ * room. Spectators see the lobby too, until the game they came to watch
+ * arrives.
  */
 export const Lobby = ({ onSelectFaction, onLeave }) => {
   const { t, i18n } = useTranslation();
@@ -25,12 +32,18 @@ export const Lobby = ({ onSelectFaction, onLeave }) => {
   const room = useGameStore((state) => state.room);
   const playerId = useGameStore((state) => state.playerId);
   const toggleReady = useGameStore((state) => state.toggleReady);
+  const kickPlayer = useGameStore((state) => state.kickPlayer);
+  const swapSeats = useGameStore((state) => state.swapSeats);
+  const setRoomLocked = useGameStore((state) => state.setRoomLocked);
+  const setRoomRuleset = useGameStore((state) => state.setRoomRuleset);
+  const addBot = useGameStore((state) => state.addBot);
   const error = useGameStore((state) => state.error);
   const clearError = useGameStore((state) => state.clearError);
 
   const players = room?.players || [null, null, null];
   const allReady = players.every((p) => p !== null && p.ready);
   const playerCount = players.filter((p) => p !== null).length;
+  const isHost = playerId !== null && playerId === room?.hostId;
 
   const copyRoomCode = () => {
     navigator.clipboard.writeText(roomId);
@@ -70,6 +83,48 @@ export const Lobby = ({ onSelectFaction, onLeave }) => {
           <p className="text-sm text-gray-500 mt-1">
             {t('lobby.shareCode')}
           </p>
+          {room?.ruleset && (isHost ? (
+            <label className="flex items-center justify-center gap-2 text-sm text-gray-600 mt-2">
+              {t('lobby.rulesetLabel')}
+              <select
+                value={room.ruleset}
+                onChange={(e) => setRoomRuleset(e.target.value)}
+                className="p-1 border border-gray-300 rounded bg-white font-medium"
+              >
+                {RULESET_IDS.map((id) => (
+                  <option key={id} value={id}>{t(`rulesets.${id}.name`)}</option>
+                ))}
+              </select>
+            </label>
+          ) : (
+            <p className="text-sm text-gray-600 mt-2">
+              {t('lobby.rulesetLabel')} <span className="font-medium">{t(`rulesets.${room.ruleset}.name`)}</span>
+            </p>
+          ))}
+          {room?.disconnectPolicy && (
+            <p className="text-sm text-gray-600 mt-1">
+              {t('lobby.disconnectLabel')}{' '}
+              <span className="font-medium">
+                {t(`lobby.disconnect_${room.disconnectPolicy}`, { seconds: room.graceSeconds })}
+              </span>
+            </p>
+          )}
+          {room?.spectatorDelaySeconds > 0 && (
+            <p className="text-sm text-gray-600 mt-1">
+              {t('lobby.spectatorDelay', { seconds: room.spectatorDelaySeconds })}
+            </p>
+          )}
+          {(room?.turnSeconds || room?.voteSeconds) && (
+            <p className="text-sm text-gray-600 mt-1">
+              {t('lobby.timersLabel')}{' '}
+              <span className="font-medium">
+                {[
+                  room.turnSeconds && t('lobby.turnTimer', { seconds: room.turnSeconds }),
+                  room.voteSeconds && t('lobby.voteTimer', { seconds: room.voteSeconds }),
+                ].filter(Boolean).join(', ')}
+              </span>
+            </p>
+          )}
         </div>
 
         {/* Error display */}
@@ -110,6 +165,11 @@ export const Lobby = ({ onSelectFaction, onLeave }) => {
                           {t('lobby.you')}
                         </span>
                       )}
+                      {player && room?.hostId === index && (
+                        <span className="text-xs bg-amber-600 text-white px-2 py-0.5 rounded">
+                          {t('lobby.host')}
+                        </span>
+                      )}
                     </div>
                     <div className="text-sm opacity-75">
                       {t(`factions.${faction.toLowerCase()}Desc`)}
@@ -119,7 +179,7 @@ export const Lobby = ({ onSelectFaction, onLeave }) => {
                   <div className="text-right">
                     {player ? (
                       <div>
-                        <div className="font-medium">{player.name}</div>
+                        <div className="font-medium">{player.bot ? t('lobby.aiPlayer') : player.name}</div>
                         <div
                           className={`text-sm ${
                             player.ready ? 'text-green-600' : 'text-gray-400'
@@ -136,8 +196,43 @@ export const Lobby = ({ onSelectFaction, onLeave }) => {
                   </div>
                 </div>
 
+                {/* Host controls: move the seat's occupant, remove them, or seat an AI */}
+                {isHost && (
+                  <div className="mt-3 flex gap-2">
+                    {player ? (
+                      <>
+                        <select
+                          value=""
+                          onChange={(e) => swapSeats(index, Number(e.target.value))}
+                          className="flex-1 p-1.5 border border-gray-300 rounded bg-white text-sm"
+                        >
+                          <option value="" disabled>{t('lobby.moveTo')}</option>
+                          {FACTIONS.map((other, otherIndex) => otherIndex !== index && (
+                            <option key={other} value={otherIndex}>{t(`factions.${other}`)}</option>
+                          ))}
+                        </select>
+                        {!isMe && (
+                          <button
+                            onClick={() => kickPlayer(index)}
+                            className="px-3 py-1.5 bg-red-100 hover:bg-red-200 text-red-700 rounded text-sm font-medium transition-colors"
+                          >
+                            {t('lobby.remove')}
+                          </button>
+                        )}
+                      </>
+                    ) : (
+                      <button
+                        onClick={() => addBot(index)}
+                        className="flex-1 py-1.5 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded text-sm font-medium transition-colors"
+                      >
+                        {t('lobby.addAi')}
+                      </button>
+                    )}
+                  </div>
+                )}
+
                 {/* Join button for unoccupied slots */}
-                {isAvailable && playerId === null && (
+                {isAvailable && playerId === null && !room?.locked && (
                   <button
                     onClick={() => onSelectFaction(index)}
                     className="mt-3 w-full py-2 bg-blue-500 hover:bg-blue-600 text-white rounded font-medium transition-colors"
@@ -166,9 +261,31 @@ export const Lobby = ({ onSelectFaction, onLeave }) => {
           </div>
         )}
 
+        {/* Host: close the room to new players */}
+        {isHost && (
+          <div className="mb-4">
+            <button
+              onClick={() => setRoomLocked(!room.locked)}
+              className="w-full py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded font-medium transition-colors"
+            >
+              {room.locked ? t('lobby.unlockRoom') : t('lobby.lockRoom')}
+            </button>
+          </div>
+        )}
+
+        {room?.locked && (
+          <p className="text-center text-sm text-gray-500 mb-2">{t('lobby.locked')}</p>
+        )}
+
+        {room?.spectators > 0 && (
+          <p className="text-center text-sm text-gray-500 mb-2">{t('lobby.spectators', { count: room.spectators })}</p>
+        )}
+
         {/* Status */}
         <div className="text-center text-gray-500 mb-4">
-          {playerCount < 3 ? (
+          {room?.gameStarted ? (
+            <span>{t('lobby.gameInProgress')}</span>
+          ) : playerCount < 3 ? (
             <span>{t('lobby.waitingForPlayers', { count: 3 - playerCount })}</span>
           ) : allReady ? (
             <span className="text-green-600 font-semibold">
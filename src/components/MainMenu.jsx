@@ -1,8 +1,10 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { toggleLanguage } from '../i18n';
 import { useGameStore } from '../store/gameStore';
 import { FACTION_IMAGES } from '../imageAssets';
+import { listSaves, deleteSave, AUTOSAVE_ID } from '../services/saveGames';
+import { RULESET_IDS, MAX_NAME_LENGTH } from '../../shared/rules';
 
 const FACTIONS = ['Nobles', 'Merchants', 'Commoners'];
 
@@ -12,32 +14,279 @@ const FACTION_CARD_COLORS = {
   Commoners: 'border-green-500 hover:border-green-600 hover:bg-green-50',
 };
 
+// Ruleset preset picker shared by local setup and online room creation
+const RulesetPicker = ({ value, onChange }) => {
+  const { t } = useTranslation();
+  return (
+    <div>
+      <label className="block text-sm font-medium text-ink-light mb-1">
+        {t('menu.ruleset')}
+      </label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full p-3 border border-parchment-400 rounded-lg bg-parchment-50 text-ink focus:ring-2 focus:ring-accent focus:border-transparent"
+      >
+        {RULESET_IDS.map((id) => (
+          <option key={id} value={id}>{t(`rulesets.${id}.name`)}</option>
+        ))}
+      </select>
+      <p className="text-xs text-ink-muted mt-1">{t(`rulesets.${value}.description`)}</p>
+    </div>
+  );
+};
+
+// Grace periods offered for online rooms, in seconds
+const GRACE_PERIODS = [30, 60, 120, 300];
+
+// What happens to a seat whose player drops out of an online game
+const DisconnectPicker = ({ policy, graceSeconds, onPolicyChange, onGraceChange }) => {
+  const { t } = useTranslation();
+  return (
+    <div>
+      <label className="block text-sm font-medium text-ink-light mb-1">
+        {t('menu.disconnectPolicy')}
+      </label>
+      <div className="flex gap-2">
+        <select
+          value={policy}
+          onChange={(e) => onPolicyChange(e.target.value)}
+          className="flex-1 p-3 border border-parchment-400 rounded-lg bg-parchment-50 text-ink focus:ring-2 focus:ring-accent focus:border-transparent"
+        >
+          <option value="ai">{t('menu.disconnectAi')}</option>
+          <option value="forfeit">{t('menu.disconnectForfeit')}</option>
+        </select>
+        <select
+          value={graceSeconds}
+          onChange={(e) => onGraceChange(Number(e.target.value))}
+          className="p-3 border border-parchment-400 rounded-lg bg-parchment-50 text-ink focus:ring-2 focus:ring-accent focus:border-transparent"
+        >
+          {GRACE_PERIODS.map((seconds) => (
+            <option key={seconds} value={seconds}>{t('menu.graceSeconds', { seconds })}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+// Time limits offered for online construction turns and votes, in seconds
+// (0: no limit)
+const TURN_LIMITS = [0, 60, 120, 180];
+const VOTE_LIMITS = [0, 30, 60, 90];
+
+// Optional time limits on online turns and votes
+const TimerPicker = ({ turnSeconds, voteSeconds, onTurnChange, onVoteChange }) => {
+  const { t } = useTranslation();
+  const limitLabel = (seconds) => (seconds ? t('menu.timerSeconds', { seconds }) : t('menu.noTimer'));
+  return (
+    <div className="flex gap-2">
+      <div className="flex-1">
+        <label className="block text-sm font-medium text-ink-light mb-1">
+          {t('menu.turnTimer')}
+        </label>
+        <select
+          value={turnSeconds}
+          onChange={(e) => onTurnChange(Number(e.target.value))}
+          className="w-full p-3 border border-parchment-400 rounded-lg bg-parchment-50 text-ink focus:ring-2 focus:ring-accent focus:border-transparent"
+        >
+          {TURN_LIMITS.map((seconds) => (
+            <option key={seconds} value={seconds}>{limitLabel(seconds)}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex-1">
+        <label className="block text-sm font-medium text-ink-light mb-1">
+          {t('menu.voteTimer')}
+        </label>
+        <select
+          value={voteSeconds}
+          onChange={(e) => onVoteChange(Number(e.target.value))}
+          className="w-full p-3 border border-parchment-400 rounded-lg bg-parchment-50 text-ink focus:ring-2 focus:ring-accent focus:border-transparent"
+        >
+          {VOTE_LIMITS.map((seconds) => (
+            <option key={seconds} value={seconds}>{limitLabel(seconds)}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+// Delays offered for showing spectators an online game, in seconds (0: live)
+const SPECTATOR_DELAYS = [0, 30, 60, 120];
+
+// How far behind the players spectators see an online game, so they can't
+// pass on what they see while it still matters
+const SpectatorDelayPicker = ({ value, onChange }) => {
+  const { t } = useTranslation();
+  return (
+    <div>
+      <label className="block text-sm font-medium text-ink-light mb-1">
+        {t('menu.spectatorDelay')}
+      </label>
+      <select
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-full p-3 border border-parchment-400 rounded-lg bg-parchment-50 text-ink focus:ring-2 focus:ring-accent focus:border-transparent"
+      >
+        {SPECTATOR_DELAYS.map((seconds) => (
+          <option key={seconds} value={seconds}>
+            {seconds ? t('menu.spectatorDelaySeconds', { seconds }) : t('menu.spectatorLive')}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+// Public rooms with free seats, each a click away from its lobby
+const RoomBrowser = ({ rooms, isLoading, onRefresh, onJoin }) => {
+  const { t } = useTranslation();
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="heading-serif text-lg">{t('menu.openRooms')}</h3>
+        <button
+          onClick={onRefresh}
+          disabled={isLoading}
+          className="text-ink-muted hover:text-ink text-sm"
+        >
+          {t('menu.refresh')}
+        </button>
+      </div>
+
+      {rooms && rooms.length === 0 && (
+        <p className="text-sm text-ink-muted">{t('menu.noOpenRooms')}</p>
+      )}
+
+      <div className="space-y-2">
+        {(rooms || []).map((room) => (
+          <div key={room.roomId} className="flex items-center gap-3 bg-parchment-50 p-3 rounded-lg border border-parchment-400">
+            <div className="flex-1 min-w-0">
+              <div className="font-mono font-medium text-ink">{room.roomId}</div>
+              <div className="text-xs text-ink-muted">
+                {t(`rulesets.${room.ruleset}.name`)} · {t('menu.roomPlayers', { count: room.playerCount })}
+              </div>
+              <div className="text-xs text-ink-muted truncate">
+                {t('menu.freeFactions', {
+                  factions: room.freeFactions.map((index) => t(`factions.${FACTIONS[index]}`)).join(', '),
+                })}
+              </div>
+            </div>
+            <button
+              onClick={() => onJoin(room.roomId)}
+              disabled={isLoading}
+              className="btn-accent px-3 py-1.5 text-sm"
+            >
+              {t('menu.join')}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 /**
  * MainMenu Component
  *
  * Entry point for the game - allows choosing between:
  * - Solo play (pick a faction, play vs 2 AI)
- * - Local hotseat (multi-human configuration)
- * - Create online room
- * - Join existing online room
+ * - Local hotseat (multi-human configuration, ruleset)
+ * - Create online room (with a ruleset, disconnect policy, time limits and
+ *   spectator delay), optionally listed publicly
+ * - Quick match into the emptiest public room
+ * - Browse public rooms, or join or watch one by its code
+ * - Load a saved local game
+ * - Import an exported game file
  */
-export const MainMenu = ({ onStartLocal, onStartSolo, onCreateRoom, onJoinRoom }) => {
+export const MainMenu = ({
+  onStartLocal,
+  onStartSolo,
+  onCreateRoom,
+  onJoinRoom,
+  onWatchRoom,
+  onQuickMatch,
+  onLoadGame,
+  onImportGame,
+}) => {
   const { t, i18n } = useTranslation();
   const [showJoinForm, setShowJoinForm] = useState(false);
   const [showGameSetup, setShowGameSetup] = useState(false);
   const [showMultiplayer, setShowMultiplayer] = useState(false);
+  const [showBrowser, setShowBrowser] = useState(false);
+  const [openRooms, setOpenRooms] = useState(null);
   const [roomCode, setRoomCode] = useState('');
   const [playerName, setPlayerName] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [aiPlayers, setAiPlayers] = useState([false, false, false]);
+  const [rulesetId, setRulesetId] = useState('standard');
+  const [disconnectPolicy, setDisconnectPolicy] = useState('ai');
+  const [graceSeconds, setGraceSeconds] = useState(60);
+  const [turnSeconds, setTurnSeconds] = useState(0);
+  const [voteSeconds, setVoteSeconds] = useState(0);
+  const [isPublic, setIsPublic] = useState(false);
+  const [spectatorDelaySeconds, setSpectatorDelaySeconds] = useState(0);
+  const [showSaves, setShowSaves] = useState(false);
+  const [saves, setSaves] = useState(() => listSaves());
+  const importInputRef = useRef(null);
   const error = useGameStore((state) => state.error);
   const clearError = useGameStore((state) => state.clearError);
+  const listRooms = useGameStore((state) => state.listRooms);
 
   const handleCreateRoom = async () => {
     setIsLoading(true);
     clearError();
     try {
-      await onCreateRoom(playerName || 'Player');
+      await onCreateRoom(playerName || 'Player', rulesetId, {
+        disconnectPolicy,
+        graceSeconds,
+        turnSeconds: turnSeconds || null,
+        voteSeconds: voteSeconds || null,
+        isPublic,
+        spectatorDelaySeconds,
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleQuickMatch = async () => {
+    setIsLoading(true);
+    clearError();
+    try {
+      await onQuickMatch(playerName || 'Player', rulesetId);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadOpenRooms = async () => {
+    setIsLoading(true);
+    try {
+      setOpenRooms(await listRooms());
+    } catch {
+      // The store shows the error
+      setOpenRooms([]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Fetch the open rooms each time the browser is opened
+  useEffect(() => {
+    if (showBrowser) {
+      setOpenRooms(null);
+      loadOpenRooms();
+    }
+  }, [showBrowser]);
+
+  const handleJoinListedRoom = async (listedRoomId) => {
+    setIsLoading(true);
+    clearError();
+    try {
+      await onJoinRoom(listedRoomId, playerName || 'Player');
     } finally {
       setIsLoading(false);
     }
@@ -54,6 +303,17 @@ export const MainMenu = ({ onStartLocal, onStartSolo, onCreateRoom, onJoinRoom }
     }
   };
 
+  const handleWatchRoom = async () => {
+    if (!roomCode.trim()) return;
+    setIsLoading(true);
+    clearError();
+    try {
+      await onWatchRoom(roomCode.toUpperCase());
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const toggleAi = (index) => {
     setAiPlayers(prev => {
       const next = [...prev];
@@ -65,7 +325,7 @@ export const MainMenu = ({ onStartLocal, onStartSolo, onCreateRoom, onJoinRoom }
   const handleStartWithAi = () => {
     // At least one human player required
     if (aiPlayers.every(ai => ai)) return;
-    onStartLocal(aiPlayers);
+    onStartLocal(aiPlayers, rulesetId);
   };
 
   const setPreset = (preset) => {
@@ -75,6 +335,20 @@ export const MainMenu = ({ onStartLocal, onStartSolo, onCreateRoom, onJoinRoom }
 
   const humanCount = aiPlayers.filter(ai => !ai).length;
 
+  const handleDeleteSave = (id) => {
+    deleteSave(id);
+    setSaves(listSaves());
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+    if (!file) return;
+    clearError();
+    onImportGame(await file.text());
+  };
+
   return (
     <div className="parchment-bg min-h-screen flex items-center justify-center p-4">
       <div className="card-parchment-raised p-8 max-w-md w-full relative">
@@ -111,7 +385,49 @@ export const MainMenu = ({ onStartLocal, onStartSolo, onCreateRoom, onJoinRoom }
           </div>
         )}
 
-        {showGameSetup ? (
+        {showSaves ? (
+          <div className="space-y-4">
+            <button
+              onClick={() => setShowSaves(false)}
+              className="text-ink-muted hover:text-ink mb-2 text-sm"
+            >
+              {t('menu.back')}
+            </button>
+
+            <h3 className="heading-serif text-lg">{t('menu.savedGames')}</h3>
+
+            {saves.length === 0 ? (
+              <p className="text-sm text-ink-muted">{t('menu.noSaves')}</p>
+            ) : (
+              <div className="space-y-2">
+                {saves.map((save) => (
+                  <div key={save.id} className="flex items-center gap-3 bg-parchment-50 p-3 rounded-lg border border-parchment-400">
+                    <div className="flex-1 min-w-0">
+                      <div className="font-medium text-ink truncate">
+                        {save.id === AUTOSAVE_ID ? t('menu.autosave') : save.name}
+                      </div>
+                      <div className="text-xs text-ink-muted">
+                        {t('menu.saveTurn', { turn: save.turn })} · {new Date(save.savedAt).toLocaleString(i18n.language)}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => onLoadGame(save.id)}
+                      className="btn-accent px-3 py-1.5 text-sm"
+                    >
+                      {t('menu.load')}
+                    </button>
+                    <button
+                      onClick={() => handleDeleteSave(save.id)}
+                      className="text-ink-muted hover:text-red-700 text-sm"
+                    >
+                      {t('menu.deleteSave')}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ) : showGameSetup ? (
           <div className="space-y-4">
             <button
               onClick={() => setShowGameSetup(false)}
@@ -163,6 +479,8 @@ export const MainMenu = ({ onStartLocal, onStartSolo, onCreateRoom, onJoinRoom }
               ))}
             </div>
 
+            <RulesetPicker value={rulesetId} onChange={setRulesetId} />
+
             {/* Validation message */}
             {aiPlayers.every(ai => ai) && (
               <p className="text-red-700 text-sm">{t('menu.needOneHuman')}</p>
@@ -177,6 +495,37 @@ export const MainMenu = ({ onStartLocal, onStartSolo, onCreateRoom, onJoinRoom }
               {t('menu.startGame')}
             </button>
           </div>
+        ) : showBrowser ? (
+          /* Public room browser */
+          <div className="space-y-4">
+            <button
+              onClick={() => setShowBrowser(false)}
+              className="text-ink-muted hover:text-ink mb-2 text-sm"
+            >
+              {t('menu.back')}
+            </button>
+
+            <div>
+              <label className="block text-sm font-medium text-ink-light mb-1">
+                {t('menu.yourName')}
+              </label>
+              <input
+                type="text"
+                value={playerName}
+                onChange={(e) => setPlayerName(e.target.value)}
+                placeholder={t('menu.enterName')}
+                className="w-full p-3 border border-parchment-400 rounded-lg bg-parchment-50 text-ink focus:ring-2 focus:ring-accent focus:border-transparent"
+                maxLength={MAX_NAME_LENGTH}
+              />
+            </div>
+
+            <RoomBrowser
+              rooms={openRooms}
+              isLoading={isLoading}
+              onRefresh={loadOpenRooms}
+              onJoin={handleJoinListedRoom}
+            />
+          </div>
         ) : showJoinForm ? (
           /* Join game form */
           <div className="space-y-4">
@@ -197,7 +546,7 @@ export const MainMenu = ({ onStartLocal, onStartSolo, onCreateRoom, onJoinRoom }
                 onChange={(e) => setPlayerName(e.target.value)}
                 placeholder={t('menu.enterName')}
                 className="w-full p-3 border border-parchment-400 rounded-lg bg-parchment-50 text-ink focus:ring-2 focus:ring-accent focus:border-transparent"
-                maxLength={20}
+                maxLength={MAX_NAME_LENGTH}
               />
             </div>
 
@@ -215,13 +564,23 @@ export const MainMenu = ({ onStartLocal, onStartSolo, onCreateRoom, onJoinRoom }
               />
             </div>
 
-            <button
-              onClick={handleJoinRoom}
-              disabled={isLoading || !roomCode.trim()}
-              className="w-full btn-accent py-3 px-6"
-            >
-              {isLoading ? t('menu.joining') : t('menu.joinGame')}
-            </button>
+            <div className="flex gap-2">
+              <button
+                onClick={handleJoinRoom}
+                disabled={isLoading || !roomCode.trim()}
+                className="flex-1 btn-accent py-3 px-6"
+              >
+                {isLoading ? t('menu.joining') : t('menu.joinGame')}
+              </button>
+              {/* Watch without taking a seat */}
+              <button
+                onClick={handleWatchRoom}
+                disabled={isLoading || !roomCode.trim()}
+                className="btn-secondary py-3 px-6"
+              >
+                {t('menu.watchGame')}
+              </button>
+            </div>
           </div>
         ) : (
           <div className="space-y-4">
@@ -252,6 +611,31 @@ export const MainMenu = ({ onStartLocal, onStartSolo, onCreateRoom, onJoinRoom }
               ))}
             </div>
 
+            {/* Saved and exported games */}
+            <div className="flex gap-2">
+              {saves.length > 0 && (
+                <button
+                  onClick={() => setShowSaves(true)}
+                  className="flex-1 btn-secondary py-3 px-6"
+                >
+                  {t('menu.loadGame')}
+                </button>
+              )}
+              <button
+                onClick={() => importInputRef.current?.click()}
+                className="flex-1 btn-secondary py-3 px-6"
+              >
+                {t('menu.importGame')}
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleImportFile}
+                className="hidden"
+              />
+            </div>
+
             {/* Collapsible multiplayer section */}
             <div className="relative">
               <div className="section-divider" />
@@ -286,10 +670,35 @@ export const MainMenu = ({ onStartLocal, onStartSolo, onCreateRoom, onJoinRoom }
                     onChange={(e) => setPlayerName(e.target.value)}
                     placeholder={t('menu.enterName')}
                     className="w-full p-3 border border-parchment-400 rounded-lg bg-parchment-50 text-ink focus:ring-2 focus:ring-accent focus:border-transparent"
-                    maxLength={20}
+                    maxLength={MAX_NAME_LENGTH}
                   />
                 </div>
 
+                <RulesetPicker value={rulesetId} onChange={setRulesetId} />
+                <DisconnectPicker
+                  policy={disconnectPolicy}
+                  graceSeconds={graceSeconds}
+                  onPolicyChange={setDisconnectPolicy}
+                  onGraceChange={setGraceSeconds}
+                />
+                <TimerPicker
+                  turnSeconds={turnSeconds}
+                  voteSeconds={voteSeconds}
+                  onTurnChange={setTurnSeconds}
+                  onVoteChange={setVoteSeconds}
+                />
+                <SpectatorDelayPicker value={spectatorDelaySeconds} onChange={setSpectatorDelaySeconds} />
+
+                <label className="flex items-center gap-2 text-sm text-ink-light cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isPublic}
+                    onChange={(e) => setIsPublic(e.target.checked)}
+                    className="accent-accent"
+                  />
+                  {t('menu.publicRoom')}
+                </label>
+
                 {/* Create room button */}
                 <button
                   onClick={handleCreateRoom}
@@ -299,13 +708,30 @@ export const MainMenu = ({ onStartLocal, onStartSolo, onCreateRoom, onJoinRoom }
                   {isLoading ? t('menu.creating') : t('menu.createGame')}
                 </button>
 
-                {/* Join room button */}
+                {/* Quick match: the emptiest public room, or a new one */}
                 <button
-                  onClick={() => setShowJoinForm(true)}
+                  onClick={handleQuickMatch}
+                  disabled={isLoading}
                   className="w-full btn-secondary py-3 px-6"
                 >
-                  {t('menu.joinGame')}
+                  {isLoading ? t('menu.findingMatch') : t('menu.quickMatch')}
                 </button>
+
+                {/* Browse public rooms / join by code */}
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setShowBrowser(true)}
+                    className="flex-1 btn-secondary py-3 px-6"
+                  >
+                    {t('menu.browseRooms')}
+                  </button>
+                  <button
+                    onClick={() => setShowJoinForm(true)}
+                    className="flex-1 btn-secondary py-3 px-6"
+                  >
+                    {t('menu.joinGame')}
+                  </button>
+                </div>
               </div>
             )}
           </div>
@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toggleLanguage, translateResult } from '../i18n';
+import { multiplayer, createResultsUrl } from '../services/multiplayer';
+import { FACTION_COLORS } from './DiscussionPanel';
+import { FACTIONS } from '../../shared/rules';
+
+/**
+ * MatchSummary - the results screen of a finished online game, as kept by
+ * its room: final rankings with who played each faction, victory points
+ * and money at the end of every turn, and the battles fought with the Order.
+ * Reached from the end of a game or from a #results= link.
+ */
+export const MatchSummary = ({ roomId, onClose }) => {
+  const { t, i18n } = useTranslation();
+  // undefined while loading, null if the room has no finished game
+  const [summary, setSummary] = useState(undefined);
+  const [failed, setFailed] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    setSummary(undefined);
+    setFailed(false);
+    multiplayer.getSummary(roomId).then(setSummary).catch(() => setFailed(true));
+  }, [roomId]);
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(createResultsUrl(roomId));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  // Points can be fractions: tied auction winners split the bonus point
+  const points = (value) => t('results.points', { points: Math.round(value * 10) / 10 });
+
+  const playerName = (seat) => {
+    const player = summary.players[seat];
+    if (!player) return '';
+    return player.bot ? t('lobby.aiPlayer') : player.name;
+  };
+
+  const renderBody = () => {
+    if (failed) {
+      return <p className="text-center text-red-700">{t('results.loadFailed')}</p>;
+    }
+    if (summary === undefined) {
+      return <p className="text-center text-ink-muted">{t('results.loading')}</p>;
+    }
+    if (summary === null) {
+      return <p className="text-center text-ink-muted">{t('results.notFound')}</p>;
+    }
+
+    const { result, turns, battles } = summary;
+    return (
+      <>
+        <p className="text-center text-sm text-ink-light mb-4">
+          {summary.pskovFell
+            ? t('results.pskovFell', { turn: summary.turnsPlayed })
+            : t('results.completed', { turn: summary.turnsPlayed })}
+          {' · '}
+          {t(`rulesets.${summary.ruleset}.name`)}
+          {' · '}
+          {new Date(summary.endedAt).toLocaleDateString(i18n.language)}
+        </p>
+
+        {/* Final rankings */}
+        <h2 className="text-sm font-semibold text-ink-light mb-2">{t('results.rankings')}</h2>
+        <div className="space-y-2 mb-6">
+          {result.rankings.map((player, rank) => (
+            <div
+              key={player.index}
+              className={`p-3 rounded flex justify-between items-center text-sm ${
+                rank === 0 ? 'bg-parchment-50 border border-accent' : 'border border-parchment-400'
+              }`}
+            >
+              <span className="text-ink">
+                #{rank + 1}{' '}
+                <span className={`font-semibold ${FACTION_COLORS[player.faction].name}`}>
+                  {t(`factions.${player.faction}`)}
+                </span>
+                {' — '}
+                {playerName(player.index)}
+                {player.forfeited && <span className="text-ink-muted"> ({t('results.forfeited')})</span>}
+              </span>
+              <span className="text-ink-light">
+                {points(player.victoryPoints)} · {player.money.toFixed(1)}○
+              </span>
+            </div>
+          ))}
+        </div>
+
+        {/* Standings turn by turn */}
+        <h2 className="text-sm font-semibold text-ink-light mb-2">{t('results.byTurn')}</h2>
+        <div className="overflow-x-auto mb-6">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-parchment-400 text-ink-light">
+                <th className="text-left py-1 pr-2 font-medium">{t('results.turn')}</th>
+                {FACTIONS.map((faction) => (
+                  <th key={faction} className={`text-right py-1 px-2 font-medium ${FACTION_COLORS[faction].name}`}>
+                    {t(`factions.${faction}`)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {turns.map((standing) => (
+                <tr key={standing.turn} className="border-b border-parchment-200">
+                  <td className="py-1 pr-2 text-ink-muted">{standing.turn}</td>
+                  {FACTIONS.map((faction, seat) => (
+                    <td key={faction} className="text-right py-1 px-2 text-ink tabular-nums">
+                      {points(standing.victoryPoints[seat])} · {standing.money[seat].toFixed(1)}○
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Battles with the Order */}
+        <h2 className="text-sm font-semibold text-ink-light mb-2">{t('results.battles')}</h2>
+        {battles.length === 0 ? (
+          <p className="text-sm text-ink-muted mb-6">{t('results.noBattles')}</p>
+        ) : (
+          <ul className="space-y-1 text-sm mb-6">
+            {battles.map((battle, index) => (
+              <li key={index} className="text-ink">
+                <span className="text-ink-muted">{t('results.turnLabel', { turn: battle.turn })}</span>{' '}
+                {translateResult(battle)}{' '}
+                <span className="text-ink-muted">
+                  ({t('results.strength', { pskov: battle.pskovStrength, order: battle.orderStrength })})
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="parchment-bg min-h-screen flex items-center justify-center p-4">
+      <div className="card-parchment-raised p-8 max-w-2xl w-full relative">
+        {/* Language switcher */}
+        <button
+          onClick={toggleLanguage}
+          className="absolute top-4 right-4 px-3 py-1 bg-amber-100 hover:bg-amber-200 text-amber-800 rounded font-medium text-sm transition-colors"
+        >
+          {i18n.language === 'en' ? 'RU' : 'EN'}
+        </button>
+
+        <div className="text-center mb-4">
+          <h1 className="heading-serif text-2xl text-ink mb-1">{t('results.title')}</h1>
+          <span className="font-mono text-ink-light">{roomId}</span>
+        </div>
+
+        {renderBody()}
+
+        <div className="flex gap-2 justify-center">
+          {summary && (
+            <button onClick={copyLink} className="btn-secondary px-4 py-2 text-sm">
+              {copied ? t('results.linkCopied') : t('results.copyLink')}
+            </button>
+          )}
+          <button onClick={onClose} className="btn-accent px-4 py-2 text-sm">
+            {t('results.close')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
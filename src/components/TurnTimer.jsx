@@ -0,0 +1,34 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+
+// Seconds left at which the countdown turns red
+const WARNING_SECONDS = 10;
+
+/**
+ * TurnTimer - countdown to the deadline of the current online turn or vote.
+ * When it runs out the server makes the default choice for anyone who
+ * hasn't acted (end construction, vote no, bid nothing, move on).
+ */
+export const TurnTimer = ({ deadline }) => {
+  const { t } = useTranslation();
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    setNow(Date.now());
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [deadline]);
+
+  const secondsLeft = Math.max(0, Math.ceil((deadline - now) / 1000));
+  const minutes = Math.floor(secondsLeft / 60);
+  const seconds = String(secondsLeft % 60).padStart(2, '0');
+
+  return (
+    <span
+      className={`text-sm font-medium tabular-nums ${secondsLeft <= WARNING_SECONDS ? 'text-red-400' : 'text-parchment-300'}`}
+      title={t('game.timerHint')}
+    >
+      ⏱ {minutes}:{seconds}
+    </span>
+  );
+};
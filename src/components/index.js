@@ -1,6 +1,9 @@
 export { MainMenu } from './MainMenu';
 export { Lobby } from './Lobby';
+export { MatchSummary } from './MatchSummary';
 export { FactionScreen } from './FactionScreen';
 export { default as GameMap } from './GameMap';
 export { default as DiscussionPanel } from './DiscussionPanel';
+export { default as ChatPanel } from './ChatPanel';
 export { HowToPlay } from './HowToPlay';
+export { TurnTimer } from './TurnTimer';
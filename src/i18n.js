@@ -41,4 +41,28 @@ export function toggleLanguage() {
   window.history.replaceState(null, '', url.toString());
 }
 
+/**
+ * Render a game result from the rules engine ({ code, params, followUp })
+ * as text in the current language. Region, faction and building params
+ * arrive as ids and are translated here.
+ */
+export function translateResult(result) {
+  if (!result) return '';
+
+  const params = { ...result.params };
+  if (params.region) params.region = i18n.t(`regions.${params.region}`);
+  if (params.faction) params.faction = i18n.t(`factions.${params.faction}`);
+  if (params.factions) {
+    params.factions = params.factions.map((faction) => i18n.t(`factions.${faction}`)).join(' & ');
+  }
+  if (params.buildings) {
+    params.buildings = params.buildings.length > 0
+      ? params.buildings.map((type) => i18n.t(`buildings.${type}`)).join(', ')
+      : i18n.t('battle.noBuildings');
+  }
+
+  const text = i18n.t(`battle.${result.code}`, params);
+  return result.followUp ? `${text} ${translateResult(result.followUp)}` : text;
+}
+
 export default i18n;
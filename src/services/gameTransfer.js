@@ -0,0 +1,284 @@
+/**
+ * Game Transfer Service
+ *
+ * Exports a game position so it can be handed to someone else, either as a
+ * downloadable JSON file or as a compressed `#game=` URL fragment, and
+ * imports it back as a local game.
+ *
+ * Exported files carry a hash of the game state. It catches files damaged in
+ * transit, not deliberate edits: anyone can recompute it. What keeps an
+ * edited file from loading a broken game is validation: imports are rejected
+ * when the state is from a newer version of the game, when its structure
+ * doesn't match what createInitialGameState produces, or when a field holds
+ * something the game never would (an unknown phase, an event card that isn't
+ * in the deck, ...).
+ */
+
+import {
+  createInitialGameState,
+  findEventCard,
+  hashState,
+  migrateGameState,
+  PHASES,
+} from '../../shared/rules';
+
+const FORMAT = 'veche-game';
+const FORMAT_VERSION = 1;
+const FRAGMENT_PREFIX = '#game=';
+
+/**
+ * Build an export payload for a game.
+ *
+ * @param {object} params
+ * @param {object} params.gameState - Game state to export
+ * @param {Array<boolean>} params.aiPlayers - Which seats are AI
+ * @param {object} [params.initialState] - Initial state of the game, if known
+ * @param {Array} [params.log] - Action log, if known
+ * @returns {object} Export payload
+ */
+export const createExport = ({ gameState, aiPlayers, initialState, log }) => {
+  // Round-trip through JSON first so the hash matches what a reader parses
+  // (e.g. undefined fields are dropped)
+  const state = JSON.parse(JSON.stringify(gameState));
+
+  const payload = {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    seed: state.rng?.seed ?? null,
+    aiPlayers,
+    gameState: state,
+    hash: hashState(state),
+  };
+  if (initialState) payload.initialState = initialState;
+  if (log) payload.log = log;
+  return payload;
+};
+
+/**
+ * Download an export payload as a JSON file.
+ *
+ * @param {object} payload - Result of createExport
+ */
+export const downloadExport = (payload) => {
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `veche-turn-${payload.gameState.turn}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Build a shareable URL for a game. The action log is left out to keep the
+ * link short.
+ *
+ * @param {object} payload - Result of createExport
+ * @returns {Promise<string>} URL with a `#game=` fragment
+ */
+export const createShareUrl = async (payload) => {
+  const { log, initialState, ...shared } = payload;
+  const bytes = await compress(JSON.stringify(shared));
+  return `${window.location.origin}${window.location.pathname}${FRAGMENT_PREFIX}${toBase64Url(bytes)}`;
+};
+
+/**
+ * Check whether a URL fragment holds a shared game.
+ *
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {boolean}
+ */
+export const isGameFragment = (hash) => hash.startsWith(FRAGMENT_PREFIX);
+
+/**
+ * Read a game from an exported JSON file's contents.
+ *
+ * @param {string} text - File contents
+ * @returns {{gameState: object, aiPlayers: boolean[], discussionMessages: Array}}
+ * @throws {Error} If the file is corrupted, invalid or incompatible
+ */
+export const importFromText = (text) => {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  return readPayload(payload);
+};
+
+/**
+ * Read a game from a `#game=` URL fragment.
+ *
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {Promise<{gameState: object, aiPlayers: boolean[], discussionMessages: Array}>}
+ * @throws {Error} If the link is corrupted, invalid or incompatible
+ */
+export const importFromFragment = async (hash) => {
+  let text;
+  try {
+    text = await decompress(fromBase64Url(hash.slice(FRAGMENT_PREFIX.length)));
+  } catch {
+    throw new Error('The link is damaged or incomplete');
+  }
+  return importFromText(text);
+};
+
+// Validate a parsed payload and turn it into a loadable local game
+const readPayload = (payload) => {
+  if (!isPlainObject(payload) || payload.format !== FORMAT) {
+    throw new Error('This is not an exported Veche game');
+  }
+  if (payload.version > FORMAT_VERSION) {
+    throw new Error('The game was exported by a newer version of Veche');
+  }
+  if (!isPlainObject(payload.gameState)) {
+    throw new Error('The game state is missing');
+  }
+  if (payload.hash !== hashState(payload.gameState)) {
+    throw new Error('The game state is corrupted');
+  }
+
+  let gameState;
+  try {
+    gameState = migrateGameState(payload.gameState);
+  } catch (error) {
+    // Migrations assume a well-formed state; anything else is corruption
+    throw error instanceof TypeError ? new Error('The game state is corrupted') : error;
+  }
+
+  const problem = findShapeMismatch(createInitialGameState(0), gameState, 'gameState')
+    || (PHASES.includes(gameState.phase) ? null : `gameState.phase should be one of ${PHASES.join(', ')}`);
+  if (problem) {
+    throw new Error(`The game state is invalid (${problem})`);
+  }
+
+  const aiPlayers = Array.isArray(payload.aiPlayers) && payload.aiPlayers.length === 3
+    ? payload.aiPlayers.map(Boolean)
+    : [false, false, false];
+
+  return { gameState, aiPlayers, discussionMessages: [] };
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const REGION_NAMES = Object.keys(createInitialGameState(0).regions);
+
+const isRegionName = (value, path) =>
+  REGION_NAMES.includes(value) ? null : `${path} should be a region`;
+
+const isPlanning = (value, path) =>
+  value === 'planning' ? null : `${path} should be "planning"`;
+
+const isSeat = (value, path) =>
+  Number.isInteger(value) && value >= 0 && value < 3 ? null : `${path} should be a seat`;
+
+const isVote = (value, path) =>
+  typeof value === 'boolean' ? null : `${path} should be true, false or null`;
+
+// A result as the rules write it (see GameResult in state.js)
+const isResult = (value, path) => {
+  if (!isPlainObject(value) || typeof value.code !== 'string') return `${path} should be a result`;
+  if (value.params !== undefined) {
+    if (!isPlainObject(value.params)) return `${path}.params should be an object`;
+    const valid = Object.values(value.params).every((param) =>
+      typeof param === 'string' || Number.isFinite(param)
+      || (Array.isArray(param) && param.every((item) => typeof item === 'string')));
+    if (!valid) return `${path}.params should hold ids and numbers`;
+  }
+  return value.followUp === undefined ? null : isResult(value.followUp, `${path}.followUp`);
+};
+
+// What a field that starts out null holds once it is set, by path (a
+// per-seat list's entries share one, under `[]`). A field not listed here
+// stays null.
+const NULLABLE_FIELDS = {
+  // Cards are plain data and resolving one runs its outcome steps, so a
+  // card must be exactly the one in the deck
+  'gameState.currentEvent': (value, path) => {
+    const card = isPlainObject(value) ? findEventCard(value.id) : null;
+    if (!card) return `${path} should be a card from the event deck`;
+    return hashState(value) === hashState(card) ? null : `${path} doesn't match the event deck`;
+  },
+  'gameState.eventVotes[]': (value, path) =>
+    typeof value === 'string' || typeof value === 'boolean' || Number.isFinite(value)
+      ? null
+      : `${path} should be an option, a bid, true, false or null`,
+  'gameState.lastEventResult': isResult,
+  'gameState.lastExpeditionResult': (value, path) =>
+    findShapeMismatch({ outcome: '', moneyChange: 0, playerIndex: 0 }, value, path),
+  'gameState.targetRegion': isRegionName,
+  'gameState.attackPlanning': isPlanning,
+  'gameState.attackTarget': isRegionName,
+  'gameState.attackProposer': isSeat,
+  'gameState.attackVotes[]': isVote,
+  'gameState.fortressPlanning': isPlanning,
+  'gameState.fortressTarget': isRegionName,
+  'gameState.fortressProposer': isSeat,
+  'gameState.fortressVotes[]': isVote,
+};
+
+// Compare a value against the matching part of a fresh game state.
+// Returns a description of the first mismatch, or null if the shape matches.
+// Template fields that start out null must be null or hold what
+// NULLABLE_FIELDS describes; extra fields are allowed.
+const findShapeMismatch = (template, value, path) => {
+  if (template === null) {
+    if (value === undefined) return `${path} is missing`;
+    if (value === null) return null;
+    const check = NULLABLE_FIELDS[path.replace(/\[\d+\]$/, '[]')];
+    return check ? check(value, path) : `${path} should be null`;
+  }
+
+  if (Array.isArray(template)) {
+    if (!Array.isArray(value)) return `${path} should be a list`;
+    // Per-seat lists (players, construction actions, votes) have a fixed length
+    if (template.length > 0 && (isPlainObject(template[0]) || template[0] === null)) {
+      if (value.length !== template.length) return `${path} should have ${template.length} entries`;
+      for (let i = 0; i < value.length; i++) {
+        const problem = findShapeMismatch(template[i], value[i], `${path}[${i}]`);
+        if (problem) return problem;
+      }
+    }
+    return null;
+  }
+
+  if (isPlainObject(template)) {
+    if (!isPlainObject(value)) return `${path} should be an object`;
+    for (const key of Object.keys(template)) {
+      const problem = findShapeMismatch(template[key], value[key], `${path}.${key}`);
+      if (problem) return problem;
+    }
+    return null;
+  }
+
+  if (typeof template === 'number') {
+    return Number.isFinite(value) ? null : `${path} should be a number`;
+  }
+  return typeof value === typeof template ? null : `${path} should be a ${typeof template}`;
+};
+
+const compress = async (text) => {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const decompress = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+};
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+};
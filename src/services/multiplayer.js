@@ -6,6 +6,14 @@
  */
 
 import { useGameStore } from '../store/gameStore';
+import i18n from '../i18n';
+import {
+  FACTIONS,
+  PROTOCOL_VERSION,
+  ProtocolErrors,
+  RoomErrors,
+  validateServerMessage,
+} from '../../shared/rules';
 
 // Get the API URL from environment or default to same host
 const getApiUrl = () => {
@@ -28,6 +36,89 @@ const getWsUrl = () => {
   return apiUrl.replace(/^http/, 'ws');
 };
 
+// The seat this tab holds in an online room, kept for the length of the
+// browser session so a refresh or dropped connection can reclaim it
+const SESSION_KEY = 'veche:session';
+
+// The room this tab created, with the token that makes us its host
+const HOST_KEY = 'veche:host';
+
+// Close code the server sends when a newer connection reclaimed our seat
+const SEAT_RECLAIMED = 4000;
+
+// Close code the server sends when the room has expired or never existed
+const ROOM_CLOSED = 4001;
+
+const loadSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const saveSession = (roomId, token) => {
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify({ roomId, token }));
+};
+
+const clearSession = () => {
+  sessionStorage.removeItem(SESSION_KEY);
+};
+
+// The host token for a room, if this tab created it
+const loadHostToken = (roomId) => {
+  try {
+    const host = JSON.parse(sessionStorage.getItem(HOST_KEY));
+    return host?.roomId === roomId ? host.token : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+// An error from the server, in the player's language where we know its code:
+// rejected game actions, a client or server too old to talk to the other,
+// and rooms that are gone
+const describeServerError = (message) => {
+  switch (message.code) {
+    case undefined:
+    case ProtocolErrors.INVALID_MESSAGE:
+      return message.error;
+    case ProtocolErrors.CLIENT_OUTDATED:
+      return i18n.t('online.reloadRequired');
+    case ProtocolErrors.SERVER_OUTDATED:
+      return i18n.t('online.serverOutdated');
+    case RoomErrors.ROOM_NOT_FOUND:
+      return i18n.t('online.roomNotFound');
+    case RoomErrors.ROOM_EXPIRED:
+      return i18n.t('online.roomExpired');
+    default:
+      return i18n.t(`actionErrors.${message.code}`);
+  }
+};
+
+// A turn/vote deadline from the server, on this browser's clock
+const toLocalDeadline = (message) =>
+  message.deadline ? Date.now() + (message.deadline - message.serverTime) : null;
+
+// Link to the results of a room's finished game
+const RESULTS_PREFIX = '#results=';
+
+/**
+ * A link that opens the results screen of a room's finished game
+ * @param {string} roomId
+ * @returns {string}
+ */
+export const createResultsUrl = (roomId) =>
+  `${window.location.origin}${window.location.pathname}${RESULTS_PREFIX}${roomId}`;
+
+/**
+ * The room whose results a URL fragment links to, if any
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {string | null}
+ */
+export const getResultsRoom = (hash) =>
+  hash.startsWith(RESULTS_PREFIX) ? decodeURIComponent(hash.slice(RESULTS_PREFIX.length)) : null;
+
 class MultiplayerService {
   constructor() {
     this.ws = null;
@@ -35,15 +126,23 @@ class MultiplayerService {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 3;
     this.messageQueue = [];
+    this.resyncPending = false; // Asked the server for the full state, not yet received
   }
 
   /**
    * Create a new game room
+   * @param {string} [ruleset] - Ruleset preset id (e.g., "short"); defaults to standard
+   * @param {{disconnectPolicy?: 'ai' | 'forfeit', graceSeconds?: number, isPublic?: boolean,
+   *   spectatorDelaySeconds?: number}} [options] - What happens to a seat whose player
+   *   drops, how long they have to come back, whether the room is listed in the room
+   *   browser, and how far behind the players spectators see the game
    * @returns {Promise<string>} The room ID (e.g., "PSKOV-A3X7")
    */
-  async createRoom() {
+  async createRoom(ruleset = 'standard', options = {}) {
     const response = await fetch(`${getApiUrl()}/api/rooms`, {
       method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ruleset, ...options }),
     });
 
     if (!response.ok) {
@@ -51,9 +150,40 @@ class MultiplayerService {
     }
 
     const data = await response.json();
+    sessionStorage.setItem(HOST_KEY, JSON.stringify({ roomId: data.roomId, token: data.hostToken }));
     return data.roomId;
   }
 
+  /**
+   * List the public rooms that still have free factions, oldest first
+   * @returns {Promise<Array<{roomId: string, ruleset: string, freeFactions: number[], playerCount: number, createdAt: number}>>}
+   */
+  async listRooms() {
+    const response = await fetch(`${getApiUrl()}/api/rooms`);
+
+    if (!response.ok) {
+      throw new Error('Failed to list rooms');
+    }
+
+    const data = await response.json();
+    return data.rooms;
+  }
+
+  /**
+   * Find a room to play in: the public room with the most free factions
+   * (the oldest, on a tie), or a new public room if none is open
+   * @param {string} [ruleset] - Ruleset for a room created here
+   * @returns {Promise<string>} The room ID
+   */
+  async quickMatch(ruleset = 'standard') {
+    const rooms = await this.listRooms();
+    const emptiest = rooms.reduce(
+      (best, room) => (!best || room.freeFactions.length > best.freeFactions.length ? room : best),
+      null
+    );
+    return emptiest ? emptiest.roomId : this.createRoom(ruleset, { isPublic: true });
+  }
+
   /**
    * Get room info
    * @param {string} roomId
@@ -73,9 +203,51 @@ class MultiplayerService {
   }
 
   /**
-   * Connect to a room as an observer (to see room state without joining)
+   * Get a room's initial game state and action log.
+   * The seed is withheld until the game has finished. A seat saved for the
+   * room is named by its token, so a player isn't shown the log as late as
+   * spectators are.
+   * @param {string} roomId
+   * @returns {Promise<{initialState: object|null, log: Array}>}
+   */
+  async getActionLog(roomId) {
+    const session = loadSession();
+    const response = await fetch(`${getApiUrl()}/api/rooms/${roomId}/log`, {
+      headers: session?.roomId === roomId ? { 'X-Session-Token': session.token } : {},
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to get action log');
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Get the summary of a room's finished game: who played, final rankings,
+   * standings turn by turn and the battles fought
+   * @param {string} roomId
+   * @returns {Promise<object|null>} The summary, or null if the room has no finished game
+   */
+  async getSummary(roomId) {
+    const response = await fetch(`${getApiUrl()}/api/rooms/${roomId}/summary`);
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error('Failed to get game results');
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Connect to a room as an observer (to see room state without joining, and
+   * its game as a spectator once it is under way)
    * @param {string} roomId - The room code
-   * @returns {Promise<void>}
+   * @returns {Promise<void>} Resolves once the room has been received; rejects
+   *   if the room doesn't exist or has expired
    */
   observeRoom(roomId) {
     return new Promise((resolve, reject) => {
@@ -83,7 +255,7 @@ class MultiplayerService {
         // Already connected, just send observe message if not already a player
         const store = useGameStore.getState();
         if (store.playerId === null) {
-          this.send({ type: 'observe' });
+          this.send({ type: 'observe', protocolVersion: PROTOCOL_VERSION });
           resolve();
           return;
         }
@@ -102,21 +274,19 @@ class MultiplayerService {
         this.reconnectAttempts = 0;
 
         // Send observe message
-        this.send({ type: 'observe' });
+        this.send({ type: 'observe', protocolVersion: PROTOCOL_VERSION });
 
         // Process any queued messages
         while (this.messageQueue.length > 0) {
           const msg = this.messageQueue.shift();
           this.send(msg);
         }
-
-        resolve();
       };
 
       this.ws.onmessage = (event) => {
         try {
           const message = JSON.parse(event.data);
-          this.handleMessage(message);
+          this.handleMessage(message, resolve, reject);
         } catch (error) {
           console.error('[WS] Failed to parse message:', error);
         }
@@ -143,73 +313,19 @@ class MultiplayerService {
    * @returns {Promise<void>}
    */
   connect(roomId, faction, playerName = 'Player') {
+    const hostToken = loadHostToken(roomId);
     return new Promise((resolve, reject) => {
       // Check if already connected as observer
       const alreadyConnected = this.ws && this.ws.readyState === WebSocket.OPEN;
 
       if (!alreadyConnected) {
         // Not connected at all, establish new connection
-        this.roomId = roomId;
-        const wsUrl = `${getWsUrl()}/api/rooms/${roomId}/ws`;
-
-        console.log('[WS] Connecting to:', wsUrl);
-        this.ws = new WebSocket(wsUrl);
-
-        this.ws.onopen = () => {
-          console.log('[WS] Connected');
-          this.reconnectAttempts = 0;
-
-          // Send join message
-          this.send({
-            type: 'join',
-            faction,
-            playerName,
-          });
-
-          // Process any queued messages
-          while (this.messageQueue.length > 0) {
-            const msg = this.messageQueue.shift();
-            this.send(msg);
-          }
-        };
-
-        this.ws.onmessage = (event) => {
-          try {
-            const message = JSON.parse(event.data);
-            this.handleMessage(message, resolve, reject);
-          } catch (error) {
-            console.error('[WS] Failed to parse message:', error);
-          }
-        };
-
-        this.ws.onerror = (error) => {
-          console.error('[WS] Error:', error);
-          useGameStore.getState().setError('Connection error');
-          reject(error);
-        };
-
-        this.ws.onclose = (event) => {
-          console.log('[WS] Disconnected:', event.code, event.reason);
-          useGameStore.getState().setConnected(false);
-
-          // Attempt reconnect if not intentional close
-          if (event.code !== 1000 && this.reconnectAttempts < this.maxReconnectAttempts) {
-            this.reconnectAttempts++;
-            console.log(`[WS] Reconnecting... (attempt ${this.reconnectAttempts})`);
-            setTimeout(() => {
-              const store = useGameStore.getState();
-              if (store.playerId !== null) {
-                this.connect(this.roomId, store.playerId, playerName);
-              }
-            }, 1000 * this.reconnectAttempts);
-          }
-        };
+        this.openPlayerSocket(roomId, { type: 'join', protocolVersion: PROTOCOL_VERSION, faction, playerName, hostToken }, resolve, reject);
       } else {
         // Already connected as observer, just send join message to upgrade
         console.log('[WS] Upgrading from observer to player');
 
         // Update message handler to handle the join response
-        const oldOnMessage = this.ws.onmessage;
         this.ws.onmessage = (event) => {
           try {
             const message = JSON.parse(event.data);
@@ -218,16 +334,122 @@ class MultiplayerService {
             console.error('[WS] Failed to parse message:', error);
           }
         };
+        // Once seated, a dropped connection should reclaim the seat
+        this.ws.onclose = (event) => this.handleClose(event);
 
         this.send({
           type: 'join',
+          protocolVersion: PROTOCOL_VERSION,
           faction,
           playerName,
+          hostToken,
         });
       }
     });
   }
 
+  /**
+   * Reclaim a seat after a refresh or dropped connection
+   * @param {string} roomId - The room code
+   * @param {string} token - Session token the server issued when the seat was taken
+   * @returns {Promise<void>} Resolves once the server has handed the seat back
+   */
+  rejoin(roomId, token) {
+    return new Promise((resolve, reject) => {
+      if (this.ws) {
+        this.ws.onclose = null;
+        this.ws.close(1000, 'Reconnecting');
+      }
+      this.openPlayerSocket(roomId, { type: 'rejoin', protocolVersion: PROTOCOL_VERSION, token }, resolve, reject);
+    });
+  }
+
+  /**
+   * The seat saved by this tab, if any
+   * @returns {{roomId: string, token: string} | null}
+   */
+  getSavedSession() {
+    return loadSession();
+  }
+
+  /**
+   * Open a socket that takes (or reclaims) a seat, sending `hello` once open
+   */
+  openPlayerSocket(roomId, hello, resolve, reject) {
+    this.roomId = roomId;
+    const wsUrl = `${getWsUrl()}/api/rooms/${roomId}/ws`;
+
+    console.log('[WS] Connecting to:', wsUrl);
+    this.ws = new WebSocket(wsUrl);
+
+    this.ws.onopen = () => {
+      console.log('[WS] Connected');
+      this.reconnectAttempts = 0;
+
+      // Send join or rejoin message
+      this.send(hello);
+
+      // Process any queued messages
+      while (this.messageQueue.length > 0) {
+        const msg = this.messageQueue.shift();
+        this.send(msg);
+      }
+    };
+
+    this.ws.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data);
+        this.handleMessage(message, resolve, reject);
+      } catch (error) {
+        console.error('[WS] Failed to parse message:', error);
+      }
+    };
+
+    this.ws.onerror = (error) => {
+      console.error('[WS] Error:', error);
+      useGameStore.getState().setError('Connection error');
+      reject(error);
+    };
+
+    this.ws.onclose = (event) => this.handleClose(event);
+  }
+
+  /**
+   * Handle a seated player's socket closing
+   */
+  handleClose(event) {
+    console.log('[WS] Disconnected:', event.code, event.reason);
+    const store = useGameStore.getState();
+    store.setConnected(false);
+
+    // Another tab or device took the seat over; don't fight it for the seat
+    if (event.code === SEAT_RECLAIMED) {
+      clearSession();
+      store.setError(i18n.t('online.seatReclaimed'));
+      return;
+    }
+
+    // The room expired (the server has said so); there is nothing to go back to
+    if (event.code === ROOM_CLOSED) {
+      clearSession();
+      return;
+    }
+
+    // Attempt reconnect if not intentional close
+    const session = loadSession();
+    if (event.code !== 1000 && session && this.reconnectAttempts < this.maxReconnectAttempts) {
+      this.reconnectAttempts++;
+      console.log(`[WS] Reconnecting... (attempt ${this.reconnectAttempts})`);
+      setTimeout(() => {
+        this.rejoin(session.roomId, session.token).catch((error) => {
+          console.error('[WS] Reconnect failed:', error);
+          clearSession();
+          useGameStore.getState().setError(i18n.t('online.rejoinFailed'));
+        });
+      }, 1000 * this.reconnectAttempts);
+    }
+  }
+
   /**
    * Handle incoming WebSocket messages
    */
@@ -235,34 +457,60 @@ class MultiplayerService {
     const store = useGameStore.getState();
     console.log('[WS] Received:', message.type, message);
 
+    // A message we can't make sense of is dropped rather than half-applied
+    const problem = validateServerMessage(message);
+    if (problem) {
+      console.warn('[WS] Ignoring malformed message:', problem, message);
+      return;
+    }
+
     switch (message.type) {
       case 'joined':
-        // Successfully joined the room
+        // Successfully joined the room (or reclaimed our seat in it)
+        if (message.sessionToken) {
+          saveSession(this.roomId, message.sessionToken);
+        }
         store.setConnected(true);
         store.setPlayerId(message.playerId);
         store.setRoom(message.room);
         store.setMode('online');
+        // Actions sent on an earlier connection got their replies there, if at all
+        store.discardPendingActions();
+        store.setChatMessages(message.chatHistory || []);
+        if (message.gameState) {
+          this.receiveGameState(message);
+        }
         if (resolveConnect) resolveConnect();
         break;
 
       case 'room_update':
-        // Room state changed (player joined/left/ready)
+        // Room state changed (player joined/left/ready), or the first look
+        // at it after observing
         store.setRoom(message.room);
+        if (resolveConnect) resolveConnect();
         break;
 
       case 'game_start':
         // Game has started
         store.setRoom(message.room);
-        store.setGameState(message.gameState);
+        this.receiveGameState(message);
         break;
 
       case 'game_state':
-        // Game state update
-        store.setGameState(message.gameState);
+        // Game state update: the whole state, or what changed since the last
+        // version. If we missed one, ask for the whole state.
+        if (!message.patch) {
+          this.receiveGameState(message);
+        } else if (store.applyStatePatch(message)) {
+          store.setDeadline(toLocalDeadline(message));
+        } else {
+          this.requestResync();
+        }
         break;
 
       case 'action_result':
         // Action was processed
+        store.settleAction(message.actionId);
         if (message.result && !message.result.success) {
           store.setError(message.result.error || 'Action failed');
         }
@@ -271,23 +519,82 @@ class MultiplayerService {
       case 'player_left':
         // A player disconnected
         store.setRoom(message.room);
-        if (message.room?.gameStarted) {
-          // If game was in progress, show forfeit message
-          store.setError(`A player has disconnected. They forfeit the game.`);
+        if (message.room?.gameStarted && message.room.players[message.playerId]?.graceDeadline) {
+          // If game was in progress, they have until the grace period ends
+          // to reclaim their seat
+          store.setNotice(i18n.t(`online.playerDisconnected_${message.room.disconnectPolicy}`, {
+            faction: i18n.t(`factions.${FACTIONS[message.playerId]}`),
+            seconds: message.room.graceSeconds,
+          }));
         }
         break;
 
-      case 'error':
+      case 'player_replaced':
+        // A player didn't come back in time: the AI plays for them, or they forfeited
+        store.setRoom(message.room);
+        store.setNotice(i18n.t(
+          message.room.players[message.playerId]?.aiControlled ? 'online.aiTookOver' : 'online.playerForfeited',
+          { faction: i18n.t(`factions.${FACTIONS[message.playerId]}`) }
+        ));
+        break;
+
+      case 'player_reconnected':
+        // A player reclaimed their seat after a dropped connection
+        store.setRoom(message.room);
+        if (message.playerId !== store.playerId) {
+          store.setNotice(i18n.t('online.playerReconnected', {
+            faction: i18n.t(`factions.${FACTIONS[message.playerId]}`),
+          }));
+        }
+        break;
+
+      case 'kicked':
+        // The host took our seat away; we stay in the room as an observer
+        clearSession();
+        store.setPlayerId(null);
+        store.setRoom(message.room);
+        store.setError(i18n.t('lobby.kicked'));
+        break;
+
+      case 'chat':
+        // Someone said something, or the room posted a system message
+        store.addChatMessage(message.chat);
+        break;
+
+      case 'error': {
         console.error('[WS] Server error:', message.error);
-        store.setError(message.error);
-        if (rejectConnect) rejectConnect(new Error(message.error));
+        const reason = describeServerError(message);
+        // An action we had already shown is taken back
+        const rolledBack = message.actionId !== undefined && store.settleAction(message.actionId);
+        store.setError(rolledBack ? i18n.t('online.actionRolledBack', { reason }) : reason);
+        if (rejectConnect) rejectConnect(new Error(reason));
         break;
+      }
 
       default:
         console.warn('[WS] Unknown message type:', message.type);
     }
   }
 
+  /**
+   * Take a full game state (and its version) from the server
+   */
+  receiveGameState(message) {
+    const store = useGameStore.getState();
+    this.resyncPending = false;
+    store.setServerState(message);
+    store.setDeadline(toLocalDeadline(message));
+  }
+
+  /**
+   * Ask the server for the full game state, once until it arrives
+   */
+  requestResync() {
+    if (this.resyncPending) return;
+    this.resyncPending = true;
+    this.send({ type: 'resync' });
+  }
+
   /**
    * Send a message to the server
    */
@@ -311,14 +618,65 @@ class MultiplayerService {
   /**
    * Send a game action to the server
    * @param {object} action - The action to send (e.g., { type: 'VOTE_EVENT', vote: true })
+   * @param {number} [actionId] - Echoed in the server's reply to this action
    */
-  sendAction(action) {
+  sendAction(action, actionId) {
     this.send({
       type: 'action',
       action,
+      actionId,
     });
   }
 
+  /**
+   * Say something in the room chat
+   * @param {string} text
+   */
+  sendChat(text) {
+    this.send({ type: 'chat', text });
+  }
+
+  /**
+   * Host: remove the player or AI from a seat
+   * @param {number} seat
+   */
+  kick(seat) {
+    this.send({ type: 'kick', faction: seat });
+  }
+
+  /**
+   * Host: trade the occupants of two seats (either may be empty)
+   * @param {number} seat
+   * @param {number} target
+   */
+  swapSeats(seat, target) {
+    this.send({ type: 'swap', faction: seat, target });
+  }
+
+  /**
+   * Host: close the room to new players, or open it again
+   * @param {boolean} locked
+   */
+  setLocked(locked) {
+    this.send({ type: 'lock', locked });
+  }
+
+  /**
+   * Host: pick the ruleset preset to play by
+   * @param {string} ruleset
+   */
+  setRuleset(ruleset) {
+    this.send({ type: 'set_ruleset', ruleset });
+  }
+
+  /**
+   * Host: fill an empty seat with an AI player
+   * @param {number} seat
+   */
+  addBot(seat) {
+    this.send({ type: 'add_bot', faction: seat });
+  }
+
   /**
    * Leave the current room
    */
@@ -332,12 +690,14 @@ class MultiplayerService {
    * Disconnect from the server
    */
   disconnect() {
+    clearSession();
     if (this.ws) {
       this.ws.close(1000, 'Client disconnecting');
       this.ws = null;
     }
     this.roomId = null;
     this.messageQueue = [];
+    this.resyncPending = false;
   }
 
   /**
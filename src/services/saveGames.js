@@ -0,0 +1,116 @@
+/**
+ * Save Games Service
+ *
+ * Persists local (hotseat/solo) games to localStorage in named slots.
+ * Each save holds the game state, the AI seat configuration and the AI
+ * discussion history, and the state the game started from with its action
+ * log. Game states are migrated to the current schema version when loaded,
+ * so saves survive new fields being added.
+ *
+ * Storage layout:
+ * - `veche:saves`      - index of save metadata, newest first
+ * - `veche:save:<id>`  - one save payload per slot
+ */
+
+import { migrateGameState, SCHEMA_VERSION } from '../../shared/rules';
+
+const INDEX_KEY = 'veche:saves';
+const SLOT_PREFIX = 'veche:save:';
+
+// Slot overwritten automatically as a local game progresses
+export const AUTOSAVE_ID = 'autosave';
+
+const readIndex = () => {
+  try {
+    const raw = localStorage.getItem(INDEX_KEY);
+    const index = raw ? JSON.parse(raw) : [];
+    return Array.isArray(index) ? index : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeIndex = (index) => {
+  localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+};
+
+/**
+ * List saved games, newest first.
+ *
+ * @returns {Array<{id: string, name: string, savedAt: number, turn: number, phase: string, aiPlayers: boolean[]}>}
+ */
+export const listSaves = () => {
+  return readIndex().sort((a, b) => b.savedAt - a.savedAt);
+};
+
+/**
+ * Save a local game to a slot. Omit `id` to create a new slot.
+ *
+ * @param {object} params
+ * @param {string} [params.id] - Slot to overwrite
+ * @param {string} params.name - Display name of the save
+ * @param {object} params.gameState - Game state to save
+ * @param {object} [params.initialState] - State the game's action log starts from
+ * @param {Array} [params.actionLog] - Actions applied since
+ * @param {Array<boolean>} params.aiPlayers - Which seats are AI
+ * @param {Array} params.discussionMessages - AI discussion history
+ * @returns {string} The slot id
+ * @throws {Error} If storage is unavailable or full
+ */
+export const saveGame = ({ id, name, gameState, initialState, actionLog, aiPlayers, discussionMessages }) => {
+  const slotId = id || `save-${Date.now().toString(36)}`;
+  const savedAt = Date.now();
+
+  localStorage.setItem(
+    SLOT_PREFIX + slotId,
+    JSON.stringify({ gameState, initialState, actionLog, aiPlayers, discussionMessages })
+  );
+
+  const meta = {
+    id: slotId,
+    name,
+    savedAt,
+    turn: gameState.turn,
+    phase: gameState.phase,
+    aiPlayers,
+  };
+  writeIndex([...readIndex().filter((s) => s.id !== slotId), meta]);
+
+  return slotId;
+};
+
+/**
+ * Load a saved game, migrating its state to the current schema version.
+ * A log recorded by rules older than the save's migration no longer replays,
+ * so it is only kept for a save of the current version.
+ *
+ * @param {string} id - Slot id
+ * @returns {{gameState: object, initialState?: object, actionLog?: Array, aiPlayers: boolean[], discussionMessages: Array}}
+ * @throws {Error} If the save is missing, unreadable or from a newer version
+ */
+export const loadSave = (id) => {
+  const raw = localStorage.getItem(SLOT_PREFIX + id);
+  if (!raw) {
+    throw new Error('Saved game not found');
+  }
+
+  const save = JSON.parse(raw);
+  const current = save.gameState?.schemaVersion === SCHEMA_VERSION
+    && save.initialState?.schemaVersion === SCHEMA_VERSION;
+  return {
+    gameState: migrateGameState(save.gameState),
+    ...(current && Array.isArray(save.actionLog) && { initialState: save.initialState, actionLog: save.actionLog }),
+    aiPlayers: save.aiPlayers || [false, false, false],
+    discussionMessages: save.discussionMessages || [],
+  };
+};
+
+/**
+ * Delete a saved game.
+ *
+ * @param {string} id - Slot id
+ */
+export const deleteSave = (id) => {
+  localStorage.removeItem(SLOT_PREFIX + id);
+  writeIndex(readIndex().filter((s) => s.id !== id));
+};
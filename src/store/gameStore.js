@@ -1,7 +1,41 @@
 import { create } from 'zustand';
 import { subscribeWithSelector } from 'zustand/middleware';
-import { createInitialGameState } from '../game';
+import {
+  createInitialGameState,
+  validateAction,
+  applyPatch,
+  hashState,
+  RULESETS,
+} from '../../shared/rules';
+import { playAction, endConstructionTurn, advancePhase, playAiSeat } from './localGame';
+import { applyOptimistic, withPending } from './optimistic';
 import { multiplayer } from '../services/multiplayer';
+import { saveGame, loadSave, AUTOSAVE_ID } from '../services/saveGames';
+import i18n from '../i18n';
+
+// Maximum number of undo steps kept for local games
+const MAX_UNDO_HISTORY = 50;
+
+// Chat messages kept on screen (the server keeps as many)
+const MAX_CHAT_MESSAGES = 100;
+
+// An update that can't be taken back clears the undo history:
+// - anything that consumed randomness (events, attacks, expeditions)
+// - phase/turn changes, which reveal the next event or resolve the assembly
+// - an AI player finishing its construction turn
+const isUndoBarrier = (prev, next, aiPlayers) => {
+  if (!prev || !next) return true;
+  if (prev.rng?.seed !== next.rng?.seed || prev.rng?.cursor !== next.rng?.cursor) return true;
+  if (prev.phase !== next.phase || prev.turn !== next.turn) return true;
+  return next.constructionReady.some(
+    (ready, index) => ready && !prev.constructionReady[index] && aiPlayers[index]
+  );
+};
+
+const emptyHistory = () => ({ past: [], future: [] });
+
+// Ids that pair online actions with the server's replies
+let nextActionId = 1;
 
 /**
  * Game Store
@@ -15,7 +49,16 @@ import { multiplayer } from '../services/multiplayer';
  * - playerId: number | null - Which player slot this client controls (0, 1, or 2)
  * - room: object | null - Room/lobby state (players, ready status)
  * - gameState: object | null - The actual game state
+ * - serverState: object | null - Last game state confirmed by the server (online mode)
+ * - stateVersion: number | null - Server version of serverState (online mode)
+ * - pendingActions: { actionId, action }[] - Actions shown before the server confirmed them (online mode)
+ * - deadline: number | null - When the current online turn or vote times out (local clock, ms)
+ * - initialState: object | null - State the local game started (or was resumed) from (local mode)
+ * - actionLog: object[] - Every action applied to it since, to replay or export the game (local mode)
+ * - history: { past, future } - Undo/redo stacks of { gameState, actionLog } (local mode only)
  * - error: string | null - Error message to display
+ * - notice: string | null - Informational message to display (e.g., a player reconnected)
+ * - chatMessages: object[] - Recent room chat, oldest first (online mode)
  */
 
 export const useGameStore = create(
@@ -36,14 +79,30 @@ export const useGameStore = create(
 
     // Game state
     gameState: null,
+    serverState: null,
+    stateVersion: null,
+    pendingActions: [],
+    deadline: null,
+
+    // Action log of a local game, from the state it started from (online
+    // games keep theirs on the server)
+    initialState: null,
+    actionLog: [],
+
+    // Undo/redo history (local mode only)
+    history: emptyHistory(),
 
     // UI state
     error: null,
+    notice: null,
 
     // AI discussion state
     discussionMessages: [], // Array of { playerIndex, faction, message, timestamp }
     discussionLoading: false,
 
+    // Room chat (online mode): { id, time, playerId, name?, text?, system? }
+    chatMessages: [],
+
     // ============ Actions ============
 
     // Connection actions (multiplayer)
@@ -52,16 +111,146 @@ export const useGameStore = create(
     setPlayerId: (playerId) => set({ playerId }),
     setRoom: (room) => set({ room }),
     setMode: (mode) => set({ mode }),
+    setDeadline: (deadline) => set({ deadline }),
 
     // Game state actions
     // Supports both direct value and functional updates: setGameState(newState) or setGameState(prev => newState)
-    setGameState: (gameStateOrUpdater) => set((state) => {
-      if (typeof gameStateOrUpdater === 'function') {
-        return { gameState: gameStateOrUpdater(state.gameState) };
+    // In local mode, each change is recorded for undo unless it is an undo
+    // barrier, together with the log entries of the actions that made it
+    setGameState: (gameStateOrUpdater, logEntries = []) => set((state) => {
+      const gameState = typeof gameStateOrUpdater === 'function'
+        ? gameStateOrUpdater(state.gameState)
+        : gameStateOrUpdater;
+      if (state.mode !== 'local' || gameState === state.gameState) {
+        return { gameState };
+      }
+      const actionLog = [...state.actionLog, ...logEntries];
+      if (isUndoBarrier(state.gameState, gameState, state.aiPlayers)) {
+        return { gameState, actionLog, history: emptyHistory() };
       }
-      return { gameState: gameStateOrUpdater };
+      const snapshot = { gameState: state.gameState, actionLog: state.actionLog };
+      return {
+        gameState,
+        actionLog,
+        history: {
+          past: [...state.history.past, snapshot].slice(-MAX_UNDO_HISTORY),
+          future: [],
+        },
+      };
+    }),
+
+    // Step back to the previous recorded state (local mode)
+    undo: () => set((state) => {
+      const { past, future } = state.history;
+      if (state.mode !== 'local' || past.length === 0) return {};
+      const current = { gameState: state.gameState, actionLog: state.actionLog };
+      return {
+        ...past[past.length - 1],
+        history: { past: past.slice(0, -1), future: [current, ...future] },
+      };
+    }),
+
+    // Re-apply the most recently undone state (local mode)
+    redo: () => set((state) => {
+      const { past, future } = state.history;
+      if (state.mode !== 'local' || future.length === 0) return {};
+      const current = { gameState: state.gameState, actionLog: state.actionLog };
+      return {
+        ...future[0],
+        history: { past: [...past, current], future: future.slice(1) },
+      };
     }),
 
+    // ============ Local Play ============
+    // Local games are played through the same rules the server applies
+    // online (see localGame.js). A step the rules refuse leaves the game as
+    // it was and shows why.
+
+    // Show the outcome of a local step. Returns whether it was played.
+    commitLocalStep: ({ newState, error, errorCode, logEntries }) => {
+      if (error) {
+        set({ error: i18n.t(`actionErrors.${errorCode}`) });
+        return false;
+      }
+      get().setGameState(newState, logEntries);
+      return true;
+    },
+
+    // Play an action for a seat (table-wide actions default to the seat
+    // whose turn it is)
+    playLocalAction: (action, seat) => {
+      const { mode, gameState } = get();
+      if (mode !== 'local' || !gameState) return false;
+      return get().commitLocalStep(playAction(gameState, action, seat));
+    },
+
+    // The seat whose construction turn it is hands over to the next
+    endLocalTurn: () => {
+      const { mode, gameState } = get();
+      if (mode !== 'local' || !gameState) return false;
+      return get().commitLocalStep(endConstructionTurn(gameState));
+    },
+
+    // The table moves on to the next phase
+    advanceLocalPhase: () => {
+      const { mode, gameState } = get();
+      if (mode !== 'local' || !gameState) return false;
+      return get().commitLocalStep(advancePhase(gameState));
+    },
+
+    // A computer-played seat makes its choices
+    playLocalAiSeat: (seat) => {
+      const { mode, gameState } = get();
+      if (mode !== 'local' || !gameState) return false;
+      return get().commitLocalStep(playAiSeat(gameState, seat));
+    },
+
+    // ============ Online State Sync ============
+    // The server's state is kept apart from what is shown: gameState is the
+    // server's state with our pending actions applied on top
+
+    // Take a full game state from the server. `actionId` is set when it
+    // includes one of our pending actions.
+    setServerState: ({ gameState: serverState, version, actionId }) => set((state) => {
+      const pendingActions = state.pendingActions.filter((pending) => pending.actionId !== actionId);
+      return {
+        serverState,
+        stateVersion: version ?? null,
+        pendingActions,
+        gameState: withPending(serverState, pendingActions, state.playerId),
+      };
+    }),
+
+    // Apply the server's changes to its state (online mode).
+    // Returns false, leaving the state as it was, if they don't follow on from
+    // the version we hold, don't fit it, or don't give the state the server
+    // has; a full state has to be fetched.
+    applyStatePatch: ({ patch, baseVersion, version, stateHash, actionId }) => {
+      const { serverState, stateVersion } = get();
+      if (!serverState || stateVersion !== baseVersion) return false;
+      try {
+        const patched = applyPatch(serverState, patch);
+        if (stateHash && hashState(patched) !== stateHash) return false;
+        get().setServerState({ gameState: patched, version, actionId });
+        return true;
+      } catch (error) {
+        console.warn('Could not apply state patch:', error);
+        return false;
+      }
+    },
+
+    // The server replied to an action: it is no longer pending (if rejected,
+    // this takes it back). Returns whether it had been shown already.
+    settleAction: (actionId) => {
+      const { pendingActions, serverState, stateVersion } = get();
+      if (!serverState || !pendingActions.some((pending) => pending.actionId === actionId)) return false;
+      get().setServerState({ gameState: serverState, version: stateVersion, actionId });
+      return true;
+    },
+
+    // Forget unconfirmed actions whose replies will never arrive (new connection)
+    discardPendingActions: () => set({ pendingActions: [] }),
+
     // Update game state with a partial update
     updateGameState: (updates) => set((state) => ({
       gameState: state.gameState ? { ...state.gameState, ...updates } : null,
@@ -70,6 +259,8 @@ export const useGameStore = create(
     // Error handling
     setError: (error) => set({ error }),
     clearError: () => set({ error: null }),
+    setNotice: (notice) => set({ notice }),
+    clearNotice: () => set({ notice: null }),
 
     // AI players
     setAiPlayers: (aiPlayers) => set({ aiPlayers }),
@@ -88,21 +279,80 @@ export const useGameStore = create(
     }),
     clearDiscussion: () => set({ discussionMessages: [], discussionLoading: false }),
 
+    // Room chat
+    setChatMessages: (chatMessages) => set({ chatMessages }),
+    addChatMessage: (message) => set((state) => ({
+      chatMessages: [...state.chatMessages, message].slice(-MAX_CHAT_MESSAGES),
+    })),
+    sendChat: (text) => {
+      multiplayer.sendChat(text);
+    },
+
     // ============ Game Lifecycle ============
 
-    // Initialize a new local game
-    initLocalGame: (aiConfig) => {
+    // Initialize a new local game, optionally with a ruleset preset
+    initLocalGame: (aiConfig, rulesetId = 'standard') => {
+      const gameState = createInitialGameState(undefined, RULESETS[rulesetId]);
       set({
         mode: 'local',
-        gameState: createInitialGameState(),
+        gameState,
+        initialState: gameState,
+        actionLog: [],
+        serverState: null,
+        stateVersion: null,
+        pendingActions: [],
+        deadline: null,
+        history: emptyHistory(),
         aiPlayers: aiConfig || [false, false, false],
         playerId: null, // In local mode, control all players
         connected: false,
         roomId: null,
         room: null,
         error: null,
+        notice: null,
         discussionMessages: [],
         discussionLoading: false,
+        chatMessages: [],
+      });
+    },
+
+    // Save the current local game to a slot (new slot if id is omitted)
+    // Returns the slot id
+    saveLocalGame: (name, id) => {
+      const { mode, gameState, initialState, actionLog, aiPlayers, discussionMessages } = get();
+      if (mode !== 'local' || !gameState) return null;
+      return saveGame({ id, name, gameState, initialState, actionLog, aiPlayers, discussionMessages });
+    },
+
+    // Load a saved local game (throws if the save can't be read)
+    loadLocalGame: (id) => {
+      get().resumeLocalGame(loadSave(id));
+    },
+
+    // Continue a local game from a saved or imported position. Without a log
+    // of how it got there, its log starts from that position.
+    resumeLocalGame: ({ gameState, initialState, actionLog, aiPlayers, discussionMessages }) => {
+      const logged = !!initialState && Array.isArray(actionLog);
+      set({
+        mode: 'local',
+        gameState,
+        initialState: logged ? initialState : gameState,
+        actionLog: logged ? actionLog : [],
+        serverState: null,
+        stateVersion: null,
+        pendingActions: [],
+        deadline: null,
+        history: emptyHistory(),
+        aiPlayers,
+        playerId: null,
+        connected: false,
+        roomId: null,
+        room: null,
+        error: null,
+        notice: null,
+        discussionMessages,
+        discussionLoading: false,
+        chatMessages: [],
       });
     },
 
@@ -114,7 +364,14 @@ export const useGameStore = create(
         playerId,
         connected: true,
         gameState: null, // Will be set when game starts
+        initialState: null,
+        actionLog: [],
+        serverState: null,
+        stateVersion: null,
+        pendingActions: [],
+        history: emptyHistory(),
         error: null,
+        chatMessages: [],
       });
     },
 
@@ -128,20 +385,53 @@ export const useGameStore = create(
         playerId: null,
         room: null,
         gameState: null,
+        initialState: null,
+        actionLog: [],
+        serverState: null,
+        stateVersion: null,
+        pendingActions: [],
+        deadline: null,
+        history: emptyHistory(),
         aiPlayers: [false, false, false],
         error: null,
+        notice: null,
         discussionMessages: [],
         discussionLoading: false,
+        chatMessages: [],
       });
     },
 
     // ============ Online Multiplayer Actions ============
 
-    // Create a new online room
-    createRoom: async () => {
+    // Create a new online room (options: disconnect policy and grace period)
+    createRoom: async (rulesetId, options) => {
+      try {
+        set({ error: null });
+        const roomId = await multiplayer.createRoom(rulesetId, options);
+        set({ roomId });
+        return roomId;
+      } catch (error) {
+        set({ error: error.message });
+        throw error;
+      }
+    },
+
+    // List the public rooms with free factions
+    listRooms: async () => {
+      try {
+        set({ error: null });
+        return await multiplayer.listRooms();
+      } catch (error) {
+        set({ error: error.message });
+        throw error;
+      }
+    },
+
+    // Find the emptiest public room, or create one
+    quickMatch: async (rulesetId) => {
       try {
         set({ error: null });
-        const roomId = await multiplayer.createRoom();
+        const roomId = await multiplayer.quickMatch(rulesetId);
         set({ roomId });
         return roomId;
       } catch (error) {
@@ -150,12 +440,13 @@ export const useGameStore = create(
       }
     },
 
-    // Observe a room (connect to see room state without joining)
+    // Observe a room (connect to see room state without joining): to pick
+    // a seat in its lobby, or to watch its game as a spectator
     observeRoom: async (roomId) => {
       try {
         set({ error: null, roomId });
         await multiplayer.observeRoom(roomId);
-        set({ connected: true });
+        set({ connected: true, mode: 'online' });
       } catch (error) {
         set({ error: error.message, roomId: null });
         throw error;
@@ -174,17 +465,80 @@ export const useGameStore = create(
       }
     },
 
+    // Reclaim the seat this tab held before a refresh or dropped connection.
+    // Returns false if there is no seat to reclaim.
+    rejoinRoom: async () => {
+      const session = multiplayer.getSavedSession();
+      if (!session) return false;
+      try {
+        set({ error: null, roomId: session.roomId });
+        await multiplayer.rejoin(session.roomId, session.token);
+        return true;
+      } catch (error) {
+        // The seat is gone (player removed or room expired); forget it
+        get().resetStore();
+        throw error;
+      }
+    },
+
     // Toggle ready status in lobby
     toggleReady: () => {
       multiplayer.toggleReady();
     },
 
+    // Host controls in the lobby
+    kickPlayer: (seat) => {
+      multiplayer.kick(seat);
+    },
+
+    swapSeats: (seat, target) => {
+      multiplayer.swapSeats(seat, target);
+    },
+
+    setRoomLocked: (locked) => {
+      multiplayer.setLocked(locked);
+    },
+
+    setRoomRuleset: (rulesetId) => {
+      multiplayer.setRuleset(rulesetId);
+    },
+
+    addBot: (seat) => {
+      multiplayer.addBot(seat);
+    },
+
     // Send a game action (for online mode)
     sendAction: (action) => {
-      const { mode } = get();
-      if (mode === 'online') {
-        multiplayer.sendAction(action);
+      const { mode, gameState, playerId } = get();
+      if (mode !== 'online') return;
+
+      // Spectators watch without a seat
+      if (playerId === null) {
+        set({ error: i18n.t('actionErrors.NOT_A_PLAYER') });
+        return;
       }
+
+      // Check the action against our copy of the state with the same rules
+      // the server applies, so obviously invalid actions fail right away
+      if (gameState) {
+        const validation = validateAction(gameState, action, playerId);
+        if (!validation.valid) {
+          set({ error: i18n.t(`actionErrors.${validation.code}`) });
+          return;
+        }
+      }
+
+      // Show the action straight away when we can work out its effect; it
+      // stays pending until the server confirms or rejects it
+      const actionId = nextActionId++;
+      const optimistic = gameState ? applyOptimistic(gameState, action, playerId) : null;
+      if (optimistic) {
+        set((state) => ({
+          gameState: optimistic,
+          pendingActions: [...state.pendingActions, { actionId, action }],
+        }));
+      }
+      multiplayer.sendAction(action, actionId);
     },
 
     // Leave the current room
@@ -228,3 +582,17 @@ export const getGameStore = () => useGameStore.getState();
 
 // Export subscribe for WebSocket handler to listen to changes
 export const subscribeToStore = useGameStore.subscribe;
+
+// Autosave local games whenever their state changes
+useGameStore.subscribe(
+  (state) => state.gameState,
+  (gameState) => {
+    const { mode, initialState, actionLog, aiPlayers, discussionMessages } = useGameStore.getState();
+    if (mode !== 'local' || !gameState) return;
+    try {
+      saveGame({ id: AUTOSAVE_ID, name: '', gameState, initialState, actionLog, aiPlayers, discussionMessages });
+    } catch (error) {
+      console.warn('Autosave failed:', error);
+    }
+  }
+);
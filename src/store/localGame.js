@@ -0,0 +1,89 @@
+// Local (hot-seat) games
+//
+// Everyone plays at one screen, so the table acts for every seat. Every step
+// goes through applyAction, the same rules the server applies online; the
+// steps only a shared screen needs are made of those same actions:
+//
+//   endConstructionTurn — the seat whose turn it is is done building and
+//                         hands the screen to the next seat
+//   advancePhase        — the table moves on: through the resources phase,
+//                         or out of construction, the events or the veche
+//                         with every seat that hasn't said so yet ready
+//   playAiSeat          — a seat the computer plays makes its choices
+//
+// Each returns the new state with the log entries of the actions taken (to
+// keep the game's action log, as a room does), or, if an action was refused,
+// the state as it was with that action's error.
+
+import { applyAction, ActionTypes, decideSeatActions } from '../../shared/rules/index.js';
+
+// Apply [action, seat] steps in turn; all of them or, at the first one
+// refused, none
+const playSteps = (state, steps) => {
+  let current = state;
+  const logEntries = [];
+  for (const [action, seat] of steps) {
+    const result = applyAction(current, action, seat);
+    if (result.error) {
+      return { newState: state, error: result.error, errorCode: result.errorCode, logEntries: [] };
+    }
+    logEntries.push(result.logEntry);
+    current = result.newState;
+  }
+  return { newState: current, logEntries };
+};
+
+/**
+ * Play one action for a seat. Actions for the whole table (resolving an
+ * event, calling, settling or dropping a vote in the veche) may be taken by
+ * any seat; by default the seat whose turn it is takes them.
+ * @param {import('../../shared/rules/state.js').GameState} state
+ * @param {import('../../shared/rules/actions.js').GameAction} action
+ * @param {number} [seat]
+ */
+export const playAction = (state, action, seat = state.currentPlayer) =>
+  playSteps(state, [[action, seat]]);
+
+/**
+ * The seat whose construction turn it is is done: the next seat takes over,
+ * and once every seat is done the game moves on to the events phase.
+ * @param {import('../../shared/rules/state.js').GameState} state
+ */
+export const endConstructionTurn = (state) => {
+  const seat = state.currentPlayer;
+  return playSteps(state, [
+    [{ type: ActionTypes.NEXT_PLAYER }, seat],
+    [{ type: ActionTypes.SET_CONSTRUCTION_READY }, seat],
+  ]);
+};
+
+/**
+ * Move on to the next phase, for everyone at the table at once
+ * @param {import('../../shared/rules/state.js').GameState} state
+ */
+export const advancePhase = (state) => {
+  if (state.phase === 'resources') {
+    return playAction(state, { type: ActionTypes.NEXT_PHASE });
+  }
+  const construction = state.phase === 'construction';
+  const ready = construction ? state.constructionReady : state.continueReady;
+  const type = construction ? ActionTypes.SET_CONSTRUCTION_READY : ActionTypes.SET_CONTINUE_READY;
+  const seats = ready.map((isReady, seat) => (isReady ? null : seat)).filter((seat) => seat !== null);
+  return playSteps(state, seats.map((seat) => [{ type }, seat]));
+};
+
+/**
+ * A seat played by the computer makes the choices the server's AI would:
+ * its whole construction turn (then hands over, as a player would), or its
+ * vote on the open event, attack or fortress.
+ * @param {import('../../shared/rules/state.js').GameState} state
+ * @param {number} seat
+ */
+export const playAiSeat = (state, seat) => {
+  const steps = decideSeatActions(state, seat).flatMap((action) =>
+    action.type === ActionTypes.SET_CONSTRUCTION_READY
+      ? [[{ type: ActionTypes.NEXT_PLAYER }, seat], [action, seat]]
+      : [[action, seat]]
+  );
+  return playSteps(state, steps);
+};
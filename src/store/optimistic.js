@@ -0,0 +1,27 @@
+// Optimistic updates for online games
+//
+// An action of ours is shown before the server confirms it when the client
+// can work out its effect. Until the server replies it stays pending, and
+// the state shown is the server's with every pending action replayed over
+// it: an action the server refuses is rolled back by dropping it.
+
+import { applyAction } from '../../shared/rules/index.js';
+
+// The state after an action, if the client can show it before the server
+// confirms it: the action is valid here and draws no randomness (the seed
+// stays on the server) nor moves the game to another phase or turn
+export const applyOptimistic = (state, action, playerId) => {
+  const { newState, error } = applyAction(state, action, playerId);
+  if (error) return null;
+  if (newState.rng?.cursor !== state.rng?.cursor) return null;
+  if (newState.phase !== state.phase || newState.turn !== state.turn) return null;
+  return newState;
+};
+
+// The server's state with our unconfirmed actions replayed over it. One that
+// no longer applies is skipped; the server will reject it.
+export const withPending = (serverState, pendingActions, playerId) =>
+  pendingActions.reduce(
+    (state, { action }) => applyOptimistic(state, action, playerId) || state,
+    serverState
+  );
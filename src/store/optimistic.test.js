@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInitialGameState, applyAction, ActionTypes } from '../../shared/rules/index.js';
+import { applyOptimistic, withPending } from './optimistic.js';
+
+// A game in its construction phase where every seat has `money`
+const building = (money = 10) => {
+  const state = createInitialGameState(1);
+  return { ...state, phase: 'construction', players: state.players.map((player) => ({ ...player, money })) };
+};
+
+const armor = { type: ActionTypes.BUY_EQUIPMENT, item: 'armor' };
+const weapons = { type: ActionTypes.BUY_EQUIPMENT, item: 'weapons' };
+
+describe('applyOptimistic', () => {
+  it('shows an action the rules accept as the server will apply it', () => {
+    const state = building();
+    assert.deepEqual(applyOptimistic(state, armor, 0), applyAction(state, armor, 0).newState);
+  });
+
+  it('shows nothing for an action the rules refuse', () => {
+    assert.equal(applyOptimistic(building(0), armor, 0), null);
+    assert.equal(applyOptimistic(building(), { type: ActionTypes.SEND_EXPEDITION }, 0), null);
+  });
+
+  it('leaves what draws randomness to the server', () => {
+    const state = building();
+    const expedition = { type: ActionTypes.SEND_EXPEDITION };
+    assert.equal(applyAction(state, expedition, 1).error, undefined);
+    assert.equal(applyOptimistic(state, expedition, 1), null);
+  });
+
+  it('leaves a change of phase to the server', () => {
+    const state = createInitialGameState(1);
+    assert.equal(applyOptimistic(state, { type: ActionTypes.NEXT_PHASE }, 0), null);
+  });
+});
+
+describe('withPending', () => {
+  it('replays unconfirmed actions over the server state', () => {
+    const server = building();
+    const pending = [{ actionId: 1, action: armor }];
+    assert.deepEqual(withPending(server, pending, 0), applyAction(server, armor, 0).newState);
+  });
+
+  it('rolls back an action that no longer applies', () => {
+    // The server has taken our armor purchase meanwhile: a second purchase
+    // in the same turn is refused, so only the server state is shown
+    const server = applyAction(building(), armor, 0).newState;
+    assert.equal(withPending(server, [{ actionId: 2, action: weapons }], 0), server);
+  });
+
+  it('shows the server state once nothing is pending', () => {
+    const server = building();
+    assert.equal(withPending(server, [], 0), server);
+  });
+});
@@ -0,0 +1,41 @@
+// Build the Node stand-in for the multiplayer worker
+//
+// Bundles server.mjs together with the worker source (TypeScript) and the
+// shared rules, with 'cloudflare:workers' swapped for the Node runtime in
+// runtime.mjs, and loads the bundle. Used by start.mjs, and by scripts that
+// run the worker in-process (parity.js).
+
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { build } from 'esbuild';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const outfile = path.join(here, '..', 'node_modules', '.cache', 'veche-node-server', 'server.mjs');
+
+/**
+ * Bundle and import server.mjs
+ * @returns {Promise<typeof import('./server.mjs')>}
+ */
+export const loadServer = async () => {
+  await build({
+    entryPoints: [path.join(here, 'server.mjs')],
+    outfile,
+    bundle: true,
+    platform: 'node',
+    format: 'esm',
+    target: 'node20',
+    external: ['ws', 'esbuild'],
+    logLevel: 'warning',
+    plugins: [
+      {
+        name: 'cloudflare-workers',
+        setup(pluginBuild) {
+          pluginBuild.onResolve({ filter: /^cloudflare:workers$/ }, () => ({
+            path: path.join(here, 'runtime.mjs'),
+          }));
+        },
+      },
+    ],
+  });
+  return import(pathToFileURL(outfile).href);
+};
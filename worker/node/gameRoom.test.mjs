@@ -0,0 +1,194 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { PROTOCOL_VERSION, RoomErrors } from '../../shared/rules/protocol.js';
+import { ActionTypes } from '../../shared/rules/actions.js';
+import { loadServer } from './build.mjs';
+
+// A client on an in-memory socket to a room, keeping what it is sent
+class Client extends EventEmitter {
+  constructor(host) {
+    super();
+    this.host = host;
+    this.received = [];
+    this.closed = null;
+    host.accept(this);
+  }
+
+  send(data) {
+    this.received.push(JSON.parse(data));
+  }
+
+  close(code, reason) {
+    this.closed = { code, reason };
+  }
+
+  // Send the room a message and wait until it has been handled
+  async say(message) {
+    this.emit('message', JSON.stringify(message), false);
+    await this.host.run(() => {});
+  }
+
+  // The connection drops
+  async drop() {
+    this.emit('close', 1006, Buffer.from(''));
+    await this.host.run(() => {});
+  }
+
+  // What it was sent of the types given, from the `from`th message on
+  messages(types, from = 0) {
+    return this.received.slice(from).filter((message) => types.includes(message.type));
+  }
+}
+
+let server;
+let env;
+
+before(async () => {
+  server = await loadServer();
+  env = server.createEnv();
+});
+
+const call = async (path, init = {}) => {
+  const response = await server.worker.fetch(new Request(`http://localhost${path}`, init), env, {});
+  return { status: response.status, body: await response.json() };
+};
+
+const createRoom = async (options = {}) => {
+  const { body } = await call('/api/rooms', { method: 'POST', body: JSON.stringify(options) });
+  return { ...body, host: env.GAME_ROOM.host(env.GAME_ROOM.idFromName(body.roomId)) };
+};
+
+// A room whose three seats have joined and started the game
+const startGame = async (options) => {
+  const room = await createRoom(options);
+  const seats = [0, 1, 2].map(() => new Client(room.host));
+  for (const [faction, seat] of seats.entries()) {
+    await seat.say({ type: 'join', protocolVersion: PROTOCOL_VERSION, faction, hostToken: room.hostToken });
+  }
+  for (const seat of seats) {
+    await seat.say({ type: 'ready' });
+  }
+  const tokens = seats.map((seat) => seat.messages(['joined'])[0].sessionToken);
+  return { ...room, seats, tokens };
+};
+
+const getLog = (roomId, sessionToken) =>
+  call(`/api/rooms/${roomId}/log`, { headers: sessionToken ? { 'X-Session-Token': sessionToken } : {} });
+
+describe('room expiry', () => {
+  it('closes a lobby left idle past its TTL when its alarm fires', async () => {
+    env.LOBBY_TTL_SECONDS = '0.2';
+    try {
+      const { roomId, host } = await createRoom();
+      const alarm = await host.state.storage.getAlarm();
+      assert.ok(alarm !== null && alarm <= Date.now() + 200, 'the room should wake up when it expires');
+
+      const watcher = new Client(host);
+      await watcher.say({ type: 'observe', protocolVersion: PROTOCOL_VERSION });
+      await sleep(400);
+      await host.run(() => {});
+
+      assert.equal(watcher.messages(['error']).at(-1).code, RoomErrors.ROOM_EXPIRED);
+      assert.ok(watcher.closed, 'the socket should be closed');
+      const { body } = await call(`/api/rooms/${roomId}`);
+      assert.equal(body.room.expired, true);
+      assert.equal(body.room.status, 'abandoned');
+      assert.equal(await host.state.storage.getAlarm(), null);
+
+      const late = new Client(host);
+      await late.say({ type: 'observe', protocolVersion: PROTOCOL_VERSION });
+      assert.equal(late.messages(['error'])[0].code, RoomErrors.ROOM_EXPIRED);
+      assert.ok(late.closed);
+    } finally {
+      delete env.LOBBY_TTL_SECONDS;
+    }
+  });
+
+  it('gives a game in play its own TTL', async () => {
+    env.GAME_TTL_SECONDS = '0.3';
+    try {
+      const { roomId, host, seats } = await startGame();
+      assert.equal((await call(`/api/rooms/${roomId}`)).body.room.status, 'playing');
+      await sleep(600);
+      await host.run(() => {});
+
+      for (const seat of seats) {
+        assert.equal(seat.messages(['error']).at(-1).code, RoomErrors.ROOM_EXPIRED);
+        assert.ok(seat.closed);
+      }
+      const { body } = await call(`/api/rooms/${roomId}`);
+      assert.equal(body.room.expired, true);
+      assert.equal(body.room.status, 'abandoned');
+    } finally {
+      delete env.GAME_TTL_SECONDS;
+    }
+  });
+
+  it('reports a code no room was created under as not found', async () => {
+    const { status, body } = await call('/api/rooms/NOROOM');
+    assert.equal(status, 404);
+    assert.equal(body.code, RoomErrors.ROOM_NOT_FOUND);
+  });
+});
+
+describe('spectator delay', () => {
+  const FEED_TYPES = ['game_start', 'game_state', 'player_left', 'chat'];
+
+  it('holds the game and what happens in it back from spectators', async () => {
+    const { host, seats } = await startGame({ spectatorDelaySeconds: 1 });
+    const spectator = new Client(host);
+    await spectator.say({ type: 'observe', protocolVersion: PROTOCOL_VERSION });
+    const watched = spectator.received.length;
+    const seen = seats[0].received.length;
+
+    await seats[0].say({ type: 'action', action: { type: ActionTypes.BUY_EQUIPMENT, item: 'armor' }, actionId: 1 });
+    await seats[2].drop();
+
+    assert.deepEqual(
+      seats[0].messages(FEED_TYPES, seen).map((message) => message.type),
+      ['game_state', 'player_left', 'chat'],
+      'players see it all at once'
+    );
+    assert.deepEqual(spectator.messages(FEED_TYPES, watched), [], 'spectators see none of it yet');
+
+    await sleep(1300);
+    await host.run(() => {});
+    // The game as it was when they started watching may come first, as its
+    // own view
+    const feed = spectator.messages(FEED_TYPES, watched).slice(-3);
+    assert.deepEqual(
+      feed.map((message) => message.type),
+      ['game_state', 'player_left', 'chat'],
+      'the view comes first, then what happened in it'
+    );
+    assert.equal(feed[0].gameState.players[0].armor, 1);
+    assert.equal(feed[1].playerId, 2);
+    assert.equal(feed[2].chat.system.code, 'playerDisconnected');
+  });
+
+  it('delays the log for anyone without a seat and withholds its draws', async () => {
+    const { roomId, host, seats, tokens } = await startGame({ spectatorDelaySeconds: 1 });
+    await seats[0].say({ type: 'action', action: { type: ActionTypes.BUY_EQUIPMENT, item: 'armor' }, actionId: 1 });
+
+    const seated = (await getLog(roomId, tokens[0])).body;
+    const watching = (await getLog(roomId, null)).body;
+    const stranger = (await getLog(roomId, 'not-a-seat')).body;
+    assert.ok(seated.log.length > 0);
+    assert.ok(watching.log.length < seated.log.length, 'spectators should not see the log ahead of the game');
+    assert.deepEqual(stranger, watching);
+
+    for (const { initialState, log } of [seated, watching]) {
+      assert.equal(initialState.rng.seed, 0);
+      for (const entry of log) {
+        assert.equal('draws' in entry, false);
+        assert.equal('stateHash' in entry, false);
+      }
+    }
+
+    await sleep(1300);
+    await host.run(() => {});
+    assert.deepEqual((await getLog(roomId, null)).body, seated);
+  });
+});
@@ -0,0 +1,245 @@
+// Durable Object runtime for Node
+//
+// Just enough of the Cloudflare runtime for GameRoom and RoomRegistry to run
+// unchanged in a plain Node process:
+//
+//   DurableObject     — base class, standing in for 'cloudflare:workers'
+//   ObjectNamespace   — idFromName/get, one instance per name, as env bindings
+//   storage           — get/put/delete/deleteAll/list and a single alarm, kept
+//                       in memory or in one JSON file per object
+//   WebSockets        — acceptWebSocket/getWebSockets, with attachments
+//
+// Like the real runtime, each object handles one event at a time: a request,
+// socket message, socket close or alarm runs to completion before the next.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export class DurableObject {
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.env = env;
+  }
+}
+
+// Values come out of storage as copies, as they do from Durable Object storage
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+// A name that is safe to use as a file name
+const fileNameFor = (name) => `${name.replace(/[^A-Za-z0-9_-]/g, '_')}.json`;
+
+class Storage {
+  /**
+   * @param {string | null} file - JSON file to keep the data in, or null for memory only
+   * @param {(time: number | null) => void} onAlarmChange
+   */
+  constructor(file, onAlarmChange) {
+    this.file = file;
+    this.onAlarmChange = onAlarmChange;
+    this.data = new Map();
+    this.alarm = null;
+    if (file && fs.existsSync(file)) {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      this.data = new Map(Object.entries(saved.data));
+      this.alarm = saved.alarm;
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+    const saved = { data: Object.fromEntries(this.data), alarm: this.alarm };
+    fs.writeFileSync(this.file, JSON.stringify(saved));
+  }
+
+  async get(keys) {
+    if (Array.isArray(keys)) {
+      return new Map(keys.filter((key) => this.data.has(key)).map((key) => [key, clone(this.data.get(key))]));
+    }
+    return clone(this.data.get(keys));
+  }
+
+  async put(keyOrEntries, value) {
+    const entries = typeof keyOrEntries === 'string' ? { [keyOrEntries]: value } : keyOrEntries;
+    for (const [key, entry] of Object.entries(entries)) {
+      this.data.set(key, clone(entry));
+    }
+    this.save();
+  }
+
+  async delete(keys) {
+    const deleted = (Array.isArray(keys) ? keys : [keys]).filter((key) => this.data.delete(key));
+    this.save();
+    return Array.isArray(keys) ? deleted.length : deleted.length > 0;
+  }
+
+  // Like Durable Object storage, leaves the alarm alone
+  async deleteAll() {
+    this.data.clear();
+    this.save();
+  }
+
+  async list({ prefix = '', limit = Infinity } = {}) {
+    const keys = [...this.data.keys()].filter((key) => key.startsWith(prefix)).sort().slice(0, limit);
+    return new Map(keys.map((key) => [key, clone(this.data.get(key))]));
+  }
+
+  async getAlarm() {
+    return this.alarm;
+  }
+
+  async setAlarm(time) {
+    this.alarm = typeof time === 'number' ? time : time.getTime();
+    this.save();
+    this.onAlarmChange(this.alarm);
+  }
+
+  async deleteAlarm() {
+    this.alarm = null;
+    this.save();
+    this.onAlarmChange(null);
+  }
+}
+
+// A socket as a Durable Object sees it. Attachments are cloned like storage.
+class HostedWebSocket {
+  constructor(socket) {
+    this.socket = socket;
+    this.attachment = null;
+  }
+
+  send(message) {
+    this.socket.send(message);
+  }
+
+  close(code, reason) {
+    this.socket.close(code, reason);
+  }
+
+  serializeAttachment(value) {
+    this.attachment = clone(value);
+  }
+
+  deserializeAttachment() {
+    return clone(this.attachment);
+  }
+}
+
+class ObjectState {
+  constructor(id, storage) {
+    this.id = id;
+    this.storage = storage;
+    this.sockets = new Set();
+  }
+
+  getWebSockets() {
+    return [...this.sockets];
+  }
+}
+
+// One Durable Object instance, with its events queued one after another
+class ObjectHost {
+  constructor(ObjectClass, name, env, dataDir) {
+    const file = dataDir ? path.join(dataDir, fileNameFor(name)) : null;
+    this.queue = Promise.resolve();
+    this.timer = null;
+    this.state = new ObjectState({ name, toString: () => name }, new Storage(file, (time) => this.armAlarm(time)));
+    this.state.acceptWebSocket = (ws) => this.state.sockets.add(ws);
+    this.instance = new ObjectClass(this.state, env);
+    this.armAlarm(this.state.storage.alarm);
+  }
+
+  // Run an event once the ones before it have finished
+  run(handler) {
+    const result = this.queue.then(handler);
+    this.queue = result.catch((error) => console.error('Durable Object error:', error));
+    return result;
+  }
+
+  armAlarm(time) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (time === null) return;
+    this.timer = setTimeout(() => {
+      this.run(async () => {
+        // The alarm may have been moved or cleared while this event waited
+        if (this.state.storage.alarm === null || this.state.storage.alarm > Date.now()) return;
+        this.state.storage.alarm = null;
+        this.state.storage.save();
+        await this.instance.alarm();
+      });
+    }, Math.max(0, time - Date.now()));
+    // A pending alarm alone doesn't keep the process running (the server's
+    // sockets do), so scripts and tests that run rooms in-process can end
+    this.timer.unref();
+  }
+
+  fetch(input, init) {
+    const request = input instanceof Request ? input : new Request(input, init);
+    return this.run(() => this.instance.fetch(request));
+  }
+
+  // Hand an open `ws` socket to the object, as an accepted hibernatable socket
+  accept(socket) {
+    const ws = new HostedWebSocket(socket);
+    this.state.acceptWebSocket(ws);
+    socket.on('message', (data, isBinary) => {
+      this.run(() => this.instance.webSocketMessage(ws, isBinary ? data : data.toString()));
+    });
+    socket.on('close', (code, reason) => {
+      this.state.sockets.delete(ws);
+      this.run(() => this.instance.webSocketClose(ws, code, reason.toString(), true));
+    });
+    socket.on('error', (error) => {
+      this.state.sockets.delete(ws);
+      this.run(() => this.instance.webSocketError(ws, error));
+    });
+  }
+}
+
+/**
+ * A Durable Object binding: one instance of the class per name
+ */
+export class ObjectNamespace {
+  /**
+   * @param {Function} ObjectClass - The Durable Object class
+   * @param {() => object} getEnv - The env its instances get (bindings may refer to each other)
+   * @param {string | null} dataDir - Directory to keep each instance's storage in, or null for memory only
+   */
+  constructor(ObjectClass, getEnv, dataDir) {
+    this.ObjectClass = ObjectClass;
+    this.getEnv = getEnv;
+    this.dataDir = dataDir;
+    this.hosts = new Map();
+    if (this.dataDir) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  idFromName(name) {
+    return { name, toString: () => name };
+  }
+
+  // The instance for an id, started on first use
+  host(id) {
+    if (!this.hosts.has(id.name)) {
+      this.hosts.set(id.name, new ObjectHost(this.ObjectClass, id.name, this.getEnv(), this.dataDir));
+    }
+    return this.hosts.get(id.name);
+  }
+
+  get(id) {
+    const host = this.host(id);
+    return { id, fetch: (input, init) => host.fetch(input, init) };
+  }
+
+  // Start every instance with data on disk, so their alarms fire even if
+  // no one asks for them
+  restore() {
+    if (!this.dataDir) return;
+    for (const file of fs.readdirSync(this.dataDir)) {
+      if (file.endsWith('.json')) {
+        this.host(this.idFromName(file.slice(0, -'.json'.length)));
+      }
+    }
+  }
+}
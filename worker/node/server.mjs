@@ -0,0 +1,89 @@
+// Node stand-in for the multiplayer worker
+//
+// Serves the worker's routes from a plain Node process, so the client (and
+// scripts that drive several clients) can play online without wrangler or
+// the Durable Object runtime. HTTP requests go through the worker's own
+// fetch handler, and sockets on /api/rooms/:id/ws are handed to the same
+// GameRoom class, so routes and messages are exactly the worker's.
+//
+// Run through start.mjs, which bundles this file with the worker source.
+
+import http from 'node:http';
+import path from 'node:path';
+import { WebSocketServer } from 'ws';
+import worker, { GameRoom, RoomRegistry } from '../src/index.ts';
+import { ObjectNamespace } from './runtime.mjs';
+
+// Same pattern as the worker's WebSocket route
+const WS_ROUTE = /^\/api\/rooms\/([A-Z0-9-]+)\/ws$/;
+
+// The worker itself, for scripts that call its fetch handler in-process
+export { worker };
+
+/**
+ * The worker's env: its vars, and its Durable Object bindings on the Node
+ * runtime, with any rooms kept in `dataDir` started again
+ * @param {string | null} [dataDir] - Directory to keep room storage in, or null for memory only
+ */
+export const createEnv = (dataDir = null) => {
+  const env = {
+    ENVIRONMENT: 'node',
+    ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY || '',
+    // Room expiry, as the [vars] in wrangler.toml (unset: the defaults)
+    LOBBY_TTL_SECONDS: process.env.LOBBY_TTL_SECONDS,
+    GAME_TTL_SECONDS: process.env.GAME_TTL_SECONDS,
+    FINISHED_TTL_SECONDS: process.env.FINISHED_TTL_SECONDS,
+  };
+  const storageDir = (binding) => (dataDir ? path.join(dataDir, binding) : null);
+  env.GAME_ROOM = new ObjectNamespace(GameRoom, () => env, storageDir('GameRoom'));
+  env.ROOM_REGISTRY = new ObjectNamespace(RoomRegistry, () => env, storageDir('RoomRegistry'));
+  env.GAME_ROOM.restore();
+  env.ROOM_REGISTRY.restore();
+  return env;
+};
+
+/**
+ * Start the server
+ * @param {{port?: number, dataDir?: string | null}} [options] - Port to listen
+ *   on (default 8787, like wrangler dev) and a directory to keep room storage
+ *   in (default: none, rooms live in memory until the process exits)
+ * @returns {Promise<http.Server>}
+ */
+export const startServer = ({ port = 8787, dataDir = null } = {}) => {
+  const env = createEnv(dataDir);
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const body = chunks.length > 0 ? Buffer.concat(chunks) : undefined;
+      const request = new Request(`http://${req.headers.host || 'localhost'}${req.url}`, {
+        method: req.method,
+        headers: req.headers,
+        body: req.method === 'GET' || req.method === 'HEAD' ? undefined : body,
+      });
+
+      const response = await worker.fetch(request, env, {});
+      res.writeHead(response.status, Object.fromEntries(response.headers));
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (error) {
+      console.error('Server error:', error);
+      res.writeHead(500).end();
+    }
+  });
+
+  const sockets = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    const match = new URL(req.url, 'http://localhost').pathname.match(WS_ROUTE);
+    if (!match) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    const room = env.GAME_ROOM.host(env.GAME_ROOM.idFromName(match[1]));
+    sockets.handleUpgrade(req, socket, head, (ws) => room.accept(ws));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, () => resolve(server));
+  });
+};
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// Start the Node stand-in for the multiplayer worker
+//
+// Bundles the server with the worker source and the shared rules (see
+// build.mjs), then starts it.
+//
+// Usage (from worker/):
+//   npm run serve                        # port 8787, rooms in memory
+//   npm run serve -- --port 9000         # another port
+//   npm run serve -- --data .rooms       # keep rooms in .rooms/ across restarts
+
+import path from 'node:path';
+import { loadServer } from './build.mjs';
+
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const { startServer } = await loadServer();
+const port = Number(option('port')) || 8787;
+const dataDir = option('data') ? path.resolve(option('data')) : null;
+await startServer({ port, dataDir });
+console.log(`Veche multiplayer (Node) listening on http://localhost:${port}`);
+console.log(dataDir ? `Rooms are kept in ${dataDir}` : 'Rooms are kept in memory');
@@ -1,6 +0,0 @@
-/**
- * Game module re-exports
- */
-
-export * from './state';
-export * from './actions';
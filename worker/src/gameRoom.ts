@@ -4,53 +4,130 @@
  * Manages a single multiplayer game room:
  * - WebSocket connections for up to 3 players
  * - Room/lobby state (players, factions, ready status)
+ * - Host controls in the lobby: kick, swap seats, lock, ruleset, AI seats
  * - Game state synchronization
- * - Server-authoritative randomness
+ * - Server-authoritative randomness (seeded rng held in the game state)
+ * - Disconnect grace period, after which the AI plays the seat or it forfeits
+ * - Optional time limits on construction turns and votes
+ * - Sealed votes: each socket gets its own view of the game state
+ * - Versioned state sync: deltas after each change, full state on request
+ * - Room chat, with a bounded history kept in storage
+ * - Every client message is checked against the shared protocol before it is
+ *   handled, and clients speaking an unsupported protocol are told to reload
+ * - Public rooms report their open seats to the room registry
+ * - A summary of each finished game is kept for the results screen
+ * - Rooms move from lobby to playing to finished; one left idle too long
+ *   expires, keeping only enough to tell late joiners (and the summary)
+ * - Spectators watch without a seat, live or a set number of seconds behind
+ *   the players, and the lobby shows how many there are
  */
 
 import { DurableObject } from 'cloudflare:workers';
+import { getRoomRegistry } from './roomRegistry';
 import {
-  GameState,
+  ActionTypes,
+  ActionErrors,
+  canResolveEvent,
+  canContinue,
   createInitialGameState,
+  generateSeed,
   FACTIONS,
-} from './game';
-import {
+  RULESETS,
+  getRuleset,
   applyAction,
   nextPhase,
+  decideSeatActions,
+  projectStateFor,
+  sealActionLog,
+  withoutDraws,
+  replayGame,
+  diffState,
+  hashState,
+  getGameResult,
+  summarizeGame,
+  PROTOCOL_VERSION,
+  ProtocolErrors,
+  RoomErrors,
+  validateClientMessage,
+  migrateGameState,
+} from '../../shared/rules/index.js';
+import type {
+  GameState,
   GameAction,
-  RandomValues,
-} from './game/actions';
-
-// Message types from client to server
-interface ClientMessage {
-  type: 'join' | 'observe' | 'ready' | 'action' | 'leave';
-  playerName?: string;
-  faction?: number; // 0 = Nobles, 1 = Merchants, 2 = Commoners
-  action?: GameAction;
-}
+  ActionLogEntry,
+  ActionErrorCode,
+  PatchOperation,
+  ClientMessage,
+  ServerMessageType,
+  ProtocolErrorCode,
+  RoomErrorCode,
+  GameSummary,
+} from '../../shared/rules/index.js';
+
+// Messages from client to server are the shared protocol's ClientMessage,
+// checked on arrival by validateClientMessage
 
 // Message types from server to client
 interface ServerMessage {
-  type:
-    | 'joined'
-    | 'room_update'
-    | 'game_start'
-    | 'game_state'
-    | 'action_result'
-    | 'error'
-    | 'player_left';
+  type: ServerMessageType;
+  protocolVersion?: number; // Protocol the server speaks ('joined' only)
   playerId?: number;
   room?: RoomState;
+  sessionToken?: string; // Lets the player reclaim their seat after a dropped connection
+  deadline?: number | null; // When the current turn or vote times out (ms since epoch)
+  serverTime?: number; // Server clock when sent, so clients can allow for clock skew
   gameState?: GameState;
+  version?: number; // Version of the game state sent or patched to
+  baseVersion?: number; // Version a patch applies to
+  patch?: PatchOperation[]; // Changes since baseVersion, instead of the full gameState
+  stateHash?: string; // Hash of the patched state, to catch a client copy that drifted
+  actionId?: number; // The client's action this reply (or state) is the outcome of
+  chat?: ChatMessage; // A new chat message
+  chatHistory?: ChatMessage[]; // Recent chat, sent on (re)joining
   error?: string;
+  code?: ActionErrorCode | ProtocolErrorCode | RoomErrorCode; // Why a game action or message was rejected
   result?: ServerActionResult;
 }
 
+// A line in the room chat: said by a player, or posted by the room itself
+// (joins, leaves, battle outcomes) as a code the client translates
+interface ChatMessage {
+  id: number;
+  time: number; // ms since epoch
+  playerId: number | null; // Seat of the speaker (null for system messages)
+  name?: string; // Speaker's name
+  text?: string;
+  system?: { code: string; params?: Record<string, unknown> };
+}
+
+// How much chat is kept (and sent to players joining)
+const CHAT_HISTORY_LENGTH = 100;
+
+// Results of battles with the Order, announced in the chat
+const BATTLE_RESULT_CODES = ['defenseVictory', 'defenseFailed', 'attackVictory', 'attackDefeat'];
+
+// Where a room is in its life. 'abandoned' rooms expired before their game
+// was finished.
+export type RoomStatus = 'lobby' | 'playing' | 'finished' | 'abandoned';
+
 // Room state (lobby before game starts)
 interface RoomState {
+  roomId: string | null; // The room's code (null in rooms created before the registry)
   players: (PlayerSlot | null)[];
   gameStarted: boolean;
+  status: RoomStatus;
+  expired: boolean; // Sat idle too long: storage was cleared and no one may (re)join
   createdAt: number;
+  isPublic: boolean; // Listed in the room browser until the game starts
+  hostId: number | null; // Seat of the host, who runs the lobby
+  locked: boolean; // The host closed the room to new players
+  ruleset: keyof typeof RULESETS; // Preset the game will be played by
+  disconnectPolicy: DisconnectPolicy; // What happens to a seat whose player doesn't come back
+  graceSeconds: number; // How long a disconnected player has to come back
+  turnSeconds: number | null; // Time limit on a construction turn (null: none)
+  voteSeconds: number | null; // Time limit on an event, attack or fortress vote (null: none)
+  spectatorDelaySeconds: number; // How far behind the players spectators see the game (0: live)
+  spectators: number; // Sockets watching without a seat
 }
 
 interface PlayerSlot {
@@ -58,6 +135,83 @@ interface PlayerSlot {
   faction: string;
   ready: boolean;
   connected: boolean;
+  graceDeadline?: number | null; // When a disconnected player runs out of time (ms since epoch)
+  aiControlled?: boolean; // The AI plays the seat until its player comes back
+  bot?: boolean; // The host filled the seat with an AI player
+}
+
+// Name of a seat the host filled with an AI player
+const BOT_NAME = 'AI';
+
+// What becomes of a seat once the grace period runs out:
+// 'ai' hands it to the AI until the player returns, 'forfeit' ends their game
+export const DISCONNECT_POLICIES = ['ai', 'forfeit'] as const;
+export type DisconnectPolicy = (typeof DISCONNECT_POLICIES)[number];
+
+const DEFAULT_GRACE_SECONDS = 60;
+const MIN_GRACE_SECONDS = 10;
+const MAX_GRACE_SECONDS = 600;
+
+// Bounds on turn and vote time limits
+const MIN_TIMER_SECONDS = 10;
+const MAX_TIMER_SECONDS = 900;
+
+// Longest delay a room may show spectators the game with
+const MAX_SPECTATOR_DELAY_SECONDS = 300;
+
+// How long players have to say they are ready to leave the events or veche
+// phase before the game moves on without them
+const CONTINUE_SECONDS = 60;
+
+// A time limit from a room request: a whole number of seconds within bounds,
+// or null for no limit
+function timerSeconds(value: unknown): number | null {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    return null;
+  }
+  return Math.min(MAX_TIMER_SECONDS, Math.max(MIN_TIMER_SECONDS, Math.round(value)));
+}
+
+// The running time limit on the decision the game is waiting for
+// (persisted as 'turnTimer')
+interface TurnTimer {
+  key: string; // Which decision it times: phase or vote, and turn
+  deadline: number; // ms since epoch
+}
+
+// A view of the game held back from spectators until the room's delay has
+// passed (persisted as 'spectatorFeed:<version>'); the latest one released
+// is kept as 'spectatorView' for spectators who arrive later
+interface SpectatorView {
+  type: 'game_start' | 'game_state';
+  releaseAt: number; // ms since epoch
+  version: number;
+  gameState: GameState; // As observers see it
+  deadline: number | null; // Moved back by the delay, to match the view
+  messages?: ServerMessage[]; // Sent after the view: what happened in the game at this version
+}
+
+// How long the action log was at a version held back from spectators
+// (persisted in 'logReleases'), so anyone without a seat is shown the log
+// no further than spectators are shown the game
+interface LogRelease {
+  releaseAt: number; // ms since epoch
+  length: number;
+}
+
+// What is kept of a finished game (persisted as 'summary'): who sat where,
+// and how the game went
+interface MatchSummary extends GameSummary {
+  roomId: string | null;
+  createdAt: number;
+  endedAt: number; // ms since epoch
+  players: ({ name: string; bot: boolean } | null)[]; // By seat
+}
+
+// The socket whose action a broadcast state is the outcome of
+interface ActedBy {
+  ws: WebSocket;
+  actionId?: number;
 }
 
 // Server action result for client
@@ -72,11 +226,52 @@ interface WebSocketAttachment {
   playerId: number | null; // null for observers
   playerName: string;
   isObserver: boolean;
+  spectator?: boolean; // Came to watch (not a player's socket detached from its seat)
+}
+
+// Close code sent to a socket whose seat was reclaimed by a newer connection
+const SEAT_RECLAIMED = 4000;
+
+// Close code sent to sockets of a room that expired (or never existed)
+const ROOM_CLOSED = 4001;
+
+// How long a room may sit with no messages from anyone before it expires,
+// by status, unless the worker's vars (LOBBY_TTL_SECONDS, GAME_TTL_SECONDS,
+// FINISHED_TTL_SECONDS) say otherwise
+const DEFAULT_LOBBY_TTL_SECONDS = 2 * 60 * 60;
+const DEFAULT_GAME_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_FINISHED_TTL_SECONDS = 24 * 60 * 60;
+
+// A time to live from the worker's vars, in seconds
+function ttlSeconds(value: string | undefined, fallback: number): number {
+  const seconds = Number(value);
+  return value && Number.isFinite(seconds) && seconds > 0 ? seconds : fallback;
 }
 
 interface Env {
   GAME_ROOM: DurableObjectNamespace;
+  ROOM_REGISTRY: DurableObjectNamespace;
   ENVIRONMENT: string;
+  LOBBY_TTL_SECONDS?: string;
+  GAME_TTL_SECONDS?: string;
+  FINISHED_TTL_SECONDS?: string;
+}
+
+// The rng seed must never reach clients during a game: with it they could
+// predict every future roll. Only the cursor is shared.
+function withoutSeed(gameState: GameState): GameState {
+  return { ...gameState, rng: { ...gameState.rng, seed: 0 } };
+}
+
+// The game state as sent to a seat (null for observers): no seed, and other
+// players' votes sealed until everyone has voted
+function viewFor(gameState: GameState, playerId: number | null): GameState {
+  return withoutSeed(projectStateFor(gameState, playerId));
+}
+
+// Storage key of the view of a version held back from spectators
+function spectatorFeedKey(version: number): string {
+  return `spectatorFeed:${String(version).padStart(6, '0')}`;
 }
 
 export class GameRoom extends DurableObject<Env> {
@@ -89,27 +284,161 @@ export class GameRoom extends DurableObject<Env> {
     const room = await this.ctx.storage.get<RoomState>('room');
     if (!room) {
       return {
+        roomId: null,
         players: [null, null, null],
         gameStarted: false,
+        status: 'lobby',
+        expired: false,
         createdAt: Date.now(),
+        isPublic: false,
+        hostId: null,
+        locked: false,
+        ruleset: 'standard',
+        disconnectPolicy: 'ai',
+        graceSeconds: DEFAULT_GRACE_SECONDS,
+        turnSeconds: null,
+        voteSeconds: null,
+        spectatorDelaySeconds: 0,
+        spectators: 0,
       };
     }
-    return room;
+    // Rooms created before rulesets, disconnect settings, timers, the
+    // registry, hosts, statuses or spectators existed
+    return {
+      ...room,
+      roomId: room.roomId ?? null,
+      status: room.status ?? (room.gameStarted ? 'playing' : 'lobby'),
+      expired: room.expired ?? false,
+      isPublic: room.isPublic ?? false,
+      hostId: room.hostId ?? null,
+      locked: room.locked ?? false,
+      ruleset: room.ruleset || 'standard',
+      disconnectPolicy: room.disconnectPolicy || 'ai',
+      graceSeconds: room.graceSeconds || DEFAULT_GRACE_SECONDS,
+      turnSeconds: room.turnSeconds ?? null,
+      voteSeconds: room.voteSeconds ?? null,
+      spectatorDelaySeconds: room.spectatorDelaySeconds ?? 0,
+      spectators: room.spectators ?? 0,
+    };
   }
 
-  // Save room state to storage
-  private async saveRoom(room: RoomState): Promise<void> {
+  // Save room state to storage, counting the spectators watching it now.
+  // `leaving` is a socket that is closing and no longer counts.
+  private async saveRoom(room: RoomState, leaving?: WebSocket): Promise<void> {
+    room.spectators = this.countSpectators(leaving);
     await this.ctx.storage.put('room', room);
   }
 
-  // Get game state from storage
+  // Sockets that came to watch the game. Sockets of players who were
+  // kicked or replaced by a newer connection are observers too, but don't
+  // count.
+  private countSpectators(leaving?: WebSocket): number {
+    return this.ctx.getWebSockets().filter((ws) => {
+      const attachment = ws.deserializeAttachment() as WebSocketAttachment | null;
+      return ws !== leaving && !!attachment?.spectator;
+    }).length;
+  }
+
+  // Get game state from storage, upgraded to the current schema if the room
+  // was saved by an older version
   private async getGameState(): Promise<GameState | null> {
-    return await this.ctx.storage.get<GameState>('gameState') || null;
+    const gameState = await this.ctx.storage.get<GameState>('gameState');
+    return gameState ? migrateGameState(gameState) : null;
   }
 
-  // Save game state to storage
+  // Get the state the game started from, upgraded like the game state
+  private async getInitialGameState(): Promise<GameState | null> {
+    const initialState = await this.ctx.storage.get<GameState>('initialGameState');
+    return initialState ? migrateGameState(initialState) : null;
+  }
+
+  // Save game state to storage as its next version
   private async saveGameState(gameState: GameState): Promise<void> {
-    await this.ctx.storage.put('gameState', gameState);
+    const version = (await this.getStateVersion()) + 1;
+    await this.ctx.storage.put({ gameState, stateVersion: version });
+  }
+
+  // Get the version of the stored game state. It goes up by one with every
+  // save, so a client can tell when it has missed a delta.
+  private async getStateVersion(): Promise<number> {
+    return (await this.ctx.storage.get<number>('stateVersion')) ?? 0;
+  }
+
+  // Get the session token of each seat. Tokens are kept apart from the room
+  // state, which is broadcast to every client.
+  private async getSeatTokens(): Promise<(string | null)[]> {
+    return (await this.ctx.storage.get<(string | null)[]>('seatTokens')) || [null, null, null];
+  }
+
+  // Set or clear the session token of one seat
+  private async setSeatToken(playerId: number, token: string | null): Promise<void> {
+    const tokens = await this.getSeatTokens();
+    tokens[playerId] = token;
+    await this.ctx.storage.put('seatTokens', tokens);
+  }
+
+  // Append an entry to the action log. Each entry is its own key so the log
+  // can grow without rewriting earlier entries.
+  private async appendActionLog(entry: ActionLogEntry): Promise<void> {
+    const length = (await this.ctx.storage.get<number>('actionLogLength')) || 0;
+    await this.ctx.storage.put({
+      [`actionLog:${String(length).padStart(6, '0')}`]: entry,
+      actionLogLength: length + 1,
+    });
+  }
+
+  // Get the state the game started from and every action applied since.
+  // Until the game has ended the seed, the values drawn and the state hashes
+  // are withheld, and the votes of a vote still in progress stay sealed. In a
+  // room with a spectator delay, anyone without a seat (no session token of
+  // one) is shown the log only as far as spectators have been shown the game.
+  private async getActionLog(
+    sessionToken: string | null
+  ): Promise<{ initialState: GameState | null; log: ActionLogEntry[] }> {
+    const initialState = await this.getInitialGameState();
+    let gameState = await this.getGameState();
+    const entries = await this.ctx.storage.list<ActionLogEntry>({ prefix: 'actionLog:' });
+    let log = [...entries.values()];
+
+    const room = await this.getRoom();
+    const seated = !!sessionToken && (await this.getSeatTokens()).includes(sessionToken);
+    if (initialState && room.spectatorDelaySeconds > 0 && !seated) {
+      const length = await this.getReleasedLogLength();
+      if (length < log.length) {
+        log = log.slice(0, length);
+        gameState = replayGame(initialState, log).state;
+      }
+    }
+
+    const finished = !!gameState && (gameState.gameOver || gameState.turn > getRuleset(gameState).maxTurns);
+    return {
+      initialState: initialState && !finished ? withoutSeed(initialState) : initialState,
+      log: gameState && !finished ? withoutDraws(sealActionLog(log, gameState)) : log,
+    };
+  }
+
+  // Note how long the log is now, to show it to anyone without a seat once
+  // the room's spectator delay has passed
+  private async markLogRelease(room: RoomState): Promise<void> {
+    const now = Date.now();
+    const releases = (await this.ctx.storage.get<LogRelease[]>('logReleases')) || [];
+    // Of the marks already due, only the latest still matters
+    const due = releases.filter((release) => release.releaseAt <= now).length;
+    await this.ctx.storage.put('logReleases', [
+      ...releases.slice(Math.max(0, due - 1)),
+      {
+        releaseAt: now + room.spectatorDelaySeconds * 1000,
+        length: (await this.ctx.storage.get<number>('actionLogLength')) || 0,
+      },
+    ]);
+  }
+
+  // How much of the log the room's spectator delay lets anyone without a
+  // seat see
+  private async getReleasedLogLength(): Promise<number> {
+    const releases = (await this.ctx.storage.get<LogRelease[]>('logReleases')) || [];
+    const due = releases.filter((release) => release.releaseAt <= Date.now());
+    return due.length > 0 ? due[due.length - 1].length : 0;
   }
 
   // Get WebSocket for a specific player ID
@@ -130,16 +459,74 @@ export class GameRoom extends DurableObject<Env> {
 
     // Initialize room
     if (url.pathname === '/init' && request.method === 'POST') {
+      const {
+        roomId,
+        hostToken,
+        isPublic,
+        ruleset,
+        disconnectPolicy,
+        graceSeconds,
+        turnSeconds,
+        voteSeconds,
+        spectatorDelaySeconds,
+      } = (await request.json().catch(() => ({}))) as {
+        roomId?: string;
+        hostToken?: string;
+        isPublic?: boolean;
+        ruleset?: string;
+        disconnectPolicy?: string;
+        graceSeconds?: number;
+        turnSeconds?: number | null;
+        voteSeconds?: number | null;
+        spectatorDelaySeconds?: number;
+      };
+      // A code in use, even by a room that has expired, is never handed out
+      // again; the worker picks another
+      if (await this.ctx.storage.get('room')) {
+        return new Response(JSON.stringify({ error: 'Room code already in use' }), { status: 409 });
+      }
       const room = await this.getRoom();
       if (room.createdAt === 0) {
         room.createdAt = Date.now();
-        await this.saveRoom(room);
       }
+      if (ruleset && Object.hasOwn(RULESETS, ruleset) && !room.gameStarted) {
+        room.ruleset = ruleset as RoomState['ruleset'];
+      }
+      if (DISCONNECT_POLICIES.includes(disconnectPolicy as DisconnectPolicy) && !room.gameStarted) {
+        room.disconnectPolicy = disconnectPolicy as DisconnectPolicy;
+      }
+      if (typeof graceSeconds === 'number' && Number.isFinite(graceSeconds) && !room.gameStarted) {
+        room.graceSeconds = Math.min(MAX_GRACE_SECONDS, Math.max(MIN_GRACE_SECONDS, Math.round(graceSeconds)));
+      }
+      if (typeof spectatorDelaySeconds === 'number' && Number.isFinite(spectatorDelaySeconds) && !room.gameStarted) {
+        room.spectatorDelaySeconds = Math.min(
+          MAX_SPECTATOR_DELAY_SECONDS,
+          Math.max(0, Math.round(spectatorDelaySeconds))
+        );
+      }
+      if (!room.gameStarted) {
+        room.turnSeconds = timerSeconds(turnSeconds);
+        room.voteSeconds = timerSeconds(voteSeconds);
+        room.roomId = roomId ?? room.roomId;
+        room.isPublic = isPublic === true;
+      }
+      if (hostToken && !room.gameStarted) {
+        await this.ctx.storage.put('hostToken', hostToken);
+      }
+      await this.saveRoom(room);
+      await this.ctx.storage.put('lastActivity', Date.now());
+      await this.scheduleAlarm(room);
+      await this.publishListing(room);
       return new Response(JSON.stringify({ success: true }));
     }
 
     // Get room info
     if (url.pathname === '/info' && request.method === 'GET') {
+      if (!(await this.ctx.storage.get('room'))) {
+        return new Response(JSON.stringify({ error: 'Room not found', code: RoomErrors.ROOM_NOT_FOUND }), {
+          status: 404,
+        });
+      }
       const room = await this.getRoom();
       return new Response(
         JSON.stringify({
@@ -150,6 +537,21 @@ export class GameRoom extends DurableObject<Env> {
       );
     }
 
+    // Get the summary of a finished game
+    if (url.pathname === '/summary' && request.method === 'GET') {
+      const summary = await this.ctx.storage.get<MatchSummary>('summary');
+      if (!summary) {
+        return new Response(JSON.stringify({ error: 'No finished game in this room' }), { status: 404 });
+      }
+      return new Response(JSON.stringify(summary));
+    }
+
+    // Get action log (for replaying and debugging a game). Players send
+    // their session token, which spares them the spectator delay.
+    if (url.pathname === '/log' && request.method === 'GET') {
+      return new Response(JSON.stringify(await this.getActionLog(request.headers.get('X-Session-Token'))));
+    }
+
     // WebSocket upgrade
     const upgradeHeader = request.headers.get('Upgrade');
     if (upgradeHeader === 'websocket') {
@@ -175,9 +577,36 @@ export class GameRoom extends DurableObject<Env> {
 
   // WebSocket message handler (called by Durable Object runtime)
   async webSocketMessage(ws: WebSocket, message: string | ArrayBuffer): Promise<void> {
+    let data: unknown;
     try {
-      const data: ClientMessage = JSON.parse(message as string);
-      await this.handleMessage(ws, data);
+      data = JSON.parse(message as string);
+    } catch {
+      this.sendToSocket(ws, {
+        type: 'error',
+        error: 'Invalid message: not JSON',
+        code: ProtocolErrors.INVALID_MESSAGE,
+      });
+      return;
+    }
+
+    const checked = validateClientMessage(data);
+    if (!checked.valid) {
+      const { actionId } = data as { actionId?: unknown };
+      this.sendToSocket(ws, {
+        type: 'error',
+        error: checked.error,
+        code: checked.code,
+        actionId: Number.isInteger(actionId) ? (actionId as number) : undefined,
+      });
+      return;
+    }
+
+    try {
+      await this.handleMessage(ws, checked.message);
+      // Anything said by a socket that got into the room keeps it alive
+      if (ws.deserializeAttachment()) {
+        await this.ctx.storage.put('lastActivity', Date.now());
+      }
     } catch (error) {
       this.sendToSocket(ws, {
         type: 'error',
@@ -189,7 +618,9 @@ export class GameRoom extends DurableObject<Env> {
   // WebSocket close handler
   async webSocketClose(ws: WebSocket, _code: number, _reason: string): Promise<void> {
     const attachment = ws.deserializeAttachment() as WebSocketAttachment | null;
-    if (attachment?.playerId !== undefined) {
+    if (attachment?.spectator) {
+      await this.handleSpectatorLeft(ws);
+    } else if (attachment?.playerId !== undefined) {
       await this.handlePlayerDisconnect(attachment.playerId);
     }
   }
@@ -197,11 +628,27 @@ export class GameRoom extends DurableObject<Env> {
   // WebSocket error handler
   async webSocketError(ws: WebSocket, _error: unknown): Promise<void> {
     const attachment = ws.deserializeAttachment() as WebSocketAttachment | null;
-    if (attachment?.playerId !== undefined) {
+    if (attachment?.spectator) {
+      await this.handleSpectatorLeft(ws);
+    } else if (attachment?.playerId !== undefined) {
       await this.handlePlayerDisconnect(attachment.playerId);
     }
   }
 
+  // The room, for a socket saying hello to it. A room that was never
+  // created or has expired turns the socket away, with a reason, and closes it.
+  private async getOpenRoom(ws: WebSocket): Promise<RoomState | null> {
+    const stored = await this.ctx.storage.get<RoomState>('room');
+    if (stored && !stored.expired) {
+      return this.getRoom();
+    }
+    this.sendToSocket(ws, stored
+      ? { type: 'error', error: 'This room has expired', code: RoomErrors.ROOM_EXPIRED }
+      : { type: 'error', error: 'Room not found', code: RoomErrors.ROOM_NOT_FOUND });
+    ws.close(ROOM_CLOSED, stored ? 'Room expired' : 'Room not found');
+    return null;
+  }
+
   // Handle incoming messages
   private async handleMessage(ws: WebSocket, message: ClientMessage): Promise<void> {
     switch (message.type) {
@@ -211,6 +658,9 @@ export class GameRoom extends DurableObject<Env> {
       case 'join':
         await this.handleJoin(ws, message);
         break;
+      case 'rejoin':
+        await this.handleRejoin(ws, message);
+        break;
       case 'ready':
         await this.handleReady(ws);
         break;
@@ -220,38 +670,91 @@ export class GameRoom extends DurableObject<Env> {
       case 'leave':
         await this.handleLeave(ws);
         break;
+      case 'resync':
+        await this.handleResync(ws);
+        break;
+      case 'chat':
+        await this.handleChat(ws, message);
+        break;
+      case 'kick':
+        await this.handleKick(ws, message);
+        break;
+      case 'swap':
+        await this.handleSwap(ws, message);
+        break;
+      case 'lock':
+        await this.handleLock(ws, message);
+        break;
+      case 'set_ruleset':
+        await this.handleSetRuleset(ws, message);
+        break;
+      case 'add_bot':
+        await this.handleAddBot(ws, message);
+        break;
     }
   }
 
-  // Observer connects to see room state without joining
+  // Observer connects to see room state without joining: a player picking
+  // a seat, or a spectator
   private async handleObserve(ws: WebSocket): Promise<void> {
-    const room = await this.getRoom();
+    const room = await this.getOpenRoom(ws);
+    if (!room) {
+      return;
+    }
 
     // Set attachment as observer
     const attachment: WebSocketAttachment = {
       playerId: null,
       playerName: '',
       isObserver: true,
+      spectator: true,
     };
     ws.serializeAttachment(attachment);
 
-    // Send current room state to observer
-    this.sendToSocket(ws, {
-      type: 'room_update',
-      room: room,
-    });
+    // Everyone sees the new spectator count, the observer included
+    await this.saveRoom(room);
+    await this.broadcastRoomUpdate();
+
+    // A game under way is sent as far as spectators may see it. Views aren't
+    // held back while no one watches, so a delayed feed picks up again from
+    // the game as it is now.
+    if (room.gameStarted) {
+      await this.handleResync(ws);
+      if (room.spectatorDelaySeconds > 0) {
+        await this.queueCurrentSpectatorView(room);
+      }
+    }
+  }
+
+  // A spectator stopped watching
+  private async handleSpectatorLeft(ws: WebSocket): Promise<void> {
+    const room = await this.getRoom();
+    // An expired room closes its own sockets and is left as it is
+    if (room.expired) {
+      return;
+    }
+    await this.saveRoom(room, ws);
+    await this.broadcastRoomUpdate();
   }
 
   // Player joins the room
   private async handleJoin(ws: WebSocket, message: ClientMessage): Promise<void> {
     const { playerName, faction } = message;
-    const room = await this.getRoom();
+    const room = await this.getOpenRoom(ws);
+    if (!room) {
+      return;
+    }
 
     if (room.gameStarted) {
       this.sendToSocket(ws, { type: 'error', error: 'Game already started' });
       return;
     }
 
+    if (room.locked) {
+      this.sendToSocket(ws, { type: 'error', error: 'Room is locked' });
+      return;
+    }
+
     if (faction === undefined || faction < 0 || faction > 2) {
       this.sendToSocket(ws, { type: 'error', error: 'Invalid faction' });
       return;
@@ -280,17 +783,96 @@ export class GameRoom extends DurableObject<Env> {
       connected: true,
     };
 
+    // The room's creator is host; until they sit down, so is whoever is
+    // first to
+    const hostToken = await this.ctx.storage.get<string>('hostToken');
+    if ((hostToken && message.hostToken === hostToken) || room.hostId === null) {
+      room.hostId = faction;
+    }
+
     await this.saveRoom(room);
+    await this.publishListing(room);
+
+    const sessionToken = crypto.randomUUID();
+    await this.setSeatToken(faction, sessionToken);
 
     // Notify the joining player
     this.sendToSocket(ws, {
       type: 'joined',
+      protocolVersion: PROTOCOL_VERSION,
       playerId: faction,
       room: room,
+      sessionToken,
+      chatHistory: await this.getChatHistory(),
     });
 
     // Broadcast room update to all players
     await this.broadcastRoomUpdate();
+    await this.postSystemMessage('playerJoined', { name, faction: FACTIONS[faction] });
+  }
+
+  // Player reclaims their seat with the session token from an earlier 'joined'
+  private async handleRejoin(ws: WebSocket, message: ClientMessage): Promise<void> {
+    const room = await this.getOpenRoom(ws);
+    if (!room) {
+      return;
+    }
+    const tokens = await this.getSeatTokens();
+    const playerId = message.token ? tokens.indexOf(message.token) : -1;
+    const player = playerId >= 0 ? room.players[playerId] : null;
+
+    if (!player) {
+      this.sendToSocket(ws, { type: 'error', error: 'Seat no longer available' });
+      return;
+    }
+
+    // A connection that never closed cleanly (e.g. lost Wi-Fi) may still
+    // hold the seat. Detach it first so its close doesn't disconnect the seat.
+    const staleSocket = this.getPlayerSocket(playerId);
+    if (staleSocket && staleSocket !== ws) {
+      this.detachSocket(staleSocket);
+      try {
+        staleSocket.close(SEAT_RECLAIMED, 'Seat reclaimed by a new connection');
+      } catch {
+        // Already closed
+      }
+    }
+
+    const attachment: WebSocketAttachment = {
+      playerId,
+      playerName: player.name,
+      isObserver: false,
+    };
+    ws.serializeAttachment(attachment);
+
+    // Hand the seat back, taking it from the AI if it stood in
+    player.connected = true;
+    player.graceDeadline = null;
+    player.aiControlled = false;
+    await this.saveRoom(room);
+    await this.scheduleAlarm(room);
+
+    // Send the seat back along with the current game, if one is running
+    const gameState = room.gameStarted ? await this.getGameState() : null;
+    this.sendToSocket(ws, {
+      type: 'joined',
+      protocolVersion: PROTOCOL_VERSION,
+      playerId,
+      room: room,
+      sessionToken: message.token,
+      gameState: gameState ? viewFor(gameState, playerId) : undefined,
+      version: gameState ? await this.getStateVersion() : undefined,
+      deadline: await this.getTurnDeadline(),
+      serverTime: Date.now(),
+      chatHistory: await this.getChatHistory(),
+    });
+
+    await this.broadcastGameEvent({
+      type: 'player_reconnected',
+      playerId,
+      room: room,
+    });
+    await this.postSystemMessage('playerRejoined', { name: player.name, faction: player.faction });
   }
 
   // Player toggles ready status
@@ -324,12 +906,201 @@ export class GameRoom extends DurableObject<Env> {
     }
   }
 
+  // Check that a socket belongs to the host of a room still in its lobby,
+  // telling it why not otherwise
+  private async getHostedRoom(ws: WebSocket): Promise<RoomState | null> {
+    const attachment = ws.deserializeAttachment() as WebSocketAttachment | null;
+    const room = await this.getRoom();
+
+    if (room.gameStarted) {
+      this.sendToSocket(ws, { type: 'error', error: 'Game already started' });
+      return null;
+    }
+    if (attachment?.playerId == null || attachment.playerId !== room.hostId) {
+      this.sendToSocket(ws, { type: 'error', error: 'Only the host can do that' });
+      return null;
+    }
+    return room;
+  }
+
+  // Whether a seat index from a client names a seat
+  private isSeat(seat: number | undefined): seat is number {
+    return Number.isInteger(seat) && seat! >= 0 && seat! < FACTIONS.length;
+  }
+
+  // After a player leaves the lobby: if they were host, the next player
+  // seated takes over. With no players left, the AI seats go too, and the
+  // next player to sit down will be host.
+  private handOverLobby(room: RoomState): void {
+    const humans = room.players.flatMap((player, seat) => (player && !player.bot ? [seat] : []));
+    if (humans.length === 0) {
+      room.players = room.players.map(() => null);
+      room.hostId = null;
+    } else if (room.hostId === null || !humans.includes(room.hostId)) {
+      room.hostId = humans[0];
+    }
+  }
+
+  // Save a lobby the host changed and tell everyone about it
+  private async saveLobby(room: RoomState): Promise<void> {
+    await this.saveRoom(room);
+    await this.publishListing(room);
+    await this.broadcastRoomUpdate();
+  }
+
+  // Host removes a player or AI from their seat. A removed player stays in
+  // the room as an observer.
+  private async handleKick(ws: WebSocket, message: ClientMessage): Promise<void> {
+    const room = await this.getHostedRoom(ws);
+    if (!room) {
+      return;
+    }
+    const seat = message.faction;
+    const player = this.isSeat(seat) ? room.players[seat] : null;
+    if (!this.isSeat(seat) || !player || seat === room.hostId) {
+      this.sendToSocket(ws, { type: 'error', error: 'No one to remove from that seat' });
+      return;
+    }
+
+    room.players[seat] = null;
+    if (!player.bot) {
+      await this.setSeatToken(seat, null);
+      const socket = this.getPlayerSocket(seat);
+      if (socket) {
+        this.detachSocket(socket);
+        this.sendToSocket(socket, { type: 'kicked', playerId: seat, room });
+      }
+    }
+
+    await this.saveLobby(room);
+    if (!player.bot) {
+      await this.postSystemMessage('playerKicked', { name: player.name, faction: player.faction });
+    }
+  }
+
+  // Host moves the player (or AI) in one seat to another, trading places
+  // with whoever sits there. Players who moved have to get ready again.
+  private async handleSwap(ws: WebSocket, message: ClientMessage): Promise<void> {
+    const room = await this.getHostedRoom(ws);
+    if (!room) {
+      return;
+    }
+    const { faction: from, target: to } = message;
+    if (!this.isSeat(from) || !this.isSeat(to) || from === to || (!room.players[from] && !room.players[to])) {
+      this.sendToSocket(ws, { type: 'error', error: 'Invalid seats to swap' });
+      return;
+    }
+
+    // Find the sockets before their seats change hands
+    const sockets = [this.getPlayerSocket(from), this.getPlayerSocket(to)];
+    const tokens = await this.getSeatTokens();
+    const moved = [room.players[to], room.players[from]];
+
+    [from, to].forEach((seat, i) => {
+      const player = moved[i];
+      room.players[seat] = player && {
+        ...player,
+        faction: FACTIONS[seat],
+        ready: !!player.bot,
+      };
+    });
+    [tokens[from], tokens[to]] = [tokens[to], tokens[from]];
+    await this.ctx.storage.put('seatTokens', tokens);
+    if (room.hostId === from || room.hostId === to) {
+      room.hostId = room.hostId === from ? to : from;
+    }
+    await this.saveRoom(room);
+
+    // Tell each player who moved which seat is theirs now
+    const chatHistory = await this.getChatHistory();
+    for (const [i, seat] of [to, from].entries()) {
+      const socket = sockets[i];
+      const player = room.players[seat];
+      if (!socket || !player) {
+        continue;
+      }
+      socket.serializeAttachment({ playerId: seat, playerName: player.name, isObserver: false });
+      this.sendToSocket(socket, {
+        type: 'joined',
+        protocolVersion: PROTOCOL_VERSION,
+        playerId: seat,
+        room,
+        sessionToken: tokens[seat] ?? undefined,
+        chatHistory,
+      });
+    }
+
+    await this.publishListing(room);
+    await this.broadcastRoomUpdate();
+  }
+
+  // Host closes the room to new players, or opens it again
+  private async handleLock(ws: WebSocket, message: ClientMessage): Promise<void> {
+    const room = await this.getHostedRoom(ws);
+    if (!room) {
+      return;
+    }
+    room.locked = message.locked === true;
+    await this.saveLobby(room);
+  }
+
+  // Host picks the ruleset. Players have to get ready again under it.
+  private async handleSetRuleset(ws: WebSocket, message: ClientMessage): Promise<void> {
+    const room = await this.getHostedRoom(ws);
+    if (!room) {
+      return;
+    }
+    if (!message.ruleset || !Object.hasOwn(RULESETS, message.ruleset)) {
+      this.sendToSocket(ws, { type: 'error', error: `Unknown ruleset: ${message.ruleset}` });
+      return;
+    }
+    if (room.ruleset !== message.ruleset) {
+      room.ruleset = message.ruleset as RoomState['ruleset'];
+      room.players.forEach((player) => {
+        if (player && !player.bot) {
+          player.ready = false;
+        }
+      });
+    }
+    await this.saveLobby(room);
+  }
+
+  // Host fills an empty seat with an AI player, which the server plays
+  // like a seat whose player dropped out. It is always ready.
+  private async handleAddBot(ws: WebSocket, message: ClientMessage): Promise<void> {
+    const room = await this.getHostedRoom(ws);
+    if (!room) {
+      return;
+    }
+    const seat = message.faction;
+    if (!this.isSeat(seat) || room.players[seat] !== null) {
+      this.sendToSocket(ws, { type: 'error', error: 'Faction already taken' });
+      return;
+    }
+
+    room.players[seat] = {
+      name: BOT_NAME,
+      faction: FACTIONS[seat],
+      ready: true,
+      connected: true,
+      aiControlled: true,
+      bot: true,
+    };
+    await this.saveLobby(room);
+
+    // The AI may be the last seat everyone was waiting for
+    if (room.players.every((p) => p !== null && p.ready)) {
+      await this.startGame();
+    }
+  }
+
   // Handle game action
   private async handleAction(ws: WebSocket, message: ClientMessage): Promise<void> {
     const attachment = ws.deserializeAttachment() as WebSocketAttachment | null;
+    const { action, actionId } = message;
 
     if (!attachment || attachment.playerId === undefined) {
-      this.sendToSocket(ws, { type: 'error', error: 'Not in room' });
+      this.sendToSocket(ws, { type: 'error', error: 'Not in room', actionId });
       return;
     }
 
@@ -337,62 +1108,447 @@ export class GameRoom extends DurableObject<Env> {
     const gameState = await this.getGameState();
 
     if (!room.gameStarted || !gameState) {
-      this.sendToSocket(ws, { type: 'error', error: 'Game not started' });
+      this.sendToSocket(ws, { type: 'error', error: 'Game not started', actionId });
       return;
     }
 
-    const { action } = message;
     if (!action) {
-      this.sendToSocket(ws, { type: 'error', error: 'No action provided' });
+      this.sendToSocket(ws, { type: 'error', error: 'No action provided', actionId });
       return;
     }
 
-    // Generate server-side random values for actions that need them
-    const randomValues: RandomValues = {};
-
-    if (action.type === 'RESOLVE_EVENT' || action.type === 'EXECUTE_ATTACK') {
-      randomValues.battleRoll = Math.random();
-      randomValues.eventRoll = Math.random();
-      randomValues.targetRoll = Math.random();
+    // Actions without a seat skip validation, so observers may not send any
+    if (attachment.playerId === null) {
+      this.sendToSocket(ws, {
+        type: 'error',
+        error: 'Observers cannot take actions',
+        code: ActionErrors.NOT_A_PLAYER,
+        actionId,
+      });
+      return;
     }
 
-    // Apply the action using server-authoritative game logic
-    const result = applyAction(gameState, action, attachment.playerId, randomValues);
+    // Apply the action using server-authoritative game logic.
+    // All randomness is drawn from the seeded rng stored in the game state.
+    const result = applyAction(gameState, action, attachment.playerId);
 
+    // Rejected actions change nothing, so only accepted ones are logged
     if (result.error) {
       this.sendToSocket(ws, {
         type: 'error',
         error: result.error,
+        code: result.errorCode,
+        actionId,
       });
       return;
     }
+    await this.appendActionLog(result.logEntry);
 
     // Update game state
-    await this.saveGameState(result.newState);
+    const committed = await this.commitGameState(result.newState, room);
 
-    // Broadcast updated game state to all players
-    await this.broadcastGameState();
+    // Broadcast the changes to all players, telling the acting player which
+    // of their actions the new state includes
+    await this.broadcastGameState(gameState, { ws, actionId });
 
     // Send action result to the acting player
     this.sendToSocket(ws, {
       type: 'action_result',
+      actionId,
       result: {
         type: action.type,
         success: true,
       },
     });
+
+    await this.announceBattle(gameState, committed);
+  }
+
+  // Store a game state the players changed, after the server has taken
+  // its own steps, and time the decision the game now waits for
+  private async commitGameState(gameState: GameState, room: RoomState): Promise<GameState> {
+    const state = await this.advanceAutomaticPhases(gameState, room);
+    await this.saveGameState(state);
+    await this.recordSummary(state, room);
+    await this.updateTurnTimer(state, room);
+    await this.scheduleAlarm(room);
+    return state;
+  }
+
+  // Once the game has ended, mark the room finished, sum the game up from
+  // its log and keep the summary
+  private async recordSummary(gameState: GameState, room: RoomState): Promise<void> {
+    if (!getGameResult(gameState) || room.status === 'finished') {
+      return;
+    }
+    room.status = 'finished';
+    await this.saveRoom(room);
+
+    const initialState = await this.getInitialGameState();
+    if (!initialState) {
+      return;
+    }
+    const entries = await this.ctx.storage.list<ActionLogEntry>({ prefix: 'actionLog:' });
+    const summary: MatchSummary = {
+      ...summarizeGame(initialState, [...entries.values()]),
+      roomId: room.roomId,
+      createdAt: room.createdAt,
+      endedAt: Date.now(),
+      players: room.players.map((slot) => slot && { name: slot.name, bot: !!slot.bot }),
+    };
+    await this.ctx.storage.put('summary', summary);
+  }
+
+  // Steps that need no decision happen on the server: the resources phase
+  // is passed straight through (nextPhase pays out income on the way), an
+  // event is resolved as soon as it needs no more votes, and seats the server
+  // plays (AI stand-ins and forfeited players) take their turn and votes.
+  // Each step taken is logged like any other action so the game still
+  // replays from its log.
+  private async advanceAutomaticPhases(gameState: GameState, room: RoomState): Promise<GameState> {
+    let state = gameState;
+    // Nothing is played once Pskov has fallen or the last turn is over
+    while (!getGameResult(state)) {
+      const steps = this.nextAutomaticSteps(state, room);
+      if (steps.length === 0) {
+        break;
+      }
+      for (const { action, playerId } of steps) {
+        const result = applyAction(state, action, playerId);
+        if (result.error) {
+          // Never retry a rejected step: the seat would loop on it forever
+          return state;
+        }
+        await this.appendActionLog(result.logEntry);
+        state = result.newState;
+      }
+    }
+    return state;
+  }
+
+  // The next steps the server takes on its own, or none if it is waiting on
+  // a player
+  private nextAutomaticSteps(state: GameState, room: RoomState): { action: GameAction; playerId: number | null }[] {
+    if (state.phase === 'resources') {
+      return [{ action: { type: ActionTypes.NEXT_PHASE }, playerId: null }];
+    }
+    if (state.phase === 'events' && canResolveEvent(state)) {
+      return [{ action: { type: ActionTypes.RESOLVE_EVENT }, playerId: null }];
+    }
+    for (let playerId = 0; playerId < state.players.length; playerId++) {
+      const forfeited = state.players[playerId].forfeited;
+      if (!forfeited && !room.players[playerId]?.aiControlled) {
+        continue;
+      }
+      const actions = decideSeatActions(state, playerId, forfeited);
+      if (actions.length > 0) {
+        return actions.map((action) => ({ action, playerId }));
+      }
+    }
+    return [];
+  }
+
+  // The decision the game is waiting for and the room's time limit on it,
+  // or null if it isn't waiting on a timed decision. The key changes
+  // whenever a new decision starts, which restarts the timer.
+  private timedDecision(state: GameState, room: RoomState): { key: string; seconds: number | null } | null {
+    if (state.gameOver || state.turn > getRuleset(state).maxTurns) {
+      return null;
+    }
+    if (state.phase === 'construction') {
+      return { key: `construction:${state.turn}`, seconds: room.turnSeconds };
+    }
+    if (state.attackPlanning === 'planning') {
+      return { key: `attack:${state.turn}`, seconds: room.voteSeconds };
+    }
+    if (state.fortressPlanning === 'planning') {
+      return { key: `fortress:${state.turn}`, seconds: room.voteSeconds };
+    }
+    if (state.phase === 'events' && state.currentEvent && !state.eventResolved) {
+      return { key: `event:${state.turn}:${state.eventDrawIndex}:${state.currentEvent.id}`, seconds: room.voteSeconds };
+    }
+    if (canContinue(state)) {
+      return { key: `continue:${state.turn}:${state.phase}`, seconds: CONTINUE_SECONDS };
+    }
+    return null;
+  }
+
+  // Start a timer when a new timed decision begins, and drop it once the
+  // decision has been made
+  private async updateTurnTimer(state: GameState, room: RoomState): Promise<void> {
+    const decision = this.timedDecision(state, room);
+    const timer = await this.ctx.storage.get<TurnTimer>('turnTimer');
+    if (decision && timer?.key === decision.key) {
+      return;
+    }
+    if (decision?.seconds) {
+      await this.ctx.storage.put('turnTimer', { key: decision.key, deadline: Date.now() + decision.seconds * 1000 });
+    } else {
+      await this.ctx.storage.delete('turnTimer');
+    }
+  }
+
+  // When the current turn or vote times out, if it is timed
+  private async getTurnDeadline(): Promise<number | null> {
+    return (await this.ctx.storage.get<TurnTimer>('turnTimer'))?.deadline ?? null;
+  }
+
+  // Wake up at the next grace period or turn timer to run out
+  private async scheduleAlarm(room: RoomState): Promise<void> {
+    const deadlines = room.players
+      .map((player) => player?.graceDeadline)
+      .filter((deadline): deadline is number => typeof deadline === 'number');
+    const turnDeadline = await this.getTurnDeadline();
+    if (turnDeadline !== null) {
+      deadlines.push(turnDeadline);
+    }
+    if (!room.expired) {
+      deadlines.push(await this.getExpiryTime(room));
+    }
+    const nextView = await this.ctx.storage.list<SpectatorView>({ prefix: 'spectatorFeed:', limit: 1 });
+    for (const view of nextView.values()) {
+      deadlines.push(view.releaseAt);
+    }
+    if (deadlines.length > 0) {
+      await this.ctx.storage.setAlarm(Math.min(...deadlines));
+    } else {
+      await this.ctx.storage.deleteAlarm();
+    }
+  }
+
+  // When the room expires if no one says anything more in it
+  private async getExpiryTime(room: RoomState): Promise<number> {
+    const lastActivity = (await this.ctx.storage.get<number>('lastActivity')) ?? room.createdAt;
+    const ttl =
+      room.status === 'lobby'
+        ? ttlSeconds(this.env.LOBBY_TTL_SECONDS, DEFAULT_LOBBY_TTL_SECONDS)
+        : room.status === 'playing'
+          ? ttlSeconds(this.env.GAME_TTL_SECONDS, DEFAULT_GAME_TTL_SECONDS)
+          : ttlSeconds(this.env.FINISHED_TTL_SECONDS, DEFAULT_FINISHED_TTL_SECONDS);
+    return lastActivity + ttl * 1000;
+  }
+
+  // Close an idle room: its sockets are told and closed, and its storage is
+  // cleared but for the room itself (marked expired, so late joiners learn
+  // why they can't get in and its code is never reused) and the summary of
+  // a finished game
+  private async expireRoom(room: RoomState): Promise<void> {
+    for (const ws of this.ctx.getWebSockets()) {
+      this.sendToSocket(ws, { type: 'error', error: 'This room has expired', code: RoomErrors.ROOM_EXPIRED });
+      // Detached first, so closing it doesn't count as a player leaving
+      this.detachSocket(ws);
+      ws.close(ROOM_CLOSED, 'Room expired');
+    }
+
+    if (room.status !== 'finished') {
+      room.status = 'abandoned';
+    }
+    room.expired = true;
+    room.spectators = 0;
+    const summary = await this.ctx.storage.get<MatchSummary>('summary');
+    await this.ctx.storage.deleteAll();
+    await this.ctx.storage.deleteAlarm();
+    await this.ctx.storage.put(summary ? { room, summary } : { room });
+    await this.publishListing(room);
+  }
+
+  // Alarm handler (called by Durable Object runtime): a room left idle too
+  // long expires; otherwise spectators are sent the views of the game their
+  // delay has passed on, seats whose player didn't come back in time go to
+  // the AI or forfeit, per the room's policy, and players who ran out of
+  // time on a turn or vote get the default: end construction, vote no (or
+  // the free option), bid nothing, move on
+  async alarm(): Promise<void> {
+    const room = await this.getRoom();
+    if (room.expired) {
+      return;
+    }
+    if (Date.now() >= (await this.getExpiryTime(room))) {
+      await this.expireRoom(room);
+      return;
+    }
+    await this.releaseSpectatorViews(room);
+    let gameState = await this.getGameState();
+    const previous = gameState;
+    const now = Date.now();
+    const expired: number[] = [];
+
+    room.players.forEach((player, playerId) => {
+      if (player && !player.connected && player.graceDeadline && player.graceDeadline <= now) {
+        player.graceDeadline = null;
+        expired.push(playerId);
+      }
+    });
+
+    const timer = await this.ctx.storage.get<TurnTimer>('turnTimer');
+    const timedOut = !!timer && timer.deadline <= now;
+
+    if ((expired.length > 0 || timedOut) && room.gameStarted && gameState) {
+      for (const playerId of expired) {
+        if (room.disconnectPolicy === 'ai') {
+          room.players[playerId]!.aiControlled = true;
+        } else {
+          const result = applyAction(gameState, { type: ActionTypes.FORFEIT, player: playerId });
+          if (result.error) {
+            continue;
+          }
+          await this.appendActionLog(result.logEntry);
+          gameState = result.newState;
+          // Forfeiting is final: the seat can't be reclaimed
+          await this.setSeatToken(playerId, null);
+        }
+      }
+
+      if (timedOut) {
+        await this.ctx.storage.delete('turnTimer');
+        gameState = await this.applyTimeoutDefaults(gameState, room);
+      }
+
+      await this.saveRoom(room);
+      const committed = await this.commitGameState(gameState, room);
+
+      for (const playerId of expired) {
+        await this.broadcastGameEvent({ type: 'player_replaced', playerId, room });
+      }
+      await this.broadcastGameState(previous);
+      await this.announceBattle(previous, committed);
+    } else {
+      await this.saveRoom(room);
+      await this.scheduleAlarm(room);
+    }
   }
 
-  // Player leaves the room
+  // Make the default choice for every player who hasn't acted yet
+  private async applyTimeoutDefaults(gameState: GameState, room: RoomState): Promise<GameState> {
+    let state = gameState;
+    for (let playerId = 0; playerId < state.players.length; playerId++) {
+      // The last default can move the game on; the next phase isn't timed out
+      if (state.phase !== gameState.phase || state.turn !== gameState.turn) {
+        break;
+      }
+      if (state.players[playerId].forfeited || room.players[playerId]?.aiControlled) {
+        continue;
+      }
+      for (const action of decideSeatActions(state, playerId, true)) {
+        const result = applyAction(state, action, playerId);
+        if (result.error) {
+          break;
+        }
+        await this.appendActionLog(result.logEntry);
+        state = result.newState;
+      }
+    }
+    return state;
+  }
+
+  // A client found a gap in the versions it was sent (or couldn't apply a
+  // delta): send it the whole current state. Spectators of a room with a
+  // delay get the latest view released to them instead, if there is one yet.
+  private async handleResync(ws: WebSocket): Promise<void> {
+    const attachment = ws.deserializeAttachment() as WebSocketAttachment | null;
+    const playerId = attachment?.playerId ?? null;
+    const gameState = await this.getGameState();
+    if (!gameState) {
+      this.sendToSocket(ws, { type: 'error', error: 'Game not started' });
+      return;
+    }
+    const room = await this.getRoom();
+    if (playerId === null && room.spectatorDelaySeconds > 0) {
+      const view = await this.ctx.storage.get<SpectatorView>('spectatorView');
+      if (view) {
+        this.sendToSocket(ws, this.spectatorMessage(view, room));
+      }
+      return;
+    }
+    this.sendToSocket(ws, {
+      type: 'game_state',
+      gameState: viewFor(gameState, playerId),
+      version: await this.getStateVersion(),
+      deadline: await this.getTurnDeadline(),
+      serverTime: Date.now(),
+    });
+  }
+
+  // A seated player says something in the room chat
+  private async handleChat(ws: WebSocket, message: ClientMessage): Promise<void> {
+    const attachment = ws.deserializeAttachment() as WebSocketAttachment | null;
+    if (!attachment || attachment.playerId === null || attachment.playerId === undefined) {
+      this.sendToSocket(ws, { type: 'error', error: 'Only seated players can chat' });
+      return;
+    }
+    const text = message.text?.trim() ?? '';
+    if (!text) {
+      return;
+    }
+    await this.postChat({ playerId: attachment.playerId, name: attachment.playerName, text });
+  }
+
+  // Get the room's recent chat
+  private async getChatHistory(): Promise<ChatMessage[]> {
+    return (await this.ctx.storage.get<ChatMessage[]>('chat')) || [];
+  }
+
+  // Add a message to the chat history and send it to everyone. Messages from
+  // the room tell of the game, so spectators may have to wait for them.
+  private async postChat(entry: Omit<ChatMessage, 'id' | 'time'>): Promise<void> {
+    const history = await this.getChatHistory();
+    const chat: ChatMessage = {
+      id: (history[history.length - 1]?.id ?? 0) + 1,
+      time: Date.now(),
+      ...entry,
+    };
+    await this.ctx.storage.put('chat', [...history, chat].slice(-CHAT_HISTORY_LENGTH));
+    if (chat.system) {
+      await this.broadcastGameEvent({ type: 'chat', chat });
+    } else {
+      await this.broadcast({ type: 'chat', chat });
+    }
+  }
+
+  // Post a message from the room itself
+  private async postSystemMessage(code: string, params?: Record<string, unknown>): Promise<void> {
+    await this.postChat({ playerId: null, system: { code, params } });
+  }
+
+  // Announce the outcome of a battle with the Order that a change led to
+  private async announceBattle(previous: GameState | null, current: GameState): Promise<void> {
+    const result = current.lastEventResult;
+    if (!result || !BATTLE_RESULT_CODES.includes(result.code)) {
+      return;
+    }
+    if (previous && JSON.stringify(previous.lastEventResult) === JSON.stringify(result)) {
+      return;
+    }
+    await this.postSystemMessage('battle', { result });
+  }
+
+  // Player leaves the room. Their session token is revoked, so leaving
+  // can't be undone by rejoining.
   private async handleLeave(ws: WebSocket): Promise<void> {
     const attachment = ws.deserializeAttachment() as WebSocketAttachment | null;
     if (attachment?.playerId !== undefined) {
-      await this.handlePlayerDisconnect(attachment.playerId);
+      if (attachment.playerId !== null) {
+        await this.setSeatToken(attachment.playerId, null);
+      }
+      this.detachSocket(ws);
+      // No one is coming back to the seat, so there is no grace period
+      await this.handlePlayerDisconnect(attachment.playerId, true);
     }
   }
 
+  // Turn a player's socket into an observer's, so closing it no longer
+  // affects the seat
+  private detachSocket(ws: WebSocket): void {
+    const attachment: WebSocketAttachment = {
+      playerId: null,
+      playerName: '',
+      isObserver: true,
+    };
+    ws.serializeAttachment(attachment);
+  }
+
   // Handle player disconnect
-  private async handlePlayerDisconnect(playerId: number | null): Promise<void> {
+  private async handlePlayerDisconnect(playerId: number | null, left = false): Promise<void> {
     // If observer disconnects, nothing to do
     if (playerId === null) {
       return;
@@ -404,51 +1560,100 @@ export class GameRoom extends DurableObject<Env> {
     if (player) {
       player.connected = false;
 
-      // If game hasn't started, remove the player
       if (!room.gameStarted) {
+        // If game hasn't started, remove the player
         room.players[playerId] = null;
+        await this.setSeatToken(playerId, null);
+        this.handOverLobby(room);
+      } else if (!player.aiControlled && !(await this.hasForfeited(playerId))) {
+        // During a game, give them time to come back before the AI
+        // takes over or they forfeit (see alarm)
+        player.graceDeadline = Date.now() + (left ? 0 : room.graceSeconds * 1000);
       }
     }
 
     await this.saveRoom(room);
+    await this.scheduleAlarm(room);
+    if (!room.gameStarted) {
+      await this.publishListing(room);
+    }
 
     // Broadcast disconnect to remaining players
-    await this.broadcast({
+    await this.broadcastGameEvent({
       type: 'player_left',
       playerId,
       room: room,
     });
-
-    // If game is in progress and a player disconnects, they forfeit
-    if (room.gameStarted) {
-      const gameState = await this.getGameState();
-      if (gameState) {
-        // Mark game as over with remaining players as winners
-        // TODO: Implement forfeit logic
-      }
+    if (player) {
+      await this.postSystemMessage(left ? 'playerLeft' : 'playerDisconnected', {
+        name: player.name,
+        faction: player.faction,
+      });
     }
   }
 
+  // Whether a seat has already forfeited the current game
+  private async hasForfeited(playerId: number): Promise<boolean> {
+    const gameState = await this.getGameState();
+    return !!gameState?.players[playerId]?.forfeited;
+  }
+
   // Start the game
   private async startGame(): Promise<void> {
     const room = await this.getRoom();
     room.gameStarted = true;
+    room.status = 'playing';
     await this.saveRoom(room);
+    await this.publishListing(room);
 
     // Create initial game state and auto-advance past resources phase
-    // (resources phase is auto-skipped; income is calculated and we start at construction)
-    const initialState = createInitialGameState();
-    const gameState = nextPhase(initialState);
+    // (resources phase is auto-skipped; income is calculated and we start at construction).
+    // The seed is chosen here, on the server, and never accepted from clients.
+    const initialState = createInitialGameState(generateSeed(), RULESETS[room.ruleset]);
+    const startedState = nextPhase(initialState);
+    await this.ctx.storage.put('initialGameState', startedState);
+    // AI seats take their first turn straight away
+    const gameState = await this.advanceAutomaticPhases(startedState, room);
     await this.saveGameState(gameState);
+    await this.updateTurnTimer(gameState, room);
+    await this.scheduleAlarm(room);
 
     // Broadcast game start to all players
-    await this.broadcast({
+    await this.broadcastGameView(gameState, await this.getStateVersion(), {
       type: 'game_start',
       room: room,
-      gameState: gameState,
+      deadline: await this.getTurnDeadline(),
+      serverTime: Date.now(),
     });
   }
 
+  // Tell the registry which seats of a public room are still free, or take
+  // the room off the list once its game has started or it has expired. The
+  // browser is a convenience, so a registry failure doesn't fail the lobby
+  // change.
+  private async publishListing(room: RoomState): Promise<void> {
+    if (!room.isPublic || !room.roomId) {
+      return;
+    }
+    const freeFactions = room.players.flatMap((player, index) => (player === null ? [index] : []));
+    const listing = room.status !== 'lobby' || room.locked
+      ? { roomId: room.roomId, open: false }
+      : {
+          roomId: room.roomId,
+          ruleset: room.ruleset,
+          freeFactions,
+          playerCount: room.players.length - freeFactions.length,
+          createdAt: room.createdAt,
+        };
+    try {
+      await getRoomRegistry(this.env).fetch(
+        new Request('http://internal/update', { method: 'POST', body: JSON.stringify(listing) })
+      );
+    } catch (error) {
+      console.error('Failed to update room listing:', error);
+    }
+  }
+
   // Send message to a specific socket
   private sendToSocket(ws: WebSocket, message: ServerMessage): void {
     try {
@@ -466,6 +1671,29 @@ export class GameRoom extends DurableObject<Env> {
     }
   }
 
+  // Send every socket a message about something that happened in the game,
+  // such as a battle fought or a seat changing hands. In a room with a
+  // spectator delay, spectators are sent it later, along with the view of
+  // the game it happened in.
+  private async broadcastGameEvent(message: ServerMessage): Promise<void> {
+    const room = await this.getRoom();
+    const gameState = await this.getGameState();
+    if (!gameState || room.spectatorDelaySeconds === 0) {
+      await this.broadcast(message);
+      return;
+    }
+    for (const ws of this.ctx.getWebSockets()) {
+      const attachment = ws.deserializeAttachment() as WebSocketAttachment | null;
+      if ((attachment?.playerId ?? null) !== null) {
+        this.sendToSocket(ws, message);
+      }
+    }
+    if (this.countSpectators() > 0) {
+      const view: ServerMessage = { type: 'game_state', deadline: await this.getTurnDeadline() };
+      await this.queueSpectatorView(gameState, await this.getStateVersion(), view, room, [message]);
+    }
+  }
+
   // Broadcast room state update
   private async broadcastRoomUpdate(): Promise<void> {
     const room = await this.getRoom();
@@ -475,14 +1703,149 @@ export class GameRoom extends DurableObject<Env> {
     });
   }
 
-  // Broadcast game state update
-  private async broadcastGameState(): Promise<void> {
+  // Send every socket a message carrying the game state as its seat sees it:
+  // in full, or as the delta from `previous`, the state one version back.
+  // The socket whose action led to the state is told its action id. In a
+  // room with a spectator delay, spectators are sent the view later instead.
+  private async broadcastGameView(
+    gameState: GameState,
+    version: number,
+    message: ServerMessage,
+    previous: GameState | null = null,
+    actedBy: ActedBy | null = null
+  ): Promise<void> {
+    const room = await this.getRoom();
+    const delayed = room.spectatorDelaySeconds > 0;
+    for (const ws of this.ctx.getWebSockets()) {
+      const attachment = ws.deserializeAttachment() as WebSocketAttachment | null;
+      const playerId = attachment?.playerId ?? null;
+      if (delayed && playerId === null) {
+        continue;
+      }
+      const view = viewFor(gameState, playerId);
+      const ownAction = actedBy?.ws === ws ? { actionId: actedBy.actionId } : {};
+      this.sendToSocket(
+        ws,
+        previous
+          ? {
+              ...message,
+              ...ownAction,
+              version,
+              baseVersion: version - 1,
+              patch: diffState(viewFor(previous, playerId), view),
+              stateHash: hashState(view),
+            }
+          : { ...message, ...ownAction, version, gameState: view }
+      );
+    }
+    if (delayed) {
+      await this.markLogRelease(room);
+    }
+    if (delayed && this.countSpectators() > 0) {
+      await this.queueSpectatorView(gameState, version, message, room);
+    }
+  }
+
+  // Hold a view of the game back from spectators until the room's delay
+  // has passed, and wake up then to send it. Messages about what happened
+  // at that version are sent after it; if the view is already held back,
+  // they are added to it.
+  private async queueSpectatorView(
+    gameState: GameState,
+    version: number,
+    message: ServerMessage,
+    room: RoomState,
+    messages: ServerMessage[] = []
+  ): Promise<void> {
+    const key = spectatorFeedKey(version);
+    const queued = await this.ctx.storage.get<SpectatorView>(key);
+    if (queued) {
+      if (messages.length > 0) {
+        await this.ctx.storage.put(key, { ...queued, messages: [...(queued.messages ?? []), ...messages] });
+      }
+      return;
+    }
+    const delay = room.spectatorDelaySeconds * 1000;
+    const view: SpectatorView = {
+      type: message.type === 'game_start' ? 'game_start' : 'game_state',
+      releaseAt: Date.now() + delay,
+      version,
+      gameState: viewFor(gameState, null),
+      deadline: message.deadline ? message.deadline + delay : null,
+      messages,
+    };
+    await this.ctx.storage.put(key, view);
+    await this.scheduleAlarm(room);
+  }
+
+  // Hold back the current game for spectators, unless it already is or they
+  // have been sent it
+  private async queueCurrentSpectatorView(room: RoomState): Promise<void> {
+    const gameState = await this.getGameState();
+    const version = await this.getStateVersion();
+    const released = await this.ctx.storage.get<SpectatorView>('spectatorView');
+    if (!gameState || released?.version === version || (await this.ctx.storage.get(spectatorFeedKey(version)))) {
+      return;
+    }
+    await this.queueSpectatorView(gameState, version, { type: 'game_state', deadline: await this.getTurnDeadline() }, room);
+  }
+
+  // Send spectators the latest view of the game whose delay has passed.
+  // Views it overtakes are dropped, since each carries the full state, but
+  // not the messages that went with them.
+  private async releaseSpectatorViews(room: RoomState): Promise<void> {
+    const feed = await this.ctx.storage.list<SpectatorView>({ prefix: 'spectatorFeed:' });
+    const due = [...feed].filter(([, view]) => view.releaseAt <= Date.now());
+    if (due.length === 0) {
+      return;
+    }
+    const latest = due[due.length - 1][1];
+    // Spectators who were watching the lobby learn from the start that the game is on
+    const started = due.some(([, view]) => view.type === 'game_start');
+    const view: SpectatorView = { ...latest, type: started ? 'game_start' : latest.type, messages: [] };
+    const messages = due.flatMap(([, queued]) => queued.messages ?? []);
+    await this.ctx.storage.delete(due.map(([key]) => key));
+    await this.ctx.storage.put('spectatorView', view);
+
+    for (const ws of this.ctx.getWebSockets()) {
+      const attachment = ws.deserializeAttachment() as WebSocketAttachment | null;
+      if ((attachment?.playerId ?? null) === null) {
+        this.sendToSocket(ws, this.spectatorMessage(view, room));
+        messages.forEach((message) => this.sendToSocket(ws, message));
+      }
+    }
+  }
+
+  // The message that sends spectators a view of the game
+  private spectatorMessage(view: SpectatorView, room: RoomState): ServerMessage {
+    return {
+      type: view.type,
+      room: view.type === 'game_start' ? room : undefined,
+      gameState: view.gameState,
+      version: view.version,
+      deadline: view.deadline,
+      serverTime: Date.now(),
+    };
+  }
+
+  // Broadcast game state update, as deltas from the state it replaced
+  private async broadcastGameState(
+    previous: GameState | null = null,
+    actedBy: ActedBy | null = null
+  ): Promise<void> {
     const gameState = await this.getGameState();
     if (gameState) {
-      await this.broadcast({
-        type: 'game_state',
-        gameState: gameState,
-      });
+      await this.broadcastGameView(
+        gameState,
+        await this.getStateVersion(),
+        {
+          type: 'game_state',
+          deadline: await this.getTurnDeadline(),
+          serverTime: Date.now(),
+        },
+        previous,
+        actedBy
+      );
     }
   }
 }
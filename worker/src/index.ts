@@ -2,35 +2,45 @@
  * Veche Multiplayer Server
  *
  * Cloudflare Worker entry point that routes requests to Durable Objects.
- * Each game room is a separate Durable Object instance.
+ * Each game room is a separate Durable Object instance; a single registry
+ * instance lists the public rooms.
  */
 
-import { GameRoom } from './gameRoom';
+import { GameRoom, DISCONNECT_POLICIES } from './gameRoom';
+import type { DisconnectPolicy } from './gameRoom';
+import { RoomRegistry, getRoomRegistry } from './roomRegistry';
+import { RULESETS } from '../../shared/rules/index.js';
 
-export { GameRoom };
+export { GameRoom, RoomRegistry };
 
 export interface Env {
   GAME_ROOM: DurableObjectNamespace;
+  ROOM_REGISTRY: DurableObjectNamespace;
   ENVIRONMENT: string;
   ANTHROPIC_API_KEY: string;
 }
 
-// Generate a random room code like "PSKOV-A3X7"
+// Generate a random room code like "PSKOV-A3X7". Codes can repeat: the
+// room refuses a code already in use, and creating a room tries another.
 function generateRoomCode(): string {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const values = crypto.getRandomValues(new Uint32Array(4));
   let code = 'PSKOV-';
-  for (let i = 0; i < 4; i++) {
-    code += chars[Math.floor(Math.random() * chars.length)];
+  for (const value of values) {
+    code += chars[value % chars.length];
   }
   return code;
 }
 
+// How many codes to try before giving up on creating a room
+const MAX_ROOM_CODE_ATTEMPTS = 5;
+
 // CORS headers for cross-origin requests
 function corsHeaders(origin: string | null): HeadersInit {
   return {
     'Access-Control-Allow-Origin': origin || '*',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Session-Token',
   };
 }
 
@@ -45,19 +55,94 @@ export default {
     }
 
     try {
+      // GET /api/rooms - Public rooms with free factions, oldest first
+      if (url.pathname === '/api/rooms' && request.method === 'GET') {
+        const response = await getRoomRegistry(env).fetch(
+          new Request('http://internal/list', { method: 'GET' })
+        );
+
+        return new Response(await response.text(), {
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(origin),
+          },
+        });
+      }
+
       // POST /api/rooms - Create a new room
+      // Optional JSON body: { ruleset, disconnectPolicy, graceSeconds, turnSeconds,
+      // voteSeconds, isPublic, spectatorDelaySeconds } naming a ruleset preset
+      // (default: standard), what happens to a seat whose player doesn't come
+      // back ('ai' or 'forfeit', default: ai), how long they have to come back
+      // (default: 60 seconds), time limits on construction turns and votes
+      // (default: none), whether the room is listed in the room browser
+      // (default: no), and how far behind the game spectators are shown it
+      // (default: live)
+      // Responds with the room code and a host token, which makes whoever
+      // joins with it the room's host
       if (url.pathname === '/api/rooms' && request.method === 'POST') {
-        const roomId = generateRoomCode();
-
-        // Create the Durable Object instance
-        const id = env.GAME_ROOM.idFromName(roomId);
-        const room = env.GAME_ROOM.get(id);
+        const body = (await request.json().catch(() => ({}))) as {
+          ruleset?: string;
+          disconnectPolicy?: string;
+          graceSeconds?: number;
+          turnSeconds?: number | null;
+          voteSeconds?: number | null;
+          isPublic?: boolean;
+          spectatorDelaySeconds?: number;
+        };
+        const ruleset = body.ruleset || 'standard';
+        if (!Object.hasOwn(RULESETS, ruleset)) {
+          return new Response(
+            JSON.stringify({ error: `Unknown ruleset: ${ruleset}` }),
+            { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders(origin) } }
+          );
+        }
+        const disconnectPolicy = body.disconnectPolicy || 'ai';
+        if (!DISCONNECT_POLICIES.includes(disconnectPolicy as DisconnectPolicy)) {
+          return new Response(
+            JSON.stringify({ error: `Unknown disconnect policy: ${disconnectPolicy}` }),
+            { status: 400, headers: { 'Content-Type': 'application/json', ...corsHeaders(origin) } }
+          );
+        }
 
-        // Initialize the room
-        await room.fetch(new Request('http://internal/init', { method: 'POST' }));
+        // Whoever holds this is the room's host once they sit down
+        const hostToken = crypto.randomUUID();
+
+        // Initialize the room under a fresh code; the room answers 409 if
+        // its code is taken (by a live room or an expired one)
+        let roomId: string | null = null;
+        for (let attempt = 0; attempt < MAX_ROOM_CODE_ATTEMPTS && !roomId; attempt++) {
+          const code = generateRoomCode();
+          const room = env.GAME_ROOM.get(env.GAME_ROOM.idFromName(code));
+          const response = await room.fetch(
+            new Request('http://internal/init', {
+              method: 'POST',
+              body: JSON.stringify({
+                roomId: code,
+                hostToken,
+                isPublic: body.isPublic === true,
+                ruleset,
+                disconnectPolicy,
+                graceSeconds: body.graceSeconds,
+                turnSeconds: body.turnSeconds,
+                voteSeconds: body.voteSeconds,
+                spectatorDelaySeconds: body.spectatorDelaySeconds,
+              }),
+            })
+          );
+          if (response.ok) {
+            roomId = code;
+          }
+        }
+        if (!roomId) {
+          return new Response(
+            JSON.stringify({ error: 'No free room code, please try again' }),
+            { status: 503, headers: { 'Content-Type': 'application/json', ...corsHeaders(origin) } }
+          );
+        }
 
         return new Response(
-          JSON.stringify({ roomId }),
+          JSON.stringify({ roomId, hostToken }),
           {
             headers: {
               'Content-Type': 'application/json',
@@ -67,7 +152,8 @@ export default {
         );
       }
 
-      // GET /api/rooms/:roomId - Get room info
+      // GET /api/rooms/:roomId - Get room info (404 for a code no room was
+      // created under; an expired room reports status and expired)
       if (url.pathname.match(/^\/api\/rooms\/[A-Z0-9-]+$/) && request.method === 'GET') {
         const roomId = url.pathname.split('/')[3];
         const id = env.GAME_ROOM.idFromName(roomId);
@@ -82,6 +168,7 @@ export default {
         return new Response(
           JSON.stringify(data),
           {
+            status: response.status,
             headers: {
               'Content-Type': 'application/json',
               ...corsHeaders(origin),
@@ -90,6 +177,50 @@ export default {
         );
       }
 
+      // GET /api/rooms/:roomId/log - Initial state and action log for replay
+      if (url.pathname.match(/^\/api\/rooms\/[A-Z0-9-]+\/log$/) && request.method === 'GET') {
+        const roomId = url.pathname.split('/')[3];
+        const id = env.GAME_ROOM.idFromName(roomId);
+        const room = env.GAME_ROOM.get(id);
+
+        // Players send their session token, so the room can tell them
+        // from spectators
+        const sessionToken = request.headers.get('X-Session-Token');
+        const response = await room.fetch(
+          new Request('http://internal/log', {
+            method: 'GET',
+            headers: sessionToken ? { 'X-Session-Token': sessionToken } : {},
+          })
+        );
+
+        return new Response(await response.text(), {
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(origin),
+          },
+        });
+      }
+
+      // GET /api/rooms/:roomId/summary - Summary of the room's finished game
+      // (404 until the game has ended)
+      if (url.pathname.match(/^\/api\/rooms\/[A-Z0-9-]+\/summary$/) && request.method === 'GET') {
+        const roomId = url.pathname.split('/')[3];
+        const id = env.GAME_ROOM.idFromName(roomId);
+        const room = env.GAME_ROOM.get(id);
+
+        const response = await room.fetch(
+          new Request('http://internal/summary', { method: 'GET' })
+        );
+
+        return new Response(await response.text(), {
+          status: response.status,
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(origin),
+          },
+        });
+      }
+
       // GET /api/rooms/:roomId/ws - WebSocket connection
       if (url.pathname.match(/^\/api\/rooms\/[A-Z0-9-]+\/ws$/) && request.method === 'GET') {
         const roomId = url.pathname.split('/')[3];
@@ -209,7 +340,7 @@ ${lang !== 'English' ? `Write the messages in ${lang}.` : ''}`;
           eventTypeContext = `This is a VOTING event. The council chooses between the options below. The option with at least 2 out of 3 votes wins.`;
         }
 
-        const userPrompt = `GAME STATE (Turn ${gameState.turn}/20):
+        const userPrompt = `GAME STATE (Turn ${gameState.turn}/${gameState.ruleset?.maxTurns ?? 20}):
   ${playerSummaries}
   Republic regions: ${republicRegions.join(', ')}
   Order regions: ${orderRegions.join(', ')}
@@ -0,0 +1,87 @@
+/**
+ * RoomRegistry Durable Object
+ *
+ * A single instance listing the public rooms that are still open to join:
+ * - Each public GameRoom reports its lobby (free factions, player count)
+ *   whenever it changes, and asks to be delisted once its game starts
+ * - Listings a room stopped reporting on are dropped after a while, so an
+ *   abandoned lobby doesn't linger in the browser
+ */
+
+import { DurableObject } from 'cloudflare:workers';
+
+// A public room as shown in the room browser
+export interface RoomListing {
+  roomId: string;
+  ruleset: string;
+  freeFactions: number[]; // Seats no one has taken yet
+  playerCount: number;
+  createdAt: number;
+  updatedAt: number; // When the room last reported (ms since epoch)
+}
+
+// How long a listing stays up without news from its room
+const LISTING_TTL_MS = 2 * 60 * 60 * 1000;
+
+// Name of the one registry instance
+const REGISTRY_NAME = 'registry';
+
+interface Env {
+  ROOM_REGISTRY: DurableObjectNamespace;
+}
+
+// The registry instance, for the worker and for rooms reporting to it
+export function getRoomRegistry(env: Env): DurableObjectStub {
+  return env.ROOM_REGISTRY.get(env.ROOM_REGISTRY.idFromName(REGISTRY_NAME));
+}
+
+export class RoomRegistry extends DurableObject<Env> {
+  constructor(ctx: DurableObjectState, env: Env) {
+    super(ctx, env);
+  }
+
+  // Handle HTTP requests
+  async fetch(request: Request): Promise<Response> {
+    const url = new URL(request.url);
+
+    // List or update a room: body is a listing, or { roomId, open: false }
+    // to take the room off the list
+    if (url.pathname === '/update' && request.method === 'POST') {
+      const body = (await request.json()) as Omit<RoomListing, 'updatedAt'> & { open?: boolean };
+      if (body.open === false) {
+        await this.ctx.storage.delete(`listing:${body.roomId}`);
+      } else {
+        const listing: RoomListing = {
+          roomId: body.roomId,
+          ruleset: body.ruleset,
+          freeFactions: body.freeFactions,
+          playerCount: body.playerCount,
+          createdAt: body.createdAt,
+          updatedAt: Date.now(),
+        };
+        await this.ctx.storage.put(`listing:${body.roomId}`, listing);
+      }
+      return new Response(JSON.stringify({ success: true }));
+    }
+
+    // Open rooms, oldest first
+    if (url.pathname === '/list' && request.method === 'GET') {
+      return new Response(JSON.stringify({ rooms: await this.getOpenRooms() }));
+    }
+
+    return new Response('Not Found', { status: 404 });
+  }
+
+  // Get the listings still current, deleting the ones that ran out
+  private async getOpenRooms(): Promise<RoomListing[]> {
+    const entries = await this.ctx.storage.list<RoomListing>({ prefix: 'listing:' });
+    const cutoff = Date.now() - LISTING_TTL_MS;
+    const stale = [...entries].filter(([, listing]) => listing.updatedAt < cutoff).map(([key]) => key);
+    if (stale.length > 0) {
+      await this.ctx.storage.delete(stale);
+    }
+    return [...entries.values()]
+      .filter((listing) => listing.updatedAt >= cutoff && listing.freeFactions.length > 0)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+}